@@ -1,7 +1,9 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { NavigationContainer } from '@react-navigation/native';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { StatusBar } from 'expo-status-bar';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+import { WagmiProvider } from 'wagmi';
 import { Text, View } from 'react-native';
 import { HomeScreen } from './src/screens/HomeScreen';
 import { PetScreen } from './src/screens/PetScreen';
@@ -9,9 +11,16 @@ import { LobbyScreen } from './src/screens/LobbyScreen';
 import { InventoryScreen } from './src/screens/InventoryScreen';
 import { MarketplaceScreen } from './src/screens/MarketplaceScreen';
 import { LeaderboardScreen } from './src/screens/LeaderboardScreen';
+import { WalletSetupScreen } from './src/screens/WalletSetupScreen';
+import { SettingsScreen } from './src/screens/SettingsScreen';
 import { ToastProvider, pixelTheme } from './src/components/ui';
+import { loadNetworkSelection } from './src/lib/networkSelection';
+import { SessionWallet } from './src/lib/sessionWallet';
+import { loadProfiles, onProfileChange } from './src/lib/walletProfiles';
+import { wagmiConfig } from './src/config/wagmi';
 
 const Tab = createBottomTabNavigator();
+const queryClient = new QueryClient();
 
 function TabBarIcon({ name, focused }: { name: string; focused: boolean }) {
   const icons: { [key: string]: string } = {
@@ -20,6 +29,7 @@ function TabBarIcon({ name, focused }: { name: string; focused: boolean }) {
     Inventory: '🎒',
     Market: '🏪',
     Leaderboard: '🏆',
+    Settings: '⚙️',
   };
   
   const iconSize = focused ? 28 : 24;
@@ -43,72 +53,122 @@ function TabBarIcon({ name, focused }: { name: string; focused: boolean }) {
 }
 
 export default function App() {
-  return (
-    <ToastProvider>
-      <NavigationContainer>
+  const [networkLoaded, setNetworkLoaded] = useState(false);
+  // null while checking; false on first launch (or for a new profile) until
+  // a wallet is created or restored
+  const [hasWallet, setHasWallet] = useState<boolean | null>(null);
+
+  // Restore the selected network before any screen talks to a chain
+  useEffect(() => {
+    loadNetworkSelection()
+      .catch(error => console.error('Failed to load network selection:', error))
+      .finally(() => setNetworkLoaded(true));
+  }, []);
+
+  // Screens create the main wallet on demand, so offer restoring it first
+  useEffect(() => {
+    const checkWallet = () => {
+      setHasWallet(null);
+      new SessionWallet().hasMainWallet()
+        .then(setHasWallet)
+        .catch(error => {
+          console.error('Failed to check for a wallet:', error);
+          setHasWallet(true);
+        });
+    };
+
+    loadProfiles().finally(checkWallet);
+    return onProfileChange(checkWallet);
+  }, []);
+
+  if (!networkLoaded || hasWallet === null) {
+    return null;
+  }
+
+  if (!hasWallet) {
+    return (
+      <ToastProvider>
         <StatusBar style="auto" />
-        <Tab.Navigator
-          screenOptions={({ route }) => ({
-            tabBarIcon: ({ focused }) => (
-              <TabBarIcon name={route.name} focused={focused} />
-            ),
-            tabBarActiveTintColor: pixelTheme.colors.primary,
-            tabBarInactiveTintColor: pixelTheme.colors.textLight,
-            tabBarStyle: {
-              backgroundColor: pixelTheme.colors.surface,
-              borderTopWidth: pixelTheme.borders.width.thick,
-              borderTopColor: pixelTheme.colors.border,
-              paddingTop: 10,
-              paddingBottom: 10,
-              height: 80,
-            },
-            tabBarLabelStyle: {
-              fontSize: 10,
-              fontFamily: pixelTheme.typography.fontFamily.pixel,
-              letterSpacing: pixelTheme.typography.letterSpacing.normal,
-              marginTop: 5,
-              textTransform: 'uppercase',
-            },
-            headerStyle: {
-              backgroundColor: pixelTheme.colors.primary,
-              borderBottomWidth: pixelTheme.borders.width.thick,
-              borderBottomColor: pixelTheme.colors.primaryDark,
-            },
-            headerTintColor: pixelTheme.colors.surface,
-            headerTitleStyle: {
-              fontFamily: pixelTheme.typography.fontFamily.pixelBold,
-              letterSpacing: pixelTheme.typography.letterSpacing.wide,
-              fontSize: pixelTheme.typography.fontSize.xlarge,
-            },
-          })}
-        >
-          <Tab.Screen 
-            name="Pet" 
-            component={PetScreen}
-            options={{ title: 'MY PET' }}
-          />
-          <Tab.Screen 
-            name="Battle" 
-            component={LobbyScreen}
-            options={{ title: 'BATTLE' }}
-          />
-          <Tab.Screen 
-            name="Inventory" 
-            component={InventoryScreen}
-            options={{ title: 'ITEMS' }}
-          />
-          <Tab.Screen 
-            name="Market" 
-            component={MarketplaceScreen}
-            options={{ title: 'MARKET' }}
-          />
-          <Tab.Screen 
-            name="Leaderboard" 
-            component={LeaderboardScreen}
-            options={{ title: 'RANKS' }}
-          />
-        </Tab.Navigator>
-      </NavigationContainer>
-    </ToastProvider>
+        <WalletSetupScreen onReady={() => setHasWallet(true)} />
+      </ToastProvider>
+    );
+  }
+
+  return (
+    <WagmiProvider config={wagmiConfig}>
+      <QueryClientProvider client={queryClient}>
+        <ToastProvider>
+          <NavigationContainer>
+            <StatusBar style="auto" />
+            <Tab.Navigator
+              screenOptions={({ route }) => ({
+                tabBarIcon: ({ focused }) => (
+                  <TabBarIcon name={route.name} focused={focused} />
+                ),
+                tabBarActiveTintColor: pixelTheme.colors.primary,
+                tabBarInactiveTintColor: pixelTheme.colors.textLight,
+                tabBarStyle: {
+                  backgroundColor: pixelTheme.colors.surface,
+                  borderTopWidth: pixelTheme.borders.width.thick,
+                  borderTopColor: pixelTheme.colors.border,
+                  paddingTop: 10,
+                  paddingBottom: 10,
+                  height: 80,
+                },
+                tabBarLabelStyle: {
+                  fontSize: 10,
+                  fontFamily: pixelTheme.typography.fontFamily.pixel,
+                  letterSpacing: pixelTheme.typography.letterSpacing.normal,
+                  marginTop: 5,
+                  textTransform: 'uppercase',
+                },
+                headerStyle: {
+                  backgroundColor: pixelTheme.colors.primary,
+                  borderBottomWidth: pixelTheme.borders.width.thick,
+                  borderBottomColor: pixelTheme.colors.primaryDark,
+                },
+                headerTintColor: pixelTheme.colors.surface,
+                headerTitleStyle: {
+                  fontFamily: pixelTheme.typography.fontFamily.pixelBold,
+                  letterSpacing: pixelTheme.typography.letterSpacing.wide,
+                  fontSize: pixelTheme.typography.fontSize.xlarge,
+                },
+              })}
+            >
+              <Tab.Screen 
+                name="Pet" 
+                component={PetScreen}
+                options={{ title: 'MY PET' }}
+              />
+              <Tab.Screen 
+                name="Battle" 
+                component={LobbyScreen}
+                options={{ title: 'BATTLE' }}
+              />
+              <Tab.Screen 
+                name="Inventory" 
+                component={InventoryScreen}
+                options={{ title: 'ITEMS' }}
+              />
+              <Tab.Screen 
+                name="Market" 
+                component={MarketplaceScreen}
+                options={{ title: 'MARKET' }}
+              />
+              <Tab.Screen 
+                name="Leaderboard" 
+                component={LeaderboardScreen}
+                options={{ title: 'RANKS' }}
+              />
+              <Tab.Screen 
+                name="Settings" 
+                component={SettingsScreen}
+                options={{ title: 'SETTINGS' }}
+              />
+            </Tab.Navigator>
+          </NavigationContainer>
+        </ToastProvider>
+      </QueryClientProvider>
+    </WagmiProvider>
   );
 }
\ No newline at end of file
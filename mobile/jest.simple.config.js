@@ -4,7 +4,33 @@ module.exports = {
     '**/src/**/__tests__/simple*.test.ts',
     '**/src/**/__tests__/gameState.test.ts',
     '**/src/**/__tests__/frenPetSimple.test.ts',
-    '**/src/**/__tests__/gaslessFlow.test.ts'
+    '**/src/**/__tests__/gaslessFlow.test.ts',
+    '**/src/**/__tests__/portoBatch.test.ts',
+    '**/src/**/__tests__/portoTransport.test.ts',
+    '**/src/**/__tests__/portoErrors.test.ts',
+    '**/src/**/__tests__/sessionKeys.test.ts',
+    '**/src/**/__tests__/portoFees.test.ts',
+    '**/src/**/__tests__/networks.test.ts',
+    '**/src/**/__tests__/preCalls.test.ts',
+    '**/src/**/__tests__/portoDigest.test.ts',
+    '**/src/**/__tests__/intentPreview.test.ts',
+    '**/src/**/__tests__/delegationInspector.test.ts',
+    '**/src/**/__tests__/bundleConfirmations.test.ts',
+    '**/src/**/__tests__/intentQueue.test.ts',
+    '**/src/**/__tests__/offlineActions.test.ts',
+    '**/src/**/__tests__/petSimulation.test.ts',
+    '**/src/**/__tests__/receiptDecoder.test.ts',
+    '**/src/**/__tests__/relayRecorder.test.ts',
+    '**/src/**/__tests__/relayPool.test.ts',
+    '**/src/**/__tests__/portoProvider.test.ts',
+    '**/src/**/__tests__/portoKeys.test.ts',
+    '**/src/**/__tests__/portoRelayer.test.ts',
+    '**/src/**/__tests__/selfPaid.test.ts',
+    '**/src/**/__tests__/recoveryPhrase.test.ts',
+    '**/src/**/__tests__/keystore.test.ts',
+    '**/src/**/__tests__/walletProfiles.test.ts',
+    '**/src/**/__tests__/portoClient.test.ts',
+    '**/src/**/__tests__/frenPetActions.test.ts'
   ],
   transform: {
     '^.+\\.ts$': ['babel-jest', { configFile: './babel.test.config.js' }],
@@ -0,0 +1,97 @@
+/**
+ * Intent confirmation dialog
+ * Shows the decoded intent, target contracts and fee before signing
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { PixelButton, PixelDialog, pixelTheme } from './ui';
+import { formatCallValue, shortAddress, type IntentPreview } from '../lib/intentPreview';
+import { formatFeeQuote } from '../lib/portoFees';
+
+interface IntentPreviewDialogProps {
+  preview: IntentPreview | null;
+  onApprove: () => void;
+  onReject: () => void;
+}
+
+export const IntentPreviewDialog: React.FC<IntentPreviewDialogProps> = ({
+  preview,
+  onApprove,
+  onReject,
+}) => {
+  if (!preview) return null;
+
+  const { quote } = preview;
+
+  return (
+    <PixelDialog title="CONFIRM ACTION" onClose={onReject}>
+      {preview.calls.map((call, index) => (
+        <View key={index} style={styles.callRow}>
+          <Text style={styles.callLabel}>{call.label}</Text>
+          <Text style={[styles.detailText, !call.known && styles.warningText]}>
+            {call.known ? '' : '⚠️ '}TO: {call.targetName.toUpperCase()} {shortAddress(call.target)}
+          </Text>
+          {call.value > 0n && (
+            <Text style={[styles.detailText, styles.warningText]}>
+              SENDS {formatCallValue(call.value)}
+            </Text>
+          )}
+        </View>
+      ))}
+
+      {preview.authorizations.map((line, index) => (
+        <Text key={index} style={styles.detailText}>🔑 {line}</Text>
+      ))}
+
+      {preview.upgrade && (
+        <Text style={styles.detailText}>⚡ Activates gasless mode for your account</Text>
+      )}
+
+      <Text style={[styles.feeText, quote && !quote.sponsored && styles.warningText]}>
+        FEE: {quote ? formatFeeQuote(quote) : 'UNKNOWN'}
+      </Text>
+
+      <View style={styles.buttons}>
+        <PixelButton title="CANCEL" onPress={onReject} variant="secondary" style={styles.button} />
+        <PixelButton title="SIGN" onPress={onApprove} variant="primary" style={styles.button} />
+      </View>
+    </PixelDialog>
+  );
+};
+
+const styles = StyleSheet.create({
+  callRow: {
+    marginBottom: pixelTheme.spacing.sm,
+  },
+  callLabel: {
+    fontSize: pixelTheme.typography.fontSize.large,
+    fontFamily: pixelTheme.typography.fontFamily.pixelBold,
+    color: pixelTheme.colors.text,
+  },
+  detailText: {
+    fontSize: pixelTheme.typography.fontSize.small,
+    fontFamily: pixelTheme.typography.fontFamily.pixel,
+    color: pixelTheme.colors.textLight,
+    letterSpacing: pixelTheme.typography.letterSpacing.normal,
+    marginTop: pixelTheme.spacing.xs,
+  },
+  warningText: {
+    color: pixelTheme.colors.warning,
+  },
+  feeText: {
+    marginTop: pixelTheme.spacing.md,
+    fontSize: pixelTheme.typography.fontSize.medium,
+    fontFamily: pixelTheme.typography.fontFamily.pixelBold,
+    color: pixelTheme.colors.success,
+    letterSpacing: pixelTheme.typography.letterSpacing.wide,
+  },
+  buttons: {
+    flexDirection: 'row',
+    gap: pixelTheme.spacing.md,
+    marginTop: pixelTheme.spacing.lg,
+  },
+  button: {
+    flex: 1,
+  },
+});
@@ -0,0 +1,159 @@
+/**
+ * Recovery phrase backup dialog
+ * Shows the words to write down, then asks a few of them back before the
+ * backup counts as done
+ */
+
+import React, { useState } from 'react';
+import { View, Text, TextInput, StyleSheet } from 'react-native';
+import { PixelButton, PixelDialog, pixelTheme } from './ui';
+import { checkQuizAnswers, pickQuizIndices } from '../lib/recoveryPhrase';
+import type { MainWalletBackup } from '../lib/sessionWallet';
+
+interface RecoveryPhraseDialogProps {
+  backup: MainWalletBackup | null;
+  onConfirmed: () => void;
+  onClose: () => void;
+}
+
+export const RecoveryPhraseDialog: React.FC<RecoveryPhraseDialogProps> = ({
+  backup,
+  onConfirmed,
+  onClose,
+}) => {
+  const [quiz, setQuiz] = useState<number[] | null>(null);
+  const [answers, setAnswers] = useState<Record<number, string>>({});
+  const [wrong, setWrong] = useState(false);
+
+  if (!backup) return null;
+
+  const { words } = backup;
+  const isPhrase = backup.kind === 'phrase';
+
+  const startQuiz = () => {
+    const indices = pickQuizIndices(words.length);
+    setQuiz(indices);
+    setAnswers(Object.fromEntries(indices.map(index => [index, ''])));
+    setWrong(false);
+  };
+
+  const checkAnswers = () => {
+    if (checkQuizAnswers(words, answers)) {
+      onConfirmed();
+    } else {
+      setWrong(true);
+    }
+  };
+
+  if (quiz) {
+    return (
+      <PixelDialog title="CONFIRM BACKUP" onClose={onClose}>
+        <Text style={styles.detailText}>
+          TYPE THESE {isPhrase ? 'WORDS' : 'GROUPS'} FROM YOUR BACKUP
+        </Text>
+        {quiz.map(index => (
+          <View key={index} style={styles.quizRow}>
+            <Text style={styles.quizLabel}>#{index + 1}</Text>
+            <TextInput
+              style={styles.quizInput}
+              value={answers[index]}
+              onChangeText={text => setAnswers(current => ({ ...current, [index]: text }))}
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+          </View>
+        ))}
+        {wrong && (
+          <Text style={[styles.detailText, styles.warningText]}>
+            NOT QUITE - CHECK YOUR BACKUP
+          </Text>
+        )}
+        <View style={styles.buttons}>
+          <PixelButton title="SHOW AGAIN" onPress={() => setQuiz(null)} variant="secondary" style={styles.button} />
+          <PixelButton title="CHECK" onPress={checkAnswers} variant="primary" style={styles.button} />
+        </View>
+      </PixelDialog>
+    );
+  }
+
+  return (
+    <PixelDialog title={isPhrase ? 'RECOVERY PHRASE' : 'RECOVERY KEY'} onClose={onClose}>
+      <Text style={[styles.detailText, styles.warningText]}>
+        ⚠️ WRITE {isPhrase ? 'THESE WORDS' : 'THIS KEY'} DOWN IN ORDER. ANYONE WITH
+        {isPhrase ? ' THEM' : ' IT'} CAN TAKE YOUR PET. WITHOUT {isPhrase ? 'THEM' : 'IT'}, A
+        REINSTALL LOSES IT.
+      </Text>
+      <View style={styles.wordGrid}>
+        {words.map((word, index) => (
+          <Text key={index} style={styles.word}>
+            {index + 1}. {word}
+          </Text>
+        ))}
+      </View>
+      {!isPhrase && (
+        <Text style={styles.detailText}>
+          YOUR WALLET PREDATES RECOVERY PHRASES. TO RESTORE IT, ENTER ALL GROUPS IN ORDER.
+        </Text>
+      )}
+      <View style={styles.buttons}>
+        <PixelButton title="LATER" onPress={onClose} variant="secondary" style={styles.button} />
+        <PixelButton title="WROTE IT DOWN" onPress={startQuiz} variant="primary" style={styles.button} />
+      </View>
+    </PixelDialog>
+  );
+};
+
+const styles = StyleSheet.create({
+  detailText: {
+    fontSize: pixelTheme.typography.fontSize.small,
+    fontFamily: pixelTheme.typography.fontFamily.pixel,
+    color: pixelTheme.colors.textLight,
+    letterSpacing: pixelTheme.typography.letterSpacing.normal,
+    marginTop: pixelTheme.spacing.xs,
+  },
+  warningText: {
+    color: pixelTheme.colors.warning,
+  },
+  wordGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: pixelTheme.spacing.md,
+  },
+  word: {
+    width: '33%',
+    paddingVertical: pixelTheme.spacing.xs,
+    fontSize: pixelTheme.typography.fontSize.medium,
+    fontFamily: pixelTheme.typography.fontFamily.pixelBold,
+    color: pixelTheme.colors.text,
+  },
+  quizRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: pixelTheme.spacing.sm,
+  },
+  quizLabel: {
+    width: 40,
+    fontSize: pixelTheme.typography.fontSize.medium,
+    fontFamily: pixelTheme.typography.fontFamily.pixelBold,
+    color: pixelTheme.colors.text,
+  },
+  quizInput: {
+    flex: 1,
+    borderWidth: pixelTheme.borders.width.thick,
+    borderColor: pixelTheme.colors.border,
+    backgroundColor: pixelTheme.colors.surface,
+    paddingHorizontal: pixelTheme.spacing.md,
+    paddingVertical: pixelTheme.spacing.sm,
+    fontSize: pixelTheme.typography.fontSize.medium,
+    fontFamily: pixelTheme.typography.fontFamily.pixel,
+    color: pixelTheme.colors.text,
+  },
+  buttons: {
+    flexDirection: 'row',
+    gap: pixelTheme.spacing.md,
+    marginTop: pixelTheme.spacing.lg,
+  },
+  button: {
+    flex: 1,
+  },
+});
@@ -13,6 +13,7 @@ import {
   ViewStyle,
 } from 'react-native';
 import { pixelTheme } from '../../theme/pixelTheme';
+import type { IntentState, QueuedIntent } from '../../lib/intentQueue';
 
 interface PixelIconButtonProps {
   onPress: () => void;
@@ -138,16 +139,46 @@ export const PixelIconButton: React.FC<PixelIconButtonProps> = ({
   );
 };
 
+const QUEUE_COLORS: Record<IntentState, string> = {
+  queued: pixelTheme.colors.textLight,
+  preparing: pixelTheme.colors.info,
+  signing: pixelTheme.colors.warning,
+  sent: pixelTheme.colors.primary,
+  confirmed: pixelTheme.colors.success,
+  failed: pixelTheme.colors.danger,
+};
+
 // Action bar for grouping multiple icon buttons
+// With a queue, shows each queued action and its state under the buttons
 export const PixelActionBar: React.FC<{
   children: React.ReactNode;
   style?: ViewStyle;
-}> = ({ children, style }) => {
-  return (
+  queue?: QueuedIntent[];
+}> = ({ children, style, queue }) => {
+  const bar = (
     <View style={[styles.actionBar, style]}>
       {children}
     </View>
   );
+  if (!queue || queue.length === 0) return bar;
+
+  return (
+    <View>
+      {bar}
+      <View style={styles.queue}>
+        {queue.map(intent => (
+          <View
+            key={intent.id}
+            style={[styles.queueChip, { borderColor: QUEUE_COLORS[intent.state] }]}
+          >
+            <Text style={[styles.queueText, { color: QUEUE_COLORS[intent.state] }]}>
+              {intent.label.toUpperCase()} · {intent.state.toUpperCase()}
+            </Text>
+          </View>
+        ))}
+      </View>
+    </View>
+  );
 };
 
 const styles = StyleSheet.create({
@@ -187,4 +218,22 @@ const styles = StyleSheet.create({
     paddingVertical: pixelTheme.spacing.sm,
     gap: pixelTheme.spacing.md,
   },
+  queue: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    gap: pixelTheme.spacing.xs,
+    paddingBottom: pixelTheme.spacing.sm,
+  },
+  queueChip: {
+    borderWidth: pixelTheme.borders.width.thin,
+    backgroundColor: pixelTheme.colors.surface,
+    paddingHorizontal: pixelTheme.spacing.xs,
+    paddingVertical: 2,
+  },
+  queueText: {
+    fontSize: pixelTheme.typography.fontSize.tiny,
+    fontFamily: pixelTheme.typography.fontFamily.pixel,
+    letterSpacing: pixelTheme.typography.letterSpacing.normal,
+  },
 });
\ No newline at end of file
@@ -1,6 +1,7 @@
 import { Chain } from 'viem';
 
 // RISE Testnet configuration
+// Runtime code should use the active network from ./networks instead
 // Network details: https://docs.risechain.com/rise-testnet/network-details.html
 export const riseTestnet: Chain = {
   id: 11155931, // RISE Testnet chain ID (verified from RPC)
@@ -25,11 +26,5 @@ export const riseTestnet: Chain = {
 export const RISE_RPC_URL = 'https://testnet.riselabs.xyz';
 export const RISE_WS_URL = 'wss://testnet.riselabs.xyz/ws';
 
-// Porto Relayer URL - Intent-based transactions with gas sponsorship
-// The relayer allows us to:
-// 1. Send intents instead of raw transactions
-// 2. Get gas sponsorship (gasless transactions)
-// 3. Use session keys for transaction signing
-// 4. Bundle multiple operations
-// See: https://porto.sh/rpc-server for setup
-export const PORTO_RELAYER_URL = 'https://rise-testnet-porto.fly.dev';
\ No newline at end of file
+// Porto relayer endpoints (primary and failover) are configured per network:
+// see portoUrl / portoFallbackUrls in ./networks and PORTO_CONFIG.urls
\ No newline at end of file
@@ -1,5 +1,23 @@
-// FrenPetSimple contract - gasless version without payable functions
-export const FRENPET_ADDRESS = '0x3FDE139A94eEf14C4eBa229FDC80A54f7F5Fbf25';
+import { getNetwork, RISE_TESTNET_CHAIN_ID } from './networks';
+
+// FrenPetSimple contract on RISE testnet - gasless version without payable functions
+// Use getFrenPetAddress() to follow the active network
+export const FRENPET_ADDRESS = getNetwork(RISE_TESTNET_CHAIN_ID).frenPet.address;
+
+/**
+ * FrenPet deployment on the active network
+ */
+export function getFrenPetAddress(): `0x${string}` {
+  return getNetwork().frenPet.address as `0x${string}`;
+}
+
+/**
+ * Which FrenPet contract is deployed on the active network
+ * 'simple' = FrenPetSimple, 'v2' = FrenPetV2 (adds training, items, battles)
+ */
+export function getFrenPetVersion(): 'simple' | 'v2' {
+  return getNetwork().frenPet.version;
+}
 
 export const FRENPET_ABI = [
   {
@@ -81,4 +99,184 @@ export const FRENPET_ABI = [
     "name": "PetLevelUp",
     "type": "event"
   }
+] as const;
+
+// FrenPetV2 - subset of the full contract used by the app
+export const FRENPET_V2_ABI = [
+  {
+    "inputs": [
+      {"internalType": "string", "name": "_name", "type": "string"},
+      {"internalType": "uint8", "name": "_type", "type": "uint8"}
+    ],
+    "name": "createPet",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [{"internalType": "uint256", "name": "foodType", "type": "uint256"}],
+    "name": "feedPet",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "playWithPet",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "trainPet",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "claimDailyReward",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [{"internalType": "address", "name": "owner", "type": "address"}],
+    "name": "getPetStats",
+    "outputs": [
+      {"internalType": "string", "name": "name", "type": "string"},
+      {"internalType": "uint256", "name": "level", "type": "uint256"},
+      {"internalType": "uint256", "name": "experience", "type": "uint256"},
+      {"internalType": "uint256", "name": "happiness", "type": "uint256"},
+      {"internalType": "uint256", "name": "hunger", "type": "uint256"},
+      {"internalType": "bool", "name": "isAlive", "type": "bool"},
+      {"internalType": "uint8", "name": "petType", "type": "uint8"},
+      {"internalType": "uint8", "name": "evolutionStage", "type": "uint8"}
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [{"internalType": "address", "name": "", "type": "address"}],
+    "name": "hasPet",
+    "outputs": [{"internalType": "bool", "name": "", "type": "bool"}],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "address", "name": "owner", "type": "address"},
+      {"indexed": false, "internalType": "uint256", "name": "newHunger", "type": "uint256"}
+    ],
+    "name": "PetFed",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "address", "name": "owner", "type": "address"},
+      {"indexed": false, "internalType": "uint256", "name": "newHappiness", "type": "uint256"}
+    ],
+    "name": "PetPlayed",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "address", "name": "owner", "type": "address"},
+      {"indexed": false, "internalType": "uint256", "name": "expGained", "type": "uint256"}
+    ],
+    "name": "PetTrained",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "address", "name": "owner", "type": "address"},
+      {"indexed": false, "internalType": "uint256", "name": "newLevel", "type": "uint256"}
+    ],
+    "name": "PetLevelUp",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "address", "name": "owner", "type": "address"},
+      {"indexed": false, "internalType": "string", "name": "name", "type": "string"},
+      {"indexed": false, "internalType": "enum FrenPetV2.PetType", "name": "petType", "type": "uint8"}
+    ],
+    "name": "PetCreated",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "address", "name": "owner", "type": "address"},
+      {"indexed": false, "internalType": "enum FrenPetV2.PetType", "name": "from", "type": "uint8"},
+      {"indexed": false, "internalType": "enum FrenPetV2.PetType", "name": "to", "type": "uint8"},
+      {"indexed": false, "internalType": "uint256", "name": "stage", "type": "uint256"}
+    ],
+    "name": "PetEvolved",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "address", "name": "owner", "type": "address"},
+      {"indexed": false, "internalType": "string", "name": "name", "type": "string"}
+    ],
+    "name": "PetDied",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "address", "name": "owner", "type": "address"},
+      {"indexed": false, "internalType": "string", "name": "name", "type": "string"}
+    ],
+    "name": "PetRevived",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "uint256", "name": "battleId", "type": "uint256"},
+      {"indexed": false, "internalType": "address", "name": "challenger", "type": "address"},
+      {"indexed": false, "internalType": "address", "name": "opponent", "type": "address"}
+    ],
+    "name": "BattleStarted",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "uint256", "name": "battleId", "type": "uint256"},
+      {"indexed": false, "internalType": "address", "name": "winner", "type": "address"},
+      {"indexed": false, "internalType": "uint256", "name": "rewards", "type": "uint256"}
+    ],
+    "name": "BattleCompleted",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "address", "name": "owner", "type": "address"},
+      {"indexed": false, "internalType": "uint256", "name": "itemId", "type": "uint256"},
+      {"indexed": false, "internalType": "enum FrenPetV2.ItemRarity", "name": "rarity", "type": "uint8"}
+    ],
+    "name": "ItemDropped",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "address", "name": "player", "type": "address"},
+      {"indexed": false, "internalType": "uint256", "name": "coins", "type": "uint256"},
+      {"indexed": false, "internalType": "uint256", "name": "itemId", "type": "uint256"}
+    ],
+    "name": "DailyRewardClaimed",
+    "type": "event"
+  }
 ] as const;
\ No newline at end of file
@@ -0,0 +1,171 @@
+/**
+ * Network Registry
+ *
+ * Every network the app can talk to, keyed by chain ID. The active network
+ * drives the RPC client, the Porto relay and the FrenPet deployment.
+ *
+ * Default network: EXPO_PUBLIC_CHAIN_ID (falls back to RISE testnet)
+ * Extra networks (e.g. mainnet): EXPO_PUBLIC_NETWORKS, a JSON array of NetworkConfig
+ * Backup RISE testnet relays: EXPO_PUBLIC_PORTO_FALLBACK_URLS, comma-separated
+ */
+
+import type { Chain } from 'viem';
+
+export interface NetworkConfig {
+  chainId: number;
+  name: string;
+  nativeCurrency: { name: string; symbol: string; decimals: number };
+  rpcUrl: string;
+  wsUrl?: string;
+  // Primary Porto relay
+  portoUrl: string;
+  // Relays to fail over to, in order of preference
+  portoFallbackUrls?: string[];
+  porto: {
+    orchestrator: string;
+    implementation: string;
+    proxy: string;
+    relayWallet: string;
+    // Earlier Porto implementations; accounts still delegated to one are offered re-delegation
+    previousImplementations?: string[];
+  };
+  frenPet: {
+    address: string;
+    version: 'simple' | 'v2'; // 'simple' = FrenPetSimple, 'v2' = FrenPetV2
+  };
+  explorerUrl?: string;
+  testnet: boolean;
+}
+
+export const LOCAL_CHAIN_ID = 31337;
+export const RISE_TESTNET_CHAIN_ID = 11155931;
+
+// Porto contracts on RISE testnet (the mock relay reports the same addresses)
+const RISE_TESTNET_PORTO = {
+  orchestrator: '0x046832405512d508b873e65174e51613291083bc',
+  implementation: '0x912a428b1a7e7cb7bb2709a2799a01c020c5acd9',
+  proxy: '0xf463d5cbc64916caa2775a8e9b264f8c35f4b8a4',
+  relayWallet: '0x584B5274765a7F7C78FDc960248f38e5Ad6b1EDb',
+};
+
+// Comma-separated list, e.g. "https://a.example,https://b.example"
+function parseUrlList(list: string | undefined): string[] {
+  return (list ?? '').split(',').map(url => url.trim()).filter(Boolean);
+}
+
+const BUILT_IN_NETWORKS: NetworkConfig[] = [
+  {
+    // anvil + tests/utils/mock-relay.js
+    chainId: LOCAL_CHAIN_ID,
+    name: 'Local Anvil',
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    rpcUrl: process.env.EXPO_PUBLIC_LOCAL_RPC_URL || 'http://127.0.0.1:8545',
+    wsUrl: process.env.EXPO_PUBLIC_LOCAL_WS_URL || 'ws://127.0.0.1:8545',
+    portoUrl: process.env.EXPO_PUBLIC_LOCAL_PORTO_URL || 'http://127.0.0.1:9119',
+    porto: RISE_TESTNET_PORTO,
+    frenPet: {
+      // First contract deployed by anvil's default account
+      address: process.env.EXPO_PUBLIC_LOCAL_FRENPET_ADDRESS || '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+      version: 'simple',
+    },
+    testnet: true,
+  },
+  {
+    // https://docs.risechain.com/rise-testnet/network-details.html
+    chainId: RISE_TESTNET_CHAIN_ID,
+    name: 'RISE Testnet',
+    nativeCurrency: { name: 'RISE', symbol: 'RISE', decimals: 18 },
+    rpcUrl: 'https://testnet.riselabs.xyz',
+    wsUrl: 'wss://testnet.riselabs.xyz/ws',
+    portoUrl: 'https://rise-testnet-porto.fly.dev',
+    portoFallbackUrls: parseUrlList(process.env.EXPO_PUBLIC_PORTO_FALLBACK_URLS),
+    porto: RISE_TESTNET_PORTO,
+    frenPet: {
+      address: '0x3FDE139A94eEf14C4eBa229FDC80A54f7F5Fbf25',
+      version: 'simple',
+    },
+    explorerUrl: 'https://explorer.testnet.riselabs.xyz',
+    testnet: true,
+  },
+];
+
+function parseExtraNetworks(json: string | undefined): NetworkConfig[] {
+  if (!json) return [];
+  try {
+    return JSON.parse(json) as NetworkConfig[];
+  } catch (error) {
+    console.error('[Networks] Invalid EXPO_PUBLIC_NETWORKS:', error);
+    return [];
+  }
+}
+
+export const NETWORKS: Record<number, NetworkConfig> = Object.fromEntries(
+  [...BUILT_IN_NETWORKS, ...parseExtraNetworks(process.env.EXPO_PUBLIC_NETWORKS)]
+    .map(network => [network.chainId, network])
+);
+
+const envChainId = Number(process.env.EXPO_PUBLIC_CHAIN_ID);
+export const DEFAULT_CHAIN_ID = NETWORKS[envChainId] ? envChainId : RISE_TESTNET_CHAIN_ID;
+
+let activeChainId = DEFAULT_CHAIN_ID;
+const listeners = new Set<(network: NetworkConfig) => void>();
+
+/**
+ * All registered networks
+ */
+export function getNetworks(): NetworkConfig[] {
+  return Object.values(NETWORKS);
+}
+
+/**
+ * The active network (or a specific one by chain ID)
+ */
+export function getNetwork(chainId: number = activeChainId): NetworkConfig {
+  const network = NETWORKS[chainId];
+  if (!network) {
+    throw new Error(`Unknown network: ${chainId}`);
+  }
+  return network;
+}
+
+/**
+ * Switch the active network in memory
+ * Use selectNetwork (lib/networkSelection) to also persist the choice
+ */
+export function setActiveNetwork(chainId: number): NetworkConfig {
+  const network = getNetwork(chainId);
+  if (chainId !== activeChainId) {
+    activeChainId = chainId;
+    console.log('[Networks] Switched to', network.name);
+    listeners.forEach(listener => listener(network));
+  }
+  return network;
+}
+
+/**
+ * Subscribe to network switches, returns an unsubscribe function
+ */
+export function onNetworkChange(listener: (network: NetworkConfig) => void): () => void {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+/**
+ * viem Chain for a network
+ */
+export function toViemChain(network: NetworkConfig = getNetwork()): Chain {
+  return {
+    id: network.chainId,
+    name: network.name,
+    nativeCurrency: network.nativeCurrency,
+    rpcUrls: {
+      default: { http: [network.rpcUrl], ...(network.wsUrl && { webSocket: [network.wsUrl] }) },
+    },
+    ...(network.explorerUrl && {
+      blockExplorers: { default: { name: 'Explorer', url: network.explorerUrl } },
+    }),
+    testnet: network.testnet,
+  };
+}
@@ -2,19 +2,28 @@
  * Porto Relayer Configuration
  */
 
+import { getNetwork } from './networks';
+
+// How intents are approved before signing (see lib/intentPreview)
+// 'allowlist' signs known FrenPet calls and blocks unknown targets,
+// 'confirm' shows every intent to the user
+export type IntentApprovalMode = 'allowlist' | 'confirm';
+
 export const PORTO_CONFIG = {
-  // Relayer endpoint
-  url: 'https://rise-testnet-porto.fly.dev',
-  
-  // Chain configuration
-  chainId: 11155931, // Sepolia fork used by RISE testnet
-  
-  // Porto contracts (from working test configuration)
-  contracts: {
-    orchestrator: '0x046832405512d508b873e65174e51613291083bc',
-    implementation: '0x912a428b1a7e7cb7bb2709a2799a01c020c5acd9',
-    proxy: '0xf463d5cbc64916caa2775a8e9b264f8c35f4b8a4',
-    relayWallet: '0x584B5274765a7F7C78FDc960248f38e5Ad6b1EDb',
+  // Relayer endpoint, chain and Porto contracts follow the active network
+  get url(): string {
+    return getNetwork().portoUrl;
+  },
+  // Every relay of the network, primary first (see lib/relayPool)
+  get urls(): string[] {
+    const { portoUrl, portoFallbackUrls = [] } = getNetwork();
+    return [...new Set([portoUrl, ...portoFallbackUrls])];
+  },
+  get chainId(): number {
+    return getNetwork().chainId;
+  },
+  get contracts() {
+    return getNetwork().porto;
   },
   
   // Retry configuration
@@ -22,18 +31,45 @@ export const PORTO_CONFIG = {
   retryDelay: 1000, // ms
   
   // Timeouts
-  requestTimeout: 30000, // 30 seconds
+  requestTimeout: 30000, // 30 seconds (default per request)
   transactionTimeout: 60000, // 60 seconds for tx confirmation
   
-  // Status check intervals
+  // Per-method request timeouts, override requestTimeout
+  methodTimeouts: {
+    health: 5000,
+    wallet_getCapabilities: 10000,
+    wallet_getCallsStatus: 10000,
+    wallet_prepareCalls: 20000,
+    wallet_prepareUpgradeAccount: 20000,
+  },
+  
+  // Relay failover (lib/relayPool): requests that still fail after the
+  // transport's retries before the next relay is used
+  relayFailureThreshold: 2,
+  
+  // Confirmations (lib/bundleConfirmations): new blocks over WebSocket,
+  // polling every statusCheckInterval while the socket is down
   statusCheckInterval: 2000, // Check every 2 seconds
-  maxStatusChecks: 30, // Max 30 checks (1 minute)
+  socketReconnectDelay: 1000, // ms, doubled per attempt
+  maxSocketReconnectDelay: 30000,
+  
+  // Actions tapped offline (lib/offlineActions)
+  offlineActionTtl: 6 * 60 * 60 * 1000, // Dropped after 6 hours
+  offlineRetryInterval: 15000, // Relay health check while actions wait
+  
+  // Self-paid fallback (lib/selfPaid): headroom over the node's gas estimate, in percent
+  selfPaidGasBuffer: 20,
+  
+  // Intent approval before signing
+  intentApproval: 'allowlist' as IntentApprovalMode,
   
   // Feature flags
   features: {
     gaslessEnabled: true,
-    sessionKeysEnabled: false, // Future feature
-    batchingEnabled: false, // Future feature
+    sessionKeysEnabled: true, // Game intents signed by a scoped session key
+    batchingEnabled: true, // Multi-call intents (care routine)
+    preCallsEnabled: true, // New accounts' upgrade rides along with their first intent
+    p256AdminKeyEnabled: true, // Other intents signed by a P-256 admin key instead of the main key
   },
 };
 
@@ -55,4 +91,11 @@ export const PORTO_ERRORS = {
   STATUS_CHECK_FAILED: 'Failed to check transaction status',
   TIMEOUT: 'Transaction timeout',
   NETWORK_ERROR: 'Network error',
+  NOT_SPONSORED: 'Relay no longer sponsors this action',
+  UNSUPPORTED_FEE_TOKEN: 'Fee token not supported by relay',
+  DIGEST_MISMATCH: 'DigestMismatch: relay payload does not match the request',
+  INTENT_REJECTED: 'Intent rejected by user',
+  INTENT_BLOCKED: 'Intent targets an unknown contract',
+  REDELEGATION_REQUIRED: 'Account is delegated to another contract',
+  SELF_PAID_REQUIRED: 'Porto could not send this action, the wallet would pay the gas',
 } as const;
\ No newline at end of file
@@ -1,33 +1,49 @@
 import { createPublicClient, http } from 'viem';
-import { RISE_RPC_URL, riseTestnet } from './chain';
+import { getNetwork, toViemChain } from './networks';
 
-// Direct RPC client without Wagmi
+function createRpcClient() {
+  const network = getNetwork();
+  return createPublicClient({
+    chain: toViemChain(network),
+    transport: http(network.rpcUrl),
+  });
+}
+
+// One client per chain, created on first use
+const clients = new Map<number, ReturnType<typeof createRpcClient>>();
+
+// Direct RPC client without Wagmi, for the active network
 // This works in React Native without browser dependencies
-export const rpcClient = createPublicClient({
-  chain: riseTestnet,
-  transport: http(RISE_RPC_URL),
-});
+export function getRpcClient() {
+  const { chainId } = getNetwork();
+  let client = clients.get(chainId);
+  if (!client) {
+    client = createRpcClient();
+    clients.set(chainId, client);
+  }
+  return client;
+}
 
 // Helper to get balance
 export async function getBalance(address: string): Promise<bigint> {
-  return await rpcClient.getBalance({ 
+  return await getRpcClient().getBalance({ 
     address: address as `0x${string}` 
   });
 }
 
 // Helper to get transaction count (nonce)
 export async function getTransactionCount(address: string): Promise<number> {
-  return await rpcClient.getTransactionCount({ 
+  return await getRpcClient().getTransactionCount({ 
     address: address as `0x${string}` 
   });
 }
 
 // Helper to estimate gas
 export async function estimateGas(tx: any): Promise<bigint> {
-  return await rpcClient.estimateGas(tx);
+  return await getRpcClient().estimateGas(tx);
 }
 
 // Helper to get current gas price
 export async function getGasPrice(): Promise<bigint> {
-  return await rpcClient.getGasPrice();
+  return await getRpcClient().getGasPrice();
 }
\ No newline at end of file
@@ -0,0 +1,24 @@
+/**
+ * wagmi Configuration
+ *
+ * Every registered network as a wagmi chain, read over its RPC URL, with the
+ * Porto connector for writes. Screens can use the standard hooks, e.g.
+ *   useReadContract({ address: getFrenPetAddress(), abi: FRENPET_ABI, functionName: 'getPetStats', args: [address] })
+ *   useSendCalls() -> one gasless intent per batch
+ */
+
+import { createConfig, http, type Transport } from 'wagmi';
+import type { Chain } from 'viem';
+import { getNetworks, toViemChain } from './networks';
+import { portoConnector } from '../lib/portoConnector';
+
+const networks = getNetworks();
+const chains = networks.map(network => toViemChain(network)) as [Chain, ...Chain[]];
+
+export const wagmiConfig = createConfig({
+  chains,
+  connectors: [portoConnector()],
+  transports: Object.fromEntries(
+    networks.map(network => [network.chainId, http(network.rpcUrl)])
+  ) as Record<number, Transport>,
+});
@@ -0,0 +1,186 @@
+/**
+ * Tests for sending FrenPet actions through useFrenPet
+ * React is reduced to plain calls so the hook runs as a function
+ */
+
+import { describe, expect, it, jest, beforeEach, afterEach } from '@jest/globals';
+import { decodeFunctionData, type Hex } from 'viem';
+import { useFrenPet, type UseFrenPetOptions } from '../useFrenPet';
+import {
+  PortoDigestMismatchError,
+  PortoRpcError,
+  PortoSimulationError,
+  PortoTransactionError,
+} from '../../lib/portoErrors';
+import { quoteSelfPaid, sendSelfPaid } from '../../lib/selfPaid';
+import { simulatePetCall } from '../../lib/petSimulation';
+import { PORTO_ERRORS } from '../../config/porto';
+import { FRENPET_ABI, FRENPET_V2_ABI, getFrenPetVersion } from '../../config/contracts';
+
+jest.mock('react', () => ({
+  useState: (initial: unknown) => [typeof initial === 'function' ? initial() : initial, () => {}],
+  useCallback: (fn: unknown) => fn,
+  useEffect: () => {},
+}));
+jest.mock('react-native', () => ({ AppState: { addEventListener: () => ({ remove: () => {} }) } }));
+jest.mock('../../config/contracts', () => ({
+  ...(jest.requireActual('../../config/contracts') as object),
+  getFrenPetVersion: jest.fn(() => 'simple'),
+}));
+jest.mock('../useNetwork', () => ({ useNetwork: () => ({ network: { chainId: 11155931 } }) }));
+jest.mock('../../lib/storage', () => ({
+  Storage: { getItem: async () => null, setItem: async () => {} },
+}));
+jest.mock('../../lib/petSimulation', () => ({
+  ...(jest.requireActual('../../lib/petSimulation') as object),
+  simulatePetCall: jest.fn(async () => ({ status: 'ok' })),
+}));
+jest.mock('../../lib/selfPaid', () => ({
+  ...(jest.requireActual('../../lib/selfPaid') as object),
+  quoteSelfPaid: jest.fn(async () => ({ fee: 1n, value: 0n, balance: 10n ** 18n, affordable: true })),
+  sendSelfPaid: jest.fn(),
+}));
+
+const ACCOUNT = '0x1111111111111111111111111111111111111111';
+const BUNDLE_ID = `0x${'b1'.repeat(32)}`;
+
+describe('useFrenPet actions', () => {
+  let porto: {
+    isReady: boolean;
+    sendTransaction: jest.Mock<any>;
+    waitForTransaction: jest.Mock<any>;
+  };
+  let wallet: { getMainAccount: () => { address: string }; executePortoTransaction: jest.Mock<any> };
+
+  const frenPet = () => useFrenPet({ wallet: wallet as unknown as UseFrenPetOptions['wallet'], porto });
+  const failedToSend = (cause: Error) => ({ bundleId: '', status: 'failed', error: cause.message, cause });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    porto = {
+      isReady: true,
+      sendTransaction: jest.fn(async () => ({ bundleId: BUNDLE_ID, status: 'pending' })),
+      waitForTransaction: jest.fn(async () => ({ bundleId: BUNDLE_ID, status: 'success', receipts: [] })),
+    };
+    wallet = {
+      getMainAccount: () => ({ address: ACCOUNT }),
+      executePortoTransaction: jest.fn(async () => ({ bundleId: `0x${'c2'.repeat(32)}` })),
+    };
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('sending through Porto', () => {
+    it('should report a bundle that timed out as pending without sending it again', async () => {
+      porto.waitForTransaction.mockRejectedValue(
+        new PortoTransactionError(PORTO_ERRORS.TIMEOUT, { stage: 'status', retryable: true })
+      );
+
+      const outcome = await frenPet().feedPet();
+
+      expect(outcome).toMatchObject({ status: 'pending', bundleId: BUNDLE_ID });
+      expect(porto.sendTransaction).toHaveBeenCalledTimes(1);
+      expect(wallet.executePortoTransaction).not.toHaveBeenCalled();
+      expect(quoteSelfPaid).not.toHaveBeenCalled();
+    });
+
+    it('should report a settled failure of an accepted bundle', async () => {
+      porto.waitForTransaction.mockRejectedValue(
+        new PortoTransactionError('Bundle failed', { stage: 'status', data: [{ status: 'reverted', logs: [] }] })
+      );
+
+      const outcome = await frenPet().feedPet();
+
+      expect(outcome).toMatchObject({ status: 'failed', bundleId: BUNDLE_ID });
+      expect(wallet.executePortoTransaction).not.toHaveBeenCalled();
+      expect(sendSelfPaid).not.toHaveBeenCalled();
+    });
+
+    it('should never route around a digest mismatch', async () => {
+      const mismatch = new PortoDigestMismatchError(PORTO_ERRORS.DIGEST_MISMATCH, { stage: 'prepare' });
+      porto.sendTransaction.mockResolvedValue(failedToSend(mismatch));
+
+      await expect(frenPet().feedPet()).rejects.toBe(mismatch);
+      expect(wallet.executePortoTransaction).not.toHaveBeenCalled();
+      expect(quoteSelfPaid).not.toHaveBeenCalled();
+    });
+
+    it('should fall back once when the relay accepted nothing', async () => {
+      porto.sendTransaction.mockResolvedValue(
+        failedToSend(new PortoRpcError('Failed to prepare transaction: boom', { stage: 'prepare' }))
+      );
+
+      const outcome = await frenPet().feedPet();
+
+      expect(outcome).toMatchObject({ status: 'pending' });
+      expect(wallet.executePortoTransaction).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('care routine as one intent', () => {
+    let sendBatch: jest.Mock<any>;
+    const batched = () => useFrenPet({
+      wallet: wallet as unknown as UseFrenPetOptions['wallet'],
+      porto: { ...porto, sendBatch },
+    });
+
+    beforeEach(() => {
+      sendBatch = jest.fn(async () => ({ bundleId: BUNDLE_ID, status: 'pending' }));
+    });
+
+    it('should simulate every call before sending the batch', async () => {
+      const outcome = await batched().careRoutine();
+
+      expect(outcome).toMatchObject({ status: 'success', bundleId: BUNDLE_ID });
+      const [calls] = sendBatch.mock.calls[0] as [{ data: string }[]];
+      expect(jest.mocked(simulatePetCall).mock.calls.map(([from, data]) => [from, data]))
+        .toEqual(calls.map(call => [ACCOUNT, call.data]));
+    });
+
+    it('should not send a batch with a call that would revert', async () => {
+      jest.mocked(simulatePetCall)
+        .mockResolvedValueOnce({ status: 'ok' })
+        .mockResolvedValueOnce({ status: 'reverted', reason: 'OTHER', message: 'Pet is not happy enough' });
+
+      const error = await batched().careRoutine().catch(e => e);
+
+      expect(error).toBeInstanceOf(PortoSimulationError);
+      expect(error.message).toBe('Simulation reverted: Pet is not happy enough');
+      expect(sendBatch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe.each(['simple', 'v2'] as const)('encoding for a %s contract', version => {
+    const abi = version === 'v2' ? FRENPET_V2_ABI : FRENPET_ABI;
+    const sent = () => porto.sendTransaction.mock.calls.map(([, data]) => {
+      const { functionName, args = [] } = decodeFunctionData({ abi, data: data as Hex });
+      return [functionName, args];
+    });
+
+    beforeEach(() => {
+      jest.mocked(getFrenPetVersion).mockReturnValue(version);
+    });
+
+    it('should encode each action with the arguments of its ABI', async () => {
+      await frenPet().createPet('Rex');
+      await frenPet().feedPet();
+      await frenPet().playWithPet();
+
+      expect(sent()).toEqual(version === 'v2'
+        ? [['createPet', ['Rex', 0]], ['feedPet', [0n]], ['playWithPet', []]]
+        : [['createPet', ['Rex']], ['feedPet', []], ['playWithPet', []]]);
+    });
+
+    it('should encode the care routine', async () => {
+      await frenPet().careRoutine();
+
+      expect(sent()).toEqual(version === 'v2'
+        ? [['feedPet', [0n]], ['playWithPet', []], ['trainPet', []]]
+        : [['feedPet', []], ['playWithPet', []]]);
+    });
+  });
+});
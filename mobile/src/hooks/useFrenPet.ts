@@ -1,10 +1,38 @@
-import { useState, useCallback } from 'react';
-import { parseEther, encodeFunctionData, createWalletClient, http } from 'viem';
-import { rpcClient } from '../config/rpcClient';
-import { FRENPET_ADDRESS, FRENPET_ABI } from '../config/contracts';
+import { useState, useCallback, useEffect } from 'react';
+import { AppState } from 'react-native';
+import { parseEther, encodeFunctionData } from 'viem';
+import { getRpcClient } from '../config/rpcClient';
+import {
+  FRENPET_ABI,
+  FRENPET_V2_ABI,
+  getFrenPetAddress,
+  getFrenPetVersion,
+} from '../config/contracts';
+import { PORTO_CONFIG, PORTO_ERRORS } from '../config/porto';
+import {
+  PortoDigestMismatchError,
+  PortoError,
+  PortoIntentRejectedError,
+  PortoSelfPaidRequiredError,
+  PortoSimulationError,
+  PortoSponsorshipError,
+  PortoTransactionError,
+} from '../lib/portoErrors';
+import { simulatePetCall, type SimulationResult } from '../lib/petSimulation';
+import { decodePetEvents, decodeRevertReason, type PetEvent } from '../lib/receiptDecoder';
 import { SessionWallet } from '../lib/sessionWallet';
-import { riseTestnet, RISE_RPC_URL } from '../config/chain';
+import { offlineActions, isOfflineError, type PendingAction } from '../lib/offlineActions';
+import {
+  formatNativeAmount,
+  isSelfPaidApproved,
+  quoteSelfPaid,
+  sendSelfPaid,
+  type PaymentMode,
+} from '../lib/selfPaid';
+import { useNetwork } from './useNetwork';
 import type { TransactionResult } from './usePorto';
+import type { Call, GaslessOptions } from '../lib/portoClient.native';
+import type { FeeQuote } from '../lib/portoFees';
 
 export interface PetData {
   name: string;
@@ -20,144 +48,437 @@ export interface UseFrenPetOptions {
   wallet: SessionWallet;
   porto?: {
     isReady: boolean;
-    sendTransaction: (to: string, data: string, value?: string) => Promise<TransactionResult>;
-    checkStatus: (bundleId: string) => Promise<TransactionResult>;
+    checkHealth?: () => Promise<boolean>;
+    sendTransaction: (to: string, data: string, value?: string, options?: GaslessOptions) => Promise<TransactionResult>;
+    sendBatch?: (calls: Call[], options?: GaslessOptions) => Promise<TransactionResult>;
+    getQuote?: (calls: Call[]) => Promise<FeeQuote | null>;
+    waitForTransaction: (bundleId: string) => Promise<TransactionResult>;
   };
   useGasless?: boolean;
 }
 
+// Options for a FrenPet action
+export interface ActionOptions extends GaslessOptions {
+  // Highest gas fee (wei) the user agreed to pay from the main wallet after
+  // Porto failed (see PortoSelfPaidRequiredError); Porto is not tried again
+  maxSelfPaidFee?: bigint;
+}
+
+// What a sent action did: its FrenPet events, or why it reverted
+// `pending` bundles were accepted by the relay but not confirmed yet
+export interface TransactionOutcome {
+  status: 'success' | 'failed' | 'pending';
+  // Relay paid the gas (any fee the user accepted was in its quote), or the main wallet did
+  payment: PaymentMode;
+  bundleId?: string;
+  receipt?: any;
+  events: PetEvent[];
+  revertReason: string | null;
+}
+
+// Returned instead of an outcome when an action was saved to send later
+export interface SavedAction {
+  status: 'saved';
+  action: PendingAction;
+}
+
+// Parameters V2 added that the app does not offer a choice for yet
+const DEFAULT_PET_TYPE = 0;
+const DEFAULT_FOOD_TYPE = 0n;
+
+// V2 arguments of actions whose signature changed, from the FrenPetSimple ones
+const V2_ARGS: Record<string, (args: any[]) => any[]> = {
+  createPet: ([name]) => [name, DEFAULT_PET_TYPE],
+  feedPet: () => [DEFAULT_FOOD_TYPE],
+};
+
+/**
+ * ABI of the deployed contract version
+ */
+function frenPetAbi() {
+  return getFrenPetVersion() === 'v2' ? FRENPET_V2_ABI : FRENPET_ABI;
+}
+
+/**
+ * Encode a FrenPet call for the deployed contract version
+ * `args` are the FrenPetSimple arguments, mapped when V2 takes others
+ */
+function encodeCall(functionName: string, args: any[] = []) {
+  const toV2 = getFrenPetVersion() === 'v2' ? V2_ARGS[functionName] : undefined;
+  return encodeFunctionData({
+    abi: frenPetAbi(),
+    functionName,
+    args: toV2 ? toV2(args) : args,
+  });
+}
+
+/**
+ * Catch contract reverts before the relay round trip
+ * Throws PortoSimulationError when the call would revert; an unknown outcome
+ * (e.g. the RPC is down) lets it through
+ */
+async function assertSimulates(account: string | undefined, data: string, value?: bigint) {
+  const simulation = account ? await simulatePetCall(account, data, value) : null;
+  if (simulation?.status === 'reverted') {
+    throw new PortoSimulationError(`Simulation reverted: ${simulation.message}`, {
+      stage: 'prepare',
+      data: simulation,
+    });
+  }
+}
+
+/**
+ * Whether Porto failed before the relay accepted anything, so the action may
+ * go another way without running twice. Never routes around a payload the
+ * relay tampered with, or an intent the user declined or that was blocked
+ */
+function failedBeforeSend(error: unknown): boolean {
+  return error instanceof PortoError &&
+    (error.stage === 'prepare' || error.stage === 'send') &&
+    !(error instanceof PortoDigestMismatchError) &&
+    !(error instanceof PortoSponsorshipError) &&
+    !(error instanceof PortoIntentRejectedError);
+}
+
+/**
+ * Whether the address has a living pet; read errors are thrown, not swallowed
+ */
+async function isPetAlive(address: string): Promise<boolean> {
+  const client = getRpcClient();
+  const args = [address as `0x${string}`] as const;
+  const exists = await client.readContract({
+    address: getFrenPetAddress(),
+    abi: frenPetAbi(),
+    functionName: 'hasPet',
+    args,
+  });
+  if (!exists) return false;
+
+  try {
+    const stats = await client.readContract({
+      address: getFrenPetAddress(),
+      abi: frenPetAbi(),
+      functionName: 'getPetStats',
+      args,
+    }) as any;
+    return Boolean(stats[5]);
+  } catch (error: any) {
+    // Stats of brand-new pets can underflow, those are alive
+    if (/underflow|overflow/.test(error?.message ?? '')) return true;
+    throw error;
+  }
+}
+
 export function useFrenPet({ wallet, porto, useGasless = true }: UseFrenPetOptions) {
   const [isLoading, setIsLoading] = useState(false);
   const [pendingTx, setPendingTx] = useState<string | null>(null);
+  // Actions tapped offline, waiting to be replayed
+  const [pendingActions, setPendingActions] = useState<PendingAction[]>([]);
+  const { network } = useNetwork();
+  const account = wallet.getMainAccount()?.address;
+
+  /**
+   * Wait until a bundle lands or fails (shared confirmation service)
+   * Failed bundles resolve with their revert reason; `replay` is the single
+   * call to re-simulate when the receipts don't carry one
+   */
+  const waitForBundle = useCallback(async (
+    bundleId: string,
+    replay?: { from: string; data: string; value?: bigint }
+  ): Promise<TransactionOutcome> => {
+    if (!porto) throw new Error('Porto not available');
+
+    setPendingTx(bundleId);
+    try {
+      const result = await porto.waitForTransaction(bundleId);
+      console.log('[FrenPet] Transaction confirmed!');
+      return {
+        status: 'success',
+        payment: 'sponsored',
+        bundleId,
+        receipt: result.receipt,
+        events: decodePetEvents(result.receipts),
+        revertReason: null,
+      };
+    } catch (error) {
+      console.error('[FrenPet] Transaction failed:', error);
+      // Timeouts may still land, only settled failures have a reason
+      if (!(error instanceof PortoTransactionError) || error.retryable) {
+        return { status: 'pending', payment: 'sponsored', bundleId, events: [], revertReason: null };
+      }
+      return {
+        status: 'failed',
+        payment: 'sponsored',
+        bundleId,
+        receipt: error.data?.[0],
+        events: decodePetEvents(error.data),
+        revertReason: await decodeRevertReason(error.data, replay),
+      };
+    } finally {
+      setPendingTx(null);
+    }
+  }, [porto]);
 
   const sendTransaction = useCallback(async (
     functionName: string,
     args: any[],
-    value?: bigint
-  ) => {
-    const data = encodeFunctionData({
-      abi: FRENPET_ABI,
-      functionName,
-      args,
-    });
+    value?: bigint,
+    options: ActionOptions = {}
+  ): Promise<TransactionOutcome> => {
+    const { maxSelfPaidFee, ...gaslessOptions } = options;
+    const data = encodeCall(functionName, args);
+    await assertSimulates(account, data, value);
 
     // Use Porto for gasless transactions if available
-    if (useGasless && porto?.isReady) {
+    let portoFailure: unknown;
+    if (useGasless && porto?.isReady && maxSelfPaidFee === undefined) {
+      console.log('[FrenPet] Sending gasless transaction via Porto...');
+      const valueHex = value ? `0x${value.toString(16)}` : '0x0';
+      let bundleId: string | undefined;
       try {
-        console.log('[FrenPet] Sending gasless transaction via Porto...');
-        const valueHex = value ? `0x${value.toString(16)}` : '0x0';
         const result = await porto.sendTransaction(
-          FRENPET_ADDRESS,
+          getFrenPetAddress(),
           data,
-          valueHex
+          valueHex,
+          { label: functionName.replace(/(WithPet|Pet)$/, ''), ...gaslessOptions }
         );
-        
-        setPendingTx(result.bundleId);
-        
-        // Wait for transaction to be confirmed
-        let attempts = 0;
-        const maxAttempts = 30;
-        
-        while (attempts < maxAttempts) {
-          const status = await porto.checkStatus(result.bundleId);
-          
-          if (status.status === 'success') {
-            console.log('[FrenPet] Transaction confirmed!');
-            setPendingTx(null);
-            return { status: 'success', receipt: status.receipt };
-          } else if (status.status === 'failed') {
-            console.error('[FrenPet] Transaction failed');
-            setPendingTx(null);
-            throw new Error('Transaction failed');
-          }
-          
-          // Wait before next check
-          await new Promise(resolve => setTimeout(resolve, 2000));
-          attempts++;
-        }
-        
-        console.warn('[FrenPet] Transaction timeout');
-        setPendingTx(null);
-        throw new Error('Transaction timeout');
+        bundleId = result.bundleId || undefined;
+        if (!bundleId) throw result.cause ?? new Error(result.error || 'Transaction failed');
       } catch (error) {
         console.error('[FrenPet] Porto transaction failed:', error);
-        setPendingTx(null);
-        
-        // Try fallback with wallet's Porto method
-        if (wallet.executePortoTransaction) {
-          try {
-            console.log('[FrenPet] Trying wallet Porto method...');
-            const valueHex = value ? `0x${value.toString(16)}` : '0x0';
-            const result = await wallet.executePortoTransaction(
-              FRENPET_ADDRESS,
-              data,
-              valueHex
-            );
-            return { status: 'success', bundleId: result.bundleId };
-          } catch (walletError) {
-            console.error('[FrenPet] Wallet Porto also failed:', walletError);
-          }
+        // Let the UI ask the user before paying for anything
+        if (!failedBeforeSend(error)) throw error;
+        portoFailure = error;
+      }
+
+      // Accepted by the relay: report how it went, never send it again
+      if (bundleId) {
+        return await waitForBundle(bundleId, account ? { from: account, data, value } : undefined);
+      }
+
+      // Try fallback with wallet's Porto method
+      if (wallet.executePortoTransaction) {
+        try {
+          console.log('[FrenPet] Trying wallet Porto method...');
+          const result = await wallet.executePortoTransaction(
+            getFrenPetAddress(),
+            data,
+            valueHex
+          );
+          // Sent but not awaited, so nothing to decode yet
+          return { status: 'pending', payment: 'sponsored', bundleId: result.bundleId, events: [], revertReason: null };
+        } catch (walletError) {
+          console.error('[FrenPet] Wallet Porto also failed:', walletError);
         }
-        
-        // Fall through to direct RPC if Porto fails
-        console.log('[FrenPet] Falling back to direct RPC...');
       }
+
+      // Fall through to direct RPC if Porto fails
+      console.log('[FrenPet] Falling back to direct RPC...');
     }
     
-    // Direct RPC transaction (requires gas)
+    // Direct RPC transaction: the main wallet pays the gas, so only once
+    // the user accepted the estimated cost and the balance covers it
     const mainAccount = wallet.getMainAccount();
     if (!mainAccount) {
       throw new Error('Wallet not initialized for direct RPC');
     }
-    
-    const walletClient = createWalletClient({
-      account: mainAccount,
-      chain: riseTestnet,
-      transport: http(RISE_RPC_URL),
-    });
 
-    const hash = await walletClient.sendTransaction({
-      to: FRENPET_ADDRESS as `0x${string}`,
-      data,
-      value: value || 0n,
-      gas: 300000n,
-    });
+    const call = { to: getFrenPetAddress(), data, value };
+    const quote = await quoteSelfPaid(mainAccount.address, call);
+    if (!isSelfPaidApproved(quote, maxSelfPaidFee)) {
+      throw new PortoSelfPaidRequiredError(PORTO_ERRORS.SELF_PAID_REQUIRED, {
+        stage: 'send',
+        data: quote,
+        cause: portoFailure,
+      });
+    }
+
+    console.log('[FrenPet] Sending self-paid transaction, gas up to', formatNativeAmount(quote.fee));
+    const hash = await sendSelfPaid(mainAccount, call, quote);
     
-    const receipt = await rpcClient.waitForTransactionReceipt({ hash });
-    return receipt;
-  }, [wallet, porto, useGasless]);
+    const receipt = await getRpcClient().waitForTransactionReceipt({ hash });
+    const reverted = receipt.status === 'reverted';
+    return {
+      status: reverted ? 'failed' : 'success',
+      payment: 'self-paid',
+      receipt,
+      events: decodePetEvents([receipt]),
+      revertReason: reverted
+        ? await decodeRevertReason([receipt], { from: mainAccount.address, data, value })
+        : null,
+    };
+  }, [wallet, porto, useGasless, waitForBundle, account]);
+
+  /**
+   * Whether the contract would accept an action right now, and why not
+   */
+  const simulateAction = useCallback(async (
+    functionName: string,
+    args: any[] = [],
+    value?: bigint
+  ): Promise<SimulationResult> => {
+    if (!account) return { status: 'unknown', error: new Error('Wallet not initialized') };
+    return simulatePetCall(account, encodeCall(functionName, args), value);
+  }, [account]);
+
+  /**
+   * Fee quote for an action before sending it (null if it can't be quoted)
+   */
+  const quoteAction = useCallback(async (
+    functionName: string,
+    args: any[] = []
+  ): Promise<FeeQuote | null> => {
+    if (!useGasless || !porto?.isReady || !porto.getQuote) return null;
+
+    try {
+      return await porto.getQuote([
+        { to: getFrenPetAddress(), data: encodeCall(functionName, args), value: '0x0' },
+      ]);
+    } catch (error) {
+      console.warn('[FrenPet] Could not quote', functionName, error);
+      return null;
+    }
+  }, [porto, useGasless]);
 
-  const createPet = useCallback(async (name: string) => {
+  const createPet = useCallback(async (name: string, options?: ActionOptions) => {
     setIsLoading(true);
     try {
-      const receipt = await sendTransaction('createPet', [name]);
+      const receipt = await sendTransaction('createPet', [name], undefined, options);
       return receipt;
     } finally {
       setIsLoading(false);
     }
   }, [sendTransaction]);
 
-  const feedPet = useCallback(async () => {
+  /**
+   * Send an action, or save it for later when the relay can't be reached
+   */
+  const sendOrSave = useCallback(async (functionName: string, options?: ActionOptions) => {
+    try {
+      return await sendTransaction(functionName, [], undefined, options);
+    } catch (error) {
+      if (!useGasless || !account || !isOfflineError(error)) throw error;
+      const action = await offlineActions.record(account, network.chainId, functionName);
+      return { status: 'saved', action } as SavedAction;
+    }
+  }, [sendTransaction, useGasless, account, network.chainId]);
+
+  const feedPet = useCallback(async (options?: ActionOptions) => {
     setIsLoading(true);
     try {
       // FrenPetSimple has non-payable functions - no value needed
-      const receipt = await sendTransaction('feedPet', []);
+      const receipt = await sendOrSave('feedPet', options);
       return receipt;
     } finally {
       setIsLoading(false);
     }
-  }, [sendTransaction]);
+  }, [sendOrSave]);
 
-  const playWithPet = useCallback(async () => {
+  const playWithPet = useCallback(async (options?: ActionOptions) => {
     setIsLoading(true);
     try {
       // FrenPetSimple has non-payable functions - no value needed
-      const receipt = await sendTransaction('playWithPet', []);
+      const receipt = await sendOrSave('playWithPet', options);
       return receipt;
     } finally {
       setIsLoading(false);
     }
-  }, [sendTransaction]);
+  }, [sendOrSave]);
+
+  // Follow this account's saved actions
+  useEffect(() => {
+    const update = () => setPendingActions(account ? offlineActions.getPending(account, network.chainId) : []);
+    const unsubscribe = offlineActions.subscribe(update);
+    offlineActions.load().then(update);
+    return unsubscribe;
+  }, [account, network.chainId]);
+
+  /**
+   * Send saved actions if the relay is back; dead pets don't get fed
+   */
+  const replayPending = useCallback(async () => {
+    if (!account || !porto?.isReady) return;
+    try {
+      const { sent, dropped } = await offlineActions.replay(account, network.chainId, {
+        isOnline: porto.checkHealth ?? (async () => true),
+        isValid: () => isPetAlive(account),
+        run: async action => {
+          const outcome = await sendTransaction(action.functionName, []);
+          if (outcome.status === 'failed') throw new Error(outcome.revertReason ?? 'Transaction reverted');
+        },
+      });
+      if (sent.length || dropped.length) {
+        console.log(`[FrenPet] Replayed ${sent.length} saved action(s), dropped ${dropped.length}`);
+      }
+    } catch (error) {
+      console.warn('[FrenPet] Replay failed, retrying later:', error);
+    }
+  }, [account, network.chainId, porto, sendTransaction]);
+
+  // Retry while actions wait, and whenever the app comes back to the foreground
+  useEffect(() => {
+    if (pendingActions.length === 0) return;
+
+    replayPending();
+    const timer = setInterval(replayPending, PORTO_CONFIG.offlineRetryInterval);
+    const subscription = AppState.addEventListener('change', state => {
+      if (state === 'active') replayPending();
+    });
+    return () => {
+      clearInterval(timer);
+      subscription.remove();
+    };
+  }, [pendingActions.length, replayPending]);
+
+  /**
+   * Feed + play (+ train on V2) as one signed intent with one confirmation
+   * Falls back to one transaction per action when batching is unavailable
+   */
+  const careRoutine = useCallback(async (options?: ActionOptions) => {
+    setIsLoading(true);
+    try {
+      const steps = getFrenPetVersion() === 'v2'
+        ? ['feedPet', 'playWithPet', 'trainPet']
+        : ['feedPet', 'playWithPet'];
+      const calls: Call[] = steps.map(functionName => (
+        { to: getFrenPetAddress(), data: encodeCall(functionName), value: '0x0' }
+      ));
+
+      const { maxSelfPaidFee, ...gaslessOptions } = options ?? {};
+      if (
+        useGasless &&
+        porto?.isReady &&
+        porto.sendBatch &&
+        PORTO_CONFIG.features.batchingEnabled &&
+        maxSelfPaidFee === undefined
+      ) {
+        // One reverting call would revert the whole intent
+        for (const call of calls) {
+          await assertSimulates(account, call.data);
+        }
+        console.log(`[FrenPet] Sending care routine as one intent (${calls.length} calls)...`);
+        const result = await porto.sendBatch(calls, { label: 'care', ...gaslessOptions });
+        if (result.status === 'failed' || !result.bundleId) {
+          throw result.cause ?? new Error(result.error || 'Care routine failed');
+        }
+        return await waitForBundle(result.bundleId);
+      }
+
+      // No batching - send each action on its own
+      console.log('[FrenPet] Batching unavailable, sending care routine sequentially...');
+      const events: PetEvent[] = [];
+      let outcome: TransactionOutcome | undefined;
+      for (const functionName of steps) {
+        outcome = await sendTransaction(functionName, [], undefined, options);
+        events.push(...outcome.events);
+        // The rest would likely revert for the same reason
+        if (outcome.status === 'failed') break;
+      }
+      return { ...outcome!, events };
+    } finally {
+      setIsLoading(false);
+    }
+  }, [porto, useGasless, sendTransaction, waitForBundle, account]);
 
   const initiateBattle = useCallback(async (opponent: string) => {
     setIsLoading(true);
@@ -172,8 +493,8 @@ export function useFrenPet({ wallet, porto, useGasless = true }: UseFrenPetOptio
   const getPetStats = useCallback(async (address: string): Promise<PetData | null> => {
     try {
       // First check if pet exists to avoid underflow errors on new pets
-      const petExists = await rpcClient.readContract({
-        address: FRENPET_ADDRESS as `0x${string}`,
+      const petExists = await getRpcClient().readContract({
+        address: getFrenPetAddress(),
         abi: FRENPET_ABI,
         functionName: 'hasPet',
         args: [address as `0x${string}`],
@@ -183,8 +504,8 @@ export function useFrenPet({ wallet, porto, useGasless = true }: UseFrenPetOptio
         return null;
       }
       
-      const result = await rpcClient.readContract({
-        address: FRENPET_ADDRESS as `0x${string}`,
+      const result = await getRpcClient().readContract({
+        address: getFrenPetAddress(),
         abi: FRENPET_ABI,
         functionName: 'getPetStats',
         args: [address as `0x${string}`],
@@ -225,8 +546,8 @@ export function useFrenPet({ wallet, porto, useGasless = true }: UseFrenPetOptio
 
   const hasPet = useCallback(async (address: string): Promise<boolean> => {
     try {
-      const result = await rpcClient.readContract({
-        address: FRENPET_ADDRESS as `0x${string}`,
+      const result = await getRpcClient().readContract({
+        address: getFrenPetAddress(),
         abi: FRENPET_ABI,
         functionName: 'hasPet',
         args: [address as `0x${string}`],
@@ -241,9 +562,13 @@ export function useFrenPet({ wallet, porto, useGasless = true }: UseFrenPetOptio
   return {
     isLoading,
     pendingTx,
+    pendingActions,
     createPet,
     feedPet,
     playWithPet,
+    careRoutine,
+    quoteAction,
+    simulateAction,
     initiateBattle,
     getPetStats,
     hasPet,
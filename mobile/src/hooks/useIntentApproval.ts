@@ -0,0 +1,49 @@
+/**
+ * React Hook for intent approval
+ *
+ * Registers itself as the Porto client's approver so every intent that needs
+ * the user's OK is shown before it is signed
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { portoClient } from '../lib/portoClient.native';
+import type { IntentPreview } from '../lib/intentPreview';
+
+export interface UseIntentApprovalReturn {
+  // Intent waiting for the user, if any
+  preview: IntentPreview | null;
+  approve: () => void;
+  reject: () => void;
+}
+
+export function useIntentApproval(): UseIntentApprovalReturn {
+  const [preview, setPreview] = useState<IntentPreview | null>(null);
+  const resolver = useRef<((approved: boolean) => void) | null>(null);
+
+  useEffect(() => {
+    portoClient.setIntentApprover(next => new Promise<boolean>(resolve => {
+      // A newer intent replaces one the user never answered
+      resolver.current?.(false);
+      resolver.current = resolve;
+      setPreview(next);
+    }));
+
+    return () => {
+      portoClient.setIntentApprover(null);
+      resolver.current?.(false);
+      resolver.current = null;
+    };
+  }, []);
+
+  const respond = useCallback((approved: boolean) => {
+    resolver.current?.(approved);
+    resolver.current = null;
+    setPreview(null);
+  }, []);
+
+  return {
+    preview,
+    approve: useCallback(() => respond(true), [respond]),
+    reject: useCallback(() => respond(false), [respond]),
+  };
+}
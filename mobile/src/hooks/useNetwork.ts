@@ -0,0 +1,31 @@
+/**
+ * React Hook for the active network
+ *
+ * Re-renders when the network is switched and persists new selections
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { getNetwork, getNetworks, onNetworkChange, type NetworkConfig } from '../config/networks';
+import { selectNetwork as persistNetwork } from '../lib/networkSelection';
+
+export interface UseNetworkReturn {
+  network: NetworkConfig;
+  networks: NetworkConfig[];
+  selectNetwork: (chainId: number) => Promise<void>;
+}
+
+export function useNetwork(): UseNetworkReturn {
+  const [network, setNetwork] = useState<NetworkConfig>(() => getNetwork());
+
+  useEffect(() => onNetworkChange(setNetwork), []);
+
+  const selectNetwork = useCallback(async (chainId: number) => {
+    await persistNetwork(chainId);
+  }, []);
+
+  return {
+    network,
+    networks: getNetworks(),
+    selectNetwork,
+  };
+}
@@ -5,23 +5,44 @@
  */
 
 import { useState, useEffect, useCallback } from 'react';
-import { portoClient } from '../lib/portoClient.native';
-import { PORTO_CONFIG, TX_STATUS, PORTO_ERRORS } from '../config/porto';
+import { portoClient, type Call, type GaslessOptions } from '../lib/portoClient.native';
+import type { QueuedIntent } from '../lib/intentQueue';
+import type { RelayStatus } from '../lib/relayPool';
+import { TX_STATUS, PORTO_ERRORS } from '../config/porto';
+import { PortoError, toPortoError } from '../lib/portoErrors';
+import { DEFAULT_FEE_TOKEN, type FeeQuote, type FeeToken } from '../lib/portoFees';
+import { onProfileChange } from '../lib/walletProfiles';
+import { useNetwork } from './useNetwork';
 
 export interface TransactionResult {
   bundleId: string;
   status: 'pending' | 'success' | 'failed';
   receipt?: any;
+  // Every receipt of the bundle (lib/receiptDecoder)
+  receipts?: any[];
   error?: string;
+  cause?: PortoError;
+  quote?: FeeQuote | null;
 }
 
 export interface UsePortoReturn {
   isReady: boolean;
   isHealthy: boolean;
-  sendTransaction: (to: string, data: string, value?: string) => Promise<TransactionResult>;
+  checkHealth: () => Promise<boolean>;
+  sendTransaction: (to: string, data: string, value?: string, options?: GaslessOptions) => Promise<TransactionResult>;
+  sendBatch: (calls: Call[], options?: GaslessOptions) => Promise<TransactionResult>;
+  getQuote: (calls: Call[]) => Promise<FeeQuote | null>;
+  feeTokens: FeeToken[];
+  feeToken: string;
+  selectFeeToken: (address: string) => Promise<void>;
   checkStatus: (bundleId: string) => Promise<TransactionResult>;
+  waitForTransaction: (bundleId: string) => Promise<TransactionResult>;
   pendingTransactions: Map<string, TransactionResult>;
   clearTransaction: (bundleId: string) => void;
+  // Queued and in-flight intents of the account, oldest first
+  intentQueue: QueuedIntent[];
+  // Relay in use and the health of each configured relay
+  relayStatus: RelayStatus;
 }
 
 /**
@@ -30,14 +51,25 @@ export interface UsePortoReturn {
 export function usePorto(privateKey?: string): UsePortoReturn {
   const [isReady, setIsReady] = useState(false);
   const [isHealthy, setIsHealthy] = useState(false);
+  const [feeTokens, setFeeTokens] = useState<FeeToken[]>([DEFAULT_FEE_TOKEN]);
+  const [feeToken, setFeeToken] = useState<string>(portoClient.getFeeToken());
   const [pendingTransactions, setPendingTransactions] = useState<Map<string, TransactionResult>>(
     new Map()
   );
+  const [intentQueue, setIntentQueue] = useState<QueuedIntent[]>(portoClient.getQueuedIntents());
+  const [relayStatus, setRelayStatus] = useState<RelayStatus>(portoClient.getRelayStatus());
+  const { network } = useNetwork();
 
-  // Initialize Porto client
+  useEffect(() => portoClient.onIntentQueueChange(setIntentQueue), []);
+  useEffect(() => portoClient.onRelayChange(setRelayStatus), []);
+  // The client forgets the account on a profile switch until the new wallet inits it
+  useEffect(() => onProfileChange(() => setIsReady(false)), []);
+
+  // Initialize Porto client (again after a network switch)
   useEffect(() => {
     const initPorto = async () => {
       if (!privateKey) return;
+      setIsHealthy(false);
 
       try {
         await portoClient.init(privateKey);
@@ -49,6 +81,7 @@ export function usePorto(privateKey?: string): UsePortoReturn {
         
         if (healthy) {
           console.log('[usePorto] Porto relayer is healthy');
+          setFeeTokens(await portoClient.getFeeTokens());
         } else {
           console.warn('[usePorto] Porto relayer health check failed');
         }
@@ -59,34 +92,71 @@ export function usePorto(privateKey?: string): UsePortoReturn {
     };
 
     initPorto();
-  }, [privateKey]);
+  }, [privateKey, network.chainId]);
 
   /**
-   * Send a gasless transaction
+   * Wait for a bundle through the shared confirmation service
+   * Rejects with the PortoError when it fails or times out
    */
-  const sendTransaction = useCallback(async (
-    to: string,
-    data: string,
-    value: string = '0x0'
+  const waitForTransaction = useCallback(async (bundleId: string): Promise<TransactionResult> => {
+    const update = (result: TransactionResult) => {
+      setPendingTransactions(prev => {
+        const updated = new Map(prev);
+        updated.set(bundleId, result);
+        return updated;
+      });
+    };
+
+    try {
+      const status = await portoClient.waitForTransaction(bundleId);
+      const result: TransactionResult = {
+        bundleId,
+        status: 'success',
+        receipt: status.receipts?.[0],
+        receipts: status.receipts,
+      };
+      update(result);
+      console.log(`[usePorto] Transaction ${bundleId} success`);
+      return result;
+    } catch (error) {
+      const cause = toPortoError('status', error);
+      // A timed-out bundle stays pending, it may still land
+      if (!cause.retryable) {
+        update({
+          bundleId,
+          status: 'failed',
+          receipt: cause.data?.[0],
+          receipts: cause.data,
+          error: cause.message,
+          cause,
+        });
+      }
+      throw cause;
+    }
+  }, []);
+
+  /**
+   * Send several calls as one gasless intent
+   */
+  const sendBatch = useCallback(async (
+    calls: Call[],
+    options: GaslessOptions = {}
   ): Promise<TransactionResult> => {
     if (!isReady) {
-      throw new Error(PORTO_ERRORS.NOT_INITIALIZED);
+      throw new PortoError(PORTO_ERRORS.NOT_INITIALIZED, { stage: 'prepare' });
     }
 
     try {
-      console.log('[usePorto] Sending gasless transaction...');
+      console.log(`[usePorto] Sending gasless batch of ${calls.length} call(s)...`);
       
-      // Execute transaction
-      const { bundleId, status } = await portoClient.executeGaslessTransaction(
-        to,
-        data,
-        value
-      );
+      // Queue behind the account's other intents
+      const { bundleId, quote } = await portoClient.queueGaslessBatch(calls, options);
 
       // Create initial result
       const result: TransactionResult = {
         bundleId,
         status: 'pending',
+        quote,
       };
 
       // Update pending transactions
@@ -96,23 +166,66 @@ export function usePorto(privateKey?: string): UsePortoReturn {
         return updated;
       });
 
-      // Start monitoring status
-      monitorTransaction(bundleId);
+      // Start watching for confirmation
+      waitForTransaction(bundleId).catch(error => {
+        console.warn(`[usePorto] Transaction ${bundleId} not confirmed:`, error.message);
+      });
 
       return result;
     } catch (error: any) {
       console.error('[usePorto] Transaction failed:', error);
       
+      const cause = toPortoError('send', error);
       const result: TransactionResult = {
         bundleId: '',
         status: 'failed',
-        error: error.message || 'Transaction failed',
+        error: cause.message || 'Transaction failed',
+        cause,
       };
 
       return result;
     }
+  }, [isReady, waitForTransaction]);
+
+  /**
+   * Send a gasless transaction
+   */
+  const sendTransaction = useCallback(async (
+    to: string,
+    data: string,
+    value: string = '0x0',
+    options: GaslessOptions = {}
+  ): Promise<TransactionResult> => {
+    return sendBatch([{ to, data, value }], options);
+  }, [sendBatch]);
+
+  /**
+   * Fee quote for calls (FREE while the relay sponsors them)
+   */
+  const getQuote = useCallback(async (calls: Call[]): Promise<FeeQuote | null> => {
+    if (!isReady) {
+      throw new PortoError(PORTO_ERRORS.NOT_INITIALIZED, { stage: 'prepare' });
+    }
+    return portoClient.quoteCalls(calls);
   }, [isReady]);
 
+  /**
+   * Choose the token fees are paid in when an action is not sponsored
+   */
+  const selectFeeToken = useCallback(async (address: string) => {
+    await portoClient.setFeeToken(address);
+    setFeeToken(portoClient.getFeeToken());
+  }, []);
+
+  /**
+   * Ask the relay whether it is up again
+   */
+  const checkHealth = useCallback(async (): Promise<boolean> => {
+    const healthy = await portoClient.checkHealth();
+    setIsHealthy(healthy);
+    return healthy;
+  }, []);
+
   /**
    * Check transaction status
    */
@@ -120,7 +233,7 @@ export function usePorto(privateKey?: string): UsePortoReturn {
     bundleId: string
   ): Promise<TransactionResult> => {
     if (!isReady) {
-      throw new Error(PORTO_ERRORS.NOT_INITIALIZED);
+      throw new PortoError(PORTO_ERRORS.NOT_INITIALIZED, { stage: 'status' });
     }
 
     try {
@@ -154,39 +267,6 @@ export function usePorto(privateKey?: string): UsePortoReturn {
     }
   }, [isReady]);
 
-  /**
-   * Monitor transaction status
-   */
-  const monitorTransaction = useCallback(async (bundleId: string) => {
-    let attempts = 0;
-    const maxAttempts = PORTO_CONFIG.maxStatusChecks;
-    
-    const checkInterval = setInterval(async () => {
-      attempts++;
-      
-      try {
-        const result = await checkStatus(bundleId);
-        
-        // Stop monitoring if transaction is complete
-        if (result.status !== 'pending') {
-          clearInterval(checkInterval);
-          console.log(`[usePorto] Transaction ${bundleId} ${result.status}`);
-        }
-      } catch (error) {
-        console.error('[usePorto] Status check error:', error);
-      }
-      
-      // Stop after max attempts
-      if (attempts >= maxAttempts) {
-        clearInterval(checkInterval);
-        console.warn(`[usePorto] Transaction ${bundleId} monitoring timeout`);
-      }
-    }, PORTO_CONFIG.statusCheckInterval);
-    
-    // Clean up on unmount
-    return () => clearInterval(checkInterval);
-  }, [checkStatus]);
-
   /**
    * Clear transaction from pending list
    */
@@ -201,9 +281,18 @@ export function usePorto(privateKey?: string): UsePortoReturn {
   return {
     isReady,
     isHealthy,
+    checkHealth,
     sendTransaction,
+    sendBatch,
+    getQuote,
+    feeTokens,
+    feeToken,
+    selectFeeToken,
     checkStatus,
+    waitForTransaction,
     pendingTransactions,
     clearTransaction,
+    intentQueue,
+    relayStatus,
   };
 }
\ No newline at end of file
@@ -1,11 +1,8 @@
-import { createPublicClient, http } from 'viem';
-import { riseTestnet, RISE_RPC_URL } from '../config/chain';
+import { getRpcClient } from '../config/rpcClient';
+import { useNetwork } from './useNetwork';
 
 export function useRpcClient() {
-  const client = createPublicClient({
-    chain: riseTestnet,
-    transport: http(RISE_RPC_URL), // Use correct RPC URL
-  });
-
-  return client;
+  // Re-render with the new client when the network changes
+  useNetwork();
+  return getRpcClient();
 }
\ No newline at end of file
@@ -1,36 +1,51 @@
-import { useState, useEffect, useCallback } from 'react';
-import { SessionWallet } from '../lib/sessionWallet';
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { SessionWallet, onMainWalletChange, type MainWalletBackup } from '../lib/sessionWallet';
 import { formatEther } from 'viem';
 import { getBalance } from '../config/rpcClient';
 import { usePorto } from './usePorto';
+import { useNetwork } from './useNetwork';
+import { useWalletProfiles } from './useWalletProfiles';
+import type { GaslessOptions } from '../lib/portoClient.native';
+import type { DelegationInfo } from '../lib/delegationInspector';
 
 export function useWallet() {
-  const [wallet] = useState(() => new SessionWallet());
+  // A new SessionWallet (and with it Porto and useFrenPet) per profile
+  const { profile } = useWalletProfiles();
+  const wallet = useMemo(() => new SessionWallet(profile.id), [profile.id]);
   const [address, setAddress] = useState<string | null>(null);
   const [sessionAddress, setSessionAddress] = useState<string | null>(null);
   const [mainPrivateKey, setMainPrivateKey] = useState<string | null>(null);
   const [balance, setBalance] = useState<string>('0');
   const [isLoading, setIsLoading] = useState(true);
+  const [delegation, setDelegation] = useState<DelegationInfo | null>(null);
+  // Recovery phrase (or legacy key) and whether the user wrote it down
+  const [backup, setBackup] = useState<MainWalletBackup | null>(null);
   
   // Initialize Porto with MAIN wallet key (not session key!)
   const porto = usePorto(mainPrivateKey || undefined);
+  const { network } = useNetwork();
 
   useEffect(() => {
     const initWallet = async () => {
+      setIsLoading(true);
+      setDelegation(null);
       try {
         // Initialize main wallet
         await wallet.initMainWallet();
         const mainAddress = wallet.getMainAddress();
         setAddress(mainAddress);
+        setBackup(await wallet.getBackup());
         
         // Initialize session key
         await wallet.initSessionKey();
         const sessAddr = wallet.getSessionAddress();
         setSessionAddress(sessAddr);
+
+        // Admin key that signs in place of the main key once authorized
+        await wallet.initAdminKey();
         
         // Get MAIN wallet private key for Porto (not session key!)
-        const { Storage } = await import('../lib/storage');
-        const mainKey = await Storage.getItem('RISE_MAIN_WALLET_KEY');
+        const mainKey = await wallet.getMainPrivateKey();
         if (mainKey) {
           setMainPrivateKey(mainKey);
           console.log('[useWallet] Porto will use main wallet:', mainAddress);
@@ -49,6 +64,11 @@ export function useWallet() {
     };
 
     initWallet();
+
+    // Another screen replaced the main key (keystore import)
+    return onMainWalletChange(() => {
+      initWallet();
+    });
   }, [wallet]);
 
   const refreshBalance = async () => {
@@ -58,19 +78,61 @@ export function useWallet() {
     }
   };
 
+  const refreshDelegation = useCallback(async () => {
+    if (!wallet.getMainAddress()) return;
+    setDelegation(await wallet.checkDelegation());
+  }, [wallet]);
+
+  // Balance and delegation are per network
+  useEffect(() => {
+    refreshBalance().catch(error => console.error('Failed to refresh balance:', error));
+    refreshDelegation().catch(error => console.error('Failed to check delegation:', error));
+  }, [network.chainId, address]);
+
+  /**
+   * Point the account back at Porto when it is delegated elsewhere
+   */
+  const redelegate = useCallback(async () => {
+    await wallet.redelegate();
+    await refreshDelegation();
+  }, [wallet, refreshDelegation]);
+
+  /**
+   * The user passed the recovery phrase quiz
+   */
+  const confirmBackup = useCallback(async () => {
+    await wallet.markBackedUp();
+    setBackup(await wallet.getBackup());
+  }, [wallet]);
+
+  /**
+   * Main wallet as a password-protected keystore file
+   */
+  const exportKeystore = useCallback(async (password: string) => {
+    return wallet.exportKeystore(password);
+  }, [wallet]);
+
+  /**
+   * Replace the main wallet with a keystore file's key
+   */
+  const importKeystore = useCallback(async (json: string, password: string, expectedAddress?: string) => {
+    return wallet.importKeystore(json, password, expectedAddress);
+  }, [wallet]);
+
   /**
    * Send gasless transaction via Porto
    */
   const sendGaslessTransaction = useCallback(async (
     to: string,
     data: string,
-    value?: string
+    value?: string,
+    options?: GaslessOptions
   ) => {
     if (!porto.isReady) {
       throw new Error('Porto not ready - wallet not initialized');
     }
     
-    return await porto.sendTransaction(to, data, value);
+    return await porto.sendTransaction(to, data, value, options);
   }, [porto]);
 
   /**
@@ -90,15 +152,33 @@ export function useWallet() {
     balance,
     isLoading,
     refreshBalance,
+    network,
+    profile,
     wallet,
+    delegation,
+    refreshDelegation,
+    redelegate,
+    backup,
+    confirmBackup,
+    exportKeystore,
+    importKeystore,
     porto: {
       isReady: porto.isReady,
       isHealthy: porto.isHealthy,
+      checkHealth: porto.checkHealth,
       sendTransaction: sendGaslessTransaction,
+      sendBatch: porto.sendBatch,
+      getQuote: porto.getQuote,
+      feeTokens: porto.feeTokens,
+      feeToken: porto.feeToken,
+      selectFeeToken: porto.selectFeeToken,
       executeTransaction: executePortoTransaction,
       checkStatus: porto.checkStatus,
+      waitForTransaction: porto.waitForTransaction,
       pendingTransactions: porto.pendingTransactions,
       clearTransaction: porto.clearTransaction,
+      intentQueue: porto.intentQueue,
+      relayStatus: porto.relayStatus,
     },
   };
 }
\ No newline at end of file
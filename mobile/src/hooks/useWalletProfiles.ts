@@ -0,0 +1,49 @@
+/**
+ * React Hook for wallet profiles
+ *
+ * Re-renders when the active profile is switched or profiles are added
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  createProfile as addProfile,
+  getActiveProfile,
+  getProfiles,
+  onProfileChange,
+  switchProfile as activateProfile,
+  type WalletProfile,
+} from '../lib/walletProfiles';
+
+export interface UseWalletProfilesReturn {
+  profile: WalletProfile;
+  profiles: WalletProfile[];
+  createProfile: (name: string) => Promise<WalletProfile>;
+  switchProfile: (profileId: string) => Promise<void>;
+}
+
+export function useWalletProfiles(): UseWalletProfilesReturn {
+  const [profile, setProfile] = useState<WalletProfile>(() => getActiveProfile());
+  const [profiles, setProfiles] = useState<WalletProfile[]>(() => getProfiles());
+
+  useEffect(() => onProfileChange(active => {
+    setProfile(active);
+    setProfiles(getProfiles());
+  }), []);
+
+  const createProfile = useCallback(async (name: string) => {
+    const created = await addProfile(name);
+    setProfiles(getProfiles());
+    return created;
+  }, []);
+
+  const switchProfile = useCallback(async (profileId: string) => {
+    await activateProfile(profileId);
+  }, []);
+
+  return {
+    profile,
+    profiles,
+    createProfile,
+    switchProfile,
+  };
+}
@@ -0,0 +1,174 @@
+/**
+ * Tests for the shared bundle confirmation service
+ */
+
+import { describe, expect, it, jest, beforeEach, afterEach } from '@jest/globals';
+import { BundleConfirmations, type SocketLike } from '../bundleConfirmations';
+import { PortoTransactionError } from '../portoErrors';
+import { PORTO_CONFIG } from '../../config/porto';
+import { getNetwork } from '../../config/networks';
+import type { TransactionStatus } from '../portoClient.native';
+
+class FakeSocket implements SocketLike {
+  onopen: ((event: any) => void) | null = null;
+  onmessage: ((event: { data: any }) => void) | null = null;
+  onclose: ((event: any) => void) | null = null;
+  onerror: ((event: any) => void) | null = null;
+  sent: any[] = [];
+  closed = false;
+
+  constructor(public url: string) {}
+
+  send(data: string) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.closed = true;
+  }
+
+  // Server side
+  open() {
+    this.onopen?.({});
+  }
+
+  receive(message: any) {
+    this.onmessage?.({ data: JSON.stringify(message) });
+  }
+
+  drop() {
+    this.onclose?.({});
+  }
+}
+
+describe('BundleConfirmations', () => {
+  let statuses: Record<string, number>;
+  let fetchStatus: jest.Mock<(bundleId: string) => Promise<TransactionStatus>>;
+  let sockets: FakeSocket[];
+  let confirmations: BundleConfirmations;
+
+  const subscribe = async (socket: FakeSocket) => {
+    socket.open();
+    socket.receive({ jsonrpc: '2.0', id: socket.sent[0].id, result: '0xsub' });
+    await jest.advanceTimersByTimeAsync(0);
+  };
+  const newBlock = async (socket: FakeSocket) => {
+    socket.receive({ jsonrpc: '2.0', method: 'eth_subscription', params: { subscription: '0xsub', result: {} } });
+    await jest.advanceTimersByTimeAsync(0);
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    statuses = {};
+    fetchStatus = jest.fn(async (id: string) => ({ id, status: statuses[id] ?? 100 }));
+    sockets = [];
+    confirmations = new BundleConfirmations(fetchStatus, url => {
+      const socket = new FakeSocket(url);
+      sockets.push(socket);
+      return socket;
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('should resolve a bundle that has already landed without a socket round trip', async () => {
+    statuses['0xa'] = 200;
+
+    await expect(confirmations.wait('0xa')).resolves.toMatchObject({ status: 200 });
+    expect(fetchStatus).toHaveBeenCalledTimes(1);
+    expect(sockets[0].closed).toBe(true);
+  });
+
+  it('should check pending bundles once per new block', async () => {
+    const result = confirmations.wait('0xa');
+    const socket = sockets[0];
+    expect(socket.url).toBe(getNetwork().wsUrl);
+
+    await subscribe(socket);
+    expect(socket.sent[0]).toMatchObject({ method: 'eth_subscribe', params: ['newHeads'] });
+    expect(confirmations.isSubscribed()).toBe(true);
+    const checks = fetchStatus.mock.calls.length;
+
+    // No polling while the socket delivers blocks
+    await jest.advanceTimersByTimeAsync(PORTO_CONFIG.statusCheckInterval * 3);
+    expect(fetchStatus).toHaveBeenCalledTimes(checks);
+
+    statuses['0xa'] = 200;
+    await newBlock(socket);
+
+    await expect(result).resolves.toMatchObject({ status: 200 });
+    expect(fetchStatus).toHaveBeenCalledTimes(checks + 1);
+    expect(socket.closed).toBe(true);
+  });
+
+  it('should share one watcher between callers waiting on the same bundle', async () => {
+    const first = confirmations.wait('0xa');
+    const second = confirmations.wait('0xa');
+    expect(second).toBe(first);
+    await subscribe(sockets[0]);
+
+    statuses['0xa'] = 200;
+    await newBlock(sockets[0]);
+
+    await Promise.all([first, second]);
+    expect(sockets).toHaveLength(1);
+    // On wait, on subscribing and on the block - not once per caller
+    expect(fetchStatus).toHaveBeenCalledTimes(3);
+  });
+
+  it('should poll while the socket is down and resubscribe after a backoff', async () => {
+    const result = confirmations.wait('0xa');
+    await subscribe(sockets[0]);
+
+    sockets[0].drop();
+    expect(confirmations.isSubscribed()).toBe(false);
+    const checks = fetchStatus.mock.calls.length;
+
+    await jest.advanceTimersByTimeAsync(PORTO_CONFIG.statusCheckInterval);
+    expect(fetchStatus).toHaveBeenCalledTimes(checks + 1);
+    await jest.advanceTimersByTimeAsync(PORTO_CONFIG.socketReconnectDelay);
+    expect(sockets).toHaveLength(2);
+
+    await subscribe(sockets[1]);
+    statuses['0xa'] = 200;
+    await newBlock(sockets[1]);
+    await expect(result).resolves.toMatchObject({ status: 200 });
+  });
+
+  it('should reject failed bundles', async () => {
+    statuses['0xa'] = 500;
+
+    const error = await confirmations.wait('0xa').catch(e => e);
+
+    expect(error).toBeInstanceOf(PortoTransactionError);
+    expect(error.code).toBe(500);
+  });
+
+  it('should time out bundles that never land', async () => {
+    const result = confirmations.wait('0xa', 5000);
+    const outcome = result.catch(e => e);
+
+    await jest.advanceTimersByTimeAsync(5000);
+
+    const error = await outcome;
+    expect(error).toBeInstanceOf(PortoTransactionError);
+    expect(error.retryable).toBe(true);
+    expect(confirmations.getPending()).toEqual([]);
+  });
+
+  it('should poll when WebSockets are unavailable', async () => {
+    const polling = new BundleConfirmations(fetchStatus, null);
+    const result = polling.wait('0xb');
+    expect(fetchStatus).toHaveBeenCalledTimes(1);
+
+    statuses['0xb'] = 1;
+    await jest.advanceTimersByTimeAsync(PORTO_CONFIG.statusCheckInterval);
+
+    await expect(result).resolves.toMatchObject({ status: 1 });
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Tests for the EIP-7702 delegation inspector and re-delegation
+ */
+
+import { describe, expect, it, jest, beforeEach, afterEach } from '@jest/globals';
+import { generatePrivateKey } from 'viem/accounts';
+import { concat, encodeFunctionData, getAddress, type Hex } from 'viem';
+import {
+  classifyDelegation,
+  inspectDelegation,
+  needsRedelegation,
+  parseDelegationDesignator,
+  readDelegationStatus,
+} from '../delegationInspector';
+import { checkPortoDelegation, isAccountDelegated } from '../accountDelegation';
+import { PortoClient } from '../portoClient.native';
+import { PortoRedelegationRequiredError } from '../portoErrors';
+import { getRpcClient } from '../../config/rpcClient';
+import { getNetwork } from '../../config/networks';
+import { FRENPET_ADDRESS, FRENPET_ABI } from '../../config/contracts';
+import { PORTO_CONFIG } from '../../config/porto';
+import { preparedIntent, preparedUpgrade } from './helpers/relayFixtures';
+
+jest.mock('../../config/rpcClient', () => {
+  const client = { getBytecode: jest.fn(), readContract: jest.fn() };
+  return { getRpcClient: () => client };
+});
+
+jest.mock('../accountUpgrade', () => ({
+  isAccountDelegated: jest.fn(async () => false),
+}));
+
+// Mock fetch
+global.fetch = jest.fn() as any;
+
+const rpc = getRpcClient() as unknown as {
+  getBytecode: jest.Mock<(...args: any[]) => Promise<Hex | undefined>>;
+  readContract: jest.Mock<(...args: any[]) => Promise<any>>;
+};
+
+const FOREIGN = '0x1111111111111111111111111111111111111111';
+const designator = (delegate: string) => concat(['0xef0100', delegate as Hex]);
+
+describe('Delegation inspector', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete getNetwork().porto.previousImplementations;
+  });
+
+  describe('parseDelegationDesignator', () => {
+    it('should return the delegate of an EIP-7702 designator', () => {
+      expect(parseDelegationDesignator(designator(PORTO_CONFIG.contracts.proxy)))
+        .toBe(getAddress(PORTO_CONFIG.contracts.proxy));
+    });
+
+    it('should reject empty code and regular contracts', () => {
+      expect(parseDelegationDesignator(undefined)).toBeNull();
+      expect(parseDelegationDesignator('0x')).toBeNull();
+      expect(parseDelegationDesignator('0x6080604052')).toBeNull();
+      expect(parseDelegationDesignator(`${designator(FOREIGN)}00`)).toBeNull();
+    });
+  });
+
+  describe('classifyDelegation', () => {
+    it('should accept the Porto proxy and implementation', () => {
+      expect(classifyDelegation(designator(PORTO_CONFIG.contracts.proxy)))
+        .toMatchObject({ status: 'porto', isPortoProxy: true, isPortoImplementation: false });
+      expect(classifyDelegation(designator(PORTO_CONFIG.contracts.implementation)))
+        .toMatchObject({ status: 'porto', isPortoProxy: false, isPortoImplementation: true });
+    });
+
+    it('should flag other delegates for re-delegation', () => {
+      const foreign = classifyDelegation(designator(FOREIGN));
+      expect(foreign).toMatchObject({ status: 'foreign', delegate: getAddress(FOREIGN) });
+      expect(needsRedelegation(foreign)).toBe(true);
+    });
+
+    it('should flag previous Porto implementations as outdated', () => {
+      getNetwork().porto.previousImplementations = [FOREIGN];
+      const outdated = classifyDelegation(designator(FOREIGN));
+      expect(outdated.status).toBe('outdated');
+      expect(needsRedelegation(outdated)).toBe(true);
+    });
+
+    it('should tell plain EOAs from contracts', () => {
+      expect(classifyDelegation('0x').status).toBe('none');
+      expect(classifyDelegation('0x6080604052').status).toBe('contract');
+      expect(needsRedelegation({ status: 'none' })).toBe(false);
+      expect(needsRedelegation({ status: 'contract' })).toBe(false);
+    });
+  });
+
+  describe('inspectDelegation', () => {
+    const address = '0x2222222222222222222222222222222222222222';
+
+    it('should read the keys of a Porto account', async () => {
+      rpc.getBytecode.mockResolvedValue(designator(PORTO_CONFIG.contracts.proxy));
+      rpc.readContract.mockResolvedValue([
+        [
+          { expiry: 0, keyType: 2, isSuperAdmin: true, publicKey: '0xaa' },
+          { expiry: 1_700_000_000, keyType: 0, isSuperAdmin: false, publicKey: '0xbb' },
+        ],
+        ['0x01', '0x02'],
+      ]);
+
+      const info = await inspectDelegation(address);
+
+      expect(info).toMatchObject({ address, chainId: PORTO_CONFIG.chainId, status: 'porto', isPortoProxy: true });
+      expect(info.keys).toEqual([
+        { hash: '0x01', publicKey: '0xaa', type: 'secp256k1', role: 'admin', expiry: 0 },
+        { hash: '0x02', publicKey: '0xbb', type: 'p256', role: 'session', expiry: 1_700_000_000 },
+      ]);
+    });
+
+    it('should leave keys unknown when they cannot be read', async () => {
+      rpc.getBytecode.mockResolvedValue(designator(PORTO_CONFIG.contracts.proxy));
+      rpc.readContract.mockRejectedValue(new Error('execution reverted'));
+
+      expect((await inspectDelegation(address)).keys).toBeNull();
+    });
+
+    it('should not read keys from other delegates', async () => {
+      rpc.getBytecode.mockResolvedValue(designator(FOREIGN));
+
+      const info = await inspectDelegation(address);
+
+      expect(info.status).toBe('foreign');
+      expect(info.keys).toBeNull();
+      expect(rpc.readContract).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('status checks', () => {
+    const address = '0x2222222222222222222222222222222222222222';
+    const accountUpgrade = jest.requireActual('../accountUpgrade') as typeof import('../accountUpgrade');
+
+    it('should classify the account code without reading keys', async () => {
+      rpc.getBytecode.mockResolvedValue(designator(PORTO_CONFIG.contracts.implementation));
+
+      expect(await readDelegationStatus(address)).toMatchObject({ status: 'porto', isPortoImplementation: true });
+      expect(rpc.readContract).not.toHaveBeenCalled();
+    });
+
+    it('should tell whether an account is delegated from its code alone', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      rpc.getBytecode.mockResolvedValue(designator(PORTO_CONFIG.contracts.proxy));
+
+      expect(await accountUpgrade.isAccountDelegated(address)).toBe(true);
+      expect(await isAccountDelegated(address)).toBe(true);
+      expect(await checkPortoDelegation(address)).toMatchObject({ isDelegated: true, status: 'porto' });
+      expect(rpc.getBytecode).toHaveBeenCalledTimes(3);
+      expect(rpc.readContract).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PortoClient re-delegation', () => {
+    const mockFetch = global.fetch as jest.MockedFunction<typeof fetch>;
+    const feedCall = {
+      to: FRENPET_ADDRESS,
+      data: encodeFunctionData({ abi: FRENPET_ABI, functionName: 'feedPet', args: [] }),
+      value: '0x0',
+    };
+    let client: PortoClient;
+
+    const requests = (method: string) => mockFetch.mock.calls
+      .map(call => JSON.parse(call[1]?.body as string))
+      .filter(body => body.method === method);
+
+    beforeEach(async () => {
+      const relay: Record<string, (params: any[]) => any> = {
+        wallet_prepareUpgradeAccount: ([{ address, delegation, capabilities }]) =>
+          preparedUpgrade(address, delegation, capabilities.authorizeKeys),
+        wallet_upgradeAccount: () => true,
+        wallet_prepareCalls: ([{ from, calls }]) => preparedIntent(from, calls),
+        wallet_sendPreparedCalls: () => ({ id: '0xbundle' }),
+        wallet_getCallsStatus: ([id]) => ({ id, status: 200 }),
+      };
+      mockFetch.mockImplementation((async (_url: string, init: RequestInit) => {
+        const { id, method, params } = JSON.parse(init.body as string);
+        return { ok: true, json: async () => ({ jsonrpc: '2.0', id, result: relay[method](params) }) };
+      }) as any);
+      rpc.getBytecode.mockResolvedValue(designator(FOREIGN));
+
+      client = new PortoClient();
+      await client.init(generatePrivateKey());
+    });
+
+    it('should refuse to replace another delegation implicitly', async () => {
+      const result = client.executeGaslessBatch([feedCall]);
+
+      await expect(result).rejects.toBeInstanceOf(PortoRedelegationRequiredError);
+      await expect(result).rejects.toMatchObject({ stage: 'upgrade', data: { status: 'foreign' } });
+      expect(mockFetch).not.toHaveBeenCalled();
+      await expect(client.setupDelegation()).rejects.toBeInstanceOf(PortoRedelegationRequiredError);
+    });
+
+    it('should deploy an approved re-delegation with the next intent', async () => {
+      const upgrade = await client.redelegate(FOREIGN);
+      expect(upgrade.status).toBe('prepared');
+      expect(requests('wallet_prepareUpgradeAccount')[0].params[0].delegation).toBe(PORTO_CONFIG.contracts.proxy);
+
+      const result = await client.executeGaslessBatch([feedCall]);
+      await client.waitForTransaction(result.bundleId);
+
+      expect(requests('wallet_prepareUpgradeAccount')).toHaveLength(1);
+      expect(requests('wallet_sendPreparedCalls')).toHaveLength(1);
+      expect(client.getUpgradeContext()?.status).toBe('confirmed');
+    });
+
+    it('should only approve the delegate the user was shown', async () => {
+      await expect(client.redelegate('0x3333333333333333333333333333333333333333'))
+        .rejects.toBeInstanceOf(PortoRedelegationRequiredError);
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+  });
+});
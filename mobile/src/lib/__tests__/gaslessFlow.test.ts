@@ -2,11 +2,13 @@
  * Integration tests for complete gasless transaction flow
  */
 
-import { describe, expect, it, jest, beforeEach } from '@jest/globals';
+import { describe, expect, it, jest, beforeEach, afterEach } from '@jest/globals';
 import { privateKeyToAccount, generatePrivateKey } from 'viem/accounts';
 import { encodeFunctionData } from 'viem';
 import { FRENPET_ADDRESS, FRENPET_ABI } from '../../config/contracts';
 import { PORTO_CONFIG } from '../../config/porto';
+import { PortoClient } from '../portoClient.native';
+import { relayFixture } from './helpers/relayRecorder';
 
 // Mock fetch
 global.fetch = jest.fn();
@@ -260,4 +262,43 @@ describe('Gasless Transaction Flow', () => {
       // This test documents the error for debugging
     });
   });
-});
\ No newline at end of file
+
+  describe('Recorded relay traffic', () => {
+    // Anvil account #0 - the recording is only valid for this address
+    const FIXTURE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+    afterEach(() => {
+      global.fetch = mockFetch;
+      jest.restoreAllMocks();
+    });
+
+    it('should upgrade the account and create a pet as recorded', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const fixture = relayFixture('gasless-create-pet');
+      global.fetch = fixture.fetch;
+
+      const client = new PortoClient();
+      await client.init(FIXTURE_KEY);
+      const data = encodeFunctionData({ abi: FRENPET_ABI, functionName: 'createPet', args: ['Fixture'] });
+      const { bundleId } = await client.executeGaslessBatch([{ to: FRENPET_ADDRESS, data, value: '0x0' }]);
+      const status = await client.waitForTransaction(bundleId);
+
+      expect(status.status).toBe(200);
+      expect(fixture.requests.map(request => request.method)).toEqual([
+        'eth_getCode',
+        'eth_getCode',
+        'wallet_prepareUpgradeAccount',
+        'wallet_upgradeAccount',
+        'wallet_prepareCalls',
+        'wallet_sendPreparedCalls',
+        'wallet_getCallsStatus',
+      ]);
+      // The intent is sent from the EOA itself; the relay deploys the stored upgrade with it
+      const prepare = fixture.requests.find(request => request.method === 'wallet_prepareCalls') as any;
+      expect(prepare.params[0].from).toBe(privateKeyToAccount(FIXTURE_KEY).address);
+      expect(prepare.params[0].calls[0].data).toBe(data);
+      expect(prepare.params[0].capabilities.preCalls).toBeUndefined();
+      fixture.done();
+    });
+  });
+});
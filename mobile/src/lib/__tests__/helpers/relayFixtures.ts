@@ -0,0 +1,149 @@
+/**
+ * Relay responses for tests, with typed data that hashes to the returned
+ * digest the same way tests/lib/mock-relay.js builds it
+ */
+
+import { encodeAbiParameters, hashTypedData, toHex, type Hex } from 'viem';
+import { hashAuthorization } from 'viem/utils';
+import { PORTO_CONFIG } from '../../../config/porto';
+import type { Call } from '../../portoClient.native';
+import { encodePreCall } from '../../portoDigest';
+import type { KeyAuthorization } from '../../portoKeys';
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const INTENT_TYPES = {
+  Intent: [
+    { name: 'multichain', type: 'bool' },
+    { name: 'eoa', type: 'address' },
+    { name: 'executionData', type: 'bytes' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'payer', type: 'address' },
+    { name: 'paymentToken', type: 'address' },
+    { name: 'prePaymentMaxAmount', type: 'uint256' },
+    { name: 'totalPaymentMaxAmount', type: 'uint256' },
+    { name: 'combinedGas', type: 'uint256' },
+    { name: 'encodedPreCalls', type: 'bytes[]' },
+    { name: 'expiry', type: 'uint256' },
+  ],
+};
+
+const UPGRADE_TYPES = {
+  Key: [
+    { name: 'expiry', type: 'uint40' },
+    { name: 'keyType', type: 'string' },
+    { name: 'role', type: 'string' },
+    { name: 'publicKey', type: 'bytes' },
+  ],
+  Upgrade: [
+    { name: 'eoa', type: 'address' },
+    { name: 'delegation', type: 'address' },
+    { name: 'keys', type: 'Key[]' },
+  ],
+};
+
+const EXECUTION_DATA_PARAMS = [
+  {
+    type: 'tuple[]',
+    components: [
+      { name: 'to', type: 'address' },
+      { name: 'value', type: 'uint256' },
+      { name: 'data', type: 'bytes' },
+    ],
+  },
+] as const;
+
+/**
+ * Intent `executionData` for `calls`: abi.encode(Call[])
+ */
+export function encodeExecutionData(calls: Call[]): Hex {
+  return encodeAbiParameters(EXECUTION_DATA_PARAMS, [
+    calls.map(call => ({ to: call.to as Hex, value: BigInt(call.value || 0), data: (call.data || '0x') as Hex })),
+  ]);
+}
+
+function domain() {
+  return {
+    name: 'Orchestrator',
+    version: '0.0.1',
+    chainId: PORTO_CONFIG.chainId,
+    verifyingContract: PORTO_CONFIG.contracts.orchestrator as Hex,
+  };
+}
+
+function jsonSafe<T>(value: T): T {
+  return JSON.parse(JSON.stringify(value, (_, v) => (typeof v === 'bigint' ? toHex(v) : v)));
+}
+
+/**
+ * wallet_prepareCalls result for `calls` sent from `from`
+ * `intent` overrides message fields (e.g. payer, totalPaymentMaxAmount)
+ */
+export function preparedIntent(from: string, calls: Call[], intent: Record<string, any> = {}) {
+  const message = {
+    multichain: false,
+    eoa: from,
+    executionData: encodeExecutionData(calls),
+    nonce: 0n,
+    payer: PORTO_CONFIG.contracts.relayWallet,
+    paymentToken: ZERO_ADDRESS,
+    prePaymentMaxAmount: 0n,
+    totalPaymentMaxAmount: 0n,
+    combinedGas: 1_000_000n,
+    encodedPreCalls: [],
+    expiry: 1_700_000_060n,
+    ...intent,
+  };
+  const typedData = { domain: domain(), types: INTENT_TYPES, primaryType: 'Intent', message } as const;
+
+  return {
+    context: { quote: { intent: jsonSafe(message), txGas: '0x186a0', ttl: 1_700_000_060 } },
+    digest: hashTypedData(typedData as any),
+    typedData: jsonSafe(typedData),
+  };
+}
+
+/**
+ * wallet_prepareCalls result for a request, echoing its fee token and pre-calls
+ */
+export function preparedIntentFor(request: any, intent: Record<string, any> = {}) {
+  const { capabilities } = request;
+  return preparedIntent(request.from, request.calls, {
+    paymentToken: capabilities.meta.feeToken,
+    encodedPreCalls: (capabilities.preCalls ?? []).map(encodePreCall),
+    ...intent,
+  });
+}
+
+/**
+ * wallet_prepareUpgradeAccount result delegating `address` to the configured proxy
+ * and authorizing `authorizeKeys`, as the relay echoes them back
+ */
+export function preparedUpgrade(
+  address: string,
+  delegation: string = PORTO_CONFIG.contracts.proxy,
+  authorizeKeys: KeyAuthorization[] = []
+) {
+  const authorization = { contractAddress: delegation as Hex, chainId: PORTO_CONFIG.chainId, nonce: 0 };
+  const keys = authorizeKeys.map(key => ({
+    expiry: Number(key.expiry),
+    keyType: key.type,
+    role: key.role,
+    publicKey: key.publicKey,
+  }));
+  const typedData = {
+    domain: domain(),
+    types: UPGRADE_TYPES,
+    primaryType: 'Upgrade',
+    message: { eoa: address, delegation, keys },
+  } as const;
+
+  return {
+    context: { authorization, authorizeKeys },
+    digests: {
+      auth: hashAuthorization(authorization),
+      exec: hashTypedData(typedData as any),
+    },
+    typedData: jsonSafe(typedData),
+  };
+}
@@ -0,0 +1,245 @@
+/**
+ * Relay traffic recorder and replayer for tests
+ *
+ * Record mode (RELAY_FIXTURES=record) passes fetch through to the real relay
+ * and RPC node and saves every JSON-RPC request/response pair, with private
+ * keys and signatures redacted, to fixtures/relay/<name>.json. Replay mode
+ * (the default) answers the same requests from that file, so tests run
+ * without a network. A replayed request has to match a recorded one: same
+ * method and same redacted params, apart from fields a test opts out of.
+ * tests/lib/relay-recorder.js records the node scripts into the same format
+ * (tests/utils/record-relay-fixtures.js records against the mock relay)
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+
+export type FixtureMode = 'record' | 'replay';
+
+export interface RelayExchange {
+  // Endpoint without query string (API keys)
+  url: string;
+  method: string;
+  params: unknown;
+  status: number;
+  response: unknown;
+}
+
+export interface RelayFixture {
+  name: string;
+  recordedAt: string;
+  // Where the traffic came from: the endpoints, or a note
+  source: string;
+  exchanges: RelayExchange[];
+}
+
+export interface RelayFixtureHandle {
+  mode: FixtureMode;
+  fetch: typeof fetch;
+  // Requests seen so far (redacted)
+  requests: { url: string; method: string; params: unknown }[];
+  // Record: write the fixture. Replay: throw if recorded requests were never made
+  done: () => void;
+}
+
+export interface ReplayOptions {
+  // Params not compared with the recording, as dotted paths per method,
+  // e.g. { wallet_prepareCalls: ['0.calls'] } to send other calls
+  ignoreParams?: Record<string, string[]>;
+}
+
+export const FIXTURE_DIR = join(__dirname, '..', 'fixtures', 'relay');
+
+// Placeholders keep hex-typed fields valid hex
+export const REDACTED = '[redacted]';
+export const REDACTED_SIGNATURE = `0x${'ee'.repeat(65)}`;
+export const REDACTED_KEY = `0x${'ee'.repeat(32)}`;
+
+// Captured before tests replace global.fetch with a mock
+const realFetch: typeof fetch | undefined = globalThis.fetch;
+
+const SECRET_KEYS = /^(privateKey|secretKey|mnemonic|seed|seedPhrase|password)$/i;
+const SIGNATURE_KEYS = /signature/i;
+
+export function fixtureMode(): FixtureMode {
+  return process.env.RELAY_FIXTURES === 'record' ? 'record' : 'replay';
+}
+
+function isHex(value: unknown): value is string {
+  return typeof value === 'string' && /^0x[0-9a-fA-F]*$/.test(value);
+}
+
+/**
+ * Copy of a request or response with secrets replaced
+ * - private keys, mnemonics, passwords
+ * - anything under a *signature* key (intent, upgrade and pre-call signatures)
+ * - r/s of signed EIP-7702 authorizations
+ * - 32-byte hex under a *key* name other than publicKey (e.g. sessionKey)
+ */
+export function redact(value: unknown, key: string = ''): unknown {
+  if (Array.isArray(value)) return value.map(item => redact(item, key));
+
+  if (value && typeof value === 'object') {
+    const object = value as Record<string, unknown>;
+    const isSignedAuthorization = 'yParity' in object || ('r' in object && 's' in object);
+    return Object.fromEntries(Object.entries(object).map(([name, inner]) => {
+      if (isSignedAuthorization && (name === 'r' || name === 's')) return [name, REDACTED_KEY];
+      // Values nested under a signature key (e.g. signatures.auth) are signatures too
+      return [name, redact(inner, SIGNATURE_KEYS.test(key) ? key : name)];
+    }));
+  }
+
+  if (typeof value !== 'string') return value;
+  if (SECRET_KEYS.test(key)) return isHex(value) ? REDACTED_KEY : REDACTED;
+  if (SIGNATURE_KEYS.test(key)) return isHex(value) ? REDACTED_SIGNATURE : REDACTED;
+  if (/key$/i.test(key) && !/public/i.test(key) && isHex(value) && value.length === 66) return REDACTED_KEY;
+  return value;
+}
+
+function stripQuery(url: string): string {
+  return url.split('?')[0];
+}
+
+function fixturePath(name: string): string {
+  return join(FIXTURE_DIR, `${name}.json`);
+}
+
+/**
+ * Dotted path of the first difference between recorded and replayed params, or null
+ */
+export function paramsDifference(recorded: unknown, actual: unknown, ignored: string[] = [], path: string = ''): string | null {
+  if (ignored.includes(path)) return null;
+
+  const isObject = (value: unknown): value is Record<string, unknown> => !!value && typeof value === 'object';
+  if (isObject(recorded) && isObject(actual) && Array.isArray(recorded) === Array.isArray(actual)) {
+    const keys = new Set([...Object.keys(recorded), ...Object.keys(actual)]);
+    for (const key of keys) {
+      const difference = paramsDifference(recorded[key], actual[key], ignored, path ? `${path}.${key}` : key);
+      if (difference !== null) return difference;
+    }
+    return null;
+  }
+  return recorded === actual ? null : path || '(params)';
+}
+
+function jsonResponse(body: unknown, status: number): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * Pass requests through to `upstream` and keep redacted copies
+ */
+export function createRecorder(
+  name: string,
+  upstream: typeof fetch | undefined = realFetch,
+  source?: string
+): RelayFixtureHandle {
+  if (!upstream) throw new Error('No fetch available to record with');
+  const exchanges: RelayExchange[] = [];
+
+  const recordingFetch = (async (input: any, init?: RequestInit) => {
+    const url = typeof input === 'string' ? input : input.url;
+    const request = JSON.parse(String(init?.body ?? '{}'));
+    const response = await upstream(input, init);
+    const body = await response.clone().json().catch(() => null);
+
+    exchanges.push({
+      url: stripQuery(url),
+      method: request.method,
+      params: redact(request.params ?? []),
+      status: response.status,
+      response: redact(body),
+    });
+    return response;
+  }) as typeof fetch;
+
+  return {
+    mode: 'record',
+    fetch: recordingFetch,
+    get requests() {
+      return exchanges.map(({ url, method, params }) => ({ url, method, params }));
+    },
+    done: () => {
+      mkdirSync(FIXTURE_DIR, { recursive: true });
+      const fixture: RelayFixture = {
+        name,
+        recordedAt: new Date().toISOString(),
+        source: source ?? [...new Set(exchanges.map(exchange => exchange.url))].join(', '),
+        exchanges,
+      };
+      writeFileSync(fixturePath(name), `${JSON.stringify(fixture, null, 2)}\n`);
+    },
+  };
+}
+
+/**
+ * Answer requests from a recorded fixture
+ * Each request gets the next unused exchange for the same JSON-RPC method and
+ * params, so concurrent requests and ids that differ from the recording still
+ * match but a request the recording never saw fails
+ */
+export function createReplayer(fixture: RelayFixture, options: ReplayOptions = {}): RelayFixtureHandle {
+  const used = new Set<number>();
+  const requests: RelayFixtureHandle['requests'] = [];
+
+  const replayFetch = (async (input: any, init?: RequestInit) => {
+    const url = typeof input === 'string' ? input : input.url;
+    const request = JSON.parse(String(init?.body ?? '{}'));
+    const params = redact(request.params ?? []);
+    requests.push({ url: stripQuery(url), method: request.method, params });
+
+    const ignored = options.ignoreParams?.[request.method] ?? [];
+    const candidates = fixture.exchanges
+      .map((exchange, i) => ({ exchange, i }))
+      .filter(({ exchange, i }) => !used.has(i) && exchange.method === request.method);
+    if (candidates.length === 0) {
+      throw new Error(`Fixture "${fixture.name}" has no more ${request.method} responses - re-record it`);
+    }
+    const match = candidates.find(({ exchange }) => paramsDifference(exchange.params, params, ignored) === null);
+    if (!match) {
+      const path = paramsDifference(candidates[0].exchange.params, params, ignored);
+      throw new Error(
+        `Fixture "${fixture.name}" recorded other ${request.method} params (first difference at ${path}) - re-record it`
+      );
+    }
+    used.add(match.i);
+
+    const { response, status } = match.exchange;
+    // Answer with the caller's id
+    const body = response && typeof response === 'object' ? { ...response, id: request.id } : response;
+    return jsonResponse(body, status);
+  }) as typeof fetch;
+
+  return {
+    mode: 'replay',
+    fetch: replayFetch,
+    requests,
+    done: () => {
+      const unused = fixture.exchanges.filter((_, i) => !used.has(i)).map(exchange => exchange.method);
+      if (unused.length > 0) {
+        throw new Error(`Fixture "${fixture.name}" expected more requests: ${unused.join(', ')}`);
+      }
+    },
+  };
+}
+
+/**
+ * Load a recorded fixture
+ */
+export function loadFixture(name: string): RelayFixture {
+  const path = fixturePath(name);
+  if (!existsSync(path)) {
+    throw new Error(`No relay fixture ${path} - record it with RELAY_FIXTURES=record`);
+  }
+  return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+/**
+ * Recorder or replayer for `name`, depending on RELAY_FIXTURES
+ */
+export function relayFixture(name: string, options: ReplayOptions = {}): RelayFixtureHandle {
+  return fixtureMode() === 'record' ? createRecorder(name) : createReplayer(loadFixture(name), options);
+}
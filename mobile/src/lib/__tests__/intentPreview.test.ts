@@ -0,0 +1,175 @@
+/**
+ * Tests for human-readable intent previews and approval before signing
+ */
+
+import { describe, expect, it, jest, beforeEach, afterEach } from '@jest/globals';
+import { generatePrivateKey, privateKeyToAccount } from 'viem/accounts';
+import { encodeFunctionData } from 'viem';
+import { PortoClient } from '../portoClient.native';
+import { PortoIntentRejectedError, getUserMessage } from '../portoErrors';
+import {
+  buildIntentPreview,
+  describeCall,
+  describeKeyAuthorization,
+  getApprovalDecision,
+} from '../intentPreview';
+import { buildSessionKeyAuthorization } from '../sessionKeys';
+import { FRENPET_ADDRESS, FRENPET_ABI, FRENPET_V2_ABI } from '../../config/contracts';
+import { PORTO_CONFIG } from '../../config/porto';
+import { preparedIntent } from './helpers/relayFixtures';
+
+jest.mock('../accountUpgrade', () => ({
+  isAccountDelegated: jest.fn(async () => true),
+}));
+
+// Mock fetch
+global.fetch = jest.fn() as any;
+
+const EOA = '0x1111111111111111111111111111111111111111';
+const STRANGER = '0x2222222222222222222222222222222222222222';
+
+const frenPetCall = (functionName: string, args: any[] = [], abi: any = FRENPET_ABI) => ({
+  to: FRENPET_ADDRESS,
+  data: encodeFunctionData({ abi, functionName, args }),
+  value: '0x0',
+});
+const unknownCall = { to: STRANGER, data: '0xa9059cbb', value: '0x0' };
+
+describe('Intent preview', () => {
+  describe('describeCall', () => {
+    it('should decode FrenPet calls', () => {
+      expect(describeCall(frenPetCall('feedPet')).label).toBe('FrenPet.feedPet()');
+      expect(describeCall(frenPetCall('createPet', ['Fren'])).label).toBe('FrenPet.createPet("Fren")');
+    });
+
+    it('should decode FrenPet V2 calls', () => {
+      const call = describeCall(frenPetCall('feedPet', [2n], FRENPET_V2_ABI));
+
+      expect(call.label).toBe('FrenPet.feedPet(2)');
+      expect(call.frenPet).toBe(true);
+    });
+
+    it('should name known Porto contracts', () => {
+      const call = describeCall({ to: PORTO_CONFIG.contracts.orchestrator, data: '0x12345678', value: '0x0' });
+
+      expect(call.targetName).toBe('Porto Orchestrator');
+      expect(call.known).toBe(true);
+      expect(call.frenPet).toBe(false);
+    });
+
+    it('should flag unknown targets', () => {
+      const call = describeCall(unknownCall);
+
+      expect(call.label).toBe('0x2222..2222.0xa9059cbb(...)');
+      expect(call.known).toBe(false);
+    });
+  });
+
+  describe('describeKeyAuthorization', () => {
+    it('should show the session key and its expiry', () => {
+      const session = privateKeyToAccount(generatePrivateKey()).address;
+      const expiry = new Date();
+      expiry.setHours(12, 0, 0, 0);
+
+      expect(describeKeyAuthorization(buildSessionKeyAuthorization(session, expiry.getTime())))
+        .toBe(`Authorize session key ${session.slice(0, 6)}..${session.slice(-4)} until 12:00`);
+    });
+
+    it('should show admin keys without expiry', () => {
+      expect(describeKeyAuthorization({ publicKey: EOA, role: 'admin', expiry: '0x0' }))
+        .toBe('Authorize admin key 0x1111..1111 (no expiry)');
+    });
+  });
+
+  describe('getApprovalDecision', () => {
+    const known = buildIntentPreview([frenPetCall('feedPet')], { from: EOA });
+    const unknown = buildIntentPreview([frenPetCall('feedPet'), unknownCall], { from: EOA });
+    const porto = buildIntentPreview(
+      [{ to: PORTO_CONFIG.contracts.orchestrator, data: '0x12345678', value: '0x0' }],
+      { from: EOA }
+    );
+
+    it('should auto-approve FrenPet calls and block unknown targets in allowlist mode', () => {
+      expect(known.allowlisted).toBe(true);
+      expect(unknown.unknownTargets).toEqual([STRANGER]);
+      expect(getApprovalDecision(known, 'allowlist', true)).toBe('approve');
+      expect(getApprovalDecision(unknown, 'allowlist', true)).toBe('block');
+      expect(getApprovalDecision(porto, 'allowlist', true)).toBe('ask');
+    });
+
+    it('should ask for every intent in confirm mode', () => {
+      expect(getApprovalDecision(known, 'confirm', true)).toBe('ask');
+      expect(getApprovalDecision(unknown, 'confirm', true)).toBe('ask');
+    });
+
+    it('should only sign FrenPet calls when nobody can be asked', () => {
+      expect(getApprovalDecision(known, 'confirm', false)).toBe('approve');
+      expect(getApprovalDecision(unknown, 'confirm', false)).toBe('block');
+      expect(getApprovalDecision(porto, 'allowlist', false)).toBe('block');
+    });
+  });
+
+  describe('PortoClient', () => {
+    const mockFetch = global.fetch as jest.MockedFunction<typeof fetch>;
+    let client: PortoClient;
+
+    const rpcResult = (result: any) => ({
+      ok: true,
+      json: async () => ({ jsonrpc: '2.0', id: 1, result }),
+    } as Response);
+
+    const methods = () => mockFetch.mock.calls.map(call => JSON.parse(call[1]?.body as string).method);
+
+    beforeEach(async () => {
+      jest.clearAllMocks();
+      client = new PortoClient();
+      await client.init(generatePrivateKey());
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      PORTO_CONFIG.intentApproval = 'allowlist';
+    });
+
+    it('should not sign calls to unknown contracts', async () => {
+      mockFetch.mockResolvedValueOnce(rpcResult(preparedIntent(client.getAddress()!, [unknownCall])));
+
+      const error = await client.executeGaslessTransaction(unknownCall.to, unknownCall.data).catch(e => e);
+
+      expect(error).toBeInstanceOf(PortoIntentRejectedError);
+      expect(getUserMessage(error)).toBe('BLOCKED - UNKNOWN CONTRACT');
+      expect(methods()).toEqual(['wallet_prepareCalls']);
+    });
+
+    it('should show the preview with the fee and respect the answer', async () => {
+      PORTO_CONFIG.intentApproval = 'confirm';
+      const call = frenPetCall('feedPet');
+      const approver = jest.fn(async () => false);
+      client.setIntentApprover(approver);
+      mockFetch.mockResolvedValueOnce(rpcResult(preparedIntent(client.getAddress()!, [call])));
+
+      const error = await client.executeGaslessBatch([call]).catch(e => e);
+
+      expect(approver).toHaveBeenCalledWith(expect.objectContaining({
+        calls: [expect.objectContaining({ label: 'FrenPet.feedPet()', targetName: 'FrenPet' })],
+        quote: expect.objectContaining({ sponsored: true }),
+      }));
+      expect(error).toBeInstanceOf(PortoIntentRejectedError);
+      expect(getUserMessage(error)).toBe('CANCELLED');
+      expect(methods()).toEqual(['wallet_prepareCalls']);
+    });
+
+    it('should sign once the user approved', async () => {
+      PORTO_CONFIG.intentApproval = 'confirm';
+      const call = frenPetCall('playWithPet');
+      client.setIntentApprover(async () => true);
+      mockFetch
+        .mockResolvedValueOnce(rpcResult(preparedIntent(client.getAddress()!, [call])))
+        .mockResolvedValueOnce(rpcResult({ id: '0xbundle' }));
+
+      const result = await client.executeGaslessBatch([call]);
+
+      expect(result.bundleId).toBe('0xbundle');
+    });
+  });
+});
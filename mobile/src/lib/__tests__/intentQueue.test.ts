@@ -0,0 +1,137 @@
+/**
+ * Tests for the per-account intent queue
+ */
+
+import { describe, expect, it, jest, beforeEach, afterEach } from '@jest/globals';
+import { IntentQueue, intentKey, type IntentState, type QueuedIntent } from '../intentQueue';
+
+const ALICE = '0x1111111111111111111111111111111111111111';
+const BOB = '0x2222222222222222222222222222222222222222';
+const feed = { to: '0x3333333333333333333333333333333333333333', data: '0x01', value: '0x0' };
+const play = { to: '0x3333333333333333333333333333333333333333', data: '0x02', value: '0x0' };
+
+function deferred<T>() {
+  let resolve!: (value: T) => void;
+  let reject!: (error: unknown) => void;
+  const promise = new Promise<T>((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+describe('IntentQueue', () => {
+  let confirmations: Map<string, ReturnType<typeof deferred<unknown>>>;
+  let queue: IntentQueue;
+  let sent: string[];
+
+  const job = (account: string, calls = [feed], label = 'feed') => ({
+    account,
+    calls,
+    label,
+    send: jest.fn(async (onProgress: (state: IntentState) => void) => {
+      onProgress('signing');
+      const bundleId = `0xbundle${sent.length + 1}`;
+      sent.push(bundleId);
+      return { bundleId };
+    }),
+  });
+  const settle = async () => {
+    await jest.advanceTimersByTimeAsync(0);
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    sent = [];
+    confirmations = new Map();
+    queue = new IntentQueue(bundleId => {
+      const confirmation = deferred<unknown>();
+      confirmations.set(bundleId, confirmation);
+      return confirmation.promise;
+    }, 1000);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('should send an account\'s intents one at a time, in order', async () => {
+    const first = job(ALICE);
+    const second = job(ALICE, [play], 'play');
+
+    await expect(queue.enqueue(first)).resolves.toEqual({ bundleId: '0xbundle1' });
+    const result = queue.enqueue(second);
+    await settle();
+
+    // Waits for the first intent's nonce to be used
+    expect(second.send).not.toHaveBeenCalled();
+    expect(queue.getIntents(ALICE).map(intent => intent.state)).toEqual(['sent', 'queued']);
+
+    confirmations.get('0xbundle1')!.resolve({});
+    await expect(result).resolves.toEqual({ bundleId: '0xbundle2' });
+    expect(queue.getIntents(ALICE).map(intent => intent.state)).toEqual(['confirmed', 'sent']);
+  });
+
+  it('should not hold up other accounts', async () => {
+    await queue.enqueue(job(ALICE));
+    await expect(queue.enqueue(job(BOB))).resolves.toEqual({ bundleId: '0xbundle2' });
+  });
+
+  it('should coalesce identical intents still in flight', async () => {
+    const first = job(ALICE);
+    const again = job(ALICE);
+
+    const results = await Promise.all([queue.enqueue(first), queue.enqueue(again)]);
+
+    expect(results[0]).toBe(results[1]);
+    expect(again.send).not.toHaveBeenCalled();
+    expect(queue.getIntents()).toHaveLength(1);
+
+    // Once confirmed the same action is a new intent
+    confirmations.get('0xbundle1')!.resolve({});
+    await settle();
+    await expect(queue.enqueue(again)).resolves.toEqual({ bundleId: '0xbundle2' });
+  });
+
+  it('should report every state and drop settled intents after a while', async () => {
+    const states: IntentState[] = [];
+    queue.subscribe((intents: QueuedIntent[]) => {
+      const state = intents[0]?.state;
+      if (state && state !== states[states.length - 1]) states.push(state);
+    });
+
+    await queue.enqueue(job(ALICE));
+    confirmations.get('0xbundle1')!.resolve({});
+    await settle();
+
+    expect(states).toEqual(['queued', 'preparing', 'signing', 'sent', 'confirmed']);
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(queue.getIntents()).toEqual([]);
+  });
+
+  it('should release the lane when an intent fails', async () => {
+    const failing = job(ALICE);
+    failing.send.mockRejectedValueOnce(new Error('rejected'));
+    const next = job(ALICE, [play], 'play');
+
+    const first = queue.enqueue(failing);
+    const second = queue.enqueue(next);
+
+    await expect(first).rejects.toThrow('rejected');
+    await expect(second).resolves.toEqual({ bundleId: '0xbundle1' });
+    expect(queue.getIntents()[0]).toMatchObject({ state: 'failed', label: 'feed' });
+
+    // A bundle that fails on-chain releases it too
+    const third = queue.enqueue(job(ALICE));
+    confirmations.get('0xbundle1')!.reject(new Error('reverted'));
+    await expect(third).resolves.toEqual({ bundleId: '0xbundle2' });
+  });
+
+  it('should key intents by account and calls, ignoring case', () => {
+    expect(intentKey(ALICE.toUpperCase().replace('0X', '0x'), [feed])).toBe(intentKey(ALICE, [feed]));
+    expect(intentKey(ALICE, [feed])).not.toBe(intentKey(ALICE, [play]));
+    expect(intentKey(ALICE, [feed])).not.toBe(intentKey(BOB, [feed]));
+  });
+});
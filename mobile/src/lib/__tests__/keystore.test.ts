@@ -0,0 +1,172 @@
+/**
+ * Tests for keystore v3 export and import of the main wallet
+ */
+
+import { describe, expect, it, jest, beforeEach } from '@jest/globals';
+import { generatePrivateKey, privateKeyToAddress } from 'viem/accounts';
+import { decryptKeystore, encryptKeystore, KEYSTORE_SCRYPT, keystoreFileName, type KeystoreError } from '../keystore';
+import { SessionWallet, onMainWalletChange } from '../sessionWallet';
+import { Storage } from '../storage';
+
+jest.mock('../storage', () => {
+  const values = new Map<string, string>();
+  return {
+    Storage: {
+      values,
+      getItem: jest.fn(async (key: string) => values.get(key) ?? null),
+      setItem: jest.fn(async (key: string, value: string) => { values.set(key, value); }),
+      deleteItem: jest.fn(async (key: string) => { values.delete(key); }),
+    },
+  };
+});
+
+// Cheap scrypt so the tests stay fast
+const TEST_SCRYPT = { n: 1024, r: 8, p: 1 };
+
+// pbkdf2 test vector from the Web3 Secret Storage definition
+const SPEC_KEYSTORE = {
+  crypto: {
+    cipher: 'aes-128-ctr',
+    cipherparams: { iv: '6087dab2f9fdbbfaddc31a909735c1e6' },
+    ciphertext: '5318b4d5bcd28de64ee5559e671353e16f075ecae9f99c7a79a38af5f869aa46',
+    kdf: 'pbkdf2',
+    kdfparams: {
+      c: 262144,
+      dklen: 32,
+      prf: 'hmac-sha256',
+      salt: 'ae3cd4e7013836a3df6bd7241b12db061dbe2c6785853cce422d148a624ce0bd',
+    },
+    mac: '517ead924a9d0dc3124507e3393d175ce3ff7c1e96529c6c555ce9e51205e9b2',
+  },
+  id: '3198bc9c-6672-5ab3-d995-4942343ae5b6',
+  version: 3,
+};
+
+const reasonOf = (promise: Promise<unknown>) =>
+  promise.then(() => null, error => (error as KeystoreError).reason);
+
+describe('Keystore', () => {
+  const privateKey = generatePrivateKey();
+
+  it('should export a scrypt keystore v3 file that decrypts with the password', async () => {
+    const keystore = await encryptKeystore(privateKey, 'correct horse', TEST_SCRYPT);
+
+    expect(keystore).toMatchObject({
+      version: 3,
+      address: privateKeyToAddress(privateKey).slice(2).toLowerCase(),
+      crypto: { cipher: 'aes-128-ctr', kdf: 'scrypt', kdfparams: { ...TEST_SCRYPT, dklen: 32 } },
+    });
+    expect(keystore.id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    expect(await decryptKeystore(JSON.stringify(keystore), 'correct horse')).toEqual({
+      privateKey,
+      address: privateKeyToAddress(privateKey),
+    });
+    expect(keystoreFileName(keystore, new Date('2026-01-02T03:04:05.000Z')))
+      .toBe(`UTC--2026-01-02T03-04-05.000Z--${keystore.address}.json`);
+  });
+
+  it('should export with the light scrypt cost by default', async () => {
+    const keystore = await encryptKeystore(privateKey, 'correct horse');
+
+    expect(keystore.crypto.kdfparams).toMatchObject({ ...KEYSTORE_SCRYPT });
+  });
+
+  it('should import keystores from other wallets', async () => {
+    expect((await decryptKeystore(SPEC_KEYSTORE, 'testpassword')).privateKey)
+      .toBe('0x7a28b5ba57c53603b0b07b56bba752f7784bf506fa95edc395f5cf6c7514fe9d');
+  });
+
+  it('should reject weak and wrong passwords', async () => {
+    const keystore = await encryptKeystore(privateKey, 'correct horse', TEST_SCRYPT);
+
+    expect(await reasonOf(encryptKeystore(privateKey, 'short', TEST_SCRYPT))).toBe('weak-password');
+    expect(await reasonOf(decryptKeystore(keystore, 'wrong horse'))).toBe('wrong-password');
+  });
+
+  it('should reject files whose key does not match their address', async () => {
+    const keystore = await encryptKeystore(privateKey, 'correct horse', TEST_SCRYPT);
+    const other = privateKeyToAddress(generatePrivateKey()).slice(2).toLowerCase();
+
+    expect(await reasonOf(decryptKeystore({ ...keystore, address: other }, 'correct horse'))).toBe('address-mismatch');
+  });
+
+  it('should reject what is not a keystore it can decrypt', async () => {
+    const keystore = await encryptKeystore(privateKey, 'correct horse', TEST_SCRYPT);
+
+    expect(await reasonOf(decryptKeystore('{not json', 'x'))).toBe('invalid-file');
+    expect(await reasonOf(decryptKeystore({ ...keystore, version: 1 }, 'x'))).toBe('invalid-file');
+    expect(await reasonOf(decryptKeystore({
+      ...keystore,
+      crypto: { ...keystore.crypto, kdfparams: { ...keystore.crypto.kdfparams, n: 2 ** 20 } },
+    }, 'x'))).toBe('invalid-file');
+  });
+
+  it('should refuse pbkdf2 files above the standard iteration count', async () => {
+    const withIterations = (c: unknown) => ({
+      ...SPEC_KEYSTORE,
+      crypto: { ...SPEC_KEYSTORE.crypto, kdfparams: { ...SPEC_KEYSTORE.crypto.kdfparams, c } },
+    });
+
+    // Refused before any key derivation, so this returns at once
+    expect(await reasonOf(decryptKeystore(withIterations(2 ** 31), 'testpassword'))).toBe('invalid-file');
+    expect(await reasonOf(decryptKeystore(withIterations(undefined), 'testpassword'))).toBe('invalid-file');
+    expect(await reasonOf(decryptKeystore(withIterations(1.5), 'testpassword'))).toBe('invalid-file');
+  });
+
+  it('should refuse scrypt files above the standard cost or with an invalid cost', async () => {
+    const keystore = await encryptKeystore(privateKey, 'correct horse', TEST_SCRYPT);
+    const withScrypt = (params: object) => ({
+      ...keystore,
+      crypto: { ...keystore.crypto, kdfparams: { ...keystore.crypto.kdfparams, ...params } },
+    });
+
+    // Refused before any key derivation, so these return at once
+    expect(await reasonOf(decryptKeystore(withScrypt({ n: 4096, r: 8, p: 2 ** 24 }), 'x'))).toBe('invalid-file');
+    expect(await reasonOf(decryptKeystore(withScrypt({ n: 1000 }), 'x'))).toBe('invalid-file');
+    expect(await reasonOf(decryptKeystore(withScrypt({ p: 1.5 }), 'x'))).toBe('invalid-file');
+    expect(await reasonOf(decryptKeystore(withScrypt({ p: 0 }), 'x'))).toBe('invalid-file');
+  });
+});
+
+describe('SessionWallet keystore', () => {
+  const stored = (Storage as any).values as Map<string, string>;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    stored.clear();
+  });
+
+  it('should replace the main wallet only with a keystore that decrypts', async () => {
+    const source = new SessionWallet();
+    await source.initMainWallet();
+    const keystore = JSON.stringify(await source.exportKeystore('correct horse'));
+    const sourceKey = stored.get('RISE_MAIN_WALLET_KEY');
+
+    stored.clear();
+    const target = new SessionWallet();
+    await target.initMainWallet();
+    const targetKey = stored.get('RISE_MAIN_WALLET_KEY');
+    stored.set('RISE_SESSION_KEY', generatePrivateKey());
+    stored.set('RISE_ADMIN_KEY', generatePrivateKey());
+    const listener = jest.fn();
+    const unsubscribe = onMainWalletChange(listener);
+
+    await expect(target.importKeystore(keystore, 'wrong horse')).rejects.toMatchObject({ reason: 'wrong-password' });
+    await expect(target.importKeystore(keystore, 'correct horse', target.getMainAddress()!))
+      .rejects.toThrow('expected');
+    expect(stored.get('RISE_MAIN_WALLET_KEY')).toBe(targetKey);
+
+    const address = await target.importKeystore(keystore, 'correct horse');
+    unsubscribe();
+
+    expect(address).toBe(source.getMainAddress());
+    expect(target.getMainAddress()).toBe(address);
+    expect(stored.get('RISE_MAIN_WALLET_KEY')).toBe(sourceKey);
+    // The old phrase, session and admin keys belong to the replaced account
+    expect(stored.has('RISE_MAIN_WALLET_PHRASE')).toBe(false);
+    expect(stored.has('RISE_SESSION_KEY')).toBe(false);
+    expect(stored.has('RISE_ADMIN_KEY')).toBe(false);
+    expect(await target.getBackup()).toMatchObject({ kind: 'private-key', backedUp: true });
+    expect(listener).toHaveBeenCalledWith(address);
+  });
+});
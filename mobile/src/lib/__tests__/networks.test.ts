@@ -0,0 +1,71 @@
+/**
+ * Tests for the network registry and persisted network selection
+ */
+
+import { describe, expect, it, jest, beforeEach } from '@jest/globals';
+import {
+  LOCAL_CHAIN_ID,
+  RISE_TESTNET_CHAIN_ID,
+  getNetwork,
+  onNetworkChange,
+  setActiveNetwork,
+} from '../../config/networks';
+import { PORTO_CONFIG } from '../../config/porto';
+import { getFrenPetAddress } from '../../config/contracts';
+import { getRpcClient } from '../../config/rpcClient';
+import { loadNetworkSelection, selectNetwork } from '../networkSelection';
+import { Storage } from '../storage';
+
+jest.mock('../storage', () => {
+  const values = new Map<string, string>();
+  return {
+    Storage: {
+      getItem: jest.fn(async (key: string) => values.get(key) ?? null),
+      setItem: jest.fn(async (key: string, value: string) => { values.set(key, value); }),
+    },
+  };
+});
+
+describe('Networks', () => {
+  beforeEach(() => {
+    setActiveNetwork(RISE_TESTNET_CHAIN_ID);
+  });
+
+  it('should point config getters at the active network', () => {
+    setActiveNetwork(LOCAL_CHAIN_ID);
+
+    const local = getNetwork(LOCAL_CHAIN_ID);
+    expect(PORTO_CONFIG.chainId).toBe(LOCAL_CHAIN_ID);
+    expect(PORTO_CONFIG.url).toBe(local.portoUrl);
+    expect(getFrenPetAddress()).toBe(local.frenPet.address);
+    expect(getRpcClient().chain?.id).toBe(LOCAL_CHAIN_ID);
+  });
+
+  it('should notify listeners until they unsubscribe', () => {
+    const listener = jest.fn();
+    const unsubscribe = onNetworkChange(listener);
+
+    setActiveNetwork(LOCAL_CHAIN_ID);
+    unsubscribe();
+    setActiveNetwork(RISE_TESTNET_CHAIN_ID);
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(getNetwork(LOCAL_CHAIN_ID));
+  });
+
+  it('should reject unknown chain IDs', () => {
+    expect(() => setActiveNetwork(1)).toThrow('Unknown network');
+    expect(getNetwork().chainId).toBe(RISE_TESTNET_CHAIN_ID);
+  });
+
+  it('should persist and restore the selected network', async () => {
+    await selectNetwork(LOCAL_CHAIN_ID);
+    expect(Storage.setItem).toHaveBeenCalledWith('RISE_NETWORK_CHAIN_ID', String(LOCAL_CHAIN_ID));
+
+    setActiveNetwork(RISE_TESTNET_CHAIN_ID);
+    const restored = await loadNetworkSelection();
+
+    expect(restored.chainId).toBe(LOCAL_CHAIN_ID);
+    expect(getNetwork().chainId).toBe(LOCAL_CHAIN_ID);
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Tests for saving pet actions offline and replaying them later
+ */
+
+import { describe, expect, it, jest, beforeEach, afterEach } from '@jest/globals';
+import { OfflineActionQueue, isOfflineError, type PendingAction } from '../offlineActions';
+import { PortoNetworkError, PortoRpcError, PortoTransactionError } from '../portoErrors';
+import { PORTO_CONFIG } from '../../config/porto';
+import { Storage } from '../storage';
+
+jest.mock('../storage', () => {
+  const values = new Map<string, string>();
+  return {
+    Storage: {
+      values,
+      getItem: jest.fn(async (key: string) => values.get(key) ?? null),
+      setItem: jest.fn(async (key: string, value: string) => { values.set(key, value); }),
+    },
+  };
+});
+
+const ACCOUNT = '0x1111111111111111111111111111111111111111';
+const CHAIN_ID = 11155931;
+const offline = () => new PortoNetworkError('Network error: fetch failed', { stage: 'prepare' });
+
+describe('Offline actions', () => {
+  const stored = (Storage as any).values as Map<string, string>;
+  let queue: OfflineActionQueue;
+  let run: jest.Mock<(action: PendingAction) => Promise<unknown>>;
+  let handlers: { isOnline: jest.Mock<() => Promise<boolean>>; isValid: jest.Mock<() => Promise<boolean>>; run: typeof run };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    stored.clear();
+    queue = new OfflineActionQueue();
+    run = jest.fn(async () => ({ status: 'success' }));
+    handlers = {
+      isOnline: jest.fn(async () => true),
+      isValid: jest.fn(async () => true),
+      run,
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should persist actions and restore them in a new session', async () => {
+    await queue.record(ACCOUNT, CHAIN_ID, 'feedPet');
+    await queue.record(ACCOUNT, CHAIN_ID, 'playWithPet');
+
+    const restored = new OfflineActionQueue();
+    await restored.load();
+
+    expect(restored.getPending(ACCOUNT, CHAIN_ID).map(action => action.functionName))
+      .toEqual(['feedPet', 'playWithPet']);
+    expect(restored.getPending(ACCOUNT, 1)).toEqual([]);
+  });
+
+  it('should replay actions in order once the relay is back', async () => {
+    await queue.record(ACCOUNT, CHAIN_ID, 'feedPet');
+    await queue.record(ACCOUNT, CHAIN_ID, 'playWithPet');
+
+    handlers.isOnline.mockResolvedValueOnce(false);
+    expect(await queue.replay(ACCOUNT, CHAIN_ID, handlers)).toEqual({ sent: [], dropped: [] });
+    expect(run).not.toHaveBeenCalled();
+
+    const { sent } = await queue.replay(ACCOUNT, CHAIN_ID, handlers);
+
+    expect(sent.map(action => action.functionName)).toEqual(['feedPet', 'playWithPet']);
+    expect(queue.getPending()).toEqual([]);
+    expect(JSON.parse(stored.get('RISE_PENDING_ACTIONS')!)).toEqual([]);
+  });
+
+  it('should keep the rest when the connection drops again mid-replay', async () => {
+    await queue.record(ACCOUNT, CHAIN_ID, 'feedPet');
+    await queue.record(ACCOUNT, CHAIN_ID, 'playWithPet');
+    run.mockResolvedValueOnce({}).mockRejectedValueOnce(offline());
+
+    const { sent } = await queue.replay(ACCOUNT, CHAIN_ID, handlers);
+
+    expect(sent).toHaveLength(1);
+    expect(queue.getPending().map(action => action.functionName)).toEqual(['playWithPet']);
+  });
+
+  it('should drop actions that no longer make sense', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now - PORTO_CONFIG.offlineActionTtl - 1);
+    await queue.record(ACCOUNT, CHAIN_ID, 'feedPet');
+    (Date.now as jest.Mock<() => number>).mockReturnValue(now);
+    await queue.record(ACCOUNT, CHAIN_ID, 'playWithPet');
+    await queue.record(ACCOUNT, CHAIN_ID, 'feedPet');
+
+    // The pet died in the meantime
+    handlers.isValid.mockResolvedValueOnce(false);
+    // The contract refuses the last one
+    run.mockRejectedValueOnce(new PortoTransactionError('Transaction failed with status 500', { stage: 'status' }));
+
+    const { sent, dropped } = await queue.replay(ACCOUNT, CHAIN_ID, handlers);
+
+    expect(sent).toEqual([]);
+    expect(dropped).toHaveLength(3);
+    expect(handlers.isValid).toHaveBeenCalledTimes(2);
+    expect(queue.getPending()).toEqual([]);
+  });
+
+  it('should keep actions it cannot check yet', async () => {
+    await queue.record(ACCOUNT, CHAIN_ID, 'feedPet');
+    handlers.isValid.mockRejectedValueOnce(new TypeError('Network request failed'));
+
+    await queue.replay(ACCOUNT, CHAIN_ID, handlers);
+
+    expect(run).not.toHaveBeenCalled();
+    expect(queue.getPending()).toHaveLength(1);
+  });
+
+  it('should share one replay between concurrent callers', async () => {
+    await queue.record(ACCOUNT, CHAIN_ID, 'feedPet');
+
+    const [first, second] = await Promise.all([
+      queue.replay(ACCOUNT, CHAIN_ID, handlers),
+      queue.replay(ACCOUNT, CHAIN_ID, handlers),
+    ]);
+
+    expect(first).toBe(second);
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+
+  it('should replay other accounts and chains separately', async () => {
+    const other = '0x2222222222222222222222222222222222222222';
+    await queue.record(ACCOUNT, CHAIN_ID, 'feedPet');
+    await queue.record(other, CHAIN_ID, 'playWithPet');
+    await queue.record(ACCOUNT, 1, 'trainPet');
+
+    const [mine, theirs, otherChain] = await Promise.all([
+      queue.replay(ACCOUNT, CHAIN_ID, handlers),
+      queue.replay(other, CHAIN_ID, handlers),
+      queue.replay(ACCOUNT, 1, handlers),
+    ]);
+
+    expect(mine.sent.map(action => action.functionName)).toEqual(['feedPet']);
+    expect(theirs.sent.map(action => action.functionName)).toEqual(['playWithPet']);
+    expect(otherChain.sent.map(action => action.functionName)).toEqual(['trainPet']);
+    expect(queue.getPending()).toEqual([]);
+  });
+
+  it('should tell offline failures from refused actions', () => {
+    expect(isOfflineError(offline())).toBe(true);
+    expect(isOfflineError(new TypeError('Network request failed'))).toBe(true);
+    expect(isOfflineError(Object.assign(new Error('HTTP request failed'), { name: 'HttpRequestError' }))).toBe(true);
+    expect(isOfflineError(new Error('Wallet Porto failed', { cause: offline() }))).toBe(true);
+    expect(isOfflineError(new PortoRpcError('Prepare failed: Pet is dead', { stage: 'prepare' }))).toBe(false);
+    expect(isOfflineError(new Error('Pet is no longer with us'))).toBe(false);
+  });
+});
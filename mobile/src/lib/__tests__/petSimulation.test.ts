@@ -0,0 +1,99 @@
+/**
+ * Tests for the eth_call pre-flight of FrenPet calls
+ */
+
+import { describe, expect, it, jest, beforeEach, afterEach } from '@jest/globals';
+import { encodeErrorResult, encodeFunctionData } from 'viem';
+import { classifyRevert, simulatePetCall } from '../petSimulation';
+import { getUserMessage, PortoSimulationError } from '../portoErrors';
+import { FRENPET_ABI, getFrenPetAddress } from '../../config/contracts';
+
+// Mock fetch
+global.fetch = jest.fn() as any;
+
+const USER = '0x1111111111111111111111111111111111111111';
+const feed = encodeFunctionData({ abi: FRENPET_ABI, functionName: 'feedPet', args: [] });
+
+const revertData = (reason: string) => encodeErrorResult({
+  abi: [{ type: 'error', name: 'Error', inputs: [{ name: 'message', type: 'string' }] }],
+  errorName: 'Error',
+  args: [reason],
+});
+
+describe('Pet simulation', () => {
+  const mockFetch = global.fetch as jest.MockedFunction<typeof fetch>;
+
+  const rpcResponse = (body: object) => {
+    mockFetch.mockImplementation((async (_url: string, init: RequestInit) => {
+      const { id } = JSON.parse(init.body as string);
+      return new Response(JSON.stringify({ jsonrpc: '2.0', id, ...body }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }) as any);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should eth_call the encoded call from the user against FrenPet', async () => {
+    rpcResponse({ result: '0x' });
+
+    await expect(simulatePetCall(USER, feed)).resolves.toEqual({ status: 'ok' });
+
+    const body = JSON.parse(mockFetch.mock.calls[0][1]?.body as string);
+    expect(body.method).toBe('eth_call');
+    expect(body.params[0]).toMatchObject({ from: USER, data: feed });
+    expect(body.params[0].to.toLowerCase()).toBe(getFrenPetAddress().toLowerCase());
+  });
+
+  it('should decode the revert string into a typed reason', async () => {
+    rpcResponse({ error: { code: 3, message: 'execution reverted', data: revertData('Your pet is no longer with us') } });
+
+    await expect(simulatePetCall(USER, feed)).resolves.toEqual({
+      status: 'reverted',
+      reason: 'PET_DEAD',
+      message: 'Your pet is no longer with us',
+    });
+  });
+
+  it('should read the reason from the message when the node sends no data', async () => {
+    rpcResponse({ error: { code: -32000, message: 'execution reverted: Pet needs rest' } });
+
+    const result = await simulatePetCall(USER, feed);
+
+    expect(result).toMatchObject({ status: 'reverted', reason: 'NEEDS_REST', message: 'Pet needs rest' });
+  });
+
+  it('should report unknown when the node cannot be reached', async () => {
+    mockFetch.mockRejectedValue(new TypeError('Network request failed'));
+
+    const result = await simulatePetCall(USER, feed);
+
+    expect(result.status).toBe('unknown');
+  });
+
+  it('should classify the FrenPet revert strings', () => {
+    expect(classifyRevert('Name cannot be empty')).toBe('INVALID_NAME');
+    expect(classifyRevert("You don't have a pet")).toBe('NO_PET');
+    expect(classifyRevert('Your current pet is still alive')).toBe('PET_ALIVE');
+    expect(classifyRevert('Already claimed today')).toBe('ALREADY_CLAIMED');
+    expect(classifyRevert('Battle not active')).toBe('OTHER');
+  });
+
+  it('should explain refused actions to the user', () => {
+    const refused = (message: string) => new PortoSimulationError(`Simulation reverted: ${message}`, {
+      stage: 'prepare',
+      data: { status: 'reverted', reason: classifyRevert(message), message },
+    });
+
+    expect(getUserMessage(refused('Pet needs rest'))).toBe('PET NEEDS REST');
+    expect(getUserMessage(refused('Already claimed today'))).toBe('COME BACK TOMORROW');
+    expect(getUserMessage(refused('Battle not active'))).toBe('ACTION NOT ALLOWED');
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Tests for batched multi-call intents in PortoClient
+ */
+
+import { describe, expect, it, jest, beforeEach, afterEach } from '@jest/globals';
+import { generatePrivateKey } from 'viem/accounts';
+import { encodeFunctionData } from 'viem';
+import { PortoClient } from '../portoClient.native';
+import { FRENPET_ADDRESS, FRENPET_ABI } from '../../config/contracts';
+import { preparedIntent } from './helpers/relayFixtures';
+
+jest.mock('../accountUpgrade', () => ({
+  isAccountDelegated: jest.fn(async () => true),
+}));
+
+// Mock fetch
+global.fetch = jest.fn() as any;
+
+describe('PortoClient batching', () => {
+  const mockFetch = global.fetch as jest.MockedFunction<typeof fetch>;
+  let client: PortoClient;
+
+  const rpcResult = (result: any) => ({
+    ok: true,
+    json: async () => ({ jsonrpc: '2.0', id: 1, result }),
+  } as Response);
+
+  const feedCall = {
+    to: FRENPET_ADDRESS,
+    data: encodeFunctionData({ abi: FRENPET_ABI, functionName: 'feedPet', args: [] }),
+    value: '0x0',
+  };
+  const playCall = {
+    to: FRENPET_ADDRESS,
+    data: encodeFunctionData({ abi: FRENPET_ABI, functionName: 'playWithPet', args: [] }),
+    value: '0x0',
+  };
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    client = new PortoClient();
+    await client.init(generatePrivateKey());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should send all calls in a single prepare request', async () => {
+    mockFetch
+      .mockResolvedValueOnce(rpcResult(preparedIntent(client.getAddress()!, [feedCall, playCall])))
+      .mockResolvedValueOnce(rpcResult({ id: '0xbundle' }));
+
+    const result = await client.executeGaslessBatch([feedCall, playCall]);
+
+    expect(result.bundleId).toBe('0xbundle');
+    expect(mockFetch).toHaveBeenCalledTimes(2);
+
+    const prepare = JSON.parse(mockFetch.mock.calls[0][1]?.body as string);
+    expect(prepare.method).toBe('wallet_prepareCalls');
+    expect(prepare.params[0].calls).toEqual([feedCall, playCall]);
+
+    const send = JSON.parse(mockFetch.mock.calls[1][1]?.body as string);
+    expect(send.method).toBe('wallet_sendPreparedCalls');
+  });
+
+  it('should route single transactions through the batch path', async () => {
+    mockFetch
+      .mockResolvedValueOnce(rpcResult(preparedIntent(client.getAddress()!, [feedCall])))
+      .mockResolvedValueOnce(rpcResult({ id: '0xsingle' }));
+
+    const result = await client.executeGaslessTransaction(feedCall.to, feedCall.data);
+
+    expect(result.bundleId).toBe('0xsingle');
+    const prepare = JSON.parse(mockFetch.mock.calls[0][1]?.body as string);
+    expect(prepare.params[0].calls).toHaveLength(1);
+  });
+
+  it('should reject an empty batch', async () => {
+    await expect(client.executeGaslessBatch([])).rejects.toThrow('No calls to execute');
+    expect(mockFetch).not.toHaveBeenCalled();
+  });
+});
@@ -1,192 +1,120 @@
-import { PortoClient } from '../portoClient.native';
-import { privateKeyToAccount } from 'viem/accounts';
+/**
+ * Tests for PortoClient, replaying relay traffic from fixtures/relay
+ * (recorded against the mock relay with tests/utils/record-relay-fixtures.js)
+ */
 
-// Mock fetch
-global.fetch = jest.fn();
+import { describe, expect, it, jest, beforeEach, afterEach } from '@jest/globals';
+import { privateKeyToAccount } from 'viem/accounts';
+import { encodeFunctionData } from 'viem';
+import { FRENPET_ADDRESS, FRENPET_ABI } from '../../config/contracts';
+import { PortoClient } from '../portoClient.native';
+import { PortoDigestMismatchError } from '../portoErrors';
+import { formatFeeQuote } from '../portoFees';
+import { ETH_FEE_TOKEN } from '../porto-utils';
+import { loadFixture, relayFixture, type RelayFixtureHandle } from './helpers/relayRecorder';
 
-// Mock viem
-jest.mock('viem/accounts', () => ({
-  privateKeyToAccount: jest.fn((key) => ({
-    address: '0x6999c3aeD0a9241C07CdF2c8fBD38d858476b44f',
-    signTypedData: jest.fn().mockResolvedValue('0xsignature'),
-  })),
-}));
+// Anvil account #0 - the fixture is only valid for this address
+const FIXTURE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
 
 describe('PortoClient', () => {
-  let portoClient: PortoClient;
-  const mockFetch = global.fetch as jest.Mock;
+  const originalFetch = global.fetch;
+  const createPet = {
+    to: FRENPET_ADDRESS,
+    data: encodeFunctionData({ abi: FRENPET_ABI, functionName: 'createPet', args: ['Fixture'] }),
+    value: '0x0',
+  };
+  let fixture: RelayFixtureHandle;
+  let client: PortoClient;
+
+  const methods = () => fixture.requests.map(request => request.method);
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    fixture = relayFixture('gasless-create-pet');
+    global.fetch = fixture.fetch;
+
+    client = new PortoClient();
+    await client.init(FIXTURE_KEY);
+  });
 
-  beforeEach(() => {
-    jest.clearAllMocks();
-    portoClient = new PortoClient();
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
   });
 
   describe('initialization', () => {
-    it('should initialize with private key', async () => {
-      await portoClient.init('0xprivatekey');
-      expect(privateKeyToAccount).toHaveBeenCalledWith('0xprivatekey');
+    it('should initialize with a private key', () => {
+      expect(client.isReady()).toBe(true);
+      expect(client.getAddress()).toBe(privateKeyToAccount(FIXTURE_KEY).address);
     });
 
     it('should throw if not initialized', async () => {
-      await expect(portoClient.prepareCalls([])).rejects.toThrow('Porto client not initialized');
+      await expect(new PortoClient().prepareCalls([createPet])).rejects.toThrow('Porto client not initialized');
+      expect(methods()).toEqual([]);
     });
   });
 
-  describe('prepareCalls', () => {
-    beforeEach(async () => {
-      await portoClient.init('0xprivatekey');
-    });
-
-    it('should prepare calls with correct format', async () => {
-      const mockDigest = '0xdigest123';
-      const mockTypedData = { domain: {}, types: {}, message: {} };
-      
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        json: async () => ({
-          result: {
-            digest: mockDigest,
-            typedData: mockTypedData,
-          },
-        }),
-      });
-
-      const calls = [{
-        to: '0xcontract' as `0x${string}`,
-        data: '0xdata' as `0x${string}`,
-        value: BigInt(0),
-      }];
-
-      const result = await portoClient.prepareCalls(calls);
-
-      expect(mockFetch).toHaveBeenCalledWith(
-        'https://rise-testnet-porto.fly.dev',
-        expect.objectContaining({
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: expect.stringContaining('wallet_prepareCalls'),
-        })
-      );
-
-      expect(result).toEqual({
-        digest: mockDigest,
-        typedData: mockTypedData,
-      });
-    });
-
-    it('should include meta.accounts in capabilities', async () => {
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        json: async () => ({ result: { digest: '0x', typedData: {} } }),
-      });
-
-      await portoClient.prepareCalls([]);
+  describe('prepareUpgrade', () => {
+    it('should store the upgrade with the relay', async () => {
+      const upgrade = await client.prepareUpgrade();
 
-      const callBody = JSON.parse(mockFetch.mock.calls[0][1].body);
-      expect(callBody.params[0].capabilities.meta.accounts).toEqual([
-        '0x6999c3aeD0a9241C07CdF2c8fBD38d858476b44f'
-      ]);
-    });
-
-    it('should handle prepare error', async () => {
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        json: async () => ({
-          error: { message: 'Invalid params' },
-        }),
-      });
-
-      await expect(portoClient.prepareCalls([])).rejects.toThrow('Failed to prepare: Invalid params');
+      expect(methods()).toEqual(['wallet_prepareUpgradeAccount', 'wallet_upgradeAccount']);
+      expect(upgrade.status).toBe('prepared');
+      // The recorded relay keeps the signed upgrade itself
+      expect(upgrade.preCalls).toEqual([]);
     });
   });
 
-  describe('sendPreparedCalls', () => {
-    beforeEach(async () => {
-      await portoClient.init('0xprivatekey');
+  describe('prepareCalls', () => {
+    it('should return the fee quote of a verified intent', async () => {
+      const { preCalls } = await client.prepareUpgrade();
+      const prepared = await client.prepareCalls([createPet], { preCalls });
+
+      const [request] = fixture.requests.find(request => request.method === 'wallet_prepareCalls')!.params as any[];
+      expect(request.capabilities.meta.feeToken).toBe(ETH_FEE_TOKEN);
+      expect(request.capabilities.preCalls).toBeUndefined();
+      expect(prepared.quote?.sponsored).toBe(true);
+      expect(formatFeeQuote(prepared.quote)).toBe('FREE');
     });
 
-    it('should send prepared calls with signature', async () => {
-      const mockBundleId = '0xbundle123';
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        json: async () => ({
-          result: { bundleId: mockBundleId },
-        }),
-      });
-
-      const result = await portoClient.sendPreparedCalls(
-        '0xdigest',
-        { domain: {}, types: {}, message: {} }
-      );
-
-      expect(mockFetch).toHaveBeenCalledWith(
-        'https://rise-testnet-porto.fly.dev',
-        expect.objectContaining({
-          method: 'POST',
-          body: expect.stringContaining('wallet_sendPreparedCalls'),
-        })
-      );
-
-      expect(result).toBe(mockBundleId);
-    });
-  });
+    it('should refuse a prepared intent for other calls', async () => {
+      // The recorded intent creates a pet, whatever was asked for
+      fixture = relayFixture('gasless-create-pet', { ignoreParams: { wallet_prepareCalls: ['0.calls'] } });
+      global.fetch = fixture.fetch;
+      const { preCalls } = await client.prepareUpgrade();
+      const feed = { ...createPet, data: encodeFunctionData({ abi: FRENPET_ABI, functionName: 'feedPet' }) };
+
+      const error = await client.prepareCalls([feed], { preCalls }).catch(e => e);
 
-  describe('getCallsStatus', () => {
-    it('should get status for bundle', async () => {
-      const mockStatus = { status: 200, receipts: [] };
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        json: async () => ({
-          result: mockStatus,
-        }),
-      });
-
-      const result = await portoClient.getCallsStatus('0xbundle123');
-
-      expect(mockFetch).toHaveBeenCalledWith(
-        'https://rise-testnet-porto.fly.dev',
-        expect.objectContaining({
-          body: expect.stringContaining('wallet_getCallsStatus'),
-        })
-      );
-
-      expect(result).toEqual(mockStatus);
+      expect(error).toBeInstanceOf(PortoDigestMismatchError);
+      expect(error.data.field).toBe('calls');
     });
   });
 
-  describe('executeTransaction', () => {
-    beforeEach(async () => {
-      await portoClient.init('0xprivatekey');
+  describe('sendPreparedCalls', () => {
+    it('should send the signed intent and report its status', async () => {
+      const { preCalls } = await client.prepareUpgrade();
+      const prepared = await client.prepareCalls([createPet], { preCalls });
+      const signature = await client.signIntent(prepared.digest);
+
+      const bundleId = await client.sendPreparedCalls(prepared.context, signature);
+      const status = await client.getCallsStatus(bundleId);
+
+      const recorded = loadFixture('gasless-create-pet').exchanges.find(exchange => exchange.method === 'wallet_sendPreparedCalls');
+      expect(bundleId).toBe((recorded!.response as any).result.id);
+      expect(status.status).toBe(200);
+      expect(status.receipts).toHaveLength(1);
+      expect(methods()).toEqual([
+        'wallet_prepareUpgradeAccount',
+        'wallet_upgradeAccount',
+        'wallet_prepareCalls',
+        'wallet_sendPreparedCalls',
+        'wallet_getCallsStatus',
+      ]);
     });
 
-    it('should execute complete transaction flow', async () => {
-      // Mock prepare
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        json: async () => ({
-          result: {
-            digest: '0xdigest',
-            typedData: { domain: {}, types: {}, message: {} },
-          },
-        }),
-      });
-
-      // Mock send
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        json: async () => ({
-          result: { bundleId: '0xbundle' },
-        }),
-      });
-
-      const result = await portoClient.executeTransaction(
-        '0xcontract' as `0x${string}`,
-        '0xdata' as `0x${string}`,
-        BigInt(0)
-      );
-
-      expect(result).toBe('0xbundle');
-      expect(mockFetch).toHaveBeenCalledTimes(2);
+    it('should only sign digests it prepared', async () => {
+      await expect(client.signIntent(`0x${'77'.repeat(32)}`)).rejects.toBeInstanceOf(PortoDigestMismatchError);
     });
   });
-});
\ No newline at end of file
+});
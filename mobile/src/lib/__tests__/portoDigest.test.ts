@@ -0,0 +1,300 @@
+/**
+ * Tests for verifying relay digests before signing
+ */
+
+import { describe, expect, it, jest, beforeEach, afterEach } from '@jest/globals';
+import { generatePrivateKey } from 'viem/accounts';
+import { hashTypedData } from 'viem';
+import { PortoClient } from '../portoClient.native';
+import { PortoDigestMismatchError, getUserMessage } from '../portoErrors';
+import { encodePreCall, verifyIntentDigest, verifyUpgradeDigests } from '../portoDigest';
+import { ETH_FEE_TOKEN } from '../porto-utils';
+import { buildKeyAuthorization, fromAddress, type KeyAuthorization } from '../portoKeys';
+import { FRENPET_ADDRESS } from '../../config/contracts';
+import { PORTO_CONFIG } from '../../config/porto';
+import { preparedIntent, preparedUpgrade } from './helpers/relayFixtures';
+
+jest.mock('../accountUpgrade', () => ({
+  isAccountDelegated: jest.fn(async () => false),
+}));
+jest.mock('../delegationInspector', () => ({
+  ...(jest.requireActual('../delegationInspector') as object),
+  inspectDelegation: jest.fn(async (address: string) => ({ address, status: 'none', delegate: null, keys: null })),
+}));
+
+// Mock fetch
+global.fetch = jest.fn() as any;
+
+const EOA = '0x1111111111111111111111111111111111111111';
+const OTHER = '0x2222222222222222222222222222222222222222';
+const feedCall = { to: FRENPET_ADDRESS, data: '0x1c9a1a34', value: '0x0' };
+
+const mismatchField = (fn: () => void) => {
+  try {
+    fn();
+  } catch (error) {
+    expect(error).toBeInstanceOf(PortoDigestMismatchError);
+    return (error as PortoDigestMismatchError).data.field;
+  }
+  throw new Error('Expected a DigestMismatch');
+};
+
+describe('Porto digest verification', () => {
+  const expected = { from: EOA, chainId: PORTO_CONFIG.chainId, calls: [feedCall], feeToken: ETH_FEE_TOKEN };
+
+  describe('verifyIntentDigest', () => {
+    it('should accept an intent that matches the request', () => {
+      expect(() => verifyIntentDigest(preparedIntent(EOA, [feedCall]), expected)).not.toThrow();
+    });
+
+    it('should reject a digest that does not match the typed data', () => {
+      const prepared = { ...preparedIntent(EOA, [feedCall]), digest: '0x' + '66'.repeat(32) };
+
+      expect(mismatchField(() => verifyIntentDigest(prepared, expected))).toBe('digest');
+    });
+
+    it('should reject a prepare result without typed data', () => {
+      const { digest } = preparedIntent(EOA, [feedCall]);
+
+      expect(mismatchField(() => verifyIntentDigest({ digest }, expected))).toBe('typedData');
+    });
+
+    it('should reject other calls, accounts or chains', () => {
+      const prepared = preparedIntent(EOA, [feedCall]);
+
+      expect(mismatchField(() => verifyIntentDigest(preparedIntent(EOA, [{ ...feedCall, to: OTHER }]), expected)))
+        .toBe('calls');
+      expect(mismatchField(() => verifyIntentDigest(preparedIntent(EOA, [feedCall, feedCall]), expected)))
+        .toBe('calls');
+      expect(mismatchField(() => verifyIntentDigest(preparedIntent(OTHER, [feedCall]), expected)))
+        .toBe('from');
+      expect(mismatchField(() => verifyIntentDigest(prepared, { ...expected, chainId: 1 })))
+        .toBe('chainId');
+    });
+
+    it('should only read calls from the signed executionData', () => {
+      // Relay signs other calls and echoes the requested ones in an unhashed field
+      const decoy = preparedIntent(EOA, [{ ...feedCall, to: OTHER }], { calls: [feedCall] });
+
+      expect(mismatchField(() => verifyIntentDigest(decoy, expected))).toBe('calls');
+    });
+
+    it('should reject typed data with another schema or domain', () => {
+      const { digest, typedData } = preparedIntent(EOA, [feedCall]);
+      const returning = (data: any) => ({ digest, typedData: data });
+      const withoutPayer = {
+        ...typedData,
+        types: { Intent: typedData.types.Intent.filter(field => field.name !== 'payer') },
+      };
+      const callsForm = {
+        ...typedData,
+        types: {
+          Call: [
+            { name: 'to', type: 'address' },
+            { name: 'value', type: 'uint256' },
+            { name: 'data', type: 'bytes' },
+          ],
+          Intent: typedData.types.Intent.map(field =>
+            field.name === 'executionData' ? { name: 'calls', type: 'Call[]' } : field
+          ),
+        },
+        message: { ...typedData.message, calls: [{ to: FRENPET_ADDRESS, value: '0x0', data: feedCall.data }] },
+      };
+      const otherDomain = { ...typedData, domain: { ...typedData.domain, name: 'Other' } };
+
+      expect(mismatchField(() => verifyIntentDigest(returning(withoutPayer), expected))).toBe('typedData');
+      expect(mismatchField(() => verifyIntentDigest(returning(callsForm), expected))).toBe('typedData');
+      expect(mismatchField(() => verifyIntentDigest(returning({ ...typedData, primaryType: 'Upgrade' }), expected)))
+        .toBe('typedData');
+      expect(mismatchField(() => verifyIntentDigest(returning(otherDomain), expected))).toBe('domain');
+    });
+
+    it('should reject an intent for another verifying contract', () => {
+      const { typedData } = preparedIntent(EOA, [feedCall]);
+      const other = { ...typedData, domain: { ...typedData.domain, verifyingContract: OTHER } };
+
+      expect(mismatchField(() => verifyIntentDigest({ digest: hashTypedData(other as any), typedData: other }, expected)))
+        .toBe('orchestrator');
+    });
+
+    it('should only accept the pre-calls that were sent', () => {
+      const preCall = { eoa: EOA, executionData: '0xabcd', nonce: '0x0', signature: '0x01' };
+      const withPreCall = preparedIntent(EOA, [feedCall], { encodedPreCalls: [encodePreCall(preCall)] });
+
+      expect(() => verifyIntentDigest(withPreCall, { ...expected, preCalls: [preCall] })).not.toThrow();
+      expect(mismatchField(() => verifyIntentDigest(withPreCall, expected))).toBe('preCalls');
+      expect(mismatchField(() => verifyIntentDigest(
+        withPreCall,
+        { ...expected, preCalls: [{ ...preCall, executionData: '0xabce' }] }
+      ))).toBe('preCalls');
+    });
+
+    it('should reject payment in another token or above the total', () => {
+      const usdc = preparedIntent(EOA, [feedCall], { paymentToken: OTHER });
+      const prePayment = preparedIntent(EOA, [feedCall], { prePaymentMaxAmount: 2n, totalPaymentMaxAmount: 1n });
+
+      expect(() => verifyIntentDigest(usdc, { ...expected, feeToken: OTHER })).not.toThrow();
+      expect(mismatchField(() => verifyIntentDigest(usdc, expected))).toBe('paymentToken');
+      expect(mismatchField(() => verifyIntentDigest(prePayment, expected))).toBe('prePaymentMaxAmount');
+    });
+
+    it('should reject a quote that differs from the signed payment', () => {
+      const charged = preparedIntent(EOA, [feedCall], { payer: EOA, totalPaymentMaxAmount: 100n });
+      const free = preparedIntent(EOA, [feedCall]);
+
+      expect(mismatchField(() => verifyIntentDigest({ ...charged, context: free.context }, expected))).toBe('quote');
+    });
+  });
+
+  describe('verifyUpgradeDigests', () => {
+    const upgrade = {
+      address: EOA,
+      chainId: PORTO_CONFIG.chainId,
+      delegation: PORTO_CONFIG.contracts.proxy,
+      authorizeKeys: [] as KeyAuthorization[],
+    };
+    const sessionKey = buildKeyAuthorization(fromAddress(OTHER), 'session', 1_700_000_000_000, [
+      { type: 'call', to: feedCall.to, selector: feedCall.data.slice(0, 10) },
+    ]);
+
+    it('should accept the requested delegation', () => {
+      expect(() => verifyUpgradeDigests(preparedUpgrade(EOA), upgrade)).not.toThrow();
+    });
+
+    it('should reject another delegation target', () => {
+      expect(mismatchField(() => verifyUpgradeDigests(preparedUpgrade(EOA, OTHER), upgrade))).toBe('delegation');
+    });
+
+    it('should reject digests that were not derived from the payload', () => {
+      const prepared = preparedUpgrade(EOA);
+
+      expect(mismatchField(() => verifyUpgradeDigests(
+        { ...prepared, digests: { ...prepared.digests, auth: prepared.digests.exec } },
+        upgrade
+      ))).toBe('digests.auth');
+      expect(mismatchField(() => verifyUpgradeDigests(
+        { ...prepared, digests: { ...prepared.digests, exec: prepared.digests.auth } },
+        upgrade
+      ))).toBe('digests.exec');
+      expect(mismatchField(() => verifyUpgradeDigests(preparedUpgrade(OTHER), upgrade))).toBe('from');
+    });
+
+    it('should reject an upgrade schema that leaves the keys unsigned', () => {
+      const prepared = preparedUpgrade(EOA);
+      const { typedData } = prepared;
+      const withoutKeys = {
+        ...typedData,
+        types: { Upgrade: typedData.types.Upgrade.filter(field => field.name !== 'keys') },
+      };
+
+      expect(mismatchField(() => verifyUpgradeDigests(
+        { ...prepared, digests: { ...prepared.digests, exec: hashTypedData(withoutKeys as any) }, typedData: withoutKeys },
+        upgrade
+      ))).toBe('typedData');
+    });
+
+    it('should accept exactly the requested keys', () => {
+      const expected = { ...upgrade, authorizeKeys: [sessionKey] };
+      const prepared = preparedUpgrade(EOA, PORTO_CONFIG.contracts.proxy, [sessionKey]);
+
+      expect(() => verifyUpgradeDigests(prepared, expected)).not.toThrow();
+      expect(mismatchField(() => verifyUpgradeDigests(prepared, upgrade))).toBe('keys');
+    });
+
+    it('should reject a key the client did not ask for', () => {
+      const relayAdmin = buildKeyAuthorization(fromAddress(OTHER), 'admin');
+      const prepared = preparedUpgrade(EOA, PORTO_CONFIG.contracts.proxy, [sessionKey, relayAdmin]);
+
+      expect(mismatchField(() => verifyUpgradeDigests(prepared, { ...upgrade, authorizeKeys: [sessionKey] })))
+        .toBe('keys');
+    });
+
+    it('should reject a changed key', () => {
+      const expected = { ...upgrade, authorizeKeys: [sessionKey] };
+      const changed = (key: Partial<KeyAuthorization>) =>
+        preparedUpgrade(EOA, PORTO_CONFIG.contracts.proxy, [{ ...sessionKey, ...key }]);
+
+      expect(mismatchField(() => verifyUpgradeDigests(changed({ role: 'admin' } as any), expected))).toBe('keys');
+      expect(mismatchField(() => verifyUpgradeDigests(changed({ expiry: '0x0' }), expected))).toBe('keys');
+      expect(mismatchField(() => verifyUpgradeDigests(changed({ publicKey: fromAddress(EOA).publicKey }), expected)))
+        .toBe('keys');
+    });
+
+    it('should reject widened permissions in the returned context', () => {
+      const prepared = preparedUpgrade(EOA, PORTO_CONFIG.contracts.proxy, [sessionKey]);
+      const widened = {
+        ...prepared,
+        context: {
+          ...prepared.context,
+          authorizeKeys: [{
+            ...sessionKey,
+            permissions: [...sessionKey.permissions, { type: 'call', to: OTHER, selector: '0x12345678' }],
+          }],
+        },
+      };
+
+      expect(mismatchField(() => verifyUpgradeDigests(widened, { ...upgrade, authorizeKeys: [sessionKey] }))).toBe('keys');
+    });
+  });
+
+  describe('PortoClient', () => {
+    const mockFetch = global.fetch as jest.MockedFunction<typeof fetch>;
+    let client: PortoClient;
+
+    const rpcResult = (result: any) => ({
+      ok: true,
+      json: async () => ({ jsonrpc: '2.0', id: 1, result }),
+    } as Response);
+
+    const methods = () => mockFetch.mock.calls.map(call => JSON.parse(call[1]?.body as string).method);
+
+    beforeEach(async () => {
+      jest.clearAllMocks();
+      client = new PortoClient();
+      await client.init(generatePrivateKey());
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should refuse to sign an intent for other calls', async () => {
+      mockFetch
+        .mockResolvedValueOnce(rpcResult(preparedUpgrade(client.getAddress()!)))
+        .mockResolvedValueOnce(rpcResult(true))
+        .mockResolvedValueOnce(rpcResult(preparedIntent(client.getAddress()!, [{ ...feedCall, to: OTHER }])));
+
+      const error = await client.executeGaslessBatch([feedCall]).catch(e => e);
+
+      expect(error).toBeInstanceOf(PortoDigestMismatchError);
+      expect(error.name).toBe('DigestMismatch');
+      expect(getUserMessage(error)).toBe('RELAY MISMATCH - NOT SIGNED');
+      expect(methods()).not.toContain('wallet_sendPreparedCalls');
+    });
+
+    it('should refuse to sign an upgrade to another delegation', async () => {
+      mockFetch.mockResolvedValueOnce(rpcResult(preparedUpgrade(client.getAddress()!, OTHER)));
+
+      await expect(client.prepareUpgrade()).rejects.toBeInstanceOf(PortoDigestMismatchError);
+      expect(methods()).toEqual(['wallet_prepareUpgradeAccount']);
+    });
+
+    it('should refuse an intent that charges the account behind a free quote', async () => {
+      const charged = preparedIntent(client.getAddress()!, [feedCall], {
+        payer: client.getAddress(),
+        totalPaymentMaxAmount: 100n,
+      });
+      mockFetch
+        .mockResolvedValueOnce(rpcResult(preparedUpgrade(client.getAddress()!)))
+        .mockResolvedValueOnce(rpcResult(true))
+        .mockResolvedValueOnce(rpcResult({ ...charged, context: preparedIntent(client.getAddress()!, [feedCall]).context }));
+
+      await expect(client.executeGaslessBatch([feedCall])).rejects.toBeInstanceOf(PortoDigestMismatchError);
+      expect(methods()).not.toContain('wallet_sendPreparedCalls');
+    });
+
+    it('should only sign digests it prepared and verified', async () => {
+      await expect(client.signIntent('0x' + '77'.repeat(32))).rejects.toBeInstanceOf(PortoDigestMismatchError);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for the typed Porto error model and user-facing mapping
+ */
+
+import { describe, expect, it } from '@jest/globals';
+import {
+  PortoError,
+  PortoNetworkError,
+  PortoRpcError,
+  PortoTransactionError,
+  fromRpcError,
+  toPortoError,
+  stageForMethod,
+  getUserMessage,
+} from '../portoErrors';
+import { TransportError } from '../portoTransport';
+import { PORTO_ERRORS } from '../../config/porto';
+
+describe('Porto Errors', () => {
+  describe('fromRpcError', () => {
+    it('should keep code, stage and relay data', () => {
+      const error = fromRpcError('send', {
+        code: -32003,
+        message: 'failed to send transaction',
+        data: 'insufficient funds for gas * price + value',
+      });
+
+      expect(error).toBeInstanceOf(PortoRpcError);
+      expect(error).toBeInstanceOf(PortoError);
+      expect(error.code).toBe(-32003);
+      expect(error.stage).toBe('send');
+      expect(error.retryable).toBe(false);
+      expect(error.data).toContain('insufficient funds');
+      expect(error.message).toBe(`${PORTO_ERRORS.SEND_FAILED}: failed to send transaction`);
+    });
+
+    it('should flag internal errors as retryable', () => {
+      expect(fromRpcError('prepare', { code: -32603, message: 'internal' }).retryable).toBe(true);
+    });
+  });
+
+  describe('toPortoError', () => {
+    it('should turn transport failures into network errors', () => {
+      const error = toPortoError('prepare', new TransportError('HTTP error! status: 503', true, 503));
+
+      expect(error).toBeInstanceOf(PortoNetworkError);
+      expect(error.retryable).toBe(true);
+      expect(error.code).toBe(503);
+    });
+
+    it('should pass PortoErrors through unchanged', () => {
+      const original = new PortoTransactionError('Transaction failed', { stage: 'status' });
+      expect(toPortoError('send', original)).toBe(original);
+    });
+  });
+
+  it('should map relay methods to stages', () => {
+    expect(stageForMethod('wallet_prepareCalls')).toBe('prepare');
+    expect(stageForMethod('wallet_sendPreparedCalls')).toBe('send');
+    expect(stageForMethod('wallet_upgradeAccount')).toBe('upgrade');
+    expect(stageForMethod('health')).toBe('status');
+  });
+
+  describe('getUserMessage', () => {
+    it('should show RELAY OFFLINE for network errors', () => {
+      const error = new PortoNetworkError('Network error', { stage: 'prepare' });
+      expect(getUserMessage(error)).toBe('RELAY OFFLINE');
+    });
+
+    it('should show PET IS DEAD for the dead pet revert', () => {
+      const error = fromRpcError('prepare', {
+        code: 3,
+        message: 'execution reverted',
+        data: 'Your pet is no longer with us',
+      });
+      expect(getUserMessage(error)).toBe('PET IS DEAD');
+    });
+
+    it('should show NOT DELEGATED for upgrade failures', () => {
+      const error = fromRpcError('upgrade', { code: -32602, message: 'Invalid params' });
+      expect(getUserMessage(error)).toBe('NOT DELEGATED');
+    });
+
+    it('should match plain errors on their text', () => {
+      expect(getUserMessage(new Error('reverted: Name cannot be empty'))).toBe('ENTER A NAME!');
+    });
+
+    it('should fall back to the provided message', () => {
+      expect(getUserMessage(new Error('???'), 'FAILED TO FEED')).toBe('FAILED TO FEED');
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Tests for fee token selection and fee quotes
+ */
+
+import { describe, expect, it, jest, beforeEach, afterEach } from '@jest/globals';
+import { generatePrivateKey } from 'viem/accounts';
+import { PortoClient } from '../portoClient.native';
+import { PortoSponsorshipError, getUserMessage } from '../portoErrors';
+import { parseFeeTokens, parseFeeQuote, formatFeeQuote, DEFAULT_FEE_TOKEN } from '../portoFees';
+import { FRENPET_ADDRESS } from '../../config/contracts';
+import { preparedIntent } from './helpers/relayFixtures';
+
+jest.mock('../accountUpgrade', () => ({
+  isAccountDelegated: jest.fn(async () => true),
+}));
+
+// Mock fetch
+global.fetch = jest.fn() as any;
+
+const EOA = '0x1111111111111111111111111111111111111111';
+const USDC = '0x2222222222222222222222222222222222222222';
+const RELAY = '0x584B5274765a7F7C78FDc960248f38e5Ad6b1EDb';
+
+const capabilities = {
+  '0xaa39db': {
+    fees: {
+      tokens: [
+        { address: DEFAULT_FEE_TOKEN.address, decimals: 18, kind: 'ETH', symbol: 'ETH' },
+        { address: USDC, decimals: 6, symbol: 'USDC', feeToken: true },
+        { address: '0x3333333333333333333333333333333333333333', decimals: 18, symbol: 'EXP', feeToken: false },
+      ],
+    },
+  },
+};
+
+const prepared = (intent: Record<string, any>) => ({
+  context: {
+    quote: {
+      intent: { eoa: EOA, paymentToken: DEFAULT_FEE_TOKEN.address, ...intent },
+      txGas: '0x186a0',
+      ttl: 1_700_000_060,
+    },
+  },
+  digest: '0x' + '44'.repeat(32),
+});
+
+describe('Porto Fees', () => {
+  describe('parseFeeTokens', () => {
+    it('should list the fee tokens for our chain', () => {
+      const tokens = parseFeeTokens(capabilities);
+
+      expect(tokens.map(t => t.symbol)).toEqual(['ETH', 'USDC']);
+      expect(tokens[1].decimals).toBe(6);
+    });
+
+    it('should return nothing for other chains', () => {
+      expect(parseFeeTokens({ '0x1': capabilities['0xaa39db'] })).toEqual([]);
+    });
+  });
+
+  describe('parseFeeQuote', () => {
+    it('should treat a relay-paid intent as sponsored', () => {
+      const quote = parseFeeQuote(prepared({ payer: RELAY, totalPaymentMaxAmount: '0x0' }), []);
+
+      expect(quote?.sponsored).toBe(true);
+      expect(quote?.gasEstimate).toBe(100000n);
+      expect(quote?.expiry).toBe(1_700_000_060);
+      expect(formatFeeQuote(quote)).toBe('FREE');
+    });
+
+    it('should report the fee when the account pays', () => {
+      const tokens = parseFeeTokens(capabilities);
+      const quote = parseFeeQuote(
+        prepared({ payer: EOA, paymentToken: USDC, totalPaymentMaxAmount: '0x1e8480' }),
+        tokens
+      );
+
+      expect(quote?.sponsored).toBe(false);
+      expect(quote?.amount).toBe(2000000n);
+      expect(formatFeeQuote(quote)).toBe('2 USDC');
+    });
+
+    it('should read the first quote from newer relays', () => {
+      const result = prepared({ payer: EOA, totalPaymentMaxAmount: '0x38d7ea4c68000' });
+      const nested = { context: { quote: { quotes: [result.context.quote], ttl: 1 } } };
+
+      expect(formatFeeQuote(parseFeeQuote(nested, []))).toBe('0.001 ETH');
+    });
+
+    it('should take the payment from the signed intent over the quote', () => {
+      const result = preparedIntent(EOA, [], { payer: EOA, totalPaymentMaxAmount: 100n });
+      const { context } = prepared({ payer: RELAY, totalPaymentMaxAmount: '0x0' });
+      const quote = parseFeeQuote({ ...result, context }, []);
+
+      expect(quote?.sponsored).toBe(false);
+      expect(quote?.amount).toBe(100n);
+      expect(parseFeeQuote({ ...result, context: {} }, [])?.amount).toBe(100n);
+    });
+
+    it('should return null without a quote', () => {
+      expect(parseFeeQuote({ context: {} }, [])).toBeNull();
+    });
+  });
+
+  describe('PortoClient', () => {
+    const mockFetch = global.fetch as jest.MockedFunction<typeof fetch>;
+    let client: PortoClient;
+
+    const rpcResult = (result: any) => ({
+      ok: true,
+      json: async () => ({ jsonrpc: '2.0', id: 1, result }),
+    } as Response);
+
+    const feedCall = { to: FRENPET_ADDRESS, data: '0x77d6fc43', value: '0x0' }; // feedPet()
+    const unsponsored = () =>
+      preparedIntent(client.getAddress()!, [feedCall], { payer: client.getAddress(), totalPaymentMaxAmount: 100n });
+
+    beforeEach(async () => {
+      jest.clearAllMocks();
+      client = new PortoClient();
+      await client.init(generatePrivateKey());
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should send the selected fee token', async () => {
+      mockFetch
+        .mockResolvedValueOnce(rpcResult(capabilities))
+        .mockResolvedValueOnce(rpcResult(preparedIntent(client.getAddress()!, [feedCall], { payer: RELAY, paymentToken: USDC })));
+
+      await client.setFeeToken(USDC);
+      await client.quoteCalls([feedCall]);
+
+      const prepare = JSON.parse(mockFetch.mock.calls[1][1]?.body as string);
+      expect(prepare.params[0].capabilities.meta.feeToken).toBe(USDC);
+    });
+
+    it('should reject fee tokens the relay does not accept', async () => {
+      mockFetch.mockResolvedValueOnce(rpcResult(capabilities));
+
+      await expect(client.setFeeToken('0x3333333333333333333333333333333333333333'))
+        .rejects.toThrow('Fee token not supported by relay');
+    });
+
+    it('should not send an unsponsored intent without consent', async () => {
+      mockFetch.mockResolvedValueOnce(rpcResult(unsponsored()));
+
+      const error = await client.executeGaslessBatch([feedCall]).catch(e => e);
+
+      expect(error).toBeInstanceOf(PortoSponsorshipError);
+      expect(error.data.amount).toBe(100n);
+      expect(getUserMessage(error)).toBe('NOT SPONSORED - FEE REQUIRED');
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should send once the user accepted the fee', async () => {
+      mockFetch
+        .mockResolvedValueOnce(rpcResult(unsponsored()))
+        .mockResolvedValueOnce(rpcResult({ id: '0xpaid' }));
+
+      const result = await client.executeGaslessBatch([feedCall], undefined, { maxFee: 100n });
+
+      expect(result.bundleId).toBe('0xpaid');
+      expect(result.quote?.sponsored).toBe(false);
+    });
+  });
+});
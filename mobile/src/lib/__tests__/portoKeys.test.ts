@@ -0,0 +1,298 @@
+/**
+ * Tests for P-256 and WebAuthn keys on Porto accounts
+ */
+
+import { describe, expect, it, jest, beforeEach, afterEach } from '@jest/globals';
+import { P256, PublicKey } from 'ox';
+import { decodeAbiParameters, encodeFunctionData, keccak256, recoverAddress, toHex, type Hex } from 'viem';
+import { generatePrivateKey, privateKeyToAccount } from 'viem/accounts';
+import {
+  createP256Signer,
+  createWebAuthnSigner,
+  encodeP256Signature,
+  generateP256PrivateKey,
+} from '../portoKeys';
+import { PortoClient, portoClient } from '../portoClient.native';
+import { SessionWallet } from '../sessionWallet';
+import { Storage } from '../storage';
+import { serializePublicKey } from '../porto-utils';
+import { isAccountDelegated } from '../accountUpgrade';
+import { FRENPET_ADDRESS, FRENPET_ABI } from '../../config/contracts';
+import { PORTO_CONFIG } from '../../config/porto';
+import { preparedIntent, preparedUpgrade } from './helpers/relayFixtures';
+
+jest.mock('../accountUpgrade', () => ({
+  isAccountDelegated: jest.fn(async () => true),
+}));
+jest.mock('../delegationInspector', () => ({
+  ...(jest.requireActual('../delegationInspector') as object),
+  inspectDelegation: jest.fn(async (address: string) => ({ address, status: 'none', delegate: null, keys: null })),
+}));
+
+jest.mock('../storage', () => {
+  const values = new Map<string, string>();
+  return {
+    Storage: {
+      values,
+      getItem: jest.fn(async (key: string) => values.get(key) ?? null),
+      setItem: jest.fn(async (key: string, value: string) => { values.set(key, value); }),
+      deleteItem: jest.fn(async (key: string) => { values.delete(key); }),
+    },
+  };
+});
+
+// Mock fetch
+global.fetch = jest.fn() as any;
+
+const P256_N = 0xffffffff00000000ffffffffffffffffbce6faada7179e84f3b9cac2fc632551n;
+const digest = keccak256(toHex('intent'));
+
+// Split an r‖s signature
+const toRS = (signature: Hex) => ({
+  r: BigInt(`0x${signature.slice(2, 66)}`),
+  s: BigInt(`0x${signature.slice(66, 130)}`),
+});
+
+describe('Porto keys', () => {
+  const privateKey = generateP256PrivateKey();
+  const publicKey = P256.getPublicKey({ privateKey });
+
+  it('should serialize P-256 public keys as x and y', () => {
+    const x = 'ab'.repeat(32);
+    const y = 'cd'.repeat(32);
+
+    expect(serializePublicKey(`0x04${x}${y}`, 'p256')).toBe(`0x${x}${y}`);
+    expect(serializePublicKey(`0x${x}${y}`, 'webauthn-p256')).toBe(`0x${x}${y}`);
+    expect(() => serializePublicKey(`0x${x}`, 'p256')).toThrow('expected 64 bytes');
+    // Addresses are still padded
+    expect(serializePublicKey('0x1234')).toBe(`0x${'0'.repeat(60)}1234`);
+  });
+
+  it('should sign digests with a software P-256 key', async () => {
+    const signer = createP256Signer(privateKey);
+
+    const signature = await signer.sign(digest);
+
+    expect(signer).toMatchObject({ type: 'p256', prehash: false });
+    expect(signer.publicKey).toBe(PublicKey.toHex(publicKey, { includePrefix: false }));
+    expect(signature).toHaveLength(2 + 128);
+    expect(P256.verify({ payload: digest, publicKey, signature: toRS(signature) })).toBe(true);
+  });
+
+  it('should sign sha256 of the digest with prehash', async () => {
+    const signer = createP256Signer(privateKey, { prehash: true });
+
+    const signature = await signer.sign(digest);
+
+    expect(signer.prehash).toBe(true);
+    expect(P256.verify({ payload: digest, publicKey, signature: toRS(signature), hash: true })).toBe(true);
+    expect(P256.verify({ payload: digest, publicKey, signature: toRS(signature) })).toBe(false);
+  });
+
+  it('should only produce low-S signatures', () => {
+    const high = P256_N - 5n;
+
+    expect(toRS(encodeP256Signature(1n, high)).s).toBe(5n);
+    expect(toRS(encodeP256Signature(1n, 5n)).s).toBe(5n);
+  });
+
+  it('should sign with a passkey through a WebAuthn assertion', async () => {
+    const clientDataJSON = JSON.stringify({ type: 'webauthn.get', challenge: 'abc', origin: 'https://frenpet.xyz' });
+    const assert = jest.fn(async (challenge: Hex) => ({
+      authenticatorData: '0x49960de5' as Hex,
+      clientDataJSON,
+      signature: P256.sign({ payload: challenge, privateKey }),
+    }));
+    const signer = createWebAuthnSigner(PublicKey.toHex(publicKey), assert);
+
+    const signature = await signer.sign(digest);
+
+    expect(assert).toHaveBeenCalledWith(digest);
+    expect(signer).toMatchObject({ type: 'webauthn-p256', prehash: false });
+    const [auth] = decodeAbiParameters([{
+      type: 'tuple',
+      components: [
+        { name: 'authenticatorData', type: 'bytes' },
+        { name: 'clientDataJSON', type: 'string' },
+        { name: 'challengeIndex', type: 'uint256' },
+        { name: 'typeIndex', type: 'uint256' },
+        { name: 'r', type: 'bytes32' },
+        { name: 's', type: 'bytes32' },
+      ],
+    }], signature);
+    expect(auth).toMatchObject({
+      authenticatorData: '0x49960de5',
+      clientDataJSON,
+      challengeIndex: BigInt(clientDataJSON.indexOf('"challenge"')),
+      typeIndex: 1n,
+    });
+  });
+});
+
+describe('Porto client with a P-256 admin key', () => {
+  const mockFetch = global.fetch as jest.MockedFunction<typeof fetch>;
+  const feedCall = {
+    to: FRENPET_ADDRESS,
+    data: encodeFunctionData({ abi: FRENPET_ABI, functionName: 'feedPet', args: [] }),
+    value: '0x0',
+  };
+  const privateKey = generateP256PrivateKey();
+  const mainKey = generatePrivateKey();
+  let client: PortoClient;
+  let digests: Hex[];
+  let bundleStatus: number;
+
+  const requests = (method: string) => mockFetch.mock.calls
+    .map(call => JSON.parse(call[1]?.body as string))
+    .filter(body => body.method === method)
+    .map(body => body.params[0]);
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.mocked(isAccountDelegated).mockResolvedValue(true);
+    digests = [];
+    bundleStatus = 200;
+    const relay: Record<string, (params: any[]) => any> = {
+      wallet_prepareUpgradeAccount: ([{ address, delegation, capabilities }]) =>
+        preparedUpgrade(address, delegation, capabilities.authorizeKeys),
+      wallet_upgradeAccount: () => ({}),
+      wallet_prepareCalls: ([{ from, calls }]) => {
+        const prepared = preparedIntent(from, calls);
+        digests.push(prepared.digest as Hex);
+        return prepared;
+      },
+      wallet_sendPreparedCalls: () => ({ id: '0xbundle' }),
+      wallet_getCallsStatus: ([id]) => ({ id, status: bundleStatus }),
+    };
+    mockFetch.mockImplementation((async (_url: string, init: RequestInit) => {
+      const { id, method, params } = JSON.parse(init.body as string);
+      return { ok: true, json: async () => ({ jsonrpc: '2.0', id, result: relay[method](params) }) };
+    }) as any);
+
+    client = new PortoClient();
+    await client.init(mainKey);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should authorize the key with the main key, then sign with it', async () => {
+    const signer = createP256Signer(privateKey, { prehash: true });
+    const onAuthorized = jest.fn();
+    client.setAdminKey(signer, { onAuthorized });
+
+    const { bundleId } = await client.executeGaslessBatch([feedCall]);
+    await client.waitForTransaction(bundleId);
+    await client.executeGaslessBatch([feedCall]);
+
+    const [authorize, signed] = requests('wallet_prepareCalls');
+    expect(authorize.capabilities.authorizeKeys).toEqual([expect.objectContaining({
+      role: 'admin',
+      type: 'p256',
+      prehash: true,
+      publicKey: signer.publicKey,
+      expiry: '0x0',
+    })]);
+    expect(authorize.key.type).toBe('secp256k1');
+    expect(signed.capabilities.authorizeKeys).toBeUndefined();
+    expect(signed.key).toEqual({ type: 'p256', prehash: true, publicKey: signer.publicKey });
+    expect(onAuthorized).toHaveBeenCalledWith(PORTO_CONFIG.chainId);
+
+    const [first, second] = requests('wallet_sendPreparedCalls');
+    await expect(recoverAddress({ hash: digests[0], signature: first.signature }))
+      .resolves.toBe(privateKeyToAccount(mainKey).address);
+    expect(second.key).toEqual(signed.key);
+    expect(P256.verify({
+      payload: digests[1],
+      publicKey: P256.getPublicKey({ privateKey }),
+      signature: toRS(second.signature),
+      hash: true,
+    })).toBe(true);
+  });
+
+  it('should keep signing with the main key when the authorizing bundle failed', async () => {
+    const signer = createP256Signer(privateKey);
+    const onAuthorized = jest.fn();
+    client.setAdminKey(signer, { onAuthorized });
+    bundleStatus = 500;
+
+    const { bundleId } = await client.executeGaslessBatch([feedCall]);
+    await expect(client.waitForTransaction(bundleId)).rejects.toThrow();
+    await client.executeGaslessBatch([feedCall]);
+
+    const [, retry] = requests('wallet_prepareCalls');
+    expect(retry.key.type).toBe('secp256k1');
+    expect(retry.capabilities.authorizeKeys).toEqual([
+      expect.objectContaining({ role: 'admin', type: 'p256', publicKey: signer.publicKey }),
+    ]);
+    expect(onAuthorized).not.toHaveBeenCalled();
+  });
+
+  it('should authorize the key with the account upgrade', async () => {
+    jest.mocked(isAccountDelegated).mockResolvedValue(false);
+    const signer = createP256Signer(privateKey);
+    client.setAdminKey(signer);
+
+    await client.executeGaslessBatch([feedCall]);
+
+    const [upgrade] = requests('wallet_prepareUpgradeAccount');
+    expect(upgrade.capabilities.authorizeKeys).toEqual([
+      expect.objectContaining({ role: 'admin', type: 'p256', publicKey: signer.publicKey }),
+    ]);
+    const [prepare] = requests('wallet_prepareCalls');
+    expect(prepare.capabilities.authorizeKeys).toBeUndefined();
+    // The upgrade lands with this intent, so the main key still signs it
+    expect(prepare.key.type).toBe('secp256k1');
+    expect(client.getUpgradeContext()?.adminKey).toEqual({ type: 'p256', prehash: false, publicKey: signer.publicKey });
+  });
+});
+
+describe('SessionWallet admin key', () => {
+  const stored = (Storage as any).values as Map<string, string>;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    stored.clear();
+  });
+
+  afterEach(() => {
+    portoClient.clearAdminKey();
+    jest.restoreAllMocks();
+  });
+
+  it('should create a P-256 admin key, keep it and remember where it is authorized', async () => {
+    const setAdminKey = jest.spyOn(portoClient, 'setAdminKey');
+    const wallet = new SessionWallet();
+    await wallet.initMainWallet();
+    await wallet.initAdminKey();
+
+    const [signer, options] = setAdminKey.mock.calls[0];
+    expect(signer).toMatchObject({ type: 'p256', publicKey: wallet.getAdminPublicKey() });
+    expect(options?.authorizedChainIds).toEqual([]);
+    options?.onAuthorized?.(PORTO_CONFIG.chainId);
+    await Promise.resolve();
+
+    const reloaded = new SessionWallet();
+    await reloaded.initAdminKey();
+
+    const [reloadedSigner, reloadedOptions] = setAdminKey.mock.calls[1];
+    expect(reloadedSigner.publicKey).toBe(signer.publicKey);
+    expect(reloadedOptions?.authorizedChainIds).toEqual([PORTO_CONFIG.chainId]);
+    await expect(reloadedSigner.sign(digest)).resolves.toMatch(/^0x[0-9a-f]{128}$/);
+  });
+
+  it('should drop the admin key with the wallet', async () => {
+    const clearAdminKey = jest.spyOn(portoClient, 'clearAdminKey');
+    const wallet = new SessionWallet();
+    await wallet.initMainWallet();
+    await wallet.initAdminKey();
+
+    await wallet.resetAll();
+
+    expect(stored.has('RISE_ADMIN_KEY')).toBe(false);
+    expect(wallet.getAdminPublicKey()).toBeNull();
+    expect(clearAdminKey).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Tests for the EIP-1193 provider over PortoClient
+ */
+
+import { describe, expect, it, jest, beforeEach, afterEach } from '@jest/globals';
+import { createWalletClient, custom, encodeFunctionData, verifyMessage, type Hex } from 'viem';
+import { generatePrivateKey, privateKeyToAccount } from 'viem/accounts';
+import { PortoProvider } from '../portoProvider';
+import { PortoIntentRejectedError } from '../portoErrors';
+import { FRENPET_ADDRESS, FRENPET_ABI } from '../../config/contracts';
+import { PORTO_CONFIG } from '../../config/porto';
+import { toViemChain } from '../../config/networks';
+
+// Mock fetch
+global.fetch = jest.fn() as any;
+
+const feed = encodeFunctionData({ abi: FRENPET_ABI, functionName: 'feedPet', args: [] });
+
+describe('Porto provider', () => {
+  const mockFetch = global.fetch as jest.MockedFunction<typeof fetch>;
+  const account = privateKeyToAccount(generatePrivateKey());
+  let client: any;
+  let provider: PortoProvider;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = {
+      getAddress: jest.fn(() => account.address),
+      onAccountChange: jest.fn(() => () => {}),
+      queueGaslessBatch: jest.fn(async () => ({ bundleId: '0xbundle', quote: null })),
+      getCallsStatus: jest.fn(async (id: string) => ({
+        id,
+        status: 200,
+        receipts: [{ status: '0x1', blockNumber: '0x2a', transactionHash: '0xabc', logs: [] }],
+      })),
+      getFeeTokens: jest.fn(async () => [{ address: '0x0000000000000000000000000000000000000000', symbol: 'ETH', decimals: 18 }]),
+      signMessage: jest.fn(({ raw }: any) => account.signMessage({ message: { raw } })),
+    };
+    provider = new PortoProvider(client);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should report the Porto account and the active chain', async () => {
+    await expect(provider.request({ method: 'eth_accounts' })).resolves.toEqual([account.address]);
+    await expect(provider.request({ method: 'eth_chainId' })).resolves.toBe(`0x${PORTO_CONFIG.chainId.toString(16)}`);
+
+    client.getAddress.mockReturnValue(null);
+    await expect(provider.request({ method: 'eth_requestAccounts' })).resolves.toEqual([]);
+  });
+
+  it('should send calls as one queued intent and report its status through viem', async () => {
+    const wallet = createWalletClient({ account: account.address, chain: toViemChain(), transport: custom(provider) });
+
+    const { id } = await wallet.sendCalls({
+      calls: [
+        { to: FRENPET_ADDRESS as Hex, data: feed },
+        { to: FRENPET_ADDRESS as Hex, data: feed, value: 0n },
+      ],
+    });
+    const status = await wallet.getCallsStatus({ id });
+
+    expect(id).toBe('0xbundle');
+    expect(client.queueGaslessBatch).toHaveBeenCalledWith(
+      [
+        { to: FRENPET_ADDRESS, data: feed, value: '0x0' },
+        { to: FRENPET_ADDRESS, data: feed, value: '0x0' },
+      ],
+      { label: 'dapp' }
+    );
+    expect(status).toMatchObject({ status: 'success', statusCode: 200, atomic: true, chainId: PORTO_CONFIG.chainId });
+    expect(status.receipts?.[0]).toMatchObject({ status: 'success', blockNumber: 42n, transactionHash: '0xabc' });
+  });
+
+  it('should map relay statuses to EIP-5792 codes', async () => {
+    client.getCallsStatus.mockResolvedValue({ id: '0xbundle', status: 0 });
+
+    const status = await provider.request({ method: 'wallet_getCallsStatus', params: ['0xbundle'] });
+
+    expect(status).toMatchObject({ id: '0xbundle', status: 100, version: '2.0.0' });
+  });
+
+  it('should sign messages with the main key', async () => {
+    const wallet = createWalletClient({ account: account.address, transport: custom(provider) });
+
+    const signature = await wallet.signMessage({ message: 'I own this pet' });
+
+    await expect(verifyMessage({ address: account.address, message: 'I own this pet', signature })).resolves.toBe(true);
+  });
+
+  it('should refuse requests for other accounts, chains and methods', async () => {
+    const other = privateKeyToAccount(generatePrivateKey()).address;
+
+    await expect(provider.request({ method: 'personal_sign', params: ['0x1234', other] }))
+      .rejects.toMatchObject({ code: 4100 });
+    await expect(provider.request({
+      method: 'wallet_sendCalls',
+      params: [{ chainId: '0x1', calls: [{ to: FRENPET_ADDRESS, data: feed }] }],
+    })).rejects.toMatchObject({ code: -32602 });
+    await expect(provider.request({ method: 'eth_sendTransaction', params: [{}] }))
+      .rejects.toMatchObject({ code: 4200 });
+    expect(client.queueGaslessBatch).not.toHaveBeenCalled();
+  });
+
+  it('should report a declined intent as a user rejection', async () => {
+    client.queueGaslessBatch.mockRejectedValue(new PortoIntentRejectedError('Intent rejected by user', { stage: 'sign' }));
+
+    await expect(provider.request({
+      method: 'wallet_sendCalls',
+      params: [{ calls: [{ to: FRENPET_ADDRESS, data: feed }] }],
+    })).rejects.toMatchObject({ code: 4001 });
+  });
+
+  it('should answer eth_call from the RPC node and list fee tokens as capabilities', async () => {
+    mockFetch.mockImplementation((async (_url: string, init: RequestInit) => {
+      const { id } = JSON.parse(init.body as string);
+      return new Response(JSON.stringify({ jsonrpc: '2.0', id, result: '0x01' }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }) as any);
+
+    const result = await provider.request({ method: 'eth_call', params: [{ to: FRENPET_ADDRESS, data: feed }, 'latest'] });
+    const capabilities = await provider.request({ method: 'wallet_getCapabilities', params: [account.address] });
+
+    expect(result).toBe('0x01');
+    expect(JSON.parse(mockFetch.mock.calls[0][1]?.body as string).method).toBe('eth_call');
+    expect(capabilities[`0x${PORTO_CONFIG.chainId.toString(16)}`]).toMatchObject({
+      atomic: { status: 'supported' },
+      feeTokens: { supported: true },
+    });
+  });
+});
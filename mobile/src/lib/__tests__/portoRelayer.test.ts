@@ -0,0 +1,166 @@
+/**
+ * Tests for the wallet_sendCalls relay flow, side by side with PortoClient
+ */
+
+import { describe, expect, it, jest, beforeEach, afterEach } from '@jest/globals';
+import { encodeFunctionData, isAddressEqual, recoverAddress, slice, toHex, type Hex } from 'viem';
+import { generatePrivateKey, privateKeyToAccount } from 'viem/accounts';
+import { PortoRelayerClient } from '../portoRelayer';
+import { PortoClient } from '../portoClient.native';
+import { PortoDigestMismatchError } from '../portoErrors';
+import { Storage } from '../storage';
+import { FRENPET_ADDRESS, FRENPET_ABI } from '../../config/contracts';
+import { PORTO_CONFIG } from '../../config/porto';
+import { preparedIntent } from './helpers/relayFixtures';
+
+jest.mock('../storage', () => {
+  const values = new Map<string, string>();
+  return {
+    Storage: {
+      values,
+      getItem: jest.fn(async (key: string) => values.get(key) ?? null),
+      setItem: jest.fn(async (key: string, value: string) => { values.set(key, value); }),
+    },
+  };
+});
+jest.mock('../accountUpgrade', () => ({
+  isAccountDelegated: jest.fn(async () => true),
+}));
+
+// Mock fetch
+global.fetch = jest.fn() as any;
+
+describe('Porto relayer client', () => {
+  const mockFetch = global.fetch as jest.MockedFunction<typeof fetch>;
+  const stored = (Storage as any).values as Map<string, string>;
+  const feedCall = {
+    to: FRENPET_ADDRESS,
+    data: encodeFunctionData({ abi: FRENPET_ABI, functionName: 'feedPet', args: [] }),
+    value: '0x0',
+  };
+  let relay: Record<string, (params: any[]) => any>;
+
+  const requests = (method: string) => mockFetch.mock.calls
+    .map(call => JSON.parse(call[1]?.body as string))
+    .filter(body => body.method === method)
+    .map(body => body.params[0]);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    stored.clear();
+
+    // Prepared intents by identifier; both send methods check the signature
+    // against the key the intent was prepared with
+    const prepared = new Map<string, { digest: Hex; key: any }>();
+    let bundles = 0;
+    const send = async (id: string, signature: Hex) => {
+      const intent = prepared.get(id);
+      if (!intent) throw new Error(`Unknown intent ${id}`);
+      const signer = await recoverAddress({ hash: intent.digest, signature });
+      if (!isAddressEqual(signer, slice(intent.key.publicKey as Hex, -20))) throw new Error('Invalid signature');
+      prepared.delete(id);
+      return { id: `0xbundle${++bundles}` };
+    };
+    relay = {
+      wallet_prepareCalls: ([{ from, calls, key }]) => {
+        const id = toHex(prepared.size + 1, { size: 32 });
+        const result = preparedIntent(from, calls);
+        prepared.set(id, { digest: result.digest, key });
+        return { ...result, context: { ...result.context, id }, identifier: id };
+      },
+      wallet_sendPreparedCalls: ([{ context, signature }]) => send(context.id, signature),
+      wallet_sendCalls: ([{ identifier, signature }]) => send(identifier, signature),
+      wallet_getCallsStatus: ([id]) => ({ id, status: 200, receipts: [{ status: '0x1' }] }),
+    };
+    mockFetch.mockImplementation((async (_url: string, init: RequestInit) => {
+      const { id, method, params } = JSON.parse(init.body as string);
+      try {
+        return { ok: true, json: async () => ({ jsonrpc: '2.0', id, result: await relay[method](params) }) };
+      } catch (error) {
+        return { ok: true, json: async () => ({ jsonrpc: '2.0', id, error: { code: -32001, message: (error as Error).message } }) };
+      }
+    }) as any);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should keep the session private key in secure storage', async () => {
+    const client = new PortoRelayerClient();
+    await client.initSessionKey();
+
+    const privateKey = stored.get('PORTO_SESSION_KEY') as Hex;
+    expect(privateKeyToAccount(privateKey).address).toBe(client.getSessionAddress());
+
+    const reloaded = new PortoRelayerClient();
+    await reloaded.initSessionKey();
+    expect(reloaded.getSessionAddress()).toBe(client.getSessionAddress());
+  });
+
+  it('should replace a session key stored as an address', async () => {
+    const legacy = privateKeyToAccount(generatePrivateKey()).address;
+    stored.set('PORTO_SESSION_KEY', legacy);
+    stored.set('PORTO_SESSION_KEY_EXPIRY', String(Date.now() + 60_000));
+
+    const client = new PortoRelayerClient();
+    await client.initSessionKey();
+
+    expect(client.getSessionAddress()).not.toBe(legacy);
+    expect(stored.get('PORTO_SESSION_KEY')).toHaveLength(66);
+  });
+
+  it('should sign the digest with the session key and send it by identifier', async () => {
+    const client = new PortoRelayerClient();
+
+    const { bundleId, quote } = await client.executeGaslessTransaction(feedCall.to, feedCall.data);
+    const status = await client.waitForTransaction(bundleId);
+
+    const [prepare] = requests('wallet_prepareCalls');
+    expect(prepare).toMatchObject({
+      from: client.getSessionAddress(),
+      chainId: PORTO_CONFIG.chainId,
+      key: { type: 'secp256k1', prehash: false },
+      capabilities: { meta: { feeToken: '0x0000000000000000000000000000000000000000' } },
+    });
+    expect(requests('wallet_sendCalls')).toEqual([{ identifier: toHex(1, { size: 32 }), signature: expect.any(String) }]);
+    expect(bundleId).toBe('0xbundle1');
+    expect(quote).toMatchObject({ sponsored: true });
+    expect(status).toMatchObject({ id: bundleId, status: 200 });
+  });
+
+  it('should not sign a digest for other calls than requested', async () => {
+    const prepare = relay.wallet_prepareCalls;
+    relay.wallet_prepareCalls = ([request]) =>
+      prepare([{ ...request, calls: [{ ...feedCall, to: '0x000000000000000000000000000000000000dEaD' }] }]);
+    const client = new PortoRelayerClient();
+
+    await expect(client.executeGaslessTransaction(feedCall.to, feedCall.data))
+      .rejects.toBeInstanceOf(PortoDigestMismatchError);
+    expect(requests('wallet_sendCalls')).toHaveLength(0);
+  });
+
+  it('should send the same intent as PortoClient, through wallet_sendCalls', async () => {
+    // The session key signs for its own account, as PortoClient does for the main key
+    const relayer = new PortoRelayerClient();
+    await relayer.initSessionKey();
+    const portoClient = new PortoClient();
+    await portoClient.init(stored.get('PORTO_SESSION_KEY') as string);
+
+    const viaRelayer = await relayer.executeGaslessBatch([feedCall]);
+    const viaClient = await portoClient.executeGaslessBatch([feedCall]);
+    const statuses = await Promise.all([
+      relayer.waitForTransaction(viaRelayer.bundleId),
+      portoClient.waitForTransaction(viaClient.bundleId),
+    ]);
+
+    const [relayerPrepare, clientPrepare] = requests('wallet_prepareCalls');
+    expect(relayerPrepare).toEqual(clientPrepare);
+    expect(viaRelayer.quote).toEqual(viaClient.quote);
+    expect(requests('wallet_sendCalls')).toHaveLength(1);
+    expect(requests('wallet_sendPreparedCalls')).toHaveLength(1);
+    expect(statuses.map(status => status.status)).toEqual([200, 200]);
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Tests for the Porto RPC transport (timeouts, retries, backoff)
+ */
+
+import { describe, expect, it, jest, beforeEach, afterEach } from '@jest/globals';
+import { portoRpc, getRetryDelay, TransportError } from '../portoTransport';
+import { PORTO_CONFIG } from '../../config/porto';
+
+// Mock fetch
+global.fetch = jest.fn() as any;
+
+describe('Porto Transport', () => {
+  const mockFetch = global.fetch as jest.MockedFunction<typeof fetch>;
+  const originalRetryDelay = PORTO_CONFIG.retryDelay;
+
+  const ok = (body: any) => ({ ok: true, status: 200, json: async () => body } as Response);
+  const httpError = (status: number) => ({ ok: false, status, json: async () => ({}) } as Response);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    // Keep backoff short in tests
+    PORTO_CONFIG.retryDelay = 1;
+  });
+
+  afterEach(() => {
+    PORTO_CONFIG.retryDelay = originalRetryDelay;
+    jest.restoreAllMocks();
+  });
+
+  it('should return the JSON-RPC response', async () => {
+    mockFetch.mockResolvedValueOnce(ok({ jsonrpc: '2.0', id: 1, result: 'healthy' }));
+
+    const response = await portoRpc('health', []);
+
+    expect(response.result).toBe('healthy');
+    const body = JSON.parse(mockFetch.mock.calls[0][1]?.body as string);
+    expect(body.method).toBe('health');
+    expect(typeof body.id).toBe('number');
+  });
+
+  it('should use increasing request IDs', async () => {
+    mockFetch.mockResolvedValue(ok({ result: null }));
+
+    await portoRpc('health', []);
+    await portoRpc('health', []);
+
+    const first = JSON.parse(mockFetch.mock.calls[0][1]?.body as string);
+    const second = JSON.parse(mockFetch.mock.calls[1][1]?.body as string);
+    expect(second.id).toBeGreaterThan(first.id);
+  });
+
+  it('should retry on 5xx and 429 responses', async () => {
+    mockFetch
+      .mockResolvedValueOnce(httpError(503))
+      .mockResolvedValueOnce(httpError(429))
+      .mockResolvedValueOnce(ok({ result: { digest: '0x1' } }));
+
+    const response = await portoRpc('wallet_prepareCalls', [{}]);
+
+    expect(response.result).toEqual({ digest: '0x1' });
+    expect(mockFetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('should retry on network errors up to retryAttempts', async () => {
+    mockFetch.mockRejectedValue(new TypeError('Network request failed'));
+
+    await expect(portoRpc('wallet_getCallsStatus', ['0x1'])).rejects.toBeInstanceOf(TransportError);
+    expect(mockFetch).toHaveBeenCalledTimes(PORTO_CONFIG.retryAttempts + 1);
+  });
+
+  it('should not retry on 4xx responses', async () => {
+    mockFetch.mockResolvedValueOnce(httpError(400));
+
+    await expect(portoRpc('wallet_prepareCalls', [{}])).rejects.toThrow('HTTP error! status: 400');
+    expect(mockFetch).toHaveBeenCalledTimes(1);
+  });
+
+  it.each(['wallet_sendPreparedCalls', 'wallet_sendCalls', 'wallet_upgradeAccount'])(
+    'should never retry %s',
+    async method => {
+      mockFetch.mockResolvedValue(httpError(502));
+
+      await expect(portoRpc(method, [{}])).rejects.toThrow('HTTP error! status: 502');
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+    }
+  );
+
+  it('should abort requests that exceed the timeout', async () => {
+    mockFetch.mockImplementation((_url, init) => new Promise((_resolve, reject) => {
+      init?.signal?.addEventListener('abort', () => {
+        const error = new Error('Aborted');
+        error.name = 'AbortError';
+        reject(error);
+      });
+    }));
+
+    await expect(
+      portoRpc('health', [], { timeout: 10, retryAttempts: 0 })
+    ).rejects.toThrow('health timed out after 10ms');
+  });
+
+  it('should grow the backoff delay exponentially', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+
+    expect(getRetryDelay(0, 1000)).toBe(1000);
+    expect(getRetryDelay(1, 1000)).toBe(2000);
+    expect(getRetryDelay(2, 1000)).toBe(4000);
+  });
+});
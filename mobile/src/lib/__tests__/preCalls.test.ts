@@ -0,0 +1,140 @@
+/**
+ * Tests for folding the account upgrade into the first intent as a pre-call
+ */
+
+import { describe, expect, it, jest, beforeEach, afterEach } from '@jest/globals';
+import { generatePrivateKey, privateKeyToAccount } from 'viem/accounts';
+import { encodeFunctionData } from 'viem';
+import { PortoClient } from '../portoClient.native';
+import { PortoSponsorshipError, PortoTransactionError } from '../portoErrors';
+import { serializePublicKey } from '../porto-utils';
+import { FRENPET_ADDRESS, FRENPET_ABI } from '../../config/contracts';
+import { PORTO_CONFIG } from '../../config/porto';
+import { preparedIntentFor, preparedUpgrade } from './helpers/relayFixtures';
+
+jest.mock('../accountUpgrade', () => ({
+  isAccountDelegated: jest.fn(async () => false),
+}));
+jest.mock('../delegationInspector', () => ({
+  ...(jest.requireActual('../delegationInspector') as object),
+  inspectDelegation: jest.fn(async (address: string) => ({ address, status: 'none', delegate: null, keys: null })),
+}));
+
+// Mock fetch
+global.fetch = jest.fn() as any;
+
+describe('Porto pre-calls', () => {
+  const mockFetch = global.fetch as jest.MockedFunction<typeof fetch>;
+  const createCall = {
+    to: FRENPET_ADDRESS,
+    data: encodeFunctionData({ abi: FRENPET_ABI, functionName: 'createPet', args: ['Fren'] }),
+    value: '0x0',
+  };
+  let client: PortoClient;
+  let relay: Record<string, (params: any[]) => any>;
+
+  const requests = (method: string) => mockFetch.mock.calls
+    .map(call => JSON.parse(call[1]?.body as string))
+    .filter(body => body.method === method);
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    let bundles = 0;
+    relay = {
+      wallet_prepareUpgradeAccount: ([{ address, delegation, capabilities }]) =>
+        preparedUpgrade(address, delegation, capabilities.authorizeKeys),
+      wallet_upgradeAccount: () => ({
+        context: {
+          preCall: { eoa: client.getAddress(), executionData: '0xabcd', nonce: '0x0', signature: '0x01' },
+        },
+      }),
+      wallet_prepareCalls: ([request]) => preparedIntentFor(request),
+      wallet_sendPreparedCalls: () => ({ id: `0xbundle${++bundles}` }),
+      wallet_getCallsStatus: ([id]) => ({ id, status: 200 }),
+    };
+    mockFetch.mockImplementation((async (_url: string, init: RequestInit) => {
+      const { id, method, params } = JSON.parse(init.body as string);
+      return { ok: true, json: async () => ({ jsonrpc: '2.0', id, result: relay[method](params) }) };
+    }) as any);
+
+    client = new PortoClient();
+    await client.init(generatePrivateKey());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should send the upgrade and the first call in one bundle', async () => {
+    const result = await client.executeGaslessBatch([createCall]);
+    expect(client.getUpgradeContext()?.status).toBe('submitted');
+    await client.waitForTransaction(result.bundleId);
+
+    expect(requests('wallet_prepareUpgradeAccount')).toHaveLength(1);
+    expect(requests('wallet_sendPreparedCalls')).toHaveLength(1);
+
+    const [prepare] = requests('wallet_prepareCalls');
+    expect(prepare.params[0].capabilities.preCalls).toEqual([
+      expect.objectContaining({ eoa: client.getAddress(), executionData: '0xabcd' }),
+    ]);
+    expect(client.getUpgradeContext()).toMatchObject({
+      status: 'confirmed',
+      bundleId: result.bundleId,
+      chainId: PORTO_CONFIG.chainId,
+    });
+  });
+
+  it('should authorize the session key with the upgrade', async () => {
+    const session = generatePrivateKey();
+    const onAuthorized = jest.fn();
+    client.setSessionKey(session, Date.now() + 60_000, { onAuthorized });
+
+    const { bundleId } = await client.executeGaslessBatch([createCall]);
+    await client.waitForTransaction(bundleId);
+
+    const [upgrade] = requests('wallet_prepareUpgradeAccount');
+    expect(upgrade.params[0].capabilities.authorizeKeys[0].publicKey)
+      .toBe(serializePublicKey(privateKeyToAccount(session).address));
+    const [prepare] = requests('wallet_prepareCalls');
+    expect(prepare.params[0].capabilities.authorizeKeys).toBeUndefined();
+    expect(onAuthorized).toHaveBeenCalledWith(PORTO_CONFIG.chainId);
+  });
+
+  it('should prepare a fresh upgrade after the first bundle failed', async () => {
+    relay.wallet_getCallsStatus = ([id]) => ({ id, status: 500 });
+    const first = await client.executeGaslessBatch([createCall]);
+    await expect(client.waitForTransaction(first.bundleId)).rejects.toBeInstanceOf(PortoTransactionError);
+    expect(client.getUpgradeContext()?.status).toBe('failed');
+
+    relay.wallet_getCallsStatus = ([id]) => ({ id, status: 200 });
+    const second = await client.executeGaslessBatch([createCall]);
+    await client.waitForTransaction(second.bundleId);
+
+    expect(requests('wallet_prepareUpgradeAccount')).toHaveLength(2);
+    expect(requests('wallet_prepareCalls')[1].params[0].capabilities.preCalls).toHaveLength(1);
+    expect(client.getUpgradeContext()?.status).toBe('confirmed');
+  });
+
+  it('should not send the upgrade twice while its bundle is pending', async () => {
+    relay.wallet_getCallsStatus = ([id]) => ({ id, status: 100 });
+    await client.executeGaslessBatch([createCall]);
+    await client.executeGaslessBatch([createCall]);
+
+    expect(requests('wallet_prepareUpgradeAccount')).toHaveLength(1);
+    expect(requests('wallet_prepareCalls')[1].params[0].capabilities.preCalls).toBeUndefined();
+  });
+
+  it('should keep the prepared upgrade while the user decides on a fee', async () => {
+    relay.wallet_prepareCalls = ([request]) =>
+      preparedIntentFor(request, { payer: request.from, totalPaymentMaxAmount: 100n });
+
+    await expect(client.executeGaslessBatch([createCall])).rejects.toBeInstanceOf(PortoSponsorshipError);
+    expect(client.getUpgradeContext()?.status).toBe('prepared');
+
+    const result = await client.executeGaslessBatch([createCall], undefined, { maxFee: 100n });
+    await client.waitForTransaction(result.bundleId);
+
+    expect(requests('wallet_prepareUpgradeAccount')).toHaveLength(1);
+    expect(client.getUpgradeContext()?.status).toBe('confirmed');
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Tests for decoding FrenPet events and revert reasons from bundle receipts
+ */
+
+import { describe, expect, it, jest, beforeEach, afterEach } from '@jest/globals';
+import { encodeAbiParameters, encodeErrorResult, encodeEventTopics, encodeFunctionData } from 'viem';
+import { decodePetEvents, decodeRevertReason } from '../receiptDecoder';
+import { FRENPET_ABI, FRENPET_V2_ABI, getFrenPetAddress } from '../../config/contracts';
+
+// Mock fetch
+global.fetch = jest.fn() as any;
+
+const USER = '0x1111111111111111111111111111111111111111';
+const feed = encodeFunctionData({ abi: FRENPET_ABI, functionName: 'feedPet', args: [] });
+
+const log = (abi: any, eventName: string, indexed: any, types: string[], values: any[], address: string = getFrenPetAddress()) => ({
+  address,
+  topics: encodeEventTopics({ abi, eventName, args: indexed } as any),
+  data: encodeAbiParameters(types.map(type => ({ type })), values),
+});
+
+describe('Receipt decoder', () => {
+  const mockFetch = global.fetch as jest.MockedFunction<typeof fetch>;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should decode FrenPet events of both contract versions in log order', () => {
+    const receipts = [{
+      transactionHash: '0xabc',
+      logs: [
+        // The account's own log is skipped
+        log(FRENPET_ABI, 'PetFed', { owner: USER }, ['uint256'], [10n], USER),
+        log(FRENPET_ABI, 'PetFed', { owner: USER }, ['uint256'], [10n]),
+        log(FRENPET_ABI, 'PetLevelUp', { owner: USER }, ['uint256'], [3n]),
+        log(FRENPET_V2_ABI, 'ItemDropped', { owner: USER }, ['uint256', 'uint8'], [7n, 2]),
+        log(FRENPET_V2_ABI, 'BattleCompleted', { battleId: 1n }, ['address', 'uint256'], [USER, 50n]),
+      ],
+    }];
+
+    const events = decodePetEvents(receipts);
+
+    expect(events.map(event => event.name)).toEqual(['PetFed', 'PetLevelUp', 'ItemDropped', 'BattleCompleted']);
+    expect(events[1].args).toMatchObject({ newLevel: 3n });
+    expect(events[2].args).toMatchObject({ itemId: 7n, rarity: 2 });
+    expect(events[3].transactionHash).toBe('0xabc');
+  });
+
+  it('should tell PetCreated of each version apart', () => {
+    const events = decodePetEvents([{
+      logs: [
+        log(FRENPET_ABI, 'PetCreated', { owner: USER }, ['string'], ['Fren']),
+        log(FRENPET_V2_ABI, 'PetCreated', { owner: USER }, ['string', 'uint8'], ['Fren', 3]),
+      ],
+    }]);
+
+    expect(events.map(event => event.args)).toEqual([
+      expect.objectContaining({ name: 'Fren' }),
+      expect.objectContaining({ name: 'Fren', petType: 3 }),
+    ]);
+  });
+
+  it('should handle bundles without receipts', () => {
+    expect(decodePetEvents(undefined)).toEqual([]);
+    expect(decodePetEvents([{ logs: [{ address: getFrenPetAddress(), topics: ['0x1234'], data: '0x' }] }])).toEqual([]);
+  });
+
+  it('should decode revert data attached to the receipt', async () => {
+    const data = encodeErrorResult({
+      abi: [{ type: 'error', name: 'Error', inputs: [{ name: 'message', type: 'string' }] }],
+      errorName: 'Error',
+      args: ['Pet needs rest'],
+    });
+
+    await expect(decodeRevertReason([{ status: '0x0', revertData: data }])).resolves.toBe('Pet needs rest');
+    expect(mockFetch).not.toHaveBeenCalled();
+  });
+
+  it('should replay the call on the block before the failed receipt', async () => {
+    mockFetch.mockImplementation((async (_url: string, init: RequestInit) => {
+      const { id } = JSON.parse(init.body as string);
+      const error = { code: -32000, message: 'execution reverted: Your pet is no longer with us' };
+      return new Response(JSON.stringify({ jsonrpc: '2.0', id, error }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }) as any);
+
+    const reason = await decodeRevertReason([{ status: '0x0', blockNumber: '0x10', logs: [] }], { from: USER, data: feed });
+
+    expect(reason).toBe('Your pet is no longer with us');
+    const body = JSON.parse(mockFetch.mock.calls[0][1]?.body as string);
+    expect(body.method).toBe('eth_call');
+    expect(body.params[1]).toBe('0xf');
+  });
+
+  it('should give up without revert data or a call to replay', async () => {
+    await expect(decodeRevertReason([{ status: '0x0', logs: [] }])).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Tests for recovery phrase backup and restore of the main wallet
+ */
+
+import { describe, expect, it, jest, beforeEach } from '@jest/globals';
+import { generatePrivateKey, privateKeyToAccount } from 'viem/accounts';
+import {
+  checkQuizAnswers,
+  isValidRecoveryPhrase,
+  parseRecoverySecret,
+  pickQuizIndices,
+  recoveryPhraseToPrivateKey,
+  toBackupWords,
+} from '../recoveryPhrase';
+import { SessionWallet } from '../sessionWallet';
+import { Storage } from '../storage';
+
+jest.mock('../storage', () => {
+  const values = new Map<string, string>();
+  return {
+    Storage: {
+      values,
+      getItem: jest.fn(async (key: string) => values.get(key) ?? null),
+      setItem: jest.fn(async (key: string, value: string) => { values.set(key, value); }),
+      deleteItem: jest.fn(async (key: string) => { values.delete(key); }),
+    },
+  };
+});
+
+// Well-known development phrase; its first account is the usual Hardhat/Anvil account 0
+const PHRASE = 'test test test test test test test test test test test junk';
+const ADDRESS = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+
+describe('Recovery phrase', () => {
+  it("should derive the main key along m/44'/60'/0'/0/0", () => {
+    expect(privateKeyToAccount(recoveryPhraseToPrivateKey(PHRASE)).address).toBe(ADDRESS);
+  });
+
+  it('should accept phrases as typed or pasted', () => {
+    const typed = `  ${PHRASE.toUpperCase().replace(/ /g, '  \n')} `;
+
+    expect(isValidRecoveryPhrase(typed)).toBe(true);
+    expect(parseRecoverySecret(typed)).toEqual({
+      privateKey: recoveryPhraseToPrivateKey(PHRASE),
+      recoveryPhrase: PHRASE,
+    });
+  });
+
+  it('should reject phrases with a bad checksum or unknown words', () => {
+    const badChecksum = PHRASE.replace(/junk$/, 'test');
+
+    expect(isValidRecoveryPhrase(badChecksum)).toBe(false);
+    expect(() => recoveryPhraseToPrivateKey(badChecksum)).toThrow('Invalid recovery phrase');
+    expect(() => parseRecoverySecret('not a real phrase')).toThrow('Invalid recovery phrase');
+  });
+
+  it('should back up and restore a legacy raw key in groups', () => {
+    const privateKey = generatePrivateKey();
+
+    const groups = toBackupWords({ privateKey, recoveryPhrase: null });
+
+    expect(groups).toHaveLength(16);
+    expect(parseRecoverySecret(groups.join(' '))).toEqual({ privateKey, recoveryPhrase: null });
+    expect(parseRecoverySecret(privateKey.toUpperCase().replace('0X', '0x'))).toEqual({ privateKey, recoveryPhrase: null });
+  });
+
+  it('should only pass the quiz with every asked word right', () => {
+    const words = PHRASE.split(' ');
+    const indices = pickQuizIndices(words.length);
+
+    expect(new Set(indices).size).toBe(3);
+    expect(indices).toEqual([...indices].sort((a, b) => a - b));
+    expect(checkQuizAnswers(words, { 0: 'Test', 11: ' junk ' })).toBe(true);
+    expect(checkQuizAnswers(words, { 0: 'test', 11: 'test' })).toBe(false);
+    expect(checkQuizAnswers(words, {})).toBe(false);
+  });
+});
+
+describe('SessionWallet recovery', () => {
+  const stored = (Storage as any).values as Map<string, string>;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    stored.clear();
+  });
+
+  it('should create the main wallet from a new recovery phrase', async () => {
+    const wallet = new SessionWallet();
+    expect(await wallet.hasMainWallet()).toBe(false);
+
+    await wallet.initMainWallet();
+
+    const phrase = stored.get('RISE_MAIN_WALLET_PHRASE')!;
+    expect(phrase.split(' ')).toHaveLength(12);
+    expect(stored.get('RISE_MAIN_WALLET_KEY')).toBe(recoveryPhraseToPrivateKey(phrase));
+    expect(await wallet.getBackup()).toEqual({ words: phrase.split(' '), kind: 'phrase', backedUp: false });
+
+    await wallet.markBackedUp();
+    expect((await wallet.getBackup())?.backedUp).toBe(true);
+  });
+
+  it('should keep a legacy raw key and back it up as is', async () => {
+    const privateKey = generatePrivateKey();
+    stored.set('RISE_MAIN_WALLET_KEY', privateKey);
+    const wallet = new SessionWallet();
+
+    await wallet.initMainWallet();
+
+    expect(wallet.getMainAddress()).toBe(privateKeyToAccount(privateKey).address);
+    expect(stored.has('RISE_MAIN_WALLET_PHRASE')).toBe(false);
+    expect(await wallet.getBackup()).toMatchObject({ kind: 'private-key', backedUp: false });
+  });
+
+  it('should restore the same address after a reset', async () => {
+    const wallet = new SessionWallet();
+    await wallet.initMainWallet();
+    await expect(wallet.restoreMainWallet(PHRASE)).rejects.toThrow('already exists');
+
+    await wallet.resetAll();
+    expect(stored.size).toBe(0);
+
+    const restored = await new SessionWallet().restoreMainWallet(PHRASE);
+    expect(restored).toBe(ADDRESS);
+    expect(await new SessionWallet().getBackup()).toMatchObject({ kind: 'phrase', backedUp: true });
+  });
+});
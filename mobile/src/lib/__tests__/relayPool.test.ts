@@ -0,0 +1,171 @@
+/**
+ * Tests for failing over between Porto relays
+ */
+
+import { describe, expect, it, jest, beforeEach, afterEach } from '@jest/globals';
+import { generatePrivateKey } from 'viem/accounts';
+import { encodeFunctionData } from 'viem';
+import { RelayPool } from '../relayPool';
+import { PortoClient } from '../portoClient.native';
+import { FRENPET_ADDRESS, FRENPET_ABI } from '../../config/contracts';
+import { PORTO_CONFIG } from '../../config/porto';
+import { preparedIntent } from './helpers/relayFixtures';
+
+jest.mock('../accountUpgrade', () => ({
+  isAccountDelegated: jest.fn(async () => true),
+}));
+
+// Mock fetch
+global.fetch = jest.fn() as any;
+
+const PRIMARY = 'https://relay-a.test';
+const BACKUP = 'https://relay-b.test';
+const THIRD = 'https://relay-c.test';
+
+describe('Relay pool', () => {
+  it('should start on the primary relay', () => {
+    const pool = new RelayPool(() => [PRIMARY, BACKUP], 2);
+
+    expect(pool.current()).toBe(PRIMARY);
+    expect(pool.getStatus().endpoints.map(endpoint => endpoint.health)).toEqual(['unknown', 'unknown']);
+  });
+
+  it('should move to the next relay after repeated failures only', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const pool = new RelayPool(() => [PRIMARY, BACKUP, THIRD], 2);
+
+    pool.reportFailure(PRIMARY);
+    expect(pool.current()).toBe(PRIMARY);
+    pool.reportSuccess(PRIMARY);
+    pool.reportFailure(PRIMARY);
+    expect(pool.current()).toBe(PRIMARY);
+
+    pool.reportFailure(PRIMARY);
+    expect(pool.current()).toBe(BACKUP);
+    expect(pool.getStatus().endpoints[0]).toMatchObject({ health: 'unhealthy', failures: 2 });
+
+    // Skips relays known to be down, wrapping round when all are
+    pool.reportFailure(BACKUP);
+    pool.reportFailure(BACKUP);
+    expect(pool.current()).toBe(THIRD);
+    pool.reportFailure(THIRD);
+    pool.reportFailure(THIRD);
+    expect(pool.current()).toBe(PRIMARY);
+  });
+
+  it('should make the first healthy relay active on a health check', async () => {
+    const pool = new RelayPool(() => [PRIMARY, BACKUP, THIRD], 2);
+    const listener = jest.fn();
+    pool.subscribe(listener);
+    const up = new Set([BACKUP, THIRD]);
+    const probe = jest.fn(async (url: string) => up.has(url));
+
+    await expect(pool.refresh(probe)).resolves.toBe(true);
+    expect(pool.current()).toBe(BACKUP);
+    // Stops at the first healthy relay
+    expect(probe).toHaveBeenCalledTimes(2);
+    expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ active: BACKUP }));
+
+    // The primary is preferred again once it recovers
+    up.add(PRIMARY);
+    await pool.refresh(probe);
+    expect(pool.current()).toBe(PRIMARY);
+
+    up.clear();
+    await expect(pool.refresh(async () => { throw new Error('offline'); })).resolves.toBe(false);
+    expect(pool.current()).toBe(PRIMARY);
+  });
+});
+
+describe('Porto client relay failover', () => {
+  const mockFetch = global.fetch as jest.MockedFunction<typeof fetch>;
+  const feedCall = {
+    to: FRENPET_ADDRESS,
+    data: encodeFunctionData({ abi: FRENPET_ABI, functionName: 'feedPet', args: [] }),
+    value: '0x0',
+  };
+  const retryAttempts = PORTO_CONFIG.retryAttempts;
+  const intentApproval = PORTO_CONFIG.intentApproval;
+  let down: Set<string>;
+  // Reachable, but reporting unhealthy
+  let degraded: Set<string>;
+  let client: PortoClient;
+
+  const calls = (method: string) => mockFetch.mock.calls
+    .map(([url, init]) => ({ url, ...JSON.parse(init?.body as string) }))
+    .filter(body => body.method === method)
+    .map(body => body.url);
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(PORTO_CONFIG, 'urls', 'get').mockReturnValue([PRIMARY, BACKUP]);
+    PORTO_CONFIG.retryAttempts = 0;
+
+    down = new Set();
+    degraded = new Set();
+    const relay: Record<string, (params: any[]) => any> = {
+      health: () => 'healthy',
+      wallet_prepareCalls: ([{ from, calls }]) => preparedIntent(from, calls),
+      wallet_sendPreparedCalls: () => ({ id: '0xbundle' }),
+      wallet_getCallsStatus: ([id]) => ({ id, status: 200 }),
+    };
+    mockFetch.mockImplementation((async (url: string, init: RequestInit) => {
+      if (down.has(url)) throw new TypeError('Network request failed');
+      const { id, method, params } = JSON.parse(init.body as string);
+      if (method === 'health' && degraded.has(url)) {
+        return { ok: true, json: async () => ({ jsonrpc: '2.0', id, result: 'unhealthy' }) };
+      }
+      return { ok: true, json: async () => ({ jsonrpc: '2.0', id, result: relay[method](params) }) };
+    }) as any);
+
+    client = new PortoClient();
+    await client.init(generatePrivateKey());
+  });
+
+  afterEach(() => {
+    PORTO_CONFIG.retryAttempts = retryAttempts;
+    PORTO_CONFIG.intentApproval = intentApproval;
+    jest.restoreAllMocks();
+  });
+
+  it('should send new intents to the next relay once one keeps failing', async () => {
+    down.add(PRIMARY);
+
+    await expect(client.executeGaslessBatch([feedCall])).rejects.toThrow();
+    await expect(client.executeGaslessBatch([feedCall])).rejects.toThrow();
+    expect(client.getRelayStatus()).toMatchObject({ active: BACKUP });
+
+    await client.executeGaslessBatch([feedCall]);
+    expect(calls('wallet_prepareCalls')).toEqual([PRIMARY, PRIMARY, BACKUP]);
+    expect(calls('wallet_sendPreparedCalls')).toEqual([BACKUP]);
+  });
+
+  it('should keep a started intent and its bundle on the relay that prepared it', async () => {
+    // The switch happens while the user looks at the preview
+    PORTO_CONFIG.intentApproval = 'confirm';
+    client.setIntentApprover(async () => {
+      degraded.add(PRIMARY);
+      await client.checkHealth();
+      return true;
+    });
+
+    const { bundleId } = await client.executeGaslessBatch([feedCall]);
+    await client.waitForTransaction(bundleId);
+
+    expect(client.getRelayStatus().active).toBe(BACKUP);
+    expect(calls('wallet_prepareCalls')).toEqual([PRIMARY]);
+    expect(calls('wallet_sendPreparedCalls')).toEqual([PRIMARY]);
+    expect(calls('wallet_getCallsStatus')).toEqual([PRIMARY]);
+  });
+
+  it('should report no relay as healthy when all are down', async () => {
+    down.add(PRIMARY);
+    down.add(BACKUP);
+
+    await expect(client.checkHealth()).resolves.toBe(false);
+    expect(client.getRelayStatus().endpoints.map(endpoint => endpoint.health)).toEqual(['unhealthy', 'unhealthy']);
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Tests for the relay traffic recorder used by fixture-backed tests
+ */
+
+import { describe, expect, it, jest, afterEach } from '@jest/globals';
+import { existsSync, readFileSync, rmSync } from 'fs';
+import {
+  createRecorder,
+  createReplayer,
+  FIXTURE_DIR,
+  redact,
+  REDACTED,
+  REDACTED_KEY,
+  REDACTED_SIGNATURE,
+  type RelayFixture,
+} from './helpers/relayRecorder';
+
+const ADDRESS = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const SECRET = `0x${'ab'.repeat(32)}`;
+const SIGNATURE = `0x${'cd'.repeat(65)}`;
+
+const prepare = (data: string) => [{ from: ADDRESS, calls: [{ to: ADDRESS, data }] }];
+const rpc = (url: string, method: string, params: unknown[], id = 1) =>
+  fetch(url, { method: 'POST', body: JSON.stringify({ jsonrpc: '2.0', id, method, params }) });
+
+const fixture: RelayFixture = {
+  name: 'test',
+  recordedAt: '2026-01-01T00:00:00.000Z',
+  source: 'test',
+  exchanges: [
+    { url: 'https://relay', method: 'wallet_prepareCalls', params: prepare('0x01'), status: 200, response: { jsonrpc: '2.0', id: 7, result: 'first' } },
+    { url: 'https://rpc', method: 'eth_getCode', params: [ADDRESS, 'latest'], status: 200, response: { jsonrpc: '2.0', id: 8, result: '0x' } },
+    { url: 'https://relay', method: 'wallet_prepareCalls', params: prepare('0x02'), status: 200, response: { jsonrpc: '2.0', id: 9, result: 'second' } },
+  ],
+};
+
+describe('Relay recorder', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  it('should redact keys and signatures but keep public data', () => {
+    const redacted = redact([{
+      privateKey: SECRET,
+      mnemonic: 'test test test',
+      sessionKey: SECRET,
+      publicKey: `0x${'00'.repeat(12)}${ADDRESS.slice(2)}`,
+      signatures: { auth: SIGNATURE, exec: SIGNATURE },
+      authorization: { address: ADDRESS, yParity: 1, r: SECRET, s: SECRET },
+      digest: SECRET,
+    }]) as any[];
+
+    expect(redacted[0]).toEqual({
+      privateKey: REDACTED_KEY,
+      mnemonic: REDACTED,
+      sessionKey: REDACTED_KEY,
+      publicKey: `0x${'00'.repeat(12)}${ADDRESS.slice(2)}`,
+      signatures: { auth: REDACTED_SIGNATURE, exec: REDACTED_SIGNATURE },
+      authorization: { address: ADDRESS, yParity: 1, r: REDACTED_KEY, s: REDACTED_KEY },
+      digest: SECRET,
+    });
+  });
+
+  it('should record redacted exchanges to the fixture file', async () => {
+    const upstream = jest.fn(async (_url: any, init?: RequestInit) => {
+      const { id } = JSON.parse(String(init?.body));
+      return new Response(JSON.stringify({ jsonrpc: '2.0', id, result: { signature: SIGNATURE } }));
+    }) as any;
+    const recorder = createRecorder('recorder-test', upstream, 'unit test');
+    global.fetch = recorder.fetch;
+
+    const response = await rpc('https://relay/?apiKey=secret', 'wallet_sendPreparedCalls', [{ signature: SIGNATURE }]);
+    recorder.done();
+
+    // The caller still gets the real response
+    await expect(response.json()).resolves.toMatchObject({ result: { signature: SIGNATURE } });
+    const path = `${FIXTURE_DIR}/recorder-test.json`;
+    const saved = JSON.parse(readFileSync(path, 'utf8'));
+    rmSync(path);
+    expect(saved.source).toBe('unit test');
+    expect(saved.exchanges).toEqual([{
+      url: 'https://relay/',
+      method: 'wallet_sendPreparedCalls',
+      params: [{ signature: REDACTED_SIGNATURE }],
+      status: 200,
+      response: { jsonrpc: '2.0', id: 1, result: { signature: REDACTED_SIGNATURE } },
+    }]);
+    expect(existsSync(path)).toBe(false);
+  });
+
+  it('should replay responses per method in recorded order with the caller\'s id', async () => {
+    const replayer = createReplayer(fixture);
+    global.fetch = replayer.fetch;
+
+    const code = await (await rpc('https://rpc', 'eth_getCode', [ADDRESS, 'latest'], 42)).json();
+    const first = await (await rpc('https://relay', 'wallet_prepareCalls', prepare('0x01'), 43)).json();
+    const second = await (await rpc('https://relay', 'wallet_prepareCalls', prepare('0x02'), 44)).json();
+
+    expect(code).toEqual({ jsonrpc: '2.0', id: 42, result: '0x' });
+    expect(first).toMatchObject({ id: 43, result: 'first' });
+    expect(second).toMatchObject({ id: 44, result: 'second' });
+    expect(replayer.requests.map(request => request.method)).toEqual(['eth_getCode', 'wallet_prepareCalls', 'wallet_prepareCalls']);
+    expect(() => replayer.done()).not.toThrow();
+  });
+
+  it('should answer each request with the exchange recorded for its params', async () => {
+    const replayer = createReplayer(fixture);
+    global.fetch = replayer.fetch;
+
+    const second = await (await rpc('https://relay', 'wallet_prepareCalls', prepare('0x02'))).json();
+    const first = await (await rpc('https://relay', 'wallet_prepareCalls', prepare('0x01'))).json();
+
+    expect(second.result).toBe('second');
+    expect(first.result).toBe('first');
+  });
+
+  it('should fail on params the recording does not have', async () => {
+    const replayer = createReplayer(fixture);
+    global.fetch = replayer.fetch;
+
+    await expect(rpc('https://relay', 'wallet_prepareCalls', prepare('0x03')))
+      .rejects.toThrow('other wallet_prepareCalls params (first difference at 0.calls.0.data)');
+    await expect(rpc('https://rpc', 'eth_getCode', [ADDRESS, 'pending']))
+      .rejects.toThrow('first difference at 1');
+  });
+
+  it('should not compare params a test opts out of', async () => {
+    const replayer = createReplayer(fixture, { ignoreParams: { wallet_prepareCalls: ['0.calls'] } });
+    global.fetch = replayer.fetch;
+
+    const response = await (await rpc('https://relay', 'wallet_prepareCalls', prepare('0x03'))).json();
+
+    expect(response.result).toBe('first');
+    await expect(rpc('https://relay', 'wallet_prepareCalls', [{ from: SECRET, calls: [] }]))
+      .rejects.toThrow('first difference at 0.from');
+  });
+
+  it('should fail on requests the recording does not have', async () => {
+    const replayer = createReplayer(fixture);
+    global.fetch = replayer.fetch;
+
+    await expect(rpc('https://relay', 'wallet_getCallsStatus', ['0x1'])).rejects.toThrow('no more wallet_getCallsStatus responses');
+  });
+
+  it('should fail when recorded requests were never made', async () => {
+    const replayer = createReplayer(fixture);
+    global.fetch = replayer.fetch;
+
+    await rpc('https://rpc', 'eth_getCode', [ADDRESS, 'latest']);
+
+    expect(() => replayer.done()).toThrow('expected more requests: wallet_prepareCalls, wallet_prepareCalls');
+  });
+});
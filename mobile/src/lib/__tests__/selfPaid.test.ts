@@ -0,0 +1,110 @@
+/**
+ * Tests for the self-paid fallback: quoting, approval and sending
+ */
+
+import { describe, expect, it, jest, beforeEach, afterEach } from '@jest/globals';
+import { encodeFunctionData, keccak256, parseTransaction, type Hex } from 'viem';
+import { generatePrivateKey, privateKeyToAccount } from 'viem/accounts';
+import { isSelfPaidApproved, quoteSelfPaid, sendSelfPaid } from '../selfPaid';
+import { getBalance, getRpcClient } from '../../config/rpcClient';
+import { FRENPET_ADDRESS, FRENPET_ABI } from '../../config/contracts';
+import { getNetwork } from '../../config/networks';
+
+jest.mock('../../config/rpcClient', () => {
+  const client = {
+    estimateGas: jest.fn(async () => 100_000n),
+    estimateFeesPerGas: jest.fn(async () => ({ maxFeePerGas: 2_000n, maxPriorityFeePerGas: 1_000n })),
+  };
+  return {
+    getRpcClient: () => client,
+    getBalance: jest.fn(async () => 10n ** 18n),
+  };
+});
+
+// Mock fetch
+global.fetch = jest.fn() as any;
+
+describe('Self-paid fallback', () => {
+  const mockFetch = global.fetch as jest.MockedFunction<typeof fetch>;
+  const account = privateKeyToAccount(generatePrivateKey());
+  const call = {
+    to: FRENPET_ADDRESS,
+    data: encodeFunctionData({ abi: FRENPET_ABI, functionName: 'feedPet', args: [] }),
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should quote the estimated gas with headroom against the balance', async () => {
+    const quote = await quoteSelfPaid(account.address, { ...call, value: 5n });
+
+    expect(getRpcClient().estimateGas).toHaveBeenCalledWith({
+      account: account.address,
+      to: call.to,
+      data: call.data,
+      value: 5n,
+    });
+    expect(getBalance).toHaveBeenCalledWith(account.address);
+    expect(quote).toEqual({
+      gas: 120_000n,
+      maxFeePerGas: 2_000n,
+      maxPriorityFeePerGas: 1_000n,
+      fee: 240_000_000n,
+      value: 5n,
+      balance: 10n ** 18n,
+      affordable: true,
+    });
+  });
+
+  it('should not be affordable when the balance is short of fee and value', async () => {
+    jest.mocked(getBalance).mockResolvedValueOnce(240_000_000n);
+
+    const quote = await quoteSelfPaid(account.address, { ...call, value: 1n });
+
+    expect(quote.affordable).toBe(false);
+    expect(isSelfPaidApproved(quote, quote.fee)).toBe(false);
+  });
+
+  it('should only be approved up to the fee the user accepted', async () => {
+    const quote = await quoteSelfPaid(account.address, call);
+
+    expect(isSelfPaidApproved(quote, undefined)).toBe(false);
+    expect(isSelfPaidApproved(quote, quote.fee - 1n)).toBe(false);
+    expect(isSelfPaidApproved(quote, quote.fee)).toBe(true);
+  });
+
+  it('should send with the quoted gas and fees', async () => {
+    const sent: Hex[] = [];
+    mockFetch.mockImplementation((async (_url: string, init: RequestInit) => {
+      const { id, method, params } = JSON.parse(init.body as string);
+      const results: Record<string, () => any> = {
+        eth_chainId: () => `0x${getNetwork().chainId.toString(16)}`,
+        eth_getTransactionCount: () => '0x7',
+        eth_sendRawTransaction: () => {
+          sent.push(params[0]);
+          return keccak256(params[0]);
+        },
+      };
+      return new Response(JSON.stringify({ jsonrpc: '2.0', id, result: results[method]() }));
+    }) as any);
+    const quote = await quoteSelfPaid(account.address, call);
+
+    const hash = await sendSelfPaid(account, call, quote);
+
+    expect(sent).toHaveLength(1);
+    expect(hash).toBe(keccak256(sent[0]));
+    expect(parseTransaction(sent[0])).toMatchObject({
+      to: call.to.toLowerCase(),
+      data: call.data,
+      gas: 120_000n,
+      maxFeePerGas: 2_000n,
+      maxPriorityFeePerGas: 1_000n,
+      nonce: 7,
+    });
+  });
+});
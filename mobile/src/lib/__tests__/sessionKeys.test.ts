@@ -0,0 +1,149 @@
+/**
+ * Tests for scoped session-key permissions and session-key signing
+ */
+
+import { describe, expect, it, jest, beforeEach, afterEach } from '@jest/globals';
+import { generatePrivateKey, privateKeyToAccount } from 'viem/accounts';
+import { encodeFunctionData, recoverAddress, toFunctionSelector, type Hex } from 'viem';
+import { PortoClient } from '../portoClient.native';
+import { buildSessionKeyAuthorization, getSessionSelectors, isSessionCall } from '../sessionKeys';
+import { serializePublicKey } from '../porto-utils';
+import { FRENPET_ADDRESS, FRENPET_ABI } from '../../config/contracts';
+import { PORTO_CONFIG } from '../../config/porto';
+import { preparedIntent } from './helpers/relayFixtures';
+
+jest.mock('../accountUpgrade', () => ({
+  isAccountDelegated: jest.fn(async () => true),
+}));
+
+// Mock fetch
+global.fetch = jest.fn() as any;
+
+describe('Session keys', () => {
+  const feedCall = {
+    to: FRENPET_ADDRESS,
+    data: encodeFunctionData({ abi: FRENPET_ABI, functionName: 'feedPet', args: [] }),
+    value: '0x0',
+  };
+
+  describe('buildSessionKeyAuthorization', () => {
+    it('should scope the key to FrenPet selectors with the session expiry', () => {
+      const session = privateKeyToAccount(generatePrivateKey());
+      const expiry = 1_700_000_000_000;
+
+      const key = buildSessionKeyAuthorization(session.address, expiry);
+
+      expect(key.role).toBe('session');
+      expect(key.expiry).toBe('0x6553f100'); // 1_700_000_000 seconds
+      expect(key.publicKey).toBe(serializePublicKey(session.address));
+      expect(key.permissions.every(p => p.type === 'call' && p.to === FRENPET_ADDRESS)).toBe(true);
+      expect(key.permissions.map(p => p.selector)).toContain(toFunctionSelector('feedPet()'));
+    });
+
+    it('should leave view functions out of the permissions', () => {
+      expect(getSessionSelectors()).not.toContain(toFunctionSelector('hasPet(address)'));
+    });
+  });
+
+  describe('isSessionCall', () => {
+    it('should accept FrenPet game calls', () => {
+      expect(isSessionCall([feedCall])).toBe(true);
+    });
+
+    it('should reject calls to other contracts or selectors', () => {
+      expect(isSessionCall([{ ...feedCall, to: '0x0000000000000000000000000000000000000001' }])).toBe(false);
+      expect(isSessionCall([{ ...feedCall, data: '0xa9059cbb' }])).toBe(false);
+      expect(isSessionCall([])).toBe(false);
+    });
+  });
+
+  describe('PortoClient signing', () => {
+    const mockFetch = global.fetch as jest.MockedFunction<typeof fetch>;
+    let digest: Hex;
+    const sessionPrivateKey = generatePrivateKey();
+    const sessionAddress = privateKeyToAccount(sessionPrivateKey).address;
+    let client: PortoClient;
+
+    const rpcResult = (result: any) => ({
+      ok: true,
+      json: async () => ({ jsonrpc: '2.0', id: 1, result }),
+    } as Response);
+
+    const requestBody = (index: number) => JSON.parse(mockFetch.mock.calls[index][1]?.body as string);
+
+    beforeEach(async () => {
+      jest.clearAllMocks();
+      client = new PortoClient();
+      await client.init(generatePrivateKey());
+      const prepared = preparedIntent(client.getAddress()!, [feedCall]);
+      digest = prepared.digest;
+      mockFetch
+        .mockResolvedValueOnce(rpcResult(prepared))
+        .mockResolvedValueOnce(rpcResult({ id: '0xbundle' }));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should sign game intents with an authorized session key', async () => {
+      client.setSessionKey(sessionPrivateKey, Date.now() + 60_000, { authorizedChainIds: [PORTO_CONFIG.chainId] });
+
+      await client.executeGaslessBatch([feedCall]);
+
+      const prepare = requestBody(0);
+      expect(prepare.params[0].key.publicKey).toBe(serializePublicKey(sessionAddress));
+      expect(prepare.params[0].capabilities.authorizeKeys).toBeUndefined();
+
+      const send = requestBody(1);
+      expect(send.params[0].key.publicKey).toBe(serializePublicKey(sessionAddress));
+      expect(await recoverAddress({ hash: digest, signature: send.params[0].signature })).toBe(sessionAddress);
+    });
+
+    it('should authorize a new session key with the main key first', async () => {
+      const onAuthorized = jest.fn();
+      client.setSessionKey(sessionPrivateKey, Date.now() + 60_000, { onAuthorized });
+
+      const { bundleId } = await client.executeGaslessBatch([feedCall]);
+
+      const prepare = requestBody(0);
+      expect(prepare.params[0].key.publicKey).toBe(serializePublicKey(client.getAddress()!));
+      expect(prepare.params[0].capabilities.authorizeKeys).toHaveLength(1);
+      expect(prepare.params[0].capabilities.authorizeKeys[0].role).toBe('session');
+      // Only the confirmed bundle authorizes the key
+      expect(onAuthorized).not.toHaveBeenCalled();
+
+      mockFetch.mockResolvedValueOnce(rpcResult({ id: bundleId, status: 200 }));
+      await client.waitForTransaction(bundleId);
+      expect(onAuthorized).toHaveBeenCalledWith(PORTO_CONFIG.chainId);
+    });
+
+    it('should authorize the session key again after its bundle failed', async () => {
+      const onAuthorized = jest.fn();
+      client.setSessionKey(sessionPrivateKey, Date.now() + 60_000, { onAuthorized });
+
+      const { bundleId } = await client.executeGaslessBatch([feedCall]);
+      mockFetch.mockResolvedValueOnce(rpcResult({ id: bundleId, status: 500 }));
+      await expect(client.waitForTransaction(bundleId)).rejects.toThrow();
+
+      mockFetch
+        .mockResolvedValueOnce(rpcResult(preparedIntent(client.getAddress()!, [feedCall])))
+        .mockResolvedValueOnce(rpcResult({ id: '0xbundle2' }));
+      await client.executeGaslessBatch([feedCall]);
+
+      const retry = requestBody(3);
+      expect(retry.params[0].key.publicKey).toBe(serializePublicKey(client.getAddress()!));
+      expect(retry.params[0].capabilities.authorizeKeys[0].role).toBe('session');
+      expect(onAuthorized).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to the main key once the session has expired', async () => {
+      client.setSessionKey(sessionPrivateKey, Date.now() - 1, { authorizedChainIds: [PORTO_CONFIG.chainId] });
+
+      await client.executeGaslessBatch([feedCall]);
+
+      const send = requestBody(1);
+      expect(send.params[0].key.publicKey).toBe(serializePublicKey(client.getAddress()!));
+    });
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Tests for wallet profiles and their per-profile storage keys
+ */
+
+import { describe, expect, it, jest, beforeEach } from '@jest/globals';
+import { generatePrivateKey } from 'viem/accounts';
+import {
+  DEFAULT_PROFILE_ID,
+  createProfile,
+  getActiveProfile,
+  getProfiles,
+  loadProfiles,
+  onProfileChange,
+  switchProfile,
+} from '../walletProfiles';
+import { SessionWallet } from '../sessionWallet';
+import { portoClient } from '../portoClient.native';
+import { Storage } from '../storage';
+
+jest.mock('../storage', () => {
+  const values = new Map<string, string>();
+  return {
+    Storage: {
+      values,
+      getItem: jest.fn(async (key: string) => values.get(key) ?? null),
+      setItem: jest.fn(async (key: string, value: string) => { values.set(key, value); }),
+      deleteItem: jest.fn(async (key: string) => { values.delete(key); }),
+    },
+  };
+});
+
+describe('Wallet profiles', () => {
+  const stored = (Storage as any).values as Map<string, string>;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await switchProfile(DEFAULT_PROFILE_ID);
+    stored.clear();
+  });
+
+  it('should keep existing wallets as the default profile', async () => {
+    const wallet = new SessionWallet();
+    await wallet.initMainWallet();
+
+    expect(getActiveProfile()).toMatchObject({ id: DEFAULT_PROFILE_ID, name: 'Main' });
+    expect(wallet.getProfileId()).toBe(DEFAULT_PROFILE_ID);
+    expect(stored.has('RISE_MAIN_WALLET_KEY')).toBe(true);
+  });
+
+  it('should give each profile its own wallet', async () => {
+    const main = new SessionWallet();
+    await main.initMainWallet();
+    const profile = await createProfile('  QA  ');
+
+    const other = new SessionWallet(profile.id);
+    expect(await other.hasMainWallet()).toBe(false);
+    await other.initMainWallet();
+
+    expect(profile.name).toBe('QA');
+    expect(other.getMainAddress()).not.toBe(main.getMainAddress());
+    expect(stored.has(`RISE_MAIN_WALLET_KEY_${profile.id}`)).toBe(true);
+    expect(await new SessionWallet(profile.id).getMainPrivateKey()).toBe(stored.get(`RISE_MAIN_WALLET_KEY_${profile.id}`));
+
+    await other.resetAll();
+    expect(await main.hasMainWallet()).toBe(true);
+  });
+
+  it('should persist the active profile and notify on switch', async () => {
+    const profile = await createProfile('Second pet');
+    const listener = jest.fn();
+    const unsubscribe = onProfileChange(listener);
+
+    await switchProfile(profile.id);
+    await switchProfile(profile.id);
+    unsubscribe();
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(profile);
+    expect(new SessionWallet().getProfileId()).toBe(profile.id);
+    expect(JSON.parse(stored.get('RISE_WALLET_PROFILES')!).activeId).toBe(profile.id);
+    await expect(switchProfile('missing')).rejects.toThrow('Unknown wallet profile');
+  });
+
+  it('should stop Porto signing for the previous profile until it is initialized again', async () => {
+    const feed = { to: '0x0000000000000000000000000000000000000001', data: '0x', value: '0x0' };
+    await portoClient.init(generatePrivateKey());
+    const profile = await createProfile('Switch');
+
+    await switchProfile(profile.id);
+
+    expect(portoClient.isReady()).toBe(false);
+    expect(portoClient.getAddress()).toBeNull();
+    await expect(portoClient.queueGaslessBatch([feed])).rejects.toThrow('Porto client not initialized');
+    await expect(portoClient.executeGaslessBatch([feed])).rejects.toThrow('Porto client not initialized');
+  });
+
+  it('should restore saved profiles and fall back to the default one', async () => {
+    const profile = { id: 'pabc', name: 'Saved', createdAt: 1 };
+    stored.set('RISE_WALLET_PROFILES', JSON.stringify({ activeId: 'gone', profiles: [profile] }));
+
+    expect(await loadProfiles()).toMatchObject({ id: DEFAULT_PROFILE_ID });
+    expect(getProfiles().map(item => item.id)).toEqual([DEFAULT_PROFILE_ID, 'pabc']);
+  });
+});
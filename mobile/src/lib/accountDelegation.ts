@@ -5,31 +5,16 @@
  * This module checks delegation status and handles the flow
  */
 
-import { createPublicClient, http } from 'viem';
-import { riseTestnet } from '../config/chain';
+import { needsRedelegation, readDelegationStatus, type DelegationStatus } from './delegationInspector';
 
 /**
  * Check if an account is already delegated to Porto
- * Delegated accounts have code deployed at their address
+ * Delegated accounts carry an EIP-7702 designator pointing at the Porto
+ * proxy or implementation; any other delegate does not count
  */
 export async function isAccountDelegated(address: string): Promise<boolean> {
-  try {
-    const client = createPublicClient({
-      chain: riseTestnet,
-      transport: http(riseTestnet.rpcUrls.default.http[0]),
-    });
-
-    const code = await client.getBytecode({ address: address as `0x${string}` });
-    
-    // If account has code, it's delegated
-    const isDelegated = code !== undefined && code !== '0x' && code.length > 2;
-    
-    console.log(`[Delegation] Account ${address} delegated: ${isDelegated}`);
-    return isDelegated;
-  } catch (error) {
-    console.error('[Delegation] Failed to check delegation:', error);
-    return false;
-  }
+  const { isDelegated } = await checkPortoDelegation(address);
+  return isDelegated;
 }
 
 /**
@@ -39,13 +24,32 @@ export async function isAccountDelegated(address: string): Promise<boolean> {
 export async function checkPortoDelegation(address: string): Promise<{
   isDelegated: boolean;
   needsFirstTransaction: boolean;
+  needsRedelegation: boolean;
+  status: DelegationStatus | null;
+  delegate: string | null;
 }> {
-  const delegated = await isAccountDelegated(address);
-  
-  return {
-    isDelegated: delegated,
-    needsFirstTransaction: !delegated,  // If not delegated, needs first tx to trigger it
-  };
+  try {
+    const info = await readDelegationStatus(address);
+    const delegated = info.status === 'porto';
+    console.log(`[Delegation] Account ${address} delegation: ${info.status}${info.delegate ? ` (${info.delegate})` : ''}`);
+
+    return {
+      isDelegated: delegated,
+      needsFirstTransaction: info.status === 'none',  // Plain EOA, first tx delegates it
+      needsRedelegation: needsRedelegation(info),
+      status: info.status,
+      delegate: info.delegate,
+    };
+  } catch (error) {
+    console.error('[Delegation] Failed to check delegation:', error);
+    return {
+      isDelegated: false,
+      needsFirstTransaction: true,
+      needsRedelegation: false,
+      status: null,
+      delegate: null,
+    };
+  }
 }
 
 /**
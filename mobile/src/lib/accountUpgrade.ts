@@ -6,10 +6,13 @@
  */
 
 import { privateKeyToAccount, type PrivateKeyAccount } from 'viem/accounts';
-import { createPublicClient, http, type Hex } from 'viem';
-import { riseTestnet } from '../config/chain';
+import { type Hex } from 'viem';
 import { PORTO_CONFIG } from '../config/porto';
-import { serializePublicKey } from './porto-utils';
+import { buildKeyAuthorization, fromAddress, type KeyAuthorization, type PortoKey } from './portoKeys';
+import { portoRpc } from './portoTransport';
+import { fromRpcError } from './portoErrors';
+import { verifyUpgradeDigests } from './portoDigest';
+import { readDelegationStatus } from './delegationInspector';
 
 interface UpgradeRequest {
   from: string;
@@ -26,19 +29,12 @@ interface UpgradeResponse {
 
 /**
  * Check if an account is already delegated to Porto
- * Delegated accounts have code deployed at their address
+ * Only counts a designator pointing at the Porto proxy or implementation
  */
 export async function isAccountDelegated(address: string): Promise<boolean> {
   try {
-    const client = createPublicClient({
-      chain: riseTestnet,
-      transport: http(riseTestnet.rpcUrls.default.http[0]),
-    });
-
-    const code = await client.getBytecode({ address: address as `0x${string}` });
-    
-    // If account has code, it's delegated
-    return code !== undefined && code !== '0x';
+    const { status } = await readDelegationStatus(address);
+    return status === 'porto';
   } catch (error) {
     console.error('[AccountUpgrade] Failed to check delegation:', error);
     return false;
@@ -47,25 +43,21 @@ export async function isAccountDelegated(address: string): Promise<boolean> {
 
 /**
  * Prepare account upgrade to Porto protocol with session key
+ * @param adminKey - Admin key to authorize: a secp256k1 address, or any
+ *   Porto key (e.g. a P-256 passkey from lib/portoKeys)
  */
 export async function prepareUpgradeAccount(
   account: PrivateKeyAccount,
-  adminKeyAddress?: string
+  adminKey?: string | PortoKey
 ): Promise<UpgradeResponse> {
   // For MVP, use empty keys array or optionally add admin key
-  const authorizeKeys: any[] = [];
+  const authorizeKeys: KeyAuthorization[] = [];
   
-  // Optionally add admin key if provided
-  if (adminKeyAddress) {
-    authorizeKeys.push({
-      expiry: '0x0',  // Never expires
-      prehash: false,
-      publicKey: serializePublicKey(adminKeyAddress),  // Padded to 32 bytes
-      role: 'admin' as const,
-      type: 'secp256k1' as const,
-      permissions: []  // Empty for admin role
-    });
-    console.log('[AccountUpgrade] Authorizing admin key:', adminKeyAddress);
+  // Optionally add admin key if provided (never expires, no call permissions)
+  if (adminKey) {
+    const key = typeof adminKey === 'string' ? fromAddress(adminKey) : adminKey;
+    authorizeKeys.push(buildKeyAuthorization(key, 'admin'));
+    console.log('[AccountUpgrade] Authorizing', key.type, 'admin key:', key.publicKey);
   }
 
   // Build request with correct structure
@@ -82,24 +74,21 @@ export async function prepareUpgradeAccount(
   console.log('[AccountUpgrade] Delegate to:', PORTO_CONFIG.contracts.proxy);
   console.log('[AccountUpgrade] Authorizing', authorizeKeys.length, 'key(s)');
 
-  const response = await fetch(PORTO_CONFIG.url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      jsonrpc: '2.0',
-      method: 'wallet_prepareUpgradeAccount',
-      params: [request],
-      id: 1,
-    }),
-  });
-
-  const result = await response.json();
+  const result = await portoRpc('wallet_prepareUpgradeAccount', [request]);
   
   if (result.error) {
     console.error('[AccountUpgrade] Full error:', JSON.stringify(result.error, null, 2));
-    throw new Error(`Prepare upgrade failed: ${result.error.message}`);
+    throw fromRpcError('upgrade', result.error);
   }
 
+  // Refuse to sign anything but the delegation we asked for
+  verifyUpgradeDigests(result.result, {
+    address: account.address,
+    chainId: PORTO_CONFIG.chainId,
+    delegation: PORTO_CONFIG.contracts.proxy,
+    authorizeKeys,
+  });
+
   console.log('[AccountUpgrade] Upgrade prepared');
   console.log('[AccountUpgrade] Auth digest:', result.result.digests?.auth);
   console.log('[AccountUpgrade] Exec digest:', result.result.digests?.exec);
@@ -152,28 +141,17 @@ export async function upgradeAccount(
 ): Promise<string> {
   console.log('[AccountUpgrade] Executing upgrade...');
 
-  const response = await fetch(PORTO_CONFIG.url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      jsonrpc: '2.0',
-      method: 'wallet_upgradeAccount',
-      params: [{
-        context,
-        signatures: {
-          auth: authSignature,
-          exec: execSignature
-        }
-      }],
-      id: 2,
-    }),
-  });
-
-  const result = await response.json();
+  const result = await portoRpc('wallet_upgradeAccount', [{
+    context,
+    signatures: {
+      auth: authSignature,
+      exec: execSignature
+    }
+  }]);
   
   if (result.error) {
     console.error('[AccountUpgrade] Upgrade error:', result.error);
-    throw new Error(`Upgrade failed: ${result.error.message}`);
+    throw fromRpcError('upgrade', result.error);
   }
 
   const bundleId = result.result.id || result.result;
@@ -184,18 +162,7 @@ export async function upgradeAccount(
   await new Promise(resolve => setTimeout(resolve, 5000));
   
   // Check transaction status
-  const statusResponse = await fetch(PORTO_URL, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      jsonrpc: '2.0',
-      method: 'wallet_getCallsStatus',
-      params: [bundleId],
-      id: 3,
-    }),
-  });
-  
-  const statusResult = await statusResponse.json();
+  const statusResult = await portoRpc('wallet_getCallsStatus', [bundleId]);
   if (statusResult.result?.receipts?.[0]) {
     const txHash = statusResult.result.receipts[0].transactionHash;
     console.log('[AccountUpgrade] Upgrade transaction:', txHash);
@@ -0,0 +1,270 @@
+/**
+ * Bundle Confirmations
+ *
+ * Single place that waits for relay bundles to land. New blocks arrive over
+ * the active network's WebSocket (eth_subscribe newHeads) and every pending
+ * bundle is checked once per block. While the socket is connecting or down,
+ * one shared poller checks them every PORTO_CONFIG.statusCheckInterval.
+ * Callers waiting on the same bundle share one watcher, so an action costs
+ * one wallet_getCallsStatus per block no matter how many screens wait on it
+ */
+
+import { PORTO_CONFIG, PORTO_ERRORS } from '../config/porto';
+import { getNetwork, onNetworkChange } from '../config/networks';
+import { PortoTransactionError } from './portoErrors';
+import type { TransactionStatus } from './portoClient.native';
+
+export type StatusFetcher = (bundleId: string) => Promise<TransactionStatus>;
+
+// The parts of a WebSocket the service uses
+export interface SocketLike {
+  onopen: ((event: any) => void) | null;
+  onmessage: ((event: { data: any }) => void) | null;
+  onclose: ((event: any) => void) | null;
+  onerror: ((event: any) => void) | null;
+  send(data: string): void;
+  close(): void;
+}
+
+export type SocketFactory = (url: string) => SocketLike;
+
+interface PendingBundle {
+  promise: Promise<TransactionStatus>;
+  resolve: (status: TransactionStatus) => void;
+  reject: (error: unknown) => void;
+  timer: ReturnType<typeof setTimeout>;
+  lastError?: unknown;
+}
+
+const SUBSCRIBE_ID = 1;
+
+function defaultSocketFactory(): SocketFactory | null {
+  return typeof WebSocket === 'undefined' ? null : url => new WebSocket(url) as unknown as SocketLike;
+}
+
+/**
+ * Whether a relay status is final: confirmed (200 or 1) or failed (>= 400)
+ */
+export function isConfirmed(status: TransactionStatus): boolean {
+  return status.status === 200 || status.status === 1;
+}
+
+export function isFailed(status: TransactionStatus): boolean {
+  return status.status >= 400;
+}
+
+export class BundleConfirmations {
+  private pending = new Map<string, PendingBundle>();
+  private socket: SocketLike | null = null;
+  private pollTimer: ReturnType<typeof setInterval> | null = null;
+  private reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+  private reconnectAttempts = 0;
+  // A round of status checks is in flight / a block arrived during it
+  private checking = false;
+  private recheck = false;
+
+  constructor(
+    private readonly fetchStatus: StatusFetcher,
+    private readonly createSocket: SocketFactory | null = defaultSocketFactory()
+  ) {
+    // Blocks come from the new network's socket after a switch
+    onNetworkChange(() => {
+      this.stop();
+      if (this.pending.size > 0) this.watch();
+    });
+  }
+
+  /**
+   * Resolve once the bundle is confirmed
+   * Rejects with PortoTransactionError when it fails or times out
+   */
+  wait(bundleId: string, timeoutMs: number = PORTO_CONFIG.transactionTimeout): Promise<TransactionStatus> {
+    const existing = this.pending.get(bundleId);
+    if (existing) return existing.promise;
+
+    let resolve!: PendingBundle['resolve'];
+    let reject!: PendingBundle['reject'];
+    const promise = new Promise<TransactionStatus>((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    const timer = setTimeout(() => {
+      const bundle = this.pending.get(bundleId);
+      this.settle(bundleId, () => reject(
+        bundle?.lastError ?? new PortoTransactionError(PORTO_ERRORS.TIMEOUT, { stage: 'status', retryable: true })
+      ));
+    }, timeoutMs);
+    this.pending.set(bundleId, { promise, resolve, reject, timer });
+
+    // It may have landed already
+    this.watch();
+    this.checkAll();
+    return promise;
+  }
+
+  /**
+   * Bundles still waiting for confirmation
+   */
+  getPending(): string[] {
+    return [...this.pending.keys()];
+  }
+
+  /**
+   * Whether blocks currently arrive over the WebSocket
+   */
+  isSubscribed(): boolean {
+    return this.socket !== null && this.pollTimer === null;
+  }
+
+  private settle(bundleId: string, done: () => void) {
+    const bundle = this.pending.get(bundleId);
+    if (!bundle) return;
+    clearTimeout(bundle.timer);
+    this.pending.delete(bundleId);
+    done();
+    if (this.pending.size === 0) this.stop();
+  }
+
+  /**
+   * Check every pending bundle once; blocks arriving meanwhile trigger one more round
+   */
+  private async checkAll(): Promise<void> {
+    if (this.checking) {
+      this.recheck = true;
+      return;
+    }
+    this.checking = true;
+
+    await Promise.all([...this.pending.entries()].map(async ([bundleId, bundle]) => {
+      try {
+        const status = await this.fetchStatus(bundleId);
+        if (isConfirmed(status)) {
+          this.settle(bundleId, () => bundle.resolve(status));
+        } else if (isFailed(status)) {
+          this.settle(bundleId, () => bundle.reject(
+            new PortoTransactionError(`Transaction failed with status ${status.status}`, {
+              stage: 'status',
+              code: status.status,
+              data: status.receipts,
+            })
+          ));
+        }
+      } catch (error) {
+        // Reported if the bundle times out; the next block tries again
+        bundle.lastError = error;
+      }
+    }));
+
+    this.checking = false;
+    if (this.recheck && this.pending.size > 0) {
+      this.recheck = false;
+      this.checkAll();
+    }
+  }
+
+  /**
+   * Start watching blocks, over the socket when the network has one
+   */
+  private watch() {
+    if (this.socket || this.pollTimer || this.reconnectTimer) return;
+
+    const { wsUrl } = getNetwork();
+    if (!wsUrl || !this.createSocket) {
+      this.startPolling();
+      return;
+    }
+    this.connect(wsUrl);
+  }
+
+  private connect(url: string) {
+    // Nothing waits on a socket that never opens
+    this.startPolling();
+
+    let socket: SocketLike;
+    try {
+      socket = this.createSocket!(url);
+    } catch (error) {
+      console.warn('[Confirmations] WebSocket unavailable, polling:', error);
+      this.scheduleReconnect(url);
+      return;
+    }
+    this.socket = socket;
+
+    socket.onopen = () => {
+      socket.send(JSON.stringify({ jsonrpc: '2.0', id: SUBSCRIBE_ID, method: 'eth_subscribe', params: ['newHeads'] }));
+    };
+    socket.onmessage = event => {
+      let message: any;
+      try {
+        message = JSON.parse(typeof event.data === 'string' ? event.data : String(event.data));
+      } catch {
+        return;
+      }
+
+      if (message.id === SUBSCRIBE_ID) {
+        if (message.error) {
+          console.warn('[Confirmations] newHeads subscription refused:', message.error.message);
+          socket.close();
+          return;
+        }
+        console.log('[Confirmations] Subscribed to new blocks');
+        this.reconnectAttempts = 0;
+        this.stopPolling();
+        // Catch up on blocks missed while polling
+        this.checkAll();
+      } else if (message.method === 'eth_subscription') {
+        this.checkAll();
+      }
+    };
+    socket.onerror = () => {
+      // onclose follows
+    };
+    socket.onclose = () => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      if (this.pending.size === 0) return;
+      console.warn('[Confirmations] WebSocket closed, polling until it reconnects');
+      this.startPolling();
+      this.scheduleReconnect(url);
+    };
+  }
+
+  private scheduleReconnect(url: string) {
+    if (this.reconnectTimer) return;
+    const delay = Math.min(
+      PORTO_CONFIG.socketReconnectDelay * 2 ** this.reconnectAttempts,
+      PORTO_CONFIG.maxSocketReconnectDelay
+    );
+    this.reconnectAttempts++;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.pending.size > 0 && !this.socket) this.connect(url);
+    }, delay);
+  }
+
+  private startPolling() {
+    if (this.pollTimer) return;
+    this.pollTimer = setInterval(() => this.checkAll(), PORTO_CONFIG.statusCheckInterval);
+  }
+
+  private stopPolling() {
+    if (!this.pollTimer) return;
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  /**
+   * Close the socket and stop polling (nothing left to wait for)
+   */
+  private stop() {
+    this.stopPolling();
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    const socket = this.socket;
+    this.socket = null;
+    socket?.close();
+    this.reconnectAttempts = 0;
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * Delegation Inspector
+ *
+ * Reads an account's EIP-7702 delegation designator (0xef0100 || address)
+ * and tells whether it points at the Porto proxy or implementation, at an
+ * outdated Porto implementation or somewhere else, along with the keys
+ * authorized on the account
+ */
+
+import { getAddress, isAddressEqual, type Hex } from 'viem';
+import { getRpcClient } from '../config/rpcClient';
+import { PORTO_CONFIG } from '../config/porto';
+
+// - 'none': plain EOA
+// - 'porto': delegated to the Porto proxy or current implementation
+// - 'outdated': delegated to a previous Porto implementation
+// - 'foreign': delegated to some other contract
+// - 'contract': real contract code, not an EIP-7702 designator
+export type DelegationStatus = 'none' | 'porto' | 'outdated' | 'foreign' | 'contract';
+
+export interface AuthorizedKey {
+  hash: Hex;
+  publicKey: Hex;
+  type: 'p256' | 'webauthnp256' | 'secp256k1' | 'external';
+  role: 'admin' | 'session';
+  // Seconds since epoch, 0 = never expires
+  expiry: number;
+}
+
+export interface DelegationInfo {
+  address: string;
+  chainId: number;
+  status: DelegationStatus;
+  // Contract the account delegates to
+  delegate: string | null;
+  isPortoProxy: boolean;
+  isPortoImplementation: boolean;
+  // Keys read from the account, null when they could not be read
+  keys: AuthorizedKey[] | null;
+}
+
+// What an account's code says about its delegation, without its keys
+export type DelegationTarget = Pick<DelegationInfo, 'status' | 'delegate' | 'isPortoProxy' | 'isPortoImplementation'>;
+
+const DESIGNATOR_PREFIX = '0xef0100';
+
+// Porto account key registry
+const PORTO_ACCOUNT_ABI = [
+  {
+    name: 'getKeys',
+    type: 'function',
+    stateMutability: 'view',
+    inputs: [],
+    outputs: [
+      {
+        name: 'keys',
+        type: 'tuple[]',
+        components: [
+          { name: 'expiry', type: 'uint40' },
+          { name: 'keyType', type: 'uint8' },
+          { name: 'isSuperAdmin', type: 'bool' },
+          { name: 'publicKey', type: 'bytes' },
+        ],
+      },
+      { name: 'keyHashes', type: 'bytes32[]' },
+    ],
+  },
+] as const;
+
+const KEY_TYPES: AuthorizedKey['type'][] = ['p256', 'webauthnp256', 'secp256k1', 'external'];
+
+function sameAddress(a: string, b: string): boolean {
+  try {
+    return isAddressEqual(a as Hex, b as Hex);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Delegate address from EIP-7702 account code, null if it is not a designator
+ */
+export function parseDelegationDesignator(code: string | undefined): string | null {
+  if (!code || code.length !== DESIGNATOR_PREFIX.length + 40) return null;
+  if (!code.toLowerCase().startsWith(DESIGNATOR_PREFIX)) return null;
+  return getAddress(`0x${code.slice(DESIGNATOR_PREFIX.length)}`);
+}
+
+/**
+ * Classify account code against the active network's Porto contracts
+ */
+export function classifyDelegation(code: string | undefined): DelegationTarget {
+  const delegate = parseDelegationDesignator(code);
+  if (!delegate) {
+    const status = !code || code === '0x' ? 'none' : 'contract';
+    return { status, delegate: null, isPortoProxy: false, isPortoImplementation: false };
+  }
+
+  const { proxy, implementation, previousImplementations = [] } = PORTO_CONFIG.contracts;
+  const isPortoProxy = sameAddress(delegate, proxy);
+  const isPortoImplementation = sameAddress(delegate, implementation);
+  const status = isPortoProxy || isPortoImplementation
+    ? 'porto'
+    : previousImplementations.some(previous => sameAddress(delegate, previous)) ? 'outdated' : 'foreign';
+  return { status, delegate, isPortoProxy, isPortoImplementation };
+}
+
+/**
+ * Keys authorized on a Porto account, null if the delegate has no key registry
+ */
+async function readKeys(address: string): Promise<AuthorizedKey[] | null> {
+  try {
+    const [keys, hashes] = await getRpcClient().readContract({
+      address: address as Hex,
+      abi: PORTO_ACCOUNT_ABI,
+      functionName: 'getKeys',
+    });
+    return keys.map((key, i) => ({
+      hash: hashes[i],
+      publicKey: key.publicKey,
+      type: KEY_TYPES[key.keyType] ?? 'external',
+      role: key.isSuperAdmin ? 'admin' : 'session',
+      expiry: Number(key.expiry),
+    }));
+  } catch (error) {
+    console.warn('[Delegation] Could not read account keys:', error instanceof Error ? error.message : error);
+    return null;
+  }
+}
+
+/**
+ * Delegation status of an account on the active network from its code alone
+ * One eth_getCode, no key registry call; for checks on every intent
+ * Throws if the account code cannot be read
+ */
+export async function readDelegationStatus(address: string): Promise<DelegationTarget> {
+  const code = await getRpcClient().getBytecode({ address: address as Hex });
+  return classifyDelegation(code);
+}
+
+/**
+ * Inspect an account's delegation on the active network, keys included
+ * Throws if the account code cannot be read
+ */
+export async function inspectDelegation(address: string): Promise<DelegationInfo> {
+  const classified = await readDelegationStatus(address);
+
+  // Only Porto accounts (current or outdated) have a key registry to read
+  const keys = classified.status === 'porto' || classified.status === 'outdated'
+    ? await readKeys(address)
+    : null;
+
+  return {
+    address,
+    chainId: PORTO_CONFIG.chainId,
+    ...classified,
+    keys,
+  };
+}
+
+/**
+ * The account can be pointed back at the Porto proxy with a new delegation
+ */
+export function needsRedelegation(info: Pick<DelegationInfo, 'status'>): boolean {
+  return info.status === 'outdated' || info.status === 'foreign';
+}
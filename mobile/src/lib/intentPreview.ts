@@ -0,0 +1,198 @@
+/**
+ * Intent Preview
+ *
+ * Decodes an intent into human-readable lines before it is signed, e.g.
+ * "FrenPet.feedPet()" or "Authorize session key 0xab12..cd34 until 12:00",
+ * and decides whether it may be signed without asking the user
+ */
+
+import { decodeFunctionData, formatEther, isAddressEqual, slice, type Abi, type Hex } from 'viem';
+import { FRENPET_ABI, FRENPET_V2_ABI, getFrenPetAddress, getFrenPetVersion } from '../config/contracts';
+import { PORTO_CONFIG, type IntentApprovalMode } from '../config/porto';
+import { getNetwork } from '../config/networks';
+import type { Call } from './portoClient.native';
+import type { FeeQuote } from './portoFees';
+
+export interface CallPreview {
+  // e.g. 'FrenPet.createPet("Fren")'
+  label: string;
+  target: string;
+  // e.g. 'FrenPet', 'Porto Orchestrator', 'Unknown contract'
+  targetName: string;
+  // Decoded FrenPet function
+  frenPet: boolean;
+  // FrenPet, Porto contract or the account itself
+  known: boolean;
+  value: bigint;
+}
+
+export interface IntentPreview {
+  calls: CallPreview[];
+  // Keys the intent adds to the account, e.g. 'Authorize session key 0xab12..cd34 until 12:00'
+  authorizations: string[];
+  // The intent also deploys the account delegation
+  upgrade: boolean;
+  quote: FeeQuote | null;
+  // Every call is a known FrenPet call
+  allowlisted: boolean;
+  unknownTargets: string[];
+}
+
+export interface IntentPreviewOptions {
+  from: string;
+  authorizeKeys?: any[];
+  quote?: FeeQuote | null;
+  upgrade?: boolean;
+}
+
+export type ApprovalDecision = 'approve' | 'ask' | 'block';
+
+/**
+ * 0xab12..cd34
+ */
+export function shortAddress(address: string): string {
+  return `${address.slice(0, 6)}..${address.slice(-4)}`;
+}
+
+function sameAddress(a: string, b: string): boolean {
+  try {
+    return isAddressEqual(a as Hex, b as Hex);
+  } catch {
+    return false;
+  }
+}
+
+function formatArg(arg: unknown): string {
+  if (typeof arg === 'string') return arg.startsWith('0x') && arg.length === 42 ? shortAddress(arg) : JSON.stringify(arg);
+  if (typeof arg === 'bigint') return arg.toString();
+  return String(arg);
+}
+
+/**
+ * Decode a FrenPet call with the deployed ABI first, then the other version
+ */
+function decodeFrenPetCall(data: string): string | null {
+  const abis = (getFrenPetVersion() === 'v2'
+    ? [FRENPET_V2_ABI, FRENPET_ABI]
+    : [FRENPET_ABI, FRENPET_V2_ABI]) as Abi[];
+
+  for (const abi of abis) {
+    try {
+      const { functionName, args = [] } = decodeFunctionData({ abi, data: data as Hex });
+      return `FrenPet.${functionName}(${args.map(formatArg).join(', ')})`;
+    } catch {
+      // Try the next ABI
+    }
+  }
+  return null;
+}
+
+/**
+ * Name of a known Porto contract, if `address` is one
+ */
+function portoContractName(address: string): string | null {
+  const { orchestrator, implementation, proxy } = PORTO_CONFIG.contracts;
+  if (sameAddress(address, orchestrator)) return 'Porto Orchestrator';
+  if (sameAddress(address, implementation)) return 'Porto Account';
+  if (sameAddress(address, proxy)) return 'Porto Account Proxy';
+  return null;
+}
+
+/**
+ * Describe a single call
+ */
+export function describeCall(call: Call, from?: string): CallPreview {
+  const value = BigInt(call.value || 0);
+  const selector = call.data && call.data.length >= 10 ? call.data.slice(0, 10) : '0x';
+  const base = { target: call.to, value };
+
+  if (sameAddress(call.to, getFrenPetAddress())) {
+    const decoded = decodeFrenPetCall(call.data);
+    return {
+      ...base,
+      label: decoded ?? `FrenPet.${selector}(...)`,
+      targetName: 'FrenPet',
+      frenPet: decoded !== null,
+      known: true,
+    };
+  }
+
+  const portoName = portoContractName(call.to);
+  if (portoName) {
+    return { ...base, label: `${portoName}.${selector}(...)`, targetName: portoName, frenPet: false, known: true };
+  }
+
+  if (from && sameAddress(call.to, from)) {
+    return { ...base, label: `Your account.${selector}(...)`, targetName: 'Your account', frenPet: false, known: true };
+  }
+
+  const label = selector === '0x'
+    ? `Send to ${shortAddress(call.to)}`
+    : `${shortAddress(call.to)}.${selector}(...)`;
+  return { ...base, label, targetName: 'Unknown contract', frenPet: false, known: false };
+}
+
+function formatExpiry(expiryMs: number): string {
+  const date = new Date(expiryMs);
+  const pad = (n: number) => n.toString().padStart(2, '0');
+  const time = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  if (date.toDateString() === new Date().toDateString()) return time;
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${time}`;
+}
+
+/**
+ * Describe an authorizeKeys entry
+ */
+export function describeKeyAuthorization(key: { publicKey: string; role: string; type?: string; expiry?: string }): string {
+  // secp256k1 keys are padded addresses, P-256 keys are shown by their public key
+  const p256 = key.type === 'p256' || key.type === 'webauthn-p256';
+  const address = !p256 && key.publicKey.length > 42 ? slice(key.publicKey as Hex, -20) : key.publicKey;
+  const kind = key.type === 'webauthn-p256' ? 'passkey' : key.type === 'p256' ? 'P-256 key' : 'key';
+  const expiry = Number(BigInt(key.expiry || 0));
+  const until = expiry === 0 ? '(no expiry)' : `until ${formatExpiry(expiry * 1000)}`;
+  return `Authorize ${key.role} ${kind} ${shortAddress(address)} ${until}`;
+}
+
+/**
+ * Build the preview shown before an intent is signed
+ */
+export function buildIntentPreview(calls: Call[], options: IntentPreviewOptions): IntentPreview {
+  const previews = calls.map(call => describeCall(call, options.from));
+  const unknownTargets = [...new Set(previews.filter(p => !p.known).map(p => p.target))];
+
+  return {
+    calls: previews,
+    authorizations: (options.authorizeKeys ?? []).map(describeKeyAuthorization),
+    upgrade: options.upgrade ?? false,
+    quote: options.quote ?? null,
+    allowlisted: previews.length > 0 && previews.every(p => p.frenPet && p.value === 0n),
+    unknownTargets,
+  };
+}
+
+/**
+ * Value sent with a call, e.g. '0.01 ETH'
+ */
+export function formatCallValue(value: bigint): string {
+  return `${formatEther(value)} ${getNetwork().nativeCurrency.symbol}`;
+}
+
+/**
+ * Whether an intent is signed right away, shown to the user or refused
+ * - 'allowlist': known FrenPet calls are approved, unknown targets are blocked
+ * - 'confirm': every intent is shown to the user
+ * Without a way to ask the user, only known FrenPet calls are signed
+ */
+export function getApprovalDecision(
+  preview: IntentPreview,
+  mode: IntentApprovalMode,
+  canAsk: boolean
+): ApprovalDecision {
+  if (preview.unknownTargets.length > 0) {
+    return mode === 'confirm' && canAsk ? 'ask' : 'block';
+  }
+  if (preview.allowlisted) {
+    return mode === 'confirm' && canAsk ? 'ask' : 'approve';
+  }
+  return canAsk ? 'ask' : 'block';
+}
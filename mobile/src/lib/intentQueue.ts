@@ -0,0 +1,159 @@
+/**
+ * Intent Queue
+ *
+ * Serializes gasless intents per account. The relay assigns each intent the
+ * account's next nonce, so an intent is only prepared once the one before it
+ * has landed (or failed). The same calls queued again while the first copy is
+ * still in flight (e.g. two FEED taps) share its result instead of racing it
+ */
+
+import type { Call } from './portoClient.native';
+
+export type IntentState = 'queued' | 'preparing' | 'signing' | 'sent' | 'confirmed' | 'failed';
+
+export interface QueuedIntent {
+  id: number;
+  account: string;
+  // e.g. 'feed'
+  label: string;
+  state: IntentState;
+  bundleId?: string;
+  error?: unknown;
+}
+
+export interface IntentJob<T extends { bundleId: string }> {
+  account: string;
+  calls: Call[];
+  label?: string;
+  // Prepares, signs and sends the intent; reports 'signing' once approved
+  send: (onProgress: (state: IntentState) => void) => Promise<T>;
+}
+
+type QueueListener = (intents: QueuedIntent[]) => void;
+
+// How long settled intents stay visible
+const SETTLED_TTL = 3000;
+
+/**
+ * Same account and calls = same intent
+ */
+export function intentKey(account: string, calls: Call[]): string {
+  const normalized = calls.map(call => [
+    call.to.toLowerCase(),
+    (call.data || '0x').toLowerCase(),
+    BigInt(call.value || 0).toString(),
+  ]);
+  return `${account.toLowerCase()}:${JSON.stringify(normalized)}`;
+}
+
+export class IntentQueue {
+  private intents: QueuedIntent[] = [];
+  private nextId = 1;
+  // Per account: resolves once its last queued intent has settled
+  private lanes = new Map<string, Promise<void>>();
+  // Intents not yet confirmed or failed, by intentKey
+  private inFlight = new Map<string, Promise<any>>();
+  private listeners = new Set<QueueListener>();
+
+  constructor(
+    // Resolves once the bundle landed, rejects if it failed
+    private readonly confirm: (bundleId: string) => Promise<unknown>,
+    private readonly settledTtl: number = SETTLED_TTL
+  ) {}
+
+  /**
+   * Queue an intent behind the account's other intents
+   * Resolves with the send result once it is sent (not confirmed)
+   */
+  enqueue<T extends { bundleId: string }>(job: IntentJob<T>): Promise<T> {
+    const key = intentKey(job.account, job.calls);
+    const duplicate = this.inFlight.get(key);
+    if (duplicate) {
+      console.log('[IntentQueue] Joining identical intent in flight:', job.label ?? key);
+      return duplicate;
+    }
+
+    const intent: QueuedIntent = {
+      id: this.nextId++,
+      account: job.account,
+      label: job.label ?? `${job.calls.length} call(s)`,
+      state: 'queued',
+    };
+    this.intents = [...this.intents, intent];
+    this.emit();
+
+    const lane = job.account.toLowerCase();
+    const previous = this.lanes.get(lane) ?? Promise.resolve();
+    let release!: () => void;
+    const settled = new Promise<void>(resolve => {
+      release = resolve;
+    });
+    const tail = previous.then(() => settled);
+    this.lanes.set(lane, tail);
+    tail.then(() => {
+      if (this.lanes.get(lane) === tail) this.lanes.delete(lane);
+    });
+
+    const done = (state: 'confirmed' | 'failed', error?: unknown) => {
+      this.inFlight.delete(key);
+      this.update(intent.id, { state, error });
+      release();
+      setTimeout(() => this.remove(intent.id), this.settledTtl);
+    };
+
+    const result = previous.then(async () => {
+      this.update(intent.id, { state: 'preparing' });
+      let sent: T;
+      try {
+        sent = await job.send(state => this.update(intent.id, { state }));
+      } catch (error) {
+        done('failed', error);
+        throw error;
+      }
+
+      this.update(intent.id, { state: 'sent', bundleId: sent.bundleId });
+      // Hold the lane until the nonce is used
+      this.confirm(sent.bundleId).then(
+        () => done('confirmed'),
+        error => done('failed', error)
+      );
+      return sent;
+    });
+
+    this.inFlight.set(key, result);
+    return result;
+  }
+
+  /**
+   * Queued, in-flight and recently settled intents, oldest first
+   */
+  getIntents(account?: string): QueuedIntent[] {
+    if (!account) return this.intents;
+    return this.intents.filter(intent => intent.account.toLowerCase() === account.toLowerCase());
+  }
+
+  /**
+   * Listen for queue changes; returns an unsubscribe function
+   */
+  subscribe(listener: QueueListener): () => void {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  private update(id: number, changes: Partial<QueuedIntent>) {
+    // New objects so React state sees the change
+    this.intents = this.intents.map(item => (item.id === id ? { ...item, ...changes } : item));
+    this.emit();
+  }
+
+  private remove(id: number) {
+    this.intents = this.intents.filter(item => item.id !== id);
+    this.emit();
+  }
+
+  private emit() {
+    this.listeners.forEach(listener => listener(this.intents));
+  }
+}
@@ -0,0 +1,197 @@
+/**
+ * Keystore Files
+ *
+ * Web3 Secret Storage (keystore v3) export and import of a private key, so a
+ * wallet can move between devices and the web build as a password-protected
+ * file that geth, MetaMask and other wallets read as well.
+ *
+ * Exports use scrypt with geth's "light" parameters: the standard ones need
+ * 256 MB and several seconds, too much for phones. Imports accept any scrypt
+ * or pbkdf2 file up to the standard cost. Keys are derived with the async
+ * KDFs, which yield to the event loop so the UI keeps rendering; ox's own
+ * toKeyAsync/scryptAsync ignore a file's `r` and `p`, so noble is used directly
+ */
+
+import { pbkdf2Async } from '@noble/hashes/pbkdf2';
+import { scryptAsync } from '@noble/hashes/scrypt';
+import { sha256 } from '@noble/hashes/sha256';
+import { Bytes, Keystore } from 'ox';
+import { isAddressEqual, type Hex } from 'viem';
+import { privateKeyToAddress } from 'viem/accounts';
+
+export interface ScryptParams {
+  n: number;
+  r: number;
+  p: number;
+}
+
+// Cost of exported files (geth --lightkdf): 4 MB of memory
+export const KEYSTORE_SCRYPT: ScryptParams = { n: 4096, r: 8, p: 6 };
+
+// Highest scrypt cost accepted on import (geth's standard n=2^18, r=8, p=1):
+// memory is 128·n·r bytes, work grows with n·r·p
+const MAX_SCRYPT_MEMORY = 128 * 262_144 * 8;
+const MAX_SCRYPT_WORK = 262_144 * 8;
+// Highest pbkdf2 iteration count accepted on import (geth's and the spec's)
+const MAX_PBKDF2_ITERATIONS = 262_144;
+
+export const MIN_KEYSTORE_PASSWORD_LENGTH = 8;
+
+// Keystore v3 file; `address` (lowercase, no 0x) is optional but written by all common wallets
+export type KeystoreFile = Keystore.Keystore & { address?: string };
+
+export type KeystoreErrorReason = 'invalid-file' | 'wrong-password' | 'address-mismatch' | 'weak-password';
+
+/**
+ * Keystore export or import failed; `reason` says why
+ */
+export class KeystoreError extends Error {
+  public readonly reason: KeystoreErrorReason;
+
+  constructor(reason: KeystoreErrorReason, message: string) {
+    super(message);
+    this.name = 'KeystoreError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Encrypt a private key into a keystore v3 file
+ */
+export async function encryptKeystore(
+  privateKey: Hex,
+  password: string,
+  scrypt: ScryptParams = KEYSTORE_SCRYPT
+): Promise<KeystoreFile> {
+  if (password.length < MIN_KEYSTORE_PASSWORD_LENGTH) {
+    throw new KeystoreError(
+      'weak-password',
+      `Password must be at least ${MIN_KEYSTORE_PASSWORD_LENGTH} characters`
+    );
+  }
+
+  const { n, r, p } = scrypt;
+  const salt = Bytes.random(32);
+  const key = await scryptAsync(password, salt, { N: n, r, p, dkLen: 32 });
+  const keystore = Keystore.encrypt(privateKey, Bytes.toHex(key), {
+    id: randomUUID(),
+    iv: Bytes.random(16),
+    kdf: 'scrypt',
+    kdfparams: { dklen: 32, n, p, r, salt: Bytes.toHex(salt).slice(2) },
+  });
+  return { ...keystore, address: privateKeyToAddress(privateKey).slice(2).toLowerCase() };
+}
+
+/**
+ * Parse a keystore file's JSON and check it is one we can decrypt
+ * The address is readable without the password, e.g. to confirm an import
+ */
+export function parseKeystore(json: string | object): KeystoreFile {
+  let keystore: any;
+  try {
+    keystore = typeof json === 'string' ? JSON.parse(json) : json;
+  } catch {
+    throw new KeystoreError('invalid-file', 'Not a keystore file: invalid JSON');
+  }
+
+  // Some wallets write `Crypto`
+  const crypto = keystore?.crypto ?? keystore?.Crypto;
+  if (keystore?.version !== 3 || !crypto) {
+    throw new KeystoreError('invalid-file', 'Not a keystore v3 file');
+  }
+  if (crypto.cipher !== 'aes-128-ctr') {
+    throw new KeystoreError('invalid-file', `Unsupported cipher: ${crypto.cipher}`);
+  }
+  if (crypto.kdf === 'scrypt') {
+    const { n, r, p } = crypto.kdfparams ?? {};
+    const integers = [n, r, p].every(value => Number.isInteger(value) && value >= 1);
+    if (
+      !integers ||
+      128 * n * r > MAX_SCRYPT_MEMORY ||
+      n * r * p > MAX_SCRYPT_WORK ||
+      n < 2 ||
+      (n & (n - 1)) !== 0
+    ) {
+      throw new KeystoreError('invalid-file', 'Unsupported scrypt parameters');
+    }
+  } else if (crypto.kdf !== 'pbkdf2' || crypto.kdfparams?.prf !== 'hmac-sha256') {
+    throw new KeystoreError('invalid-file', `Unsupported key derivation: ${crypto.kdf}`);
+  } else {
+    const { c } = crypto.kdfparams;
+    if (!Number.isInteger(c) || c < 1 || c > MAX_PBKDF2_ITERATIONS) {
+      throw new KeystoreError('invalid-file', 'Unsupported pbkdf2 parameters');
+    }
+  }
+
+  return { ...keystore, crypto };
+}
+
+/**
+ * Address a keystore file says it holds, if it says
+ */
+export function getKeystoreAddress(keystore: KeystoreFile): Hex | null {
+  const address = keystore.address?.toLowerCase().replace(/^0x/, '');
+  return address && /^[0-9a-f]{40}$/.test(address) ? `0x${address}` : null;
+}
+
+/**
+ * Key a parsed keystore's KDF derives from the password
+ */
+async function deriveKey(keystore: KeystoreFile, password: string): Promise<Hex> {
+  const { kdf, kdfparams } = keystore.crypto as any;
+  const salt = Bytes.fromHex(`0x${kdfparams.salt}`);
+  const key = kdf === 'scrypt'
+    ? await scryptAsync(password, salt, { N: kdfparams.n, r: kdfparams.r, p: kdfparams.p, dkLen: 32 })
+    : await pbkdf2Async(sha256, password, salt, { c: kdfparams.c, dkLen: 32 });
+  return Bytes.toHex(key);
+}
+
+/**
+ * Decrypt a keystore file
+ * Rejects a wrong password (MAC mismatch) and files whose key doesn't match
+ * the address they declare
+ */
+export async function decryptKeystore(
+  json: string | object,
+  password: string
+): Promise<{ privateKey: Hex; address: Hex }> {
+  const keystore = parseKeystore(json);
+
+  let privateKey: Hex;
+  try {
+    const key = await deriveKey(keystore, password);
+    privateKey = Keystore.decrypt(keystore, key);
+  } catch (error) {
+    if ((error as Error).message === 'corrupt keystore') {
+      throw new KeystoreError('wrong-password', 'Wrong password for this keystore');
+    }
+    throw new KeystoreError('invalid-file', `Could not decrypt keystore: ${(error as Error).message}`);
+  }
+  if (privateKey.length !== 66) {
+    throw new KeystoreError('invalid-file', 'Keystore does not hold a private key');
+  }
+
+  const address = privateKeyToAddress(privateKey);
+  const declared = getKeystoreAddress(keystore);
+  if (declared && !isAddressEqual(declared, address)) {
+    throw new KeystoreError('address-mismatch', `Keystore key belongs to ${address}, not ${declared}`);
+  }
+  return { privateKey, address };
+}
+
+/**
+ * File name wallets use for keystores: UTC--<time>--<address>
+ */
+export function keystoreFileName(keystore: KeystoreFile, date: Date = new Date()): string {
+  const time = date.toISOString().replace(/:/g, '-');
+  return `UTC--${time}--${keystore.address ?? keystore.id}.json`;
+}
+
+// RFC 4122 version 4 UUID for the keystore id (crypto.randomUUID is missing on React Native)
+function randomUUID(): string {
+  const bytes = Bytes.random(16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Bytes.toHex(bytes).slice(2);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
@@ -0,0 +1,31 @@
+/**
+ * Persisted network selection
+ * Restores the user's network on startup and saves it on every switch
+ */
+
+import { Storage } from './storage';
+import { NETWORKS, getNetwork, setActiveNetwork, type NetworkConfig } from '../config/networks';
+
+const NETWORK_KEY = 'RISE_NETWORK_CHAIN_ID';
+
+/**
+ * Restore the saved network (call once before anything talks to a chain)
+ */
+export async function loadNetworkSelection(): Promise<NetworkConfig> {
+  const stored = await Storage.getItem(NETWORK_KEY);
+  const chainId = Number(stored);
+
+  if (stored && NETWORKS[chainId]) {
+    return setActiveNetwork(chainId);
+  }
+  return getNetwork();
+}
+
+/**
+ * Switch to a network and remember it
+ */
+export async function selectNetwork(chainId: number): Promise<NetworkConfig> {
+  const network = setActiveNetwork(chainId);
+  await Storage.setItem(NETWORK_KEY, chainId.toString());
+  return network;
+}
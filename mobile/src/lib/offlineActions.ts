@@ -0,0 +1,203 @@
+/**
+ * Offline Actions
+ *
+ * Pet actions tapped while the relay can't be reached are saved to Storage
+ * with a timestamp and sent once it answers again, oldest first. Actions
+ * that no longer make sense when they come up (stale, or the pet died in
+ * the meantime) are dropped instead of sent
+ */
+
+import { Storage } from './storage';
+import { PortoNetworkError } from './portoErrors';
+import { PORTO_CONFIG } from '../config/porto';
+
+const PENDING_ACTIONS_KEY = 'RISE_PENDING_ACTIONS';
+
+export interface PendingAction {
+  id: string;
+  // Account and chain the action was tapped for
+  account: string;
+  chainId: number;
+  // FrenPet function, called without arguments
+  functionName: string;
+  // ms timestamp
+  createdAt: number;
+}
+
+export interface ReplayHandlers {
+  // Relay reachable and healthy
+  isOnline: () => Promise<boolean>;
+  // Still worth sending (e.g. the pet is alive)
+  isValid: (action: PendingAction) => Promise<boolean>;
+  run: (action: PendingAction) => Promise<unknown>;
+}
+
+export interface ReplayResult {
+  sent: PendingAction[];
+  dropped: PendingAction[];
+}
+
+type ActionsListener = (actions: PendingAction[]) => void;
+
+/**
+ * Whether an error means the device or relay is offline, rather than the
+ * action being refused. Checks the whole cause chain
+ */
+export function isOfflineError(error: unknown): boolean {
+  let current: any = error;
+  for (let depth = 0; current && depth < 5; depth++) {
+    if (current instanceof PortoNetworkError) return true;
+    // viem transport errors (direct RPC fallback)
+    if (current.name === 'HttpRequestError' || current.name === 'TimeoutError') return true;
+    // fetch: 'Network request failed' (React Native), 'fetch failed' (Node)
+    if (current instanceof TypeError && /network request failed|fetch failed/i.test(current.message)) {
+      return true;
+    }
+    current = current.cause;
+  }
+  return false;
+}
+
+export class OfflineActionQueue {
+  private actions: PendingAction[] = [];
+  private loaded: Promise<void> | null = null;
+  // In-flight replays by `${account}:${chainId}`
+  private replaying = new Map<string, Promise<ReplayResult>>();
+  private listeners = new Set<ActionsListener>();
+
+  /**
+   * Read saved actions (once)
+   */
+  load(): Promise<void> {
+    if (!this.loaded) {
+      this.loaded = Storage.getItem(PENDING_ACTIONS_KEY).then(stored => {
+        try {
+          const saved = stored ? JSON.parse(stored) : [];
+          // Anything recorded before the load finished goes after the saved ones
+          this.actions = [...(Array.isArray(saved) ? saved : []), ...this.actions];
+        } catch (error) {
+          console.warn('[OfflineActions] Ignoring unreadable pending actions:', error);
+        }
+        this.emit();
+      });
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Save an action to send later
+   */
+  async record(account: string, chainId: number, functionName: string): Promise<PendingAction> {
+    await this.load();
+    const action: PendingAction = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      account,
+      chainId,
+      functionName,
+      createdAt: Date.now(),
+    };
+    console.log('[OfflineActions] Offline, saved', functionName, 'for later');
+    this.actions = [...this.actions, action];
+    await this.save();
+    return action;
+  }
+
+  /**
+   * Saved actions, oldest first
+   */
+  getPending(account?: string, chainId?: number): PendingAction[] {
+    return this.actions.filter(action =>
+      (!account || action.account.toLowerCase() === account.toLowerCase()) &&
+      (chainId === undefined || action.chainId === chainId)
+    );
+  }
+
+  /**
+   * Listen for changes; returns an unsubscribe function
+   */
+  subscribe(listener: ActionsListener): () => void {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  /**
+   * Send an account's saved actions in order once the relay is back
+   * Stops at the first one that fails for being offline; ones that are
+   * stale, no longer valid or refused are dropped. Concurrent calls for
+   * the same account and chain share one replay
+   */
+  replay(account: string, chainId: number, handlers: ReplayHandlers): Promise<ReplayResult> {
+    const key = `${account.toLowerCase()}:${chainId}`;
+    let replaying = this.replaying.get(key);
+    if (!replaying) {
+      replaying = this.replayPending(account, chainId, handlers).finally(() => {
+        this.replaying.delete(key);
+      });
+      this.replaying.set(key, replaying);
+    }
+    return replaying;
+  }
+
+  private async replayPending(
+    account: string,
+    chainId: number,
+    { isOnline, isValid, run }: ReplayHandlers
+  ): Promise<ReplayResult> {
+    await this.load();
+    const result: ReplayResult = { sent: [], dropped: [] };
+    if (this.getPending(account, chainId).length === 0 || !(await isOnline())) return result;
+
+    for (const action of this.getPending(account, chainId)) {
+      let valid: boolean;
+      try {
+        valid = Date.now() - action.createdAt <= PORTO_CONFIG.offlineActionTtl && await isValid(action);
+      } catch (error) {
+        // Can't tell yet; keep it for the next attempt
+        console.warn('[OfflineActions] Could not check', action.functionName, error);
+        break;
+      }
+      if (!valid) {
+        console.log('[OfflineActions] Dropping', action.functionName, 'from', new Date(action.createdAt).toISOString());
+        result.dropped.push(action);
+        await this.remove(action.id);
+        continue;
+      }
+
+      try {
+        await run(action);
+        result.sent.push(action);
+      } catch (error) {
+        // Keep it (and everything after it) for the next attempt
+        if (isOfflineError(error)) break;
+        console.warn('[OfflineActions] Replayed', action.functionName, 'failed, dropping:', error);
+        result.dropped.push(action);
+      }
+      await this.remove(action.id);
+    }
+    return result;
+  }
+
+  private async remove(id: string) {
+    this.actions = this.actions.filter(action => action.id !== id);
+    await this.save();
+  }
+
+  private async save() {
+    this.emit();
+    try {
+      await Storage.setItem(PENDING_ACTIONS_KEY, JSON.stringify(this.actions));
+    } catch (error) {
+      // Still replayed this session
+      console.warn('[OfflineActions] Could not save pending actions:', error);
+    }
+  }
+
+  private emit() {
+    this.listeners.forEach(listener => listener(this.actions));
+  }
+}
+
+// Shared by every screen
+export const offlineActions = new OfflineActionQueue();
@@ -0,0 +1,107 @@
+/**
+ * Pet Action Simulation
+ *
+ * eth_call pre-flight of FrenPet calls from the user's address, so contract
+ * reverts ("Your pet is no longer with us", "Pet needs rest", ...) are caught
+ * before the relay round trip instead of after the bundle fails
+ */
+
+import { BaseError, decodeErrorResult, type Hex } from 'viem';
+import { getRpcClient } from '../config/rpcClient';
+import { getFrenPetAddress } from '../config/contracts';
+
+// Why the contract would refuse the call
+export type RevertReason =
+  | 'PET_DEAD'
+  | 'NO_PET'
+  | 'PET_ALIVE'
+  | 'INVALID_NAME'
+  | 'NEEDS_REST'
+  | 'ALREADY_CLAIMED'
+  | 'OTHER';
+
+export type SimulationResult =
+  // The call would go through
+  | { status: 'ok' }
+  // The contract refuses it; `message` is the revert string
+  | { status: 'reverted'; reason: RevertReason; message: string }
+  // Could not simulate (RPC unreachable); the caller decides
+  | { status: 'unknown'; error: unknown };
+
+// First match wins, on the lowercased revert string
+const REVERT_REASONS: { match: string[]; reason: RevertReason }[] = [
+  { match: ['no longer with us', 'needs to be revived'], reason: 'PET_DEAD' },
+  { match: ["don't have a pet"], reason: 'NO_PET' },
+  { match: ['still alive'], reason: 'PET_ALIVE' },
+  { match: ['name cannot be empty', 'invalid name'], reason: 'INVALID_NAME' },
+  { match: ['needs rest', 'is resting'], reason: 'NEEDS_REST' },
+  { match: ['already claimed'], reason: 'ALREADY_CLAIMED' },
+];
+
+/**
+ * Typed reason for a FrenPet revert string
+ */
+export function classifyRevert(message: string): RevertReason {
+  const text = message.toLowerCase();
+  return REVERT_REASONS.find(entry => entry.match.some(m => text.includes(m)))?.reason ?? 'OTHER';
+}
+
+/**
+ * Revert string from Error(string) revert data, 'execution reverted' otherwise
+ */
+export function decodeRevertData(data: Hex): string {
+  try {
+    const decoded = decodeErrorResult({ abi: [], data });
+    if (decoded.errorName === 'Error') return String(decoded.args?.[0]);
+  } catch {
+    // Custom error we have no ABI for
+  }
+  return 'execution reverted';
+}
+
+/**
+ * Revert string from an eth_call error, null if the call did not revert
+ * (e.g. the node could not be reached)
+ */
+export function getRevertMessage(error: unknown): string | null {
+  if (!(error instanceof BaseError)) return null;
+
+  // Error(string) payload, when the node returns the revert data
+  const withData = error.walk(e => typeof (e as any)?.data === 'string' && (e as any).data.startsWith('0x'));
+  const data = (withData as any)?.data as Hex | undefined;
+  if (data && data.length > 2) return decodeRevertData(data);
+
+  // Some nodes only put it in the message
+  const match = /execution reverted(?::\s*(.+))?/i.exec(error.details || error.message);
+  if (match) return (match[1] ?? 'execution reverted').trim();
+  return null;
+}
+
+/**
+ * Simulate a FrenPet call as sent from `from`
+ * @param blockNumber - Simulate on top of this block instead of the latest
+ */
+export async function simulatePetCall(
+  from: string,
+  data: string,
+  value: bigint = 0n,
+  blockNumber?: bigint
+): Promise<SimulationResult> {
+  try {
+    await getRpcClient().call({
+      account: from as Hex,
+      to: getFrenPetAddress(),
+      data: data as Hex,
+      value,
+      ...(blockNumber !== undefined ? { blockNumber } : {}),
+    });
+    return { status: 'ok' };
+  } catch (error) {
+    const message = getRevertMessage(error);
+    if (message === null) {
+      console.warn('[Simulation] Could not simulate call:', error instanceof Error ? error.message : error);
+      return { status: 'unknown', error };
+    }
+    return { status: 'reverted', reason: classifyRevert(message), message };
+  }
+}
@@ -4,17 +4,30 @@
  */
 
 import { type Hex } from 'viem';
+import type { PortoKeyType } from './portoKeys';
 
 /**
  * Serialize a public key for Porto
- * Pads addresses to 32 bytes as required by Porto
+ * secp256k1 keys are addresses, padded to 32 bytes as required by Porto;
+ * P-256 keys are the 64-byte x‖y coordinates (an uncompressed 0x04 prefix is dropped)
  * 
  * @param publicKey - The public key/address to serialize
- * @returns Padded 32-byte hex string
+ * @param type - Porto key type of the public key
+ * @returns Serialized public key
  */
-export function serializePublicKey(publicKey: string): Hex {
+export function serializePublicKey(publicKey: string, type: PortoKeyType = 'secp256k1'): Hex {
   // Remove 0x prefix if present
   const cleanKey = publicKey.startsWith('0x') ? publicKey.slice(2) : publicKey;
+
+  if (type !== 'secp256k1') {
+    if (cleanKey.length === 130 && cleanKey.startsWith('04')) {
+      return `0x${cleanKey.slice(2)}` as Hex;
+    }
+    if (cleanKey.length !== 128) {
+      throw new Error(`Invalid ${type} public key: expected 64 bytes, got ${cleanKey.length / 2}`);
+    }
+    return `0x${cleanKey}` as Hex;
+  }
   
   // Calculate padding needed (32 bytes = 64 hex chars)
   const targetLength = 64;
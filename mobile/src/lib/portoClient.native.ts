@@ -6,16 +6,48 @@
  */
 
 import { privateKeyToAccount, type PrivateKeyAccount } from 'viem/accounts';
-import { type Hex } from 'viem';
+import { type Hex, isAddressEqual } from 'viem';
 import { isAccountDelegated } from './accountUpgrade';
-import { serializePublicKey, ETH_FEE_TOKEN } from './porto-utils';
-import { PORTO_CONFIG } from '../config/porto';
+import { inspectDelegation, needsRedelegation } from './delegationInspector';
+import { BundleConfirmations, isConfirmed, isFailed } from './bundleConfirmations';
+import { IntentQueue, type IntentState, type QueuedIntent } from './intentQueue';
+import { ETH_FEE_TOKEN } from './porto-utils';
+import { PORTO_CONFIG, PORTO_ERRORS } from '../config/porto';
+import { onNetworkChange } from '../config/networks';
+import { onProfileChange } from './walletProfiles';
+import { portoRpc, TransportError } from './portoTransport';
+import { RelayPool, type RelayStatus } from './relayPool';
+import {
+  PortoDigestMismatchError,
+  PortoError,
+  PortoIntentRejectedError,
+  PortoRedelegationRequiredError,
+  PortoSponsorshipError,
+  PortoTransactionError,
+  fromRpcError,
+  stageForMethod,
+  toPortoError,
+} from './portoErrors';
+import { buildSessionKeyAuthorization, isSessionCall } from './sessionKeys';
+import {
+  buildKeyAuthorization,
+  fromAccount,
+  fromAddress,
+  isSameKey,
+  toPortoKey,
+  type KeyAuthorization,
+  type KeySigner,
+  type PortoKey,
+} from './portoKeys';
+import { verifyIntentDigest, verifyUpgradeDigests } from './portoDigest';
+import { buildIntentPreview, getApprovalDecision, type IntentPreview } from './intentPreview';
+import { DEFAULT_FEE_TOKEN, parseFeeQuote, parseFeeTokens, type FeeQuote, type FeeToken } from './portoFees';
 
 // Use centralized configuration
 // PORTO_CONFIG imported from '../config/porto'
 
 // Types matching Porto relay API
-interface Call {
+export interface Call {
   to: string;
   data: string;
   value: string;
@@ -35,6 +67,63 @@ interface PrepareCallsResponse {
   typedData: any;
   key: any;
   capabilities?: any;
+  quote: FeeQuote | null;
+  // Relay that prepared the intent; it must also be the one it is sent to
+  relayUrl: string;
+}
+
+// Key that signs an intent: an account (secp256k1) or any Porto key signer
+export type IntentSigner = PrivateKeyAccount | KeySigner;
+
+export interface PrepareCallsOptions {
+  signer?: IntentSigner | null;
+  authorizeKeys?: any[];
+  feeToken?: string;
+  preCalls?: PreCall[];
+  // Relay to prepare with (defaults to the active one)
+  relayUrl?: string;
+}
+
+// Signed call executed before the intent's own calls (e.g. the account upgrade)
+export interface PreCall {
+  eoa: string;
+  executionData: string;
+  nonce: string;
+  signature: string;
+}
+
+export type UpgradeStatus = 'prepared' | 'submitted' | 'confirmed' | 'failed';
+
+/**
+ * Account upgrade stored with the relay that has not landed on-chain yet
+ * It rides along with the next intent as a pre-call
+ */
+export interface UpgradeContext {
+  address: string;
+  chainId: number;
+  // Signed upgrade returned by the relay; empty when the relay adds it itself
+  preCalls: PreCall[];
+  // Session key authorized by this upgrade
+  sessionKeyAddress?: string;
+  // Admin key (see setAdminKey) authorized by this upgrade
+  adminKey?: PortoKey;
+  status: UpgradeStatus;
+  // Bundle that carried the upgrade
+  bundleId?: string;
+  // Relay the upgrade was stored with
+  relayUrl?: string;
+  error?: PortoError;
+}
+
+export interface GaslessOptions {
+  // Fee token to pay with if the relay does not sponsor (defaults to the selected one)
+  feeToken?: string;
+  // Highest fee the user accepted; unsponsored intents above it are not sent
+  maxFee?: bigint;
+  // Shown in the intent queue, e.g. 'feed'
+  label?: string;
+  // Called with 'signing' once the intent is approved
+  onProgress?: (state: IntentState) => void;
 }
 
 interface SendPreparedCallsRequest {
@@ -43,19 +132,81 @@ interface SendPreparedCallsRequest {
   signature: string;
 }
 
-interface TransactionStatus {
+export interface TransactionStatus {
   id: string;
   status: number;
   receipts?: any[];
 }
 
+interface KeyState {
+  authorizedChains: Set<number>;
+  onAuthorized?: (chainId: number) => void;
+}
+
+interface SessionKeyState extends KeyState {
+  account: PrivateKeyAccount;
+  expiry: number; // ms timestamp
+}
+
+interface AdminKeyState extends KeyState {
+  signer: KeySigner;
+}
+
+// Shows the preview to the user; resolves true to sign
+export type IntentApprover = (preview: IntentPreview) => Promise<boolean>;
+
+export interface KeyOptions {
+  // Chains the key is already authorized on
+  authorizedChainIds?: number[];
+  // Called once the bundle authorizing the key has confirmed on a chain
+  onAuthorized?: (chainId: number) => void;
+}
+
 /**
  * Porto Client for React Native
  * Handles all interactions with Porto relayer for gasless transactions
  */
 export class PortoClient {
   private account: PrivateKeyAccount | null = null;
+  private sessionKey: SessionKeyState | null = null;
+  private adminKey: AdminKeyState | null = null;
+  private upgradeContext: UpgradeContext | null = null;
+  // Delegate the user agreed to replace with the Porto proxy (see redelegate)
+  private approvedRedelegation: string | null = null;
+  // Digests returned by prepareCalls that matched our request
+  private verifiedDigests = new Set<string>();
+  private intentApprover: IntentApprover | null = null;
+  private feeTokens: FeeToken[] | null = null;
+  private feeToken: string = ETH_FEE_TOKEN;
   private isInitialized = false;
+  // Shared by everything waiting on a bundle
+  private confirmations = new BundleConfirmations(bundleId => this.getCallsStatus(bundleId));
+  // Orders intents per account (each waits for the previous one's nonce)
+  private intentQueue = new IntentQueue(bundleId => this.waitForTransaction(bundleId));
+  // Relay failover; bundles are tracked on the relay that accepted them
+  private relays = new RelayPool();
+  private bundleRelays = new Map<string, string>();
+  // Keys a bundle authorizes; they sign intents only once it confirms
+  private pendingAuthorizations = new Map<string, Array<() => void>>();
+  private accountListeners = new Set<(address: string) => void>();
+
+  constructor() {
+    // Fee tokens and relays differ per network
+    onNetworkChange(() => {
+      this.feeTokens = null;
+      this.relays.reset();
+    });
+    // The account and its keys belong to the previous profile; nothing is
+    // signed until the new profile's wallet initializes the client
+    onProfileChange(() => {
+      this.account = null;
+      this.isInitialized = false;
+      this.sessionKey = null;
+      this.adminKey = null;
+      this.approvedRedelegation = null;
+      this.verifiedDigests.clear();
+    });
+  }
 
   /**
    * Initialize with account from secure storage
@@ -65,6 +216,8 @@ export class PortoClient {
       this.account = privateKeyToAccount(privateKey as `0x${string}`);
       this.isInitialized = true;
       console.log('[Porto] Initialized with account:', this.account.address);
+      const { address } = this.account;
+      this.accountListeners.forEach(listener => listener(address));
     } catch (error) {
       console.error('[Porto] Failed to initialize:', error);
       throw error;
@@ -72,16 +225,138 @@ export class PortoClient {
   }
 
   /**
-   * Check if Porto relayer is healthy
+   * Set the session key used to sign game intents
+   * Only used when PORTO_CONFIG.features.sessionKeysEnabled is on
    */
-  async checkHealth(): Promise<boolean> {
-    try {
-      const response = await this.makeRpcCall('health', []);
-      return response.result === 'healthy';
-    } catch (error) {
-      console.error('[Porto] Health check failed:', error);
-      return false;
+  setSessionKey(privateKey: string, expiry: number, options: KeyOptions = {}) {
+    this.sessionKey = {
+      account: privateKeyToAccount(privateKey as `0x${string}`),
+      expiry,
+      authorizedChains: new Set(options.authorizedChainIds ?? []),
+      onAuthorized: options.onAuthorized,
+    };
+    console.log('[Porto] Session key set:', this.sessionKey.account.address);
+  }
+
+  /**
+   * Stop signing with the session key
+   */
+  clearSessionKey() {
+    this.sessionKey = null;
+  }
+
+  /**
+   * Session key that may be used right now (enabled and not expired)
+   */
+  private getActiveSessionKey(): SessionKeyState | null {
+    if (!PORTO_CONFIG.features.sessionKeysEnabled || !this.sessionKey) return null;
+    return Date.now() < this.sessionKey.expiry ? this.sessionKey : null;
+  }
+
+  /**
+   * Set an admin key (e.g. a passkey) to sign intents instead of the main key
+   * It is authorized with the account upgrade or the next intent, signed by
+   * the main key; after that it signs every intent the session key doesn't.
+   * Upgrade digests are always signed by the main key (EIP-7702)
+   */
+  setAdminKey(signer: KeySigner, options: KeyOptions = {}) {
+    this.adminKey = {
+      signer,
+      authorizedChains: new Set(options.authorizedChainIds ?? []),
+      onAuthorized: options.onAuthorized,
+    };
+    console.log('[Porto] Admin key set:', signer.type, signer.publicKey);
+  }
+
+  /**
+   * Sign with the main key again
+   */
+  clearAdminKey() {
+    this.adminKey = null;
+  }
+
+  private isKeyAuthorized(key: KeyState): boolean {
+    return key.authorizedChains.has(PORTO_CONFIG.chainId);
+  }
+
+  private markKeyAuthorized(key: KeyState, label: string) {
+    const { chainId } = PORTO_CONFIG;
+    if (key.authorizedChains.has(chainId)) return;
+    key.authorizedChains.add(chainId);
+    console.log('[Porto] ✅', label, 'authorized');
+    key.onAuthorized?.(chainId);
+  }
+
+  private markSessionKeyAuthorized(sessionKey: SessionKeyState) {
+    this.markKeyAuthorized(sessionKey, `Session key ${sessionKey.account.address}`);
+  }
+
+  private markAdminKeyAuthorized(adminKey: AdminKeyState) {
+    this.markKeyAuthorized(adminKey, `Admin ${adminKey.signer.type} key`);
+  }
+
+  /**
+   * Set how intents are shown to the user before signing (null to remove)
+   */
+  setIntentApprover(approver: IntentApprover | null) {
+    this.intentApprover = approver;
+  }
+
+  /**
+   * Approve, ask about or block an intent per PORTO_CONFIG.intentApproval
+   * Throws PortoIntentRejectedError unless it may be signed
+   */
+  private async approveIntent(preview: IntentPreview): Promise<void> {
+    const decision = getApprovalDecision(preview, PORTO_CONFIG.intentApproval, !!this.intentApprover);
+    if (decision === 'approve') return;
+
+    if (decision === 'block') {
+      const targets = preview.unknownTargets.join(', ') || preview.calls.map(c => c.target).join(', ');
+      console.warn('[Porto] Blocked intent to', targets);
+      throw new PortoIntentRejectedError(`${PORTO_ERRORS.INTENT_BLOCKED}: ${targets}`, {
+        stage: 'sign',
+        data: { preview, blocked: true },
+      });
     }
+
+    const approved = await this.intentApprover!(preview);
+    if (!approved) {
+      throw new PortoIntentRejectedError(PORTO_ERRORS.INTENT_REJECTED, {
+        stage: 'sign',
+        data: { preview, blocked: false },
+      });
+    }
+  }
+
+  /**
+   * Check if a Porto relayer is healthy
+   * Relays are checked in order and the first healthy one becomes active
+   */
+  async checkHealth(): Promise<boolean> {
+    return this.relays.refresh(async url => {
+      try {
+        // No retries: the next relay is the retry
+        const response = await portoRpc('health', [], { url, retryAttempts: 0 });
+        return response.result === 'healthy';
+      } catch (error) {
+        console.error('[Porto] Health check failed:', url, error);
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Active relay and the health of each relay
+   */
+  getRelayStatus(): RelayStatus {
+    return this.relays.getStatus();
+  }
+
+  /**
+   * Listen for relay switches and health changes; returns an unsubscribe function
+   */
+  onRelayChange(listener: (status: RelayStatus) => void): () => void {
+    return this.relays.subscribe(listener);
   }
 
   /**
@@ -98,11 +373,55 @@ export class PortoClient {
     }
   }
 
+  /**
+   * Fee tokens the relay accepts on our chain (cached)
+   */
+  async getFeeTokens(): Promise<FeeToken[]> {
+    if (this.feeTokens) return this.feeTokens;
+
+    try {
+      const tokens = parseFeeTokens(await this.getCapabilities());
+      this.feeTokens = tokens.length > 0 ? tokens : [DEFAULT_FEE_TOKEN];
+      return this.feeTokens;
+    } catch (error) {
+      console.warn('[Porto] Could not load fee tokens, using ETH');
+      return [DEFAULT_FEE_TOKEN];
+    }
+  }
+
+  /**
+   * Pick the token used to pay fees when an intent is not sponsored
+   */
+  async setFeeToken(address: string): Promise<void> {
+    const tokens = await this.getFeeTokens();
+    const token = tokens.find(t => isAddressEqual(t.address as `0x${string}`, address as `0x${string}`));
+    if (!token) {
+      throw new PortoError(`${PORTO_ERRORS.UNSUPPORTED_FEE_TOKEN}: ${address}`, { stage: 'prepare' });
+    }
+    this.feeToken = token.address;
+    console.log('[Porto] Fee token set:', token.symbol);
+  }
+
+  /**
+   * Currently selected fee token address
+   */
+  getFeeToken(): string {
+    return this.feeToken;
+  }
+
   /**
    * Prepare calls for execution
+   * The result carries the relay's fee quote
    */
-  async prepareCalls(calls: Call[]): Promise<PrepareCallsResponse> {
-    if (!this.account) throw new Error('Porto client not initialized');
+  async prepareCalls(calls: Call[], options: PrepareCallsOptions = {}): Promise<PrepareCallsResponse> {
+    const {
+      signer = this.account,
+      authorizeKeys = [],
+      feeToken = this.feeToken,
+      preCalls = [],
+      relayUrl = this.relays.current(),
+    } = options;
+    if (!this.account || !signer) throw new PortoError(PORTO_ERRORS.NOT_INITIALIZED, { stage: 'prepare' });
 
     const request: PrepareCallsRequest = {
       from: this.account.address,
@@ -110,39 +429,71 @@ export class PortoClient {
       calls,
       capabilities: {
         meta: {
-          feeToken: ETH_FEE_TOKEN // ETH as fee token for gasless sponsorship
-        }
+          feeToken // ETH by default; only charged when the relay stops sponsoring
+        },
+        ...(authorizeKeys.length > 0 && { authorizeKeys }),
+        ...(preCalls.length > 0 && { preCalls })
       },
-      key: {
-        prehash: false,
-        publicKey: serializePublicKey(this.account.address),
-        type: 'secp256k1'
-      }
+      key: toPortoKey(toKeySigner(signer))
     };
 
     console.log('[Porto] Preparing calls...');
-    const response = await this.makeRpcCall('wallet_prepareCalls', [request]);
+    const response = await this.makeRpcCall('wallet_prepareCalls', [request], relayUrl);
     
     if (response.error) {
-      throw new Error(`Prepare failed: ${response.error.message}`);
+      throw fromRpcError('prepare', response.error);
     }
 
+    // Never sign a digest that doesn't match what we asked for
+    verifyIntentDigest(response.result, {
+      from: this.account.address,
+      chainId: PORTO_CONFIG.chainId,
+      calls,
+      feeToken,
+      preCalls,
+    });
+    this.verifiedDigests.add(response.result.digest.toLowerCase());
+
     console.log('[Porto] Calls prepared, digest:', response.result.digest);
-    return response.result;
+    const quote = parseFeeQuote(response.result, this.feeTokens ?? [DEFAULT_FEE_TOKEN]);
+    return { ...response.result, quote, relayUrl };
+  }
+
+  /**
+   * Fee quote for calls without sending them
+   */
+  async quoteCalls(calls: Call[], feeToken?: string): Promise<FeeQuote | null> {
+    const { quote, digest } = await this.prepareCalls(calls, { feeToken });
+    // Quotes are never signed
+    this.verifiedDigests.delete(digest.toLowerCase());
+    return quote;
   }
 
   /**
    * Sign intent - using raw signature, not EIP-712
    * Porto expects raw signatures on the digest
+   * Only digests verified by prepareCalls are signed
    */
-  async signIntent(digest: string): Promise<string> {
-    if (!this.account) throw new Error('Porto client not initialized');
+  async signIntent(
+    digest: string,
+    signer: IntentSigner | null = this.account
+  ): Promise<string> {
+    if (!signer) throw new PortoError(PORTO_ERRORS.NOT_INITIALIZED, { stage: 'sign' });
+    if (!this.verifiedDigests.delete(digest.toLowerCase())) {
+      throw new PortoDigestMismatchError(`${PORTO_ERRORS.DIGEST_MISMATCH}: digest was not prepared by this client`, {
+        stage: 'sign',
+        data: { field: 'digest', actual: digest },
+      });
+    }
 
     console.log('[Porto] Signing digest...');
-    // Use raw sign, not signTypedData
-    const signature = await this.account.sign({ 
-      hash: digest as Hex 
-    });
+    // Use raw sign, not signTypedData; P-256 keys encode for their key type
+    let signature: string;
+    try {
+      signature = await toKeySigner(signer).sign(digest as Hex);
+    } catch (error) {
+      throw toPortoError('sign', error);
+    }
 
     console.log('[Porto] Digest signed');
     return signature;
@@ -150,54 +501,271 @@ export class PortoClient {
 
   /**
    * Send prepared calls with signature
+   * @param relayUrl - Relay that prepared the calls (defaults to the active one)
    */
   async sendPreparedCalls(
     context: any,
-    signature: string
+    signature: string,
+    signer: IntentSigner | null = this.account,
+    relayUrl: string = this.relays.current()
   ): Promise<string> {
-    if (!this.account) throw new Error('Porto client not initialized');
+    if (!signer) throw new PortoError(PORTO_ERRORS.NOT_INITIALIZED, { stage: 'send' });
     
     const request: SendPreparedCallsRequest = {
       context,
-      key: {
-        prehash: false,
-        publicKey: serializePublicKey(this.account.address),
-        type: 'secp256k1'
-      },
+      key: toPortoKey(toKeySigner(signer)),
       signature,
     };
 
     console.log('[Porto] Sending to relayer...');
-    const response = await this.makeRpcCall('wallet_sendPreparedCalls', [request]);
+    const response = await this.makeRpcCall('wallet_sendPreparedCalls', [request], relayUrl);
     
     if (response.error) {
-      throw new Error(`Send failed: ${response.error.message}`);
+      throw fromRpcError('send', response.error);
     }
 
     const bundleId = response.result.id || response.result;
+    this.bundleRelays.set(bundleId, relayUrl);
     console.log('[Porto] Transaction sent, bundle ID:', bundleId);
     return bundleId;
   }
 
   /**
    * Get status of transaction
+   * Asked of the relay that accepted the bundle, even after a failover
    */
   async getCallsStatus(bundleId: string): Promise<TransactionStatus> {
-    const response = await this.makeRpcCall('wallet_getCallsStatus', [bundleId]);
+    const response = await this.makeRpcCall('wallet_getCallsStatus', [bundleId], this.bundleRelays.get(bundleId));
     
     if (response.error) {
-      throw new Error(`Status check failed: ${response.error.message}`);
+      throw fromRpcError('status', response.error);
     }
 
+    this.trackBundleOutcome(bundleId, response.result);
     return response.result;
   }
 
+  /**
+   * Record whether a bundle carrying the account upgrade or key
+   * authorizations landed. Keys count as authorized only once it confirms;
+   * after a failure the next intent authorizes them again
+   */
+  private trackBundleOutcome(bundleId: string, status: TransactionStatus) {
+    const authorizations = this.pendingAuthorizations.get(bundleId);
+    if (authorizations && (isConfirmed(status) || isFailed(status))) {
+      this.pendingAuthorizations.delete(bundleId);
+      if (isConfirmed(status)) {
+        authorizations.forEach(markAuthorized => markAuthorized());
+      } else {
+        console.warn('[Porto] Bundle authorizing keys failed, next intent authorizes them again');
+      }
+    }
+
+    const upgrade = this.upgradeContext;
+    if (!upgrade || upgrade.bundleId !== bundleId || upgrade.status !== 'submitted') return;
+
+    if (isConfirmed(status)) {
+      upgrade.status = 'confirmed';
+      console.log('[Porto] ✅ Delegation deployed with bundle', bundleId);
+    } else if (isFailed(status)) {
+      upgrade.status = 'failed';
+      upgrade.error = new PortoTransactionError(`Transaction failed with status ${status.status}`, {
+        stage: 'status',
+        code: status.status,
+        data: status.receipts,
+      });
+      console.warn('[Porto] Bundle carrying the delegation failed, next intent re-prepares it');
+    }
+  }
+
+  /**
+   * Upgrade context for the current account and chain, if any
+   */
+  getUpgradeContext(): UpgradeContext | null {
+    const upgrade = this.upgradeContext;
+    if (!upgrade || !this.account) return null;
+    if (upgrade.address !== this.account.address || upgrade.chainId !== PORTO_CONFIG.chainId) return null;
+    return upgrade;
+  }
+
+  /**
+   * Prepare, sign and store the account upgrade with the relay
+   * Reuses an upgrade that was prepared but never sent, unless another relay
+   * stored it and it can't ride along as a pre-call; a failed one is prepared
+   * again from scratch
+   */
+  async prepareUpgrade(
+    adminKeyAddress?: string,
+    relayUrl: string = this.relays.current()
+  ): Promise<UpgradeContext> {
+    if (!this.account) throw new PortoError(PORTO_ERRORS.NOT_INITIALIZED, { stage: 'upgrade' });
+
+    const current = this.getUpgradeContext();
+    if (current?.status === 'prepared' && (current.preCalls.length > 0 || current.relayUrl === relayUrl)) {
+      return current;
+    }
+
+    // Use empty key array for MVP - EOA will be implicit admin
+    const authorizeKeys: KeyAuthorization[] = [];
+
+    // Optionally add admin key if provided
+    if (adminKeyAddress) {
+      authorizeKeys.push(buildKeyAuthorization(fromAddress(adminKeyAddress), 'admin'));
+    }
+
+    // The admin key set with setAdminKey comes along too
+    const adminKey = this.adminKey;
+    if (adminKey) {
+      authorizeKeys.push(buildKeyAuthorization(adminKey.signer, 'admin'));
+    }
+
+    // The account is not delegated yet, so the session key has to come along
+    const sessionKey = this.getActiveSessionKey();
+    if (sessionKey) {
+      authorizeKeys.push(buildSessionKeyAuthorization(sessionKey.account.address, sessionKey.expiry));
+    }
+
+    const delegationParams = {
+      address: this.account.address,
+      delegation: PORTO_CONFIG.contracts.proxy, // Use proxy address from config
+      capabilities: {
+        authorizeKeys
+      },
+      chainId: PORTO_CONFIG.chainId
+    };
+
+    console.log('[Porto] Preparing delegation...');
+    const prepareResponse = await this.makeRpcCall('wallet_prepareUpgradeAccount', [delegationParams], relayUrl);
+
+    if (prepareResponse.error) {
+      throw fromRpcError('upgrade', prepareResponse.error);
+    }
+
+    // Never sign a delegation other than the one we asked for
+    verifyUpgradeDigests(prepareResponse.result, {
+      address: this.account.address,
+      chainId: PORTO_CONFIG.chainId,
+      delegation: PORTO_CONFIG.contracts.proxy,
+      authorizeKeys,
+    });
+
+    // Sign delegation digests with raw sign (not signMessage)
+    console.log('[Porto] Signing delegation digests...');
+    let authSig: string;
+    let execSig: string;
+    try {
+      authSig = await this.account.sign({
+        hash: prepareResponse.result.digests.auth as Hex
+      });
+      execSig = await this.account.sign({
+        hash: prepareResponse.result.digests.exec as Hex
+      });
+    } catch (error) {
+      throw toPortoError('upgrade', error);
+    }
+
+    // Store delegation with Porto
+    console.log('[Porto] Storing delegation with Porto...');
+    const upgradeResponse = await this.makeRpcCall('wallet_upgradeAccount', [{
+      context: prepareResponse.result.context,
+      signatures: {
+        auth: authSig,
+        exec: execSig
+      }
+    }], relayUrl);
+
+    if (upgradeResponse.error) {
+      throw fromRpcError('upgrade', upgradeResponse.error);
+    }
+
+    // Some relays hand the signed upgrade back instead of adding it themselves
+    const preCall = upgradeResponse.result?.context?.preCall;
+    this.upgradeContext = {
+      address: this.account.address,
+      chainId: PORTO_CONFIG.chainId,
+      preCalls: preCall ? [preCall] : [],
+      sessionKeyAddress: sessionKey?.account.address,
+      adminKey: adminKey ? toPortoKey(adminKey.signer) : undefined,
+      status: 'prepared',
+      relayUrl,
+    };
+
+    console.log('[Porto] ✅ Delegation stored successfully');
+    return this.upgradeContext;
+  }
+
+  /**
+   * Upgrade that still has to ride along with the next intent
+   * Null once the account is delegated or while the bundle carrying it is in flight
+   */
+  private async getUpgradeForIntent(
+    adminKeyAddress?: string,
+    relayUrl: string = this.relays.current()
+  ): Promise<UpgradeContext | null> {
+    if (!this.account) throw new PortoError(PORTO_ERRORS.NOT_INITIALIZED, { stage: 'upgrade' });
+
+    if (await isAccountDelegated(this.account.address)) {
+      return null;
+    }
+
+    const current = this.getUpgradeContext();
+    if (current?.status === 'submitted' && current.bundleId) {
+      // Refresh the outcome; a failed bundle is prepared again below
+      await this.getCallsStatus(current.bundleId).catch(() => undefined);
+    }
+    if (current?.status === 'submitted' || current?.status === 'confirmed') {
+      return null;
+    }
+
+    await this.assertCanDelegate();
+    return this.prepareUpgrade(adminKeyAddress, relayUrl);
+  }
+
+  /**
+   * Never replace another contract's delegation behind the user's back
+   * Throws PortoRedelegationRequiredError unless redelegate() approved it
+   */
+  private async assertCanDelegate(): Promise<void> {
+    if (!this.account) throw new PortoError(PORTO_ERRORS.NOT_INITIALIZED, { stage: 'upgrade' });
+
+    const delegation = await inspectDelegation(this.account.address);
+    if (!needsRedelegation(delegation)) return;
+    const approved = this.approvedRedelegation;
+    if (approved && delegation.delegate && isAddressEqual(approved as Hex, delegation.delegate as Hex)) return;
+
+    console.warn('[Porto] Account is delegated to', delegation.delegate, `(${delegation.status})`);
+    throw new PortoRedelegationRequiredError(`${PORTO_ERRORS.REDELEGATION_REQUIRED}: ${delegation.delegate}`, {
+      stage: 'upgrade',
+      data: delegation,
+    });
+  }
+
+  /**
+   * Point an account delegated to `delegate` (another contract or an outdated
+   * Porto implementation) back at the Porto proxy
+   * The new delegation is deployed with the account's next intent
+   */
+  async redelegate(delegate: string, adminKeyAddress?: string): Promise<UpgradeContext> {
+    if (!this.account) throw new PortoError(PORTO_ERRORS.NOT_INITIALIZED, { stage: 'upgrade' });
+
+    this.approvedRedelegation = delegate;
+    await this.assertCanDelegate();
+
+    // An earlier upgrade of this account no longer says anything about it
+    if (this.getUpgradeContext()?.status !== 'prepared') {
+      this.upgradeContext = null;
+    }
+
+    console.log('[Porto] Re-delegating account from', delegate);
+    return this.prepareUpgrade(adminKeyAddress);
+  }
+
   /**
    * Setup delegation for gasless transactions
    * This needs to be done once before sending any transactions
    */
   async setupDelegation(adminKeyAddress?: string): Promise<boolean> {
-    if (!this.account) throw new Error('Porto client not initialized');
+    if (!this.account) throw new PortoError(PORTO_ERRORS.NOT_INITIALIZED, { stage: 'upgrade' });
     
     // Check if already delegated
     const isDelegated = await isAccountDelegated(this.account.address);
@@ -207,62 +775,13 @@ export class PortoClient {
       return true;
     }
     
+    // Delegated elsewhere: surfaced to the caller rather than reported as a failed setup
+    await this.assertCanDelegate();
+
     console.log('[Porto] Setting up delegation for gasless transactions...');
     
     try {
-      // Step 1: Prepare delegation
-      // Use empty key array for MVP - EOA will be implicit admin
-      const authorizeKeys: any[] = [];
-      
-      // Optionally add admin key if provided
-      if (adminKeyAddress) {
-        authorizeKeys.push({
-          expiry: '0x0', // Never expires
-          prehash: false,
-          publicKey: serializePublicKey(adminKeyAddress),
-          role: 'admin',
-          type: 'secp256k1',
-          permissions: []
-        });
-      }
-      
-      const delegationParams = {
-        address: this.account.address,
-        delegation: PORTO_CONFIG.contracts.proxy, // Use proxy address from config
-        capabilities: {
-          authorizeKeys
-        },
-        chainId: PORTO_CONFIG.chainId
-      };
-      
-      console.log('[Porto] Preparing delegation...');
-      const prepareResponse = await this.makeRpcCall('wallet_prepareUpgradeAccount', [delegationParams]);
-      
-      if (prepareResponse.error) {
-        throw new Error(`Delegation prepare failed: ${prepareResponse.error.message}`);
-      }
-      
-      // Step 2: Sign delegation digests with raw sign (not signMessage)
-      console.log('[Porto] Signing delegation digests...');
-      const authSig = await this.account.sign({
-        hash: prepareResponse.result.digests.auth as Hex
-      });
-      
-      const execSig = await this.account.sign({
-        hash: prepareResponse.result.digests.exec as Hex
-      });
-      
-      // Step 3: Store delegation with Porto
-      console.log('[Porto] Storing delegation with Porto...');
-      await this.makeRpcCall('wallet_upgradeAccount', [{
-        context: prepareResponse.result.context,
-        signatures: {
-          auth: authSig,
-          exec: execSig
-        }
-      }]);
-      
-      console.log('[Porto] ✅ Delegation stored successfully');
+      await this.prepareUpgrade(adminKeyAddress);
       console.log('[Porto] Next transaction will execute the delegation on-chain');
       return true;
       
@@ -276,7 +795,7 @@ export class PortoClient {
    * Ensure account is delegated before transactions
    */
   async ensureAccountDelegated(sessionKeyAddress?: string): Promise<boolean> {
-    if (!this.account) throw new Error('Porto client not initialized');
+    if (!this.account) throw new PortoError(PORTO_ERRORS.NOT_INITIALIZED, { stage: 'upgrade' });
     
     // Check if already delegated
     const isDelegated = await isAccountDelegated(this.account.address);
@@ -299,101 +818,238 @@ export class PortoClient {
     to: string,
     data: string,
     value: string = '0x0',
-    adminKeyAddress?: string
-  ): Promise<{ bundleId: string; status?: TransactionStatus }> {
+    adminKeyAddress?: string,
+    options: GaslessOptions = {}
+  ): Promise<{ bundleId: string; quote: FeeQuote | null }> {
+    return this.executeGaslessBatch([{ to, data, value }], adminKeyAddress, options);
+  }
+
+  /**
+   * Queue calls as one intent behind the account's other intents
+   * Resolves once sent; identical calls still in flight share one intent
+   */
+  async queueGaslessBatch(
+    calls: Call[],
+    options: GaslessOptions = {}
+  ): Promise<{ bundleId: string; quote: FeeQuote | null }> {
+    if (!this.account) throw new PortoError(PORTO_ERRORS.NOT_INITIALIZED, { stage: 'prepare' });
+    const { address } = this.account;
+
+    return this.intentQueue.enqueue({
+      account: address,
+      calls,
+      label: options.label,
+      send: async onProgress => {
+        // Never sent from another account (e.g. after a profile switch)
+        if (this.account?.address !== address) {
+          throw new PortoError(`${PORTO_ERRORS.NOT_INITIALIZED}: intent was queued for ${address}`, {
+            stage: 'prepare',
+          });
+        }
+        return this.executeGaslessBatch(calls, undefined, { ...options, onProgress });
+      },
+    });
+  }
+
+  /**
+   * Queued, in-flight and recently settled intents of the current account
+   */
+  getQueuedIntents(): QueuedIntent[] {
+    return this.account ? this.intentQueue.getIntents(this.account.address) : [];
+  }
+
+  /**
+   * Listen for intent queue changes; returns an unsubscribe function
+   */
+  onIntentQueueChange(listener: (intents: QueuedIntent[]) => void): () => void {
+    return this.intentQueue.subscribe(() => listener(this.getQueuedIntents()));
+  }
+
+  /**
+   * Execute several calls as a single signed intent
+   * All calls share one prepare, one signature and one bundle ID
+   * With pre-calls enabled, a new account's upgrade rides along in the same bundle
+   * The whole intent stays on the relay that was active when it started
+   * Throws PortoSponsorshipError when the fee is above options.maxFee
+   */
+  async executeGaslessBatch(
+    calls: Call[],
+    adminKeyAddress?: string,
+    options: GaslessOptions = {}
+  ): Promise<{ bundleId: string; quote: FeeQuote | null }> {
+    if (calls.length === 0) {
+      throw new PortoError('No calls to execute', { stage: 'prepare' });
+    }
+    if (calls.length > 1 && !PORTO_CONFIG.features.batchingEnabled) {
+      throw new PortoError('Batching is disabled', { stage: 'prepare' });
+    }
+    if (!this.account) throw new PortoError(PORTO_ERRORS.NOT_INITIALIZED, { stage: 'prepare' });
+    const from = this.account.address;
+    const relayUrl = this.relays.current();
+
+    let upgrade: UpgradeContext | null = null;
+    let unsignedDigest: string | null = null;
     try {
-      // Ensure delegation is set up
-      const delegated = await this.ensureAccountDelegated(adminKeyAddress);
-      if (!delegated) {
-        console.warn('[Porto] Failed to set up delegation, transaction may fail');
+      if (PORTO_CONFIG.features.preCallsEnabled) {
+        // Fold the delegation into this intent instead of a separate step
+        upgrade = await this.getUpgradeForIntent(adminKeyAddress, relayUrl);
+      } else {
+        // Ensure delegation is set up
+        const delegated = await this.ensureAccountDelegated(adminKeyAddress);
+        if (!delegated) {
+          console.warn('[Porto] Failed to set up delegation, transaction may fail');
+        }
+      }
+      
+      // Game calls are signed with the session key and everything else with
+      // the admin key, once they are authorized. Until then the main key
+      // signs and authorizes them in the same intent.
+      const sessionKey = this.getActiveSessionKey();
+      const sessionAuthorized = !!sessionKey && this.isKeyAuthorized(sessionKey);
+      const upgradeAuthorizesSession =
+        !!sessionKey && upgrade?.sessionKeyAddress === sessionKey.account.address;
+      const adminKey = this.adminKey;
+      const adminAuthorized = !!adminKey && this.isKeyAuthorized(adminKey);
+      const upgradeAuthorizesAdmin =
+        !!adminKey && !!upgrade?.adminKey && isSameKey(upgrade.adminKey, adminKey.signer);
+      const authorizeKeys: KeyAuthorization[] = [];
+      if (adminKey && !adminAuthorized && !upgradeAuthorizesAdmin) {
+        authorizeKeys.push(buildKeyAuthorization(adminKey.signer, 'admin'));
+      }
+      if (sessionKey && !sessionAuthorized && !upgradeAuthorizesSession) {
+        authorizeKeys.push(buildSessionKeyAuthorization(sessionKey.account.address, sessionKey.expiry));
       }
+      const signer: IntentSigner = sessionKey && sessionAuthorized && isSessionCall(calls)
+        ? sessionKey.account
+        : adminKey && adminAuthorized ? adminKey.signer : this.account;
       
       // Step 1: Prepare
-      const call: Call = { to, data, value };
-      const prepareResult = await this.prepareCalls([call]);
+      console.log(`[Porto] Executing ${calls.length} call(s) as one intent`);
+      if (upgrade) {
+        console.log('[Porto] Including account upgrade as pre-call');
+      }
+      const prepareResult = await this.prepareCalls(calls, {
+        signer,
+        authorizeKeys,
+        feeToken: options.feeToken,
+        preCalls: upgrade?.preCalls,
+        relayUrl,
+      });
+
+      // Don't charge the user for something they think is free
+      unsignedDigest = prepareResult.digest;
+      const { quote } = prepareResult;
+      if (quote && !quote.sponsored && quote.amount > (options.maxFee ?? 0n)) {
+        throw new PortoSponsorshipError(PORTO_ERRORS.NOT_SPONSORED, { stage: 'prepare', data: quote });
+      }
 
-      // Step 2: Sign the digest (not typedData)
-      const signature = await this.signIntent(prepareResult.digest);
+      // Step 2: Nothing is signed without a preview the user (or allowlist) approved
+      await this.approveIntent(buildIntentPreview(calls, {
+        from,
+        authorizeKeys,
+        quote,
+        upgrade: !!upgrade,
+      }));
 
-      // Step 3: Send
+      // Step 3: Sign the digest (not typedData)
+      options.onProgress?.('signing');
+      const signature = await this.signIntent(prepareResult.digest, signer);
+      unsignedDigest = null;
+
+      // Step 4: Send
       const bundleId = await this.sendPreparedCalls(
         prepareResult.context,
-        signature
+        signature,
+        signer,
+        prepareResult.relayUrl
       );
-
-      // Step 4: Check initial status (optional)
-      let status;
-      try {
-        // Wait a bit for transaction to process
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        status = await this.getCallsStatus(bundleId);
-      } catch (error) {
-        console.log('[Porto] Status check failed (may be too early)');
+      if (upgrade) {
+        upgrade.status = 'submitted';
+        upgrade.bundleId = bundleId;
+      }
+      // Keys this bundle authorizes sign intents once it confirms (trackBundleOutcome)
+      const authorizations: Array<() => void> = [];
+      if (sessionKey && (!sessionAuthorized || upgradeAuthorizesSession)) {
+        authorizations.push(() => this.markSessionKeyAuthorized(sessionKey));
+      }
+      if (adminKey && (!adminAuthorized || upgradeAuthorizesAdmin)) {
+        authorizations.push(() => this.markAdminKeyAuthorized(adminKey));
+      }
+      if (authorizations.length > 0) {
+        this.pendingAuthorizations.set(bundleId, authorizations);
       }
 
-      return { bundleId, status };
+      // Confirmation is left to waitForTransaction, so callers share one watcher
+      return { bundleId, quote };
     } catch (error) {
       console.error('[Porto] Transaction failed:', error);
+      if (unsignedDigest) {
+        this.verifiedDigests.delete(unsignedDigest.toLowerCase());
+      }
+      // Keep an unsent upgrade when the user only has to accept a fee or declined
+      const userDecision = error instanceof PortoSponsorshipError || error instanceof PortoIntentRejectedError;
+      if (upgrade?.status === 'prepared' && !userDecision) {
+        upgrade.status = 'failed';
+        upgrade.error = toPortoError('send', error);
+      }
       throw error;
     }
   }
 
   /**
    * Wait for transaction confirmation
+   * Resolved by the shared confirmation service (WebSocket blocks, polling
+   * fallback); gives up once PORTO_CONFIG.transactionTimeout has elapsed
    */
   async waitForTransaction(
     bundleId: string,
-    maxAttempts: number = 30,
-    delayMs: number = 2000
+    timeoutMs: number = PORTO_CONFIG.transactionTimeout
   ): Promise<TransactionStatus> {
-    for (let i = 0; i < maxAttempts; i++) {
-      try {
-        const status = await this.getCallsStatus(bundleId);
-        
-        // Check if transaction is confirmed
-        if (status.status === 200 || status.status === 1) {
-          console.log('[Porto] Transaction confirmed');
-          return status;
-        }
-        
-        // Check if transaction failed
-        if (status.status >= 400) {
-          throw new Error(`Transaction failed with status ${status.status}`);
-        }
-      } catch (error) {
-        if (i === maxAttempts - 1) throw error;
-      }
-
-      // Wait before next attempt
-      await new Promise(resolve => setTimeout(resolve, delayMs));
-    }
-
-    throw new Error('Transaction timeout');
+    const status = await this.confirmations.wait(bundleId, timeoutMs);
+    console.log('[Porto] Transaction confirmed');
+    return status;
   }
 
   /**
    * Make RPC call to Porto relayer
+   * Timeouts and retries are handled by the shared transport; a relay that
+   * still can't be reached counts towards failing over to the next one
+   * @param relayUrl - Relay the call is pinned to (defaults to the active one)
    */
-  private async makeRpcCall(method: string, params: any[]): Promise<any> {
-    const requestId = Math.floor(Math.random() * 10000);
-    
-    const response = await fetch(PORTO_CONFIG.url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        jsonrpc: '2.0',
-        method,
-        params,
-        id: requestId,
-      }),
-    });
+  private async makeRpcCall(method: string, params: any[], relayUrl: string = this.relays.current()): Promise<any> {
+    try {
+      const response = await portoRpc(method, params, { url: relayUrl });
+      this.relays.reportSuccess(relayUrl);
+      return response;
+    } catch (error) {
+      if (error instanceof TransportError && error.retryable) {
+        this.relays.reportFailure(relayUrl);
+      }
+      throw toPortoError(stageForMethod(method), error);
+    }
+  }
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+  /**
+   * Sign a message (EIP-191) with the main key
+   * Used for off-chain proofs of ownership, never for intents
+   */
+  async signMessage(message: string | { raw: Hex }): Promise<string> {
+    if (!this.account) throw new PortoError(PORTO_ERRORS.NOT_INITIALIZED, { stage: 'sign' });
+    try {
+      return await this.account.signMessage({ message });
+    } catch (error) {
+      throw toPortoError('sign', error);
     }
+  }
 
-    const result = await response.json();
-    return result;
+  /**
+   * Listen for the account being set by init(); returns an unsubscribe function
+   */
+  onAccountChange(listener: (address: string) => void): () => void {
+    this.accountListeners.add(listener);
+    return () => {
+      this.accountListeners.delete(listener);
+    };
   }
 
   /**
@@ -411,5 +1067,12 @@ export class PortoClient {
   }
 }
 
+/**
+ * Porto key signer for an intent signer
+ */
+function toKeySigner(signer: IntentSigner): KeySigner {
+  return signer.type === 'local' ? fromAccount(signer) : signer;
+}
+
 // Singleton instance for app-wide use
 export const portoClient = new PortoClient();
\ No newline at end of file
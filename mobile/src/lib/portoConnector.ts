@@ -0,0 +1,101 @@
+/**
+ * Porto wagmi Connector
+ *
+ * Connects wagmi to the app's Porto wallet through PortoProvider, so screens
+ * can use the standard hooks (useAccount, useReadContract, useSendCalls,
+ * useCallsStatus, ...). The wallet has no connect prompt: the connector
+ * connects as soon as PortoClient has an account, and switching chains
+ * switches the app's active network
+ */
+
+import { ChainNotConfiguredError, createConnector } from 'wagmi';
+import { SwitchChainError, UnauthorizedProviderError, getAddress, type Address } from 'viem';
+import { portoProvider as defaultProvider, type PortoProvider } from './portoProvider';
+import { selectNetwork } from './networkSelection';
+
+portoConnector.type = 'porto' as const;
+
+export function portoConnector(provider: PortoProvider = defaultProvider) {
+  let connected = false;
+
+  return createConnector<PortoProvider>(config => ({
+    id: 'porto',
+    name: 'Porto',
+    type: portoConnector.type,
+
+    async setup() {
+      provider.on('connect', info => this.onConnect?.(info));
+      provider.on('accountsChanged', accounts => this.onAccountsChanged(accounts));
+      provider.on('chainChanged', chainId => this.onChainChanged(chainId));
+    },
+
+    async connect({ chainId } = {}) {
+      const accounts: string[] = await provider.request({ method: 'eth_requestAccounts' });
+      // The wallet is created by the app; there is nothing to connect to until then
+      if (accounts.length === 0) throw new UnauthorizedProviderError(new Error('Wallet not created yet'));
+
+      let currentChainId = await this.getChainId();
+      if (chainId && chainId !== currentChainId) {
+        currentChainId = (await this.switchChain!({ chainId })).id;
+      }
+
+      connected = true;
+      return { accounts: accounts.map(account => getAddress(account)), chainId: currentChainId };
+    },
+
+    async disconnect() {
+      connected = false;
+    },
+
+    async getAccounts(): Promise<readonly Address[]> {
+      const accounts: string[] = await provider.request({ method: 'eth_accounts' });
+      return accounts.map(account => getAddress(account));
+    },
+
+    async getChainId() {
+      return Number(await provider.request({ method: 'eth_chainId' }));
+    },
+
+    async getProvider() {
+      return provider;
+    },
+
+    async isAuthorized() {
+      const accounts = await this.getAccounts();
+      return accounts.length > 0;
+    },
+
+    async switchChain({ chainId }) {
+      const chain = config.chains.find(item => item.id === chainId);
+      if (!chain) throw new SwitchChainError(new ChainNotConfiguredError());
+
+      // Emits chainChanged through the provider
+      await selectNetwork(chainId);
+      return chain;
+    },
+
+    // PortoClient got its account: connect without a prompt
+    onConnect(info) {
+      if (connected) return;
+      this.getAccounts().then(addresses => {
+        if (addresses.length === 0) return;
+        connected = true;
+        config.emitter.emit('connect', { accounts: addresses, chainId: Number(info.chainId) });
+      });
+    },
+
+    onAccountsChanged(accounts) {
+      if (accounts.length === 0) this.onDisconnect();
+      else config.emitter.emit('change', { accounts: accounts.map(account => getAddress(account)) });
+    },
+
+    onChainChanged(chainId) {
+      config.emitter.emit('change', { chainId: Number(chainId) });
+    },
+
+    onDisconnect() {
+      connected = false;
+      config.emitter.emit('disconnect');
+    },
+  }));
+}
@@ -0,0 +1,339 @@
+/**
+ * Relay Digest Verification
+ *
+ * The relay returns the digests we raw-sign. Before signing, each digest is
+ * recomputed locally from the returned typed data (or authorization) and the
+ * payload is checked against what was requested, so the relay cannot get
+ * anything else signed
+ */
+
+import { decodeAbiParameters, encodeAbiParameters, hashTypedData, isAddressEqual, type Hex } from 'viem';
+import { hashAuthorization } from 'viem/utils';
+import { PORTO_CONFIG, PORTO_ERRORS } from '../config/porto';
+import { PortoDigestMismatchError, type PortoStage } from './portoErrors';
+import type { Call, PreCall } from './portoClient.native';
+import type { KeyAuthorization } from './portoKeys';
+
+export interface ExpectedIntent {
+  from: string;
+  chainId: number;
+  calls: Call[];
+  // Fee token the intent was prepared with
+  feeToken: string;
+  // Pre-calls sent along (e.g. a stored upgrade); nothing else may run first
+  preCalls?: PreCall[];
+}
+
+export interface ExpectedUpgrade {
+  address: string;
+  chainId: number;
+  delegation: string;
+  // Keys the upgrade asked to authorize; nothing else may come back
+  authorizeKeys: KeyAuthorization[];
+}
+
+// EIP-712 schemas the orchestrator signs. Returned typed data is hashed with
+// these, never with the relay's own `types`: viem skips message fields a type
+// does not declare, so a relay schema could leave a decoy field unsigned
+const ORCHESTRATOR_DOMAIN = { name: 'Orchestrator', version: '0.0.1' } as const;
+
+const INTENT_SCHEMA = {
+  primaryType: 'Intent',
+  types: {
+    Intent: [
+      { name: 'multichain', type: 'bool' },
+      { name: 'eoa', type: 'address' },
+      { name: 'executionData', type: 'bytes' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'payer', type: 'address' },
+      { name: 'paymentToken', type: 'address' },
+      { name: 'prePaymentMaxAmount', type: 'uint256' },
+      { name: 'totalPaymentMaxAmount', type: 'uint256' },
+      { name: 'combinedGas', type: 'uint256' },
+      { name: 'encodedPreCalls', type: 'bytes[]' },
+      { name: 'expiry', type: 'uint256' },
+    ],
+  },
+} as const;
+
+const UPGRADE_SCHEMA = {
+  primaryType: 'Upgrade',
+  types: {
+    Key: [
+      { name: 'expiry', type: 'uint40' },
+      { name: 'keyType', type: 'string' },
+      { name: 'role', type: 'string' },
+      { name: 'publicKey', type: 'bytes' },
+    ],
+    Upgrade: [
+      { name: 'eoa', type: 'address' },
+      { name: 'delegation', type: 'address' },
+      { name: 'keys', type: 'Key[]' },
+    ],
+  },
+} as const;
+
+type Schema = typeof INTENT_SCHEMA | typeof UPGRADE_SCHEMA;
+
+// Porto encodes intent calls as abi.encode(Call[]) in `executionData`
+const EXECUTION_DATA_PARAMS = [{
+  type: 'tuple[]',
+  components: [
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'data', type: 'bytes' },
+  ],
+}] as const;
+
+// Porto encodes each pre-call as abi.encode(SignedCall) in `encodedPreCalls`
+const SIGNED_CALL_PARAMS = [{
+  type: 'tuple',
+  components: [
+    { name: 'eoa', type: 'address' },
+    { name: 'executionData', type: 'bytes' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'signature', type: 'bytes' },
+  ],
+}] as const;
+
+// Payment terms of an intent, as signed and as quoted
+const PAYMENT_FIELDS = ['payer', 'paymentToken', 'prePaymentMaxAmount', 'totalPaymentMaxAmount'] as const;
+
+function mismatch(stage: PortoStage, field: string, expected: unknown, actual: unknown): never {
+  throw new PortoDigestMismatchError(`${PORTO_ERRORS.DIGEST_MISMATCH}: ${field}`, {
+    stage,
+    data: { field, expected, actual },
+  });
+}
+
+function sameAddress(a: unknown, b: string): boolean {
+  try {
+    return typeof a === 'string' && isAddressEqual(a as Hex, b as Hex);
+  } catch {
+    return false;
+  }
+}
+
+function sameNumber(a: unknown, b: number | bigint | string): boolean {
+  try {
+    return a !== undefined && a !== null && BigInt(a as any) === BigInt(b);
+  } catch {
+    return false;
+  }
+}
+
+function sameHex(a: unknown, b: string | undefined): boolean {
+  return typeof a === 'string' && a.toLowerCase() === (b || '0x').toLowerCase();
+}
+
+function toAmount(field: string, value: unknown): bigint {
+  try {
+    return BigInt(value as any);
+  } catch {
+    return mismatch('sign', field, 'amount', value);
+  }
+}
+
+/**
+ * Pre-call as the orchestrator expects it in an intent's `encodedPreCalls`
+ */
+export function encodePreCall(preCall: PreCall): Hex {
+  return encodeAbiParameters(SIGNED_CALL_PARAMS, [{
+    eoa: preCall.eoa as Hex,
+    executionData: preCall.executionData as Hex,
+    nonce: BigInt(preCall.nonce),
+    signature: preCall.signature as Hex,
+  }]);
+}
+
+function sameFields(fields: unknown, want: readonly { name: string; type: string }[]): boolean {
+  return Array.isArray(fields) &&
+    fields.length === want.length &&
+    fields.every((field, i) => field?.name === want[i].name && field?.type === want[i].type);
+}
+
+/**
+ * Hash typed data with the orchestrator's schema, the way the signer would
+ * Refuses typed data declaring another schema or domain
+ */
+function hashReturnedTypedData(stage: PortoStage, typedData: any, schema: Schema): Hex {
+  if (!typedData?.domain || !typedData.types || !typedData.primaryType || !typedData.message) {
+    mismatch(stage, 'typedData', 'typed data', typedData);
+  }
+  const schemaMatches = typedData.primaryType === schema.primaryType &&
+    Object.entries(schema.types).every(([name, fields]) => sameFields(typedData.types[name], fields));
+  if (!schemaMatches) {
+    mismatch(stage, 'typedData', schema, { primaryType: typedData.primaryType, types: typedData.types });
+  }
+  const { domain } = typedData;
+  if (domain.name !== ORCHESTRATOR_DOMAIN.name || domain.version !== ORCHESTRATOR_DOMAIN.version) {
+    mismatch(stage, 'domain', ORCHESTRATOR_DOMAIN, { name: domain.name, version: domain.version });
+  }
+
+  try {
+    return hashTypedData({
+      domain: { ...ORCHESTRATOR_DOMAIN, chainId: Number(domain.chainId), verifyingContract: domain.verifyingContract },
+      types: schema.types,
+      primaryType: schema.primaryType,
+      message: typedData.message,
+    } as any);
+  } catch (error) {
+    return mismatch(stage, 'typedData', 'valid typed data', error instanceof Error ? error.message : error);
+  }
+}
+
+/**
+ * Whether a returned key matches the requested one
+ * Signed upgrade keys carry `keyType` and no permissions; context keys carry both
+ */
+function sameKey(key: any, want: KeyAuthorization, withPermissions: boolean): boolean {
+  if (!key || (key.keyType ?? key.type) !== want.type || key.role !== want.role) return false;
+  if (!sameHex(key.publicKey, want.publicKey) || !sameNumber(key.expiry, want.expiry)) return false;
+  if (!withPermissions) return true;
+
+  const permissions: any[] = Array.isArray(key.permissions) ? key.permissions : [];
+  return permissions.length === want.permissions.length && permissions.every((permission, i) =>
+    permission?.type === want.permissions[i].type &&
+    sameAddress(permission.to, want.permissions[i].to) &&
+    sameHex(permission.selector, want.permissions[i].selector)
+  );
+}
+
+function sameKeys(keys: unknown, want: KeyAuthorization[], withPermissions: boolean): boolean {
+  return Array.isArray(keys) &&
+    keys.length === want.length &&
+    keys.every((key, i) => sameKey(key, want[i], withPermissions));
+}
+
+/**
+ * Calls carried by an intent message, decoded from the signed `executionData`
+ */
+function intentCalls(message: any): readonly { to: string; value: unknown; data: string }[] {
+  try {
+    return decodeAbiParameters(EXECUTION_DATA_PARAMS, message.executionData as Hex)[0];
+  } catch {
+    return mismatch('sign', 'calls', 'encoded calls', message.executionData);
+  }
+}
+
+/**
+ * Check a prepared intent before its digest is signed
+ * Throws PortoDigestMismatchError if anything differs from the request
+ */
+export function verifyIntentDigest(
+  prepared: { digest: string; typedData?: any; context?: any },
+  expected: ExpectedIntent
+): void {
+  const { typedData } = prepared;
+  const digest = hashReturnedTypedData('sign', typedData, INTENT_SCHEMA);
+  if (!sameHex(prepared.digest, digest)) {
+    mismatch('sign', 'digest', digest, prepared.digest);
+  }
+
+  if (!sameNumber(typedData.domain.chainId, expected.chainId)) {
+    mismatch('sign', 'chainId', expected.chainId, typedData.domain.chainId);
+  }
+  if (!sameAddress(typedData.domain.verifyingContract, PORTO_CONFIG.contracts.orchestrator)) {
+    mismatch('sign', 'orchestrator', PORTO_CONFIG.contracts.orchestrator, typedData.domain.verifyingContract);
+  }
+  if (!sameAddress(typedData.message.eoa, expected.from)) {
+    mismatch('sign', 'from', expected.from, typedData.message.eoa);
+  }
+
+  const calls = intentCalls(typedData.message);
+  const callsMatch = calls.length === expected.calls.length && calls.every((call, i) => {
+    const want = expected.calls[i];
+    return sameAddress(call.to, want.to) &&
+      sameNumber(call.value ?? 0, want.value || 0) &&
+      sameHex(call.data, want.data);
+  });
+  if (!callsMatch) {
+    mismatch('sign', 'calls', expected.calls, calls);
+  }
+
+  // Pre-calls run as the account before the intent, so only the ones we sent
+  const preCalls = (expected.preCalls ?? []).map(encodePreCall);
+  const encodedPreCalls = typedData.message.encodedPreCalls ?? [];
+  const preCallsMatch = Array.isArray(encodedPreCalls) &&
+    encodedPreCalls.length === preCalls.length &&
+    encodedPreCalls.every((preCall: unknown, i: number) => sameHex(preCall, preCalls[i]));
+  if (!preCallsMatch) {
+    mismatch('sign', 'preCalls', preCalls, encodedPreCalls);
+  }
+
+  // Payment: the fee quote is read from these signed fields, never from the quote around them
+  const { message } = typedData;
+  if (!sameAddress(message.paymentToken, expected.feeToken)) {
+    mismatch('sign', 'paymentToken', expected.feeToken, message.paymentToken);
+  }
+  const total = toAmount('totalPaymentMaxAmount', message.totalPaymentMaxAmount);
+  if (toAmount('prePaymentMaxAmount', message.prePaymentMaxAmount ?? 0) > total) {
+    mismatch('sign', 'prePaymentMaxAmount', `at most ${total}`, message.prePaymentMaxAmount);
+  }
+  const quoted = prepared.context?.quote?.quotes?.[0]?.intent ?? prepared.context?.quote?.intent;
+  if (quoted) {
+    for (const field of PAYMENT_FIELDS) {
+      const same = field === 'payer' || field === 'paymentToken'
+        ? sameAddress(quoted[field], message[field])
+        : sameNumber(quoted[field] ?? 0, message[field] ?? 0);
+      if (!same) mismatch('sign', 'quote', message[field], quoted[field]);
+    }
+  }
+}
+
+/**
+ * Check a prepared account upgrade before its auth and exec digests are signed
+ * Throws PortoDigestMismatchError if anything differs from the request
+ */
+export function verifyUpgradeDigests(
+  prepared: { digests: { auth: string; exec: string }; typedData?: any; context?: any },
+  expected: ExpectedUpgrade
+): void {
+  // EIP-7702 authorization: the delegation target the EOA will point at
+  const authorization = prepared.context?.authorization;
+  const target = authorization?.contractAddress ?? authorization?.address;
+  if (!sameAddress(target, expected.delegation)) {
+    mismatch('upgrade', 'delegation', expected.delegation, target);
+  }
+  if (!sameNumber(authorization.chainId, expected.chainId)) {
+    mismatch('upgrade', 'chainId', expected.chainId, authorization.chainId);
+  }
+  let authDigest: Hex;
+  try {
+    authDigest = hashAuthorization({
+      contractAddress: target,
+      chainId: Number(authorization.chainId),
+      nonce: Number(authorization.nonce ?? 0),
+    });
+  } catch {
+    return mismatch('upgrade', 'authorization', 'valid authorization', authorization);
+  }
+  if (!sameHex(prepared.digests?.auth, authDigest)) {
+    mismatch('upgrade', 'digests.auth', authDigest, prepared.digests?.auth);
+  }
+
+  // Upgrade typed data signed by the EOA
+  const { typedData } = prepared;
+  const execDigest = hashReturnedTypedData('upgrade', typedData, UPGRADE_SCHEMA);
+  if (!sameHex(prepared.digests.exec, execDigest)) {
+    mismatch('upgrade', 'digests.exec', execDigest, prepared.digests.exec);
+  }
+  if (!sameNumber(typedData.domain.chainId, expected.chainId)) {
+    mismatch('upgrade', 'chainId', expected.chainId, typedData.domain.chainId);
+  }
+  if (!sameAddress(typedData.message.eoa, expected.address)) {
+    mismatch('upgrade', 'from', expected.address, typedData.message.eoa);
+  }
+  if (!sameAddress(typedData.message.delegation, expected.delegation)) {
+    mismatch('upgrade', 'delegation', expected.delegation, typedData.message.delegation);
+  }
+
+  // An extra or changed key (e.g. the relay's own admin key) would hand over the account
+  if (!sameKeys(typedData.message.keys, expected.authorizeKeys, false)) {
+    mismatch('upgrade', 'keys', expected.authorizeKeys, typedData.message.keys);
+  }
+  const contextKeys = prepared.context?.authorizeKeys;
+  if (contextKeys !== undefined && !sameKeys(contextKeys, expected.authorizeKeys, true)) {
+    mismatch('upgrade', 'keys', expected.authorizeKeys, contextKeys);
+  }
+}
@@ -0,0 +1,263 @@
+/**
+ * Porto Error Model
+ *
+ * Typed errors for every stage of the gasless flow, plus a mapping
+ * from raw relay/contract failures to short pixel-style UI messages
+ */
+
+import { PORTO_ERRORS } from '../config/porto';
+import { TransportError } from './portoTransport';
+
+export type PortoStage = 'prepare' | 'sign' | 'send' | 'status' | 'upgrade';
+
+export interface PortoErrorOptions {
+  stage: PortoStage;
+  code?: number;
+  retryable?: boolean;
+  data?: any;
+  cause?: unknown;
+}
+
+/**
+ * Base class for all Porto failures
+ */
+export class PortoError extends Error {
+  readonly stage: PortoStage;
+  readonly code?: number;
+  readonly retryable: boolean;
+  readonly data?: any;
+  readonly cause?: unknown;
+
+  constructor(message: string, options: PortoErrorOptions) {
+    super(message);
+    this.name = 'PortoError';
+    this.stage = options.stage;
+    this.code = options.code;
+    this.retryable = options.retryable ?? false;
+    this.data = options.data;
+    this.cause = options.cause;
+  }
+}
+
+/**
+ * The relay answered with a JSON-RPC error object
+ */
+export class PortoRpcError extends PortoError {
+  constructor(message: string, options: PortoErrorOptions) {
+    super(message, options);
+    this.name = 'PortoRpcError';
+  }
+}
+
+/**
+ * The relay could not be reached (network failure, timeout, HTTP 5xx/429)
+ */
+export class PortoNetworkError extends PortoError {
+  constructor(message: string, options: PortoErrorOptions) {
+    super(message, { retryable: true, ...options });
+    this.name = 'PortoNetworkError';
+  }
+}
+
+/**
+ * The bundle was accepted but failed or never confirmed on-chain
+ */
+export class PortoTransactionError extends PortoError {
+  constructor(message: string, options: PortoErrorOptions) {
+    super(message, options);
+    this.name = 'PortoTransactionError';
+  }
+}
+
+/**
+ * The relay no longer sponsors the intent and the caller did not accept the fee
+ * `data` holds the FeeQuote
+ */
+export class PortoSponsorshipError extends PortoError {
+  constructor(message: string, options: PortoErrorOptions) {
+    super(message, options);
+    this.name = 'PortoSponsorshipError';
+  }
+}
+
+/**
+ * The relay returned a digest or payload that does not match what was
+ * requested; nothing was signed. `data` holds { field, expected, actual }
+ */
+export class PortoDigestMismatchError extends PortoError {
+  constructor(message: string, options: PortoErrorOptions) {
+    super(message, options);
+    this.name = 'DigestMismatch';
+  }
+}
+
+/**
+ * The intent was not signed: the user declined it, or it targets an unknown
+ * contract. `data` holds { preview, blocked }
+ */
+export class PortoIntentRejectedError extends PortoError {
+  constructor(message: string, options: PortoErrorOptions) {
+    super(message, options);
+    this.name = 'PortoIntentRejectedError';
+  }
+}
+
+/**
+ * The account is delegated to another contract (or an outdated Porto
+ * implementation) and the user has not agreed to replace it
+ * `data` holds the DelegationInfo
+ */
+export class PortoRedelegationRequiredError extends PortoError {
+  constructor(message: string, options: PortoErrorOptions) {
+    super(message, options);
+    this.name = 'PortoRedelegationRequiredError';
+  }
+}
+
+/**
+ * Pre-flight simulation shows the contract would revert; nothing was sent
+ * `data` holds { reason, message } from lib/petSimulation
+ */
+export class PortoSimulationError extends PortoError {
+  constructor(message: string, options: PortoErrorOptions) {
+    super(message, options);
+    this.name = 'PortoSimulationError';
+  }
+}
+
+/**
+ * Porto could not send the action and the main wallet would have to pay the
+ * gas itself, which the user has not agreed to (or can't afford)
+ * `data` holds the SelfPaidQuote, `cause` the Porto failure
+ */
+export class PortoSelfPaidRequiredError extends PortoError {
+  constructor(message: string, options: PortoErrorOptions) {
+    super(message, options);
+    this.name = 'PortoSelfPaidRequiredError';
+  }
+}
+
+// Base message per stage, from PORTO_ERRORS
+const STAGE_MESSAGES: Record<PortoStage, string> = {
+  prepare: PORTO_ERRORS.PREPARE_FAILED,
+  sign: PORTO_ERRORS.SIGN_FAILED,
+  send: PORTO_ERRORS.SEND_FAILED,
+  status: PORTO_ERRORS.STATUS_CHECK_FAILED,
+  upgrade: 'Failed to upgrade account',
+};
+
+// Stage each relay method belongs to
+const METHOD_STAGES: Record<string, PortoStage> = {
+  wallet_prepareCalls: 'prepare',
+  wallet_sendPreparedCalls: 'send',
+  wallet_sendCalls: 'send',
+  wallet_getCallsStatus: 'status',
+  wallet_prepareUpgradeAccount: 'upgrade',
+  wallet_upgradeAccount: 'upgrade',
+};
+
+/**
+ * Stage a relay method belongs to (read-only calls count as status)
+ */
+export function stageForMethod(method: string): PortoStage {
+  return METHOD_STAGES[method] ?? 'status';
+}
+
+// JSON-RPC codes the relay uses for transient conditions
+const RETRYABLE_RPC_CODES = new Set([
+  -32005, // limit exceeded
+  -32603, // internal error
+]);
+
+/**
+ * Build a PortoRpcError from a JSON-RPC error object
+ */
+export function fromRpcError(
+  stage: PortoStage,
+  error: { code?: number; message: string; data?: any }
+): PortoRpcError {
+  return new PortoRpcError(`${STAGE_MESSAGES[stage]}: ${error.message}`, {
+    stage,
+    code: error.code,
+    retryable: error.code !== undefined && RETRYABLE_RPC_CODES.has(error.code),
+    data: error.data,
+  });
+}
+
+/**
+ * Normalize anything thrown during a stage into a PortoError
+ */
+export function toPortoError(stage: PortoStage, error: unknown): PortoError {
+  if (error instanceof PortoError) return error;
+
+  if (error instanceof TransportError) {
+    return new PortoNetworkError(`${PORTO_ERRORS.NETWORK_ERROR}: ${error.message}`, {
+      stage,
+      code: error.status,
+      retryable: error.retryable,
+      cause: error,
+    });
+  }
+
+  const message = error instanceof Error ? error.message : String(error);
+  return new PortoError(`${STAGE_MESSAGES[stage]}: ${message}`, { stage, cause: error });
+}
+
+// =====================================
+// USER-FACING MESSAGES
+// =====================================
+
+interface ErrorMapping {
+  match: (error: PortoError, text: string) => boolean;
+  message: string;
+}
+
+/**
+ * Ordered mapping table - first match wins
+ * `text` is the lowercased message + relay data
+ */
+export const PORTO_ERROR_MESSAGES: ErrorMapping[] = [
+  { match: e => e instanceof PortoNetworkError, message: 'RELAY OFFLINE' },
+  { match: e => e instanceof PortoSponsorshipError, message: 'NOT SPONSORED - FEE REQUIRED' },
+  { match: e => e instanceof PortoSelfPaidRequiredError && !e.data?.affordable, message: 'NOT ENOUGH FUNDS FOR GAS' },
+  { match: e => e instanceof PortoSelfPaidRequiredError, message: 'RELAY FAILED - GAS REQUIRED' },
+  { match: e => e instanceof PortoDigestMismatchError, message: 'RELAY MISMATCH - NOT SIGNED' },
+  { match: e => e instanceof PortoIntentRejectedError && e.data?.blocked, message: 'BLOCKED - UNKNOWN CONTRACT' },
+  { match: e => e instanceof PortoIntentRejectedError, message: 'CANCELLED' },
+  { match: e => e instanceof PortoRedelegationRequiredError, message: 'WALLET DELEGATED ELSEWHERE' },
+  { match: (_, t) => t.includes('no longer with us') || t.includes('needs to be revived'), message: 'PET IS DEAD' },
+  { match: (_, t) => t.includes("don't have a pet"), message: 'NO PET YET' },
+  { match: (_, t) => t.includes('still alive'), message: 'PET IS STILL ALIVE' },
+  { match: (_, t) => t.includes('name cannot be empty') || t.includes('invalid name'), message: 'ENTER A NAME!' },
+  { match: (_, t) => t.includes('needs rest') || t.includes('is resting'), message: 'PET NEEDS REST' },
+  { match: (_, t) => t.includes('already claimed'), message: 'COME BACK TOMORROW' },
+  {
+    match: (e, t) =>
+      e.stage === 'upgrade' ||
+      t.includes('not delegated') ||
+      t.includes('keydoesnotexist') ||
+      t.includes('unauthorized'),
+    message: 'NOT DELEGATED',
+  },
+  { match: (_, t) => t.includes('insufficient funds'), message: 'RELAY OUT OF GAS' },
+  { match: (_, t) => t.includes('timeout'), message: 'STILL PENDING - TRY AGAIN' },
+  { match: e => e instanceof PortoSimulationError, message: 'ACTION NOT ALLOWED' },
+  { match: e => e.stage === 'sign', message: 'SIGNING FAILED' },
+  { match: e => e instanceof PortoTransactionError, message: 'ACTION FAILED' },
+];
+
+/**
+ * Map any error to a short message suitable for PixelToast
+ * Plain errors (e.g. from the direct RPC fallback) are matched on their text
+ */
+export function getUserMessage(error: unknown, fallback: string = 'SOMETHING WENT WRONG'): string {
+  const portoError = error instanceof PortoError ? error : toPortoError('send', error);
+  const data = typeof portoError.data === 'string'
+    ? portoError.data
+    : JSON.stringify(portoError.data ?? '', (_, value) =>
+        typeof value === 'bigint' ? value.toString() : value
+      );
+  const text = `${portoError.message} ${data}`.toLowerCase();
+
+  return PORTO_ERROR_MESSAGES.find(m => m.match(portoError, text))?.message ?? fallback;
+}
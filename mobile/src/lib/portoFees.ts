@@ -0,0 +1,89 @@
+/**
+ * Porto Fee Tokens and Quotes
+ *
+ * Reads the fee tokens a relay accepts from wallet_getCapabilities and turns
+ * the quote returned by wallet_prepareCalls into something the UI can show
+ */
+
+import { formatUnits, isAddressEqual } from 'viem';
+import { PORTO_CONFIG } from '../config/porto';
+import { ETH_FEE_TOKEN } from './porto-utils';
+
+export interface FeeToken {
+  address: string;
+  symbol: string;
+  decimals: number;
+}
+
+export interface FeeQuote {
+  amount: bigint; // max fee charged to the account, in token units
+  token: FeeToken;
+  gasEstimate: bigint;
+  expiry: number; // unix seconds
+  sponsored: boolean;
+}
+
+// Used when the relay does not list its tokens
+export const DEFAULT_FEE_TOKEN: FeeToken = {
+  address: ETH_FEE_TOKEN,
+  symbol: 'ETH',
+  decimals: 18,
+};
+
+/**
+ * Fee tokens for our chain from a wallet_getCapabilities result
+ */
+export function parseFeeTokens(capabilities: any): FeeToken[] {
+  const chainCapabilities =
+    capabilities?.[`0x${PORTO_CONFIG.chainId.toString(16)}`] ??
+    capabilities?.[PORTO_CONFIG.chainId];
+  const tokens: any[] = chainCapabilities?.fees?.tokens ?? [];
+
+  return tokens
+    .filter(token => token.address && token.feeToken !== false)
+    .map(token => ({
+      address: token.address,
+      symbol: token.symbol ?? token.kind ?? 'UNKNOWN',
+      decimals: Number(token.decimals ?? 18),
+    }));
+}
+
+/**
+ * Fee quote from a wallet_prepareCalls result
+ * Newer relays wrap quotes in `context.quote.quotes`, older ones return one quote
+ */
+export function parseFeeQuote(prepareResult: any, tokens: FeeToken[]): FeeQuote | null {
+  const quote = prepareResult?.context?.quote?.quotes?.[0] ?? prepareResult?.context?.quote;
+  // Payment terms from the signed intent when there is one (see verifyIntentDigest)
+  const intent = prepareResult?.typedData?.message ?? quote?.intent;
+  if (!intent) return null;
+
+  const tokenAddress = intent.paymentToken ?? ETH_FEE_TOKEN;
+  const token = tokens.find(t => isAddressEqual(t.address as `0x${string}`, tokenAddress)) ?? {
+    ...DEFAULT_FEE_TOKEN,
+    address: tokenAddress,
+  };
+
+  const amount = BigInt(intent.totalPaymentMaxAmount ?? 0);
+  // Someone other than the account pays (or nothing to pay) - sponsored
+  const payer: string | undefined = intent.payer;
+  const thirdPartyPayer = !!payer &&
+    !isAddressEqual(payer as `0x${string}`, ETH_FEE_TOKEN) &&
+    !(intent.eoa && isAddressEqual(payer as `0x${string}`, intent.eoa));
+
+  return {
+    amount,
+    token,
+    gasEstimate: BigInt(quote?.txGas ?? intent.combinedGas ?? 0),
+    expiry: Number(quote?.ttl ?? prepareResult?.context?.quote?.ttl ?? 0),
+    sponsored: amount === 0n || thirdPartyPayer,
+  };
+}
+
+/**
+ * "FREE" or the fee amount, e.g. "0.001 ETH"
+ */
+export function formatFeeQuote(quote: FeeQuote | null): string {
+  if (!quote || quote.sponsored) return 'FREE';
+  return `${formatUnits(quote.amount, quote.token.decimals)} ${quote.token.symbol}`;
+}
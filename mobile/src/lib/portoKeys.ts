@@ -0,0 +1,194 @@
+/**
+ * Porto Keys
+ *
+ * Keys that can be authorized on a Porto account and sign its intents:
+ * - secp256k1: a regular Ethereum key (the main key, session keys)
+ * - p256: a software P-256 key
+ * - webauthn-p256: a platform passkey, signing through a WebAuthn assertion
+ *
+ * Every key is used through the KeySigner interface, so PortoClient and
+ * accountUpgrade don't care where the private key lives
+ */
+
+import { P256, PublicKey } from 'ox';
+import { encodeAbiParameters, numberToHex, toHex, type Hex } from 'viem';
+import type { PrivateKeyAccount } from 'viem/accounts';
+import { serializePublicKey } from './porto-utils';
+
+export type PortoKeyType = 'secp256k1' | 'p256' | 'webauthn-p256';
+
+export type PortoKeyRole = 'admin' | 'session';
+
+// Key as the relay expects it in prepareCalls / sendPreparedCalls
+export interface PortoKey {
+  // The key signs sha256(digest) instead of the digest itself
+  prehash: boolean;
+  // Serialized for Porto (see serializePublicKey)
+  publicKey: Hex;
+  type: PortoKeyType;
+}
+
+export interface KeySigner extends PortoKey {
+  // Signature over an intent digest, encoded for the key type
+  sign: (digest: Hex) => Promise<Hex>;
+}
+
+export interface CallPermission {
+  type: 'call';
+  to: string;
+  selector: string;
+}
+
+// authorizeKeys entry for prepareUpgradeAccount / prepareCalls
+export interface KeyAuthorization extends PortoKey {
+  expiry: Hex;
+  role: PortoKeyRole;
+  permissions: CallPermission[];
+}
+
+// Result of a WebAuthn assertion (navigator.credentials.get or a native passkey module)
+export interface WebAuthnAssertion {
+  authenticatorData: Hex;
+  clientDataJSON: string;
+  // P-256 signature from the authenticator
+  signature: { r: bigint; s: bigint };
+}
+
+// Asks the platform authenticator to sign `challenge`
+export type WebAuthnAssert = (challenge: Hex) => Promise<WebAuthnAssertion>;
+
+// P-256 group order; verifiers only accept s in its lower half
+const P256_N = 0xffffffff00000000ffffffffffffffffbce6faada7179e84f3b9cac2fc632551n;
+
+/**
+ * The key part of a signer, as sent to the relay
+ */
+export function toPortoKey({ prehash, publicKey, type }: PortoKey): PortoKey {
+  return { prehash, publicKey, type };
+}
+
+/**
+ * Whether two keys are the same Porto key
+ */
+export function isSameKey(a: PortoKey, b: PortoKey): boolean {
+  return a.type === b.type && a.publicKey.toLowerCase() === b.publicKey.toLowerCase();
+}
+
+/**
+ * secp256k1 key of an address, e.g. an admin or session key held elsewhere
+ */
+export function fromAddress(address: string): PortoKey {
+  return { prehash: false, publicKey: serializePublicKey(address), type: 'secp256k1' };
+}
+
+/**
+ * Signer for a secp256k1 account (raw sign over the digest, no EIP-191 prefix)
+ */
+export function fromAccount(account: PrivateKeyAccount): KeySigner {
+  return {
+    ...fromAddress(account.address),
+    sign: digest => account.sign({ hash: digest }),
+  };
+}
+
+/**
+ * New random P-256 private key
+ */
+export function generateP256PrivateKey(): Hex {
+  return P256.randomPrivateKey();
+}
+
+/**
+ * Signer for a software P-256 key
+ * With prehash the key signs sha256(digest), which is what most hardware and
+ * platform keys do; the account verifies accordingly
+ */
+export function createP256Signer(privateKey: Hex, options: { prehash?: boolean } = {}): KeySigner {
+  const { prehash = false } = options;
+  const publicKey = PublicKey.toHex(P256.getPublicKey({ privateKey }), { includePrefix: false });
+
+  return {
+    prehash,
+    publicKey: serializePublicKey(publicKey, 'p256'),
+    type: 'p256',
+    sign: async digest => {
+      const { r, s } = P256.sign({ payload: digest, privateKey, hash: prehash });
+      return encodeP256Signature(r, s);
+    },
+  };
+}
+
+/**
+ * Signer for a passkey
+ * The intent digest is the WebAuthn challenge; `assert` is the platform's
+ * passkey prompt, so the private key never leaves the authenticator
+ */
+export function createWebAuthnSigner(publicKey: string, assert: WebAuthnAssert): KeySigner {
+  return {
+    // WebAuthn hashes the client data itself
+    prehash: false,
+    publicKey: serializePublicKey(publicKey, 'webauthn-p256'),
+    type: 'webauthn-p256',
+    sign: async digest => encodeWebAuthnSignature(await assert(digest)),
+  };
+}
+
+/**
+ * r‖s (64 bytes) with s normalized to the lower half of the curve order
+ */
+export function encodeP256Signature(r: bigint, s: bigint): Hex {
+  const lowS = s > P256_N / 2n ? P256_N - s : s;
+  return `0x${numberToHex(r, { size: 32 }).slice(2)}${numberToHex(lowS, { size: 32 }).slice(2)}`;
+}
+
+/**
+ * ABI-encoded WebAuthnAuth struct, as verified by the Porto account
+ */
+export function encodeWebAuthnSignature({ authenticatorData, clientDataJSON, signature }: WebAuthnAssertion): Hex {
+  const challengeIndex = clientDataJSON.indexOf('"challenge":');
+  const typeIndex = clientDataJSON.indexOf('"type":');
+  if (challengeIndex === -1 || typeIndex === -1) {
+    throw new Error('Invalid WebAuthn client data: missing challenge or type');
+  }
+  const rs = encodeP256Signature(signature.r, signature.s);
+
+  return encodeAbiParameters(
+    [{
+      type: 'tuple',
+      components: [
+        { name: 'authenticatorData', type: 'bytes' },
+        { name: 'clientDataJSON', type: 'string' },
+        { name: 'challengeIndex', type: 'uint256' },
+        { name: 'typeIndex', type: 'uint256' },
+        { name: 'r', type: 'bytes32' },
+        { name: 's', type: 'bytes32' },
+      ],
+    }],
+    [{
+      authenticatorData,
+      clientDataJSON,
+      challengeIndex: BigInt(challengeIndex),
+      typeIndex: BigInt(typeIndex),
+      r: `0x${rs.slice(2, 66)}`,
+      s: `0x${rs.slice(66)}`,
+    }]
+  );
+}
+
+/**
+ * Build the authorizeKeys entry for a key
+ * @param expiryMs - Expiry (ms timestamp); 0 never expires
+ */
+export function buildKeyAuthorization<role extends PortoKeyRole>(
+  key: PortoKey,
+  role: role,
+  expiryMs: number = 0,
+  permissions: CallPermission[] = []
+): KeyAuthorization & { role: role } {
+  return {
+    expiry: toHex(Math.floor(expiryMs / 1000)),
+    ...toPortoKey(key),
+    role,
+    permissions,
+  };
+}
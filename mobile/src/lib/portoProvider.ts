@@ -0,0 +1,225 @@
+/**
+ * Porto EIP-1193 Provider
+ *
+ * Standard provider interface over PortoClient, so viem wallet clients and
+ * wagmi (see lib/portoConnector) can drive the gasless flow:
+ * - eth_accounts / eth_requestAccounts, eth_chainId
+ * - wallet_sendCalls (EIP-5792) -> one queued gasless intent
+ * - wallet_getCallsStatus, wallet_getCapabilities
+ * - personal_sign with the main key
+ * - eth_call through the active network's RPC client
+ * Everything else is refused with 4200 (reads go to wagmi's own transports)
+ */
+
+import {
+  InternalRpcError,
+  InvalidParamsRpcError,
+  ProviderDisconnectedError,
+  RpcError,
+  UnauthorizedProviderError,
+  UnsupportedProviderMethodError,
+  UserRejectedRequestError,
+  isAddressEqual,
+  numberToHex,
+  type Hex,
+} from 'viem';
+import { portoClient as defaultPortoClient, type Call, type PortoClient, type TransactionStatus } from './portoClient.native';
+import { PortoIntentRejectedError, PortoNetworkError } from './portoErrors';
+import { getRpcClient } from '../config/rpcClient';
+import { onNetworkChange } from '../config/networks';
+import { PORTO_CONFIG } from '../config/porto';
+
+export interface RequestArguments {
+  method: string;
+  params?: unknown;
+}
+
+export type ProviderEvent = 'accountsChanged' | 'chainChanged' | 'connect' | 'disconnect';
+
+type ProviderListener = (...args: any[]) => void;
+
+// wallet_sendCalls request (EIP-5792)
+interface SendCallsParams {
+  version?: string;
+  chainId?: Hex;
+  from?: string;
+  calls: { to?: string; data?: string; value?: Hex | string }[];
+  capabilities?: Record<string, unknown>;
+}
+
+// EIP-5792 status codes; the relay uses the same codes except 0/1
+const CALLS_STATUS = {
+  PENDING: 100,
+  CONFIRMED: 200,
+} as const;
+
+/**
+ * EIP-5792 calls status from a relay bundle status
+ */
+export function toCallsStatus(status: TransactionStatus, chainId: number = PORTO_CONFIG.chainId) {
+  const code = status.status === 0 ? CALLS_STATUS.PENDING
+    : status.status === 1 ? CALLS_STATUS.CONFIRMED
+    : status.status;
+
+  return {
+    version: '2.0.0',
+    id: status.id,
+    chainId: numberToHex(chainId),
+    // Every call of an intent lands in one bundle, or none do
+    atomic: true,
+    status: code,
+    receipts: status.receipts?.map(receipt => ({
+      logs: receipt.logs ?? [],
+      status: receipt.status,
+      blockHash: receipt.blockHash,
+      blockNumber: receipt.blockNumber,
+      // Relays don't always report gas; viem expects the field
+      gasUsed: receipt.gasUsed ?? '0x0',
+      transactionHash: receipt.transactionHash,
+    })),
+  };
+}
+
+/**
+ * Standard error for a failed request: rejected intents are 4001, an
+ * unreachable relay is 4900, anything else is an internal error with the
+ * PortoError as its cause
+ */
+function toProviderError(error: unknown): Error {
+  if (error instanceof RpcError) return error;
+  const cause = error instanceof Error ? error : new Error(String(error));
+  if (error instanceof PortoIntentRejectedError) return new UserRejectedRequestError(cause);
+  if (error instanceof PortoNetworkError) return new ProviderDisconnectedError(cause);
+  return new InternalRpcError(cause);
+}
+
+export class PortoProvider {
+  private listeners = new Map<ProviderEvent, Set<ProviderListener>>();
+
+  constructor(private readonly client: PortoClient = defaultPortoClient) {
+    onNetworkChange(network => this.emit('chainChanged', numberToHex(network.chainId)));
+    client.onAccountChange(address => {
+      this.emit('connect', { chainId: numberToHex(PORTO_CONFIG.chainId) });
+      this.emit('accountsChanged', [address]);
+    });
+  }
+
+  /**
+   * EIP-1193 request
+   */
+  async request({ method, params }: RequestArguments): Promise<any> {
+    try {
+      return await this.handle(method, (params ?? []) as any[]);
+    } catch (error) {
+      throw toProviderError(error);
+    }
+  }
+
+  private async handle(method: string, params: any[]): Promise<any> {
+    switch (method) {
+      case 'eth_accounts':
+      case 'eth_requestAccounts':
+        return this.accounts();
+
+      case 'eth_chainId':
+        return numberToHex(PORTO_CONFIG.chainId);
+
+      case 'wallet_sendCalls':
+        return this.sendCalls(params[0]);
+
+      case 'wallet_getCallsStatus':
+        return toCallsStatus(await this.client.getCallsStatus(params[0]));
+
+      case 'wallet_getCapabilities':
+        return this.capabilities();
+
+      case 'personal_sign': {
+        const [data, address] = params;
+        this.assertAccount(address);
+        return this.client.signMessage({ raw: data });
+      }
+
+      case 'eth_call':
+        return getRpcClient().request({ method: 'eth_call', params: params as any });
+
+      default:
+        throw new UnsupportedProviderMethodError(new Error(`Unsupported method: ${method}`), { method });
+    }
+  }
+
+  private accounts(): string[] {
+    const address = this.client.getAddress();
+    return address ? [address] : [];
+  }
+
+  /**
+   * Requests on behalf of another account are refused
+   */
+  private assertAccount(address: string | undefined): string {
+    const account = this.client.getAddress();
+    if (!account) throw new UnauthorizedProviderError(new Error('No account connected'));
+    if (address && !isAddressEqual(address as Hex, account as Hex)) {
+      throw new UnauthorizedProviderError(new Error(`Account ${address} is not connected`));
+    }
+    return account;
+  }
+
+  /**
+   * All calls become one gasless intent, queued behind the account's others
+   * Resolves with the bundle ID once the relay accepted it
+   */
+  private async sendCalls(request: SendCallsParams | undefined): Promise<{ id: string }> {
+    if (!request?.calls?.length) {
+      throw new InvalidParamsRpcError(new Error('wallet_sendCalls needs at least one call'));
+    }
+    this.assertAccount(request.from);
+    if (request.chainId && Number(request.chainId) !== PORTO_CONFIG.chainId) {
+      throw new InvalidParamsRpcError(new Error(`Chain ${Number(request.chainId)} is not the active network`));
+    }
+
+    const calls: Call[] = request.calls.map(call => {
+      if (!call.to) throw new InvalidParamsRpcError(new Error('Contract deployment is not supported'));
+      return {
+        to: call.to,
+        data: call.data ?? '0x',
+        value: numberToHex(BigInt(call.value ?? 0)),
+      };
+    });
+
+    const { bundleId } = await this.client.queueGaslessBatch(calls, { label: 'dapp' });
+    return { id: bundleId };
+  }
+
+  /**
+   * EIP-5792 capabilities of the active chain
+   */
+  private async capabilities(): Promise<Record<Hex, Record<string, unknown>>> {
+    const feeTokens = await this.client.getFeeTokens();
+    return {
+      [numberToHex(PORTO_CONFIG.chainId)]: {
+        atomic: { status: 'supported' },
+        feeTokens: { supported: true, tokens: feeTokens },
+      },
+    };
+  }
+
+  on(event: ProviderEvent, listener: ProviderListener) {
+    let listeners = this.listeners.get(event);
+    if (!listeners) {
+      listeners = new Set();
+      this.listeners.set(event, listeners);
+    }
+    listeners.add(listener);
+  }
+
+  removeListener(event: ProviderEvent, listener: ProviderListener) {
+    this.listeners.get(event)?.delete(listener);
+  }
+
+  private emit(event: ProviderEvent, ...args: unknown[]) {
+    this.listeners.get(event)?.forEach(listener => listener(...args));
+  }
+}
+
+// Provider for the app-wide Porto client
+export const portoProvider = new PortoProvider();
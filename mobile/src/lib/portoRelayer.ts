@@ -1,22 +1,37 @@
-import { PORTO_RELAYER_URL, riseTestnet } from '../config/chain';
-import { privateKeyToAccount } from 'viem/accounts';
-import { encodeFunctionData } from 'viem';
+import { privateKeyToAccount, generatePrivateKey, type PrivateKeyAccount } from 'viem/accounts';
+import { isHex, type Hex } from 'viem';
 import { Storage } from './storage';
+import { PORTO_CONFIG, PORTO_ERRORS } from '../config/porto';
+import { portoRpc } from './portoTransport';
+import { PortoDigestMismatchError, PortoError, fromRpcError, stageForMethod, toPortoError } from './portoErrors';
+import { verifyIntentDigest } from './portoDigest';
+import { BundleConfirmations } from './bundleConfirmations';
+import { fromAccount, toPortoKey } from './portoKeys';
+import { ETH_FEE_TOKEN } from './porto-utils';
+import { DEFAULT_FEE_TOKEN, parseFeeQuote, type FeeQuote } from './portoFees';
+import type { TransactionStatus } from './portoClient.native';
 
 /**
- * Porto Relayer Client for RISE Testnet
- * 
+ * Porto Relayer Client for the active network
+ *
  * This client interacts directly with the Porto relayer to:
  * 1. Send intents instead of raw transactions
  * 2. Get gas sponsorship (gasless transactions)
  * 3. Use session keys for transaction signing
  * 4. Bundle multiple operations
- * 
+ *
+ * Unlike PortoClient (prepareCalls -> sendPreparedCalls with the context),
+ * intents are sent with wallet_sendCalls and the identifier the relay handed
+ * out when preparing them. The session key signs the relay's digest, so the
+ * account sending from must have it authorized (or be the session key itself)
+ *
  * Based on: https://porto.sh/rpc-server
  */
 
+// The session private key lives in secure storage (SecureStore where available)
 const SESSION_KEY_STORAGE = 'PORTO_SESSION_KEY';
 const SESSION_KEY_EXPIRY = 'PORTO_SESSION_KEY_EXPIRY';
+const SESSION_KEY_TTL = 24 * 60 * 60 * 1000; // 24 hours
 
 export interface Call {
   to: string;
@@ -33,9 +48,12 @@ export interface PrepareCallsRequest {
 }
 
 export interface PrepareCallsResponse {
-  context: string;
-  sessionData?: any;
-  identifier?: string;
+  context: any;
+  digest: string;
+  typedData: any;
+  // Handle wallet_sendCalls refers to the prepared intent by
+  identifier: string;
+  quote: FeeQuote | null;
 }
 
 export interface SendCallsRequest {
@@ -44,51 +62,74 @@ export interface SendCallsRequest {
 }
 
 export class PortoRelayerClient {
-  private sessionKey: string | null = null;
+  private sessionAccount: PrivateKeyAccount | null = null;
   private sessionKeyExpiry: number | null = null;
+  // Digests returned by prepareCalls that matched our request
+  private verifiedDigests = new Set<string>();
+  private confirmations = new BundleConfirmations(bundleId => this.getCallsStatus(bundleId));
 
   constructor() {}
 
   /**
    * Initialize or retrieve session key
+   * A stored address (written by earlier versions, which could not sign) is
+   * replaced with a new key
    */
   async initSessionKey(): Promise<void> {
     try {
       // Check if we have a valid session key
       const storedKey = await Storage.getItem(SESSION_KEY_STORAGE);
       const storedExpiry = await Storage.getItem(SESSION_KEY_EXPIRY);
-      
-      if (storedKey && storedExpiry) {
+
+      if (storedKey && storedExpiry && isHex(storedKey) && storedKey.length === 66) {
         const expiry = parseInt(storedExpiry);
         if (Date.now() < expiry) {
-          this.sessionKey = storedKey;
+          this.sessionAccount = privateKeyToAccount(storedKey);
           this.sessionKeyExpiry = expiry;
-          console.log('Using existing session key');
+          console.log('Using existing session key:', this.sessionAccount.address);
           return;
         }
       }
 
       // Generate new session key
-      const sessionAccount = privateKeyToAccount(generatePrivateKey());
-      this.sessionKey = sessionAccount.address;
-      this.sessionKeyExpiry = Date.now() + (24 * 60 * 60 * 1000); // 24 hours
-      
-      await Storage.setItem(SESSION_KEY_STORAGE, this.sessionKey);
+      const sessionPrivateKey = generatePrivateKey();
+      this.sessionAccount = privateKeyToAccount(sessionPrivateKey);
+      this.sessionKeyExpiry = Date.now() + SESSION_KEY_TTL;
+
+      await Storage.setItem(SESSION_KEY_STORAGE, sessionPrivateKey);
       await Storage.setItem(SESSION_KEY_EXPIRY, this.sessionKeyExpiry.toString());
-      
-      console.log('Generated new session key:', this.sessionKey);
+
+      console.log('Generated new session key:', this.sessionAccount.address);
     } catch (error) {
       console.error('Failed to initialize session key:', error);
     }
   }
 
+  /**
+   * Session key loaded and not expired
+   */
+  private async getSessionAccount(): Promise<PrivateKeyAccount> {
+    if (!this.sessionAccount || !this.sessionKeyExpiry || Date.now() >= this.sessionKeyExpiry) {
+      await this.initSessionKey();
+    }
+    if (!this.sessionAccount) throw new PortoError(PORTO_ERRORS.NOT_INITIALIZED, { stage: 'prepare' });
+    return this.sessionAccount;
+  }
+
+  /**
+   * Address of the session key, once loaded
+   */
+  getSessionAddress(): string | null {
+    return this.sessionAccount?.address ?? null;
+  }
+
   /**
    * Check if relayer is healthy
    */
   async checkHealth(): Promise<boolean> {
     try {
-      const response = await fetch(`${PORTO_RELAYER_URL}/health`);
-      return response.ok;
+      const response = await portoRpc('health', [], { retryAttempts: 0 });
+      return response.result === 'healthy';
     } catch (error) {
       console.error('Health check failed:', error);
       return false;
@@ -99,183 +140,156 @@ export class PortoRelayerClient {
    * Get capabilities for the chain
    */
   async getCapabilities(): Promise<any> {
-    try {
-      const response = await fetch(PORTO_RELAYER_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          jsonrpc: '2.0',
-          method: 'wallet_getCapabilities',
-          params: [],
-          id: 1,
-        }),
-      });
-      
-      const result = await response.json();
-      return result.result;
-    } catch (error) {
-      console.error('Failed to get capabilities:', error);
-      throw error;
-    }
+    return this.rpc('wallet_getCapabilities', []);
   }
 
   /**
-   * Prepare calls for execution (get context for signing)
+   * Prepare calls for execution (get the digest to sign and its identifier)
+   * Only digests matching the request are signed later on
    */
   async prepareCalls(
     calls: Call[],
     from: string
   ): Promise<PrepareCallsResponse> {
-    try {
-      // Get capabilities first
-      const capabilities = await this.getCapabilities();
-      const chainCapabilities = capabilities[`0x${riseTestnet.id.toString(16)}`] || {};
-      
-      const request: PrepareCallsRequest = {
-        calls,
-        capabilities: {
-          ...chainCapabilities,
-          paymasterService: {
-            supported: true,
-            provider: 'porto',
-          },
+    const sessionAccount = await this.getSessionAccount();
+
+    const request: PrepareCallsRequest = {
+      calls,
+      capabilities: {
+        meta: {
+          feeToken: ETH_FEE_TOKEN,
         },
-        chainId: riseTestnet.id,
-        from,
-      };
-
-      const response = await fetch(PORTO_RELAYER_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          jsonrpc: '2.0',
-          method: 'wallet_prepareCalls',
-          params: [request],
-          id: 2,
-        }),
+      },
+      chainId: PORTO_CONFIG.chainId,
+      from,
+      key: toPortoKey(fromAccount(sessionAccount)),
+    };
+
+    const result = await this.rpc('wallet_prepareCalls', [request]);
+    if (!result.identifier) {
+      throw new PortoError(`${PORTO_ERRORS.PREPARE_FAILED}: relay returned no intent identifier`, {
+        stage: 'prepare',
+        data: result,
       });
+    }
 
-      const result = await response.json();
-      if (result.error) {
-        throw new Error(result.error.message);
-      }
-      
-      return result.result;
+    verifyIntentDigest(result, {
+      from,
+      chainId: PORTO_CONFIG.chainId,
+      calls: calls.map(call => ({ to: call.to, data: call.data ?? '0x', value: call.value ?? '0x0' })),
+      feeToken: ETH_FEE_TOKEN,
+    });
+    this.verifiedDigests.add(result.digest.toLowerCase());
+
+    const quote = parseFeeQuote(result, [DEFAULT_FEE_TOKEN]);
+    return { ...result, quote };
+  }
+
+  /**
+   * Sign a prepared digest with the session key (raw sign, not EIP-712)
+   */
+  async signIntent(digest: string): Promise<string> {
+    const sessionAccount = await this.getSessionAccount();
+    if (!this.verifiedDigests.delete(digest.toLowerCase())) {
+      throw new PortoDigestMismatchError(`${PORTO_ERRORS.DIGEST_MISMATCH}: digest was not prepared by this client`, {
+        stage: 'sign',
+        data: { field: 'digest', actual: digest },
+      });
+    }
+
+    try {
+      return await sessionAccount.sign({ hash: digest as Hex });
     } catch (error) {
-      console.error('Failed to prepare calls:', error);
-      throw error;
+      throw toPortoError('sign', error);
     }
   }
 
   /**
    * Send prepared calls with signature
+   * Resolves with the bundle ID
    */
   async sendCalls(
     identifier: string,
     signature: string
   ): Promise<string> {
-    try {
-      const response = await fetch(PORTO_RELAYER_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          jsonrpc: '2.0',
-          method: 'wallet_sendCalls',
-          params: [{
-            identifier,
-            signature,
-          }],
-          id: 3,
-        }),
-      });
-
-      const result = await response.json();
-      if (result.error) {
-        throw new Error(result.error.message);
-      }
-      
-      return result.result; // Transaction ID
-    } catch (error) {
-      console.error('Failed to send calls:', error);
-      throw error;
-    }
+    const request: SendCallsRequest = { identifier, signature };
+    const result = await this.rpc('wallet_sendCalls', [request]);
+    return result.id || result;
   }
 
   /**
    * Get status of sent calls
    */
-  async getCallsStatus(transactionId: string): Promise<any> {
-    try {
-      const response = await fetch(PORTO_RELAYER_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          jsonrpc: '2.0',
-          method: 'wallet_getCallsStatus',
-          params: [transactionId],
-          id: 4,
-        }),
-      });
+  async getCallsStatus(bundleId: string): Promise<TransactionStatus> {
+    return this.rpc('wallet_getCallsStatus', [bundleId]);
+  }
 
-      const result = await response.json();
-      if (result.error) {
-        throw new Error(result.error.message);
-      }
-      
-      return result.result;
-    } catch (error) {
-      console.error('Failed to get calls status:', error);
-      throw error;
-    }
+  /**
+   * Wait for the bundle to be confirmed
+   * Rejects with PortoTransactionError when it fails or times out
+   */
+  async waitForTransaction(
+    bundleId: string,
+    timeoutMs: number = PORTO_CONFIG.transactionTimeout
+  ): Promise<TransactionStatus> {
+    return this.confirmations.wait(bundleId, timeoutMs);
   }
 
   /**
    * Execute a gasless transaction through the relayer
+   * @param from - Account the session key signs for (defaults to the session key itself)
    */
   async executeGaslessTransaction(
     to: string,
     data: string,
     value?: string,
     from?: string
-  ): Promise<string> {
+  ): Promise<{ bundleId: string; quote: FeeQuote | null }> {
+    return this.executeGaslessBatch([{ to, data, ...(value && { value }) }], from);
+  }
+
+  /**
+   * Prepare, sign and send several calls as one intent
+   */
+  async executeGaslessBatch(
+    calls: Call[],
+    from?: string
+  ): Promise<{ bundleId: string; quote: FeeQuote | null }> {
+    let unsignedDigest: string | null = null;
     try {
-      // Initialize session key if needed
-      await this.initSessionKey();
-      
-      // Prepare the call
-      const call: Call = {
-        to,
-        data,
-        ...(value && { value }),
-      };
-      
-      const prepareResult = await this.prepareCalls(
-        [call],
-        from || this.sessionKey!
-      );
-      
-      // For now, we'll sign with the session key
-      // In production, this should use passkey or the main wallet
-      const signature = '0x'; // Placeholder - needs actual signing
-      
-      // Send the calls
-      const txId = await this.sendCalls(
-        prepareResult.identifier!,
-        signature
-      );
-      
-      console.log('Gasless transaction sent:', txId);
-      return txId;
+      const sessionAccount = await this.getSessionAccount();
+
+      const prepareResult = await this.prepareCalls(calls, from || sessionAccount.address);
+      unsignedDigest = prepareResult.digest;
+
+      const signature = await this.signIntent(prepareResult.digest);
+      unsignedDigest = null;
+
+      const bundleId = await this.sendCalls(prepareResult.identifier, signature);
+      console.log('Gasless transaction sent:', bundleId);
+      return { bundleId, quote: prepareResult.quote };
     } catch (error) {
       console.error('Failed to execute gasless transaction:', error);
+      if (unsignedDigest) {
+        this.verifiedDigests.delete(unsignedDigest.toLowerCase());
+      }
       throw error;
     }
   }
-}
 
-// Helper to generate a private key (for session keys)
-function generatePrivateKey(): `0x${string}` {
-  const array = new Uint8Array(32);
-  crypto.getRandomValues(array);
-  return `0x${Array.from(array).map(b => b.toString(16).padStart(2, '0')).join('')}`;
-}
\ No newline at end of file
+  /**
+   * JSON-RPC call to the relay; failures become PortoErrors for the method's stage
+   */
+  private async rpc(method: string, params: any[]): Promise<any> {
+    let response;
+    try {
+      response = await portoRpc(method, params);
+    } catch (error) {
+      throw toPortoError(stageForMethod(method), error);
+    }
+    if (response.error) {
+      throw fromRpcError(stageForMethod(method), response.error);
+    }
+    return response.result;
+  }
+}
@@ -0,0 +1,64 @@
+/**
+ * Porto RPC Transport
+ *
+ * Single JSON-RPC entry point for the Porto relayer with:
+ * - per-method timeouts (AbortController)
+ * - exponential backoff with jitter on network, 5xx and 429 errors
+ * - no retries for non-idempotent methods (a retried send could submit twice)
+ *
+ * The transport itself lives in rpcTransport.js, shared with the node test
+ * scripts; this module fills in the active network's PORTO_CONFIG
+ */
+
+import { PORTO_CONFIG } from '../config/porto';
+import { TransportError, getRetryDelay as getBackoffDelay, isRetryableMethod, sendRpc } from './rpcTransport';
+
+export interface RpcResponse<T = any> {
+  jsonrpc: '2.0';
+  id: number;
+  result?: T;
+  error?: {
+    code: number;
+    message: string;
+    data?: any;
+  };
+}
+
+export interface RpcCallOptions {
+  url?: string;
+  timeout?: number;
+  retryAttempts?: number;
+}
+
+export { TransportError, isRetryableMethod };
+
+/**
+ * Timeout for a given method, falling back to the default request timeout
+ */
+export function getMethodTimeout(method: string): number {
+  const timeouts = PORTO_CONFIG.methodTimeouts as Record<string, number>;
+  return timeouts[method] ?? PORTO_CONFIG.requestTimeout;
+}
+
+/**
+ * Backoff delay for a retry attempt (0-based), with jitter
+ */
+export function getRetryDelay(attempt: number, baseDelay: number = PORTO_CONFIG.retryDelay): number {
+  return getBackoffDelay(attempt, baseDelay);
+}
+
+/**
+ * Make a JSON-RPC call to the Porto relayer
+ * Resolves with the raw JSON-RPC response; callers inspect `error`
+ */
+export async function portoRpc<T = any>(
+  method: string,
+  params: any[],
+  options: RpcCallOptions = {}
+): Promise<RpcResponse<T>> {
+  return sendRpc(options.url ?? PORTO_CONFIG.url, method, params, {
+    timeout: options.timeout ?? getMethodTimeout(method),
+    retryAttempts: options.retryAttempts ?? PORTO_CONFIG.retryAttempts,
+    retryDelay: PORTO_CONFIG.retryDelay,
+  });
+}
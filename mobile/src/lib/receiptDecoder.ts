@@ -0,0 +1,96 @@
+/**
+ * Receipt Decoder
+ *
+ * Turns the raw receipts of a relay bundle (or a direct transaction) into
+ * FrenPet events - PetFed, PetLevelUp, ItemDropped, BattleCompleted, ... -
+ * and works out why a failed one reverted, so screens can react to what
+ * happened instead of re-reading stats
+ */
+
+import { decodeEventLog, isAddressEqual, type Hex } from 'viem';
+import { FRENPET_ABI, FRENPET_V2_ABI, getFrenPetAddress } from '../config/contracts';
+import { decodeRevertData, simulatePetCall } from './petSimulation';
+
+export interface PetEvent {
+  // e.g. 'PetLevelUp'
+  name: string;
+  args: Record<string, any>;
+  transactionHash?: string;
+}
+
+// Events of both contract versions; same-named events share a topic except PetCreated
+const PET_EVENTS_ABI = [...FRENPET_ABI, ...FRENPET_V2_ABI].filter(item => item.type === 'event');
+
+// ItemDropped / PetEvolved enums
+export const ITEM_RARITIES = ['COMMON', 'UNCOMMON', 'RARE', 'EPIC', 'LEGENDARY', 'MYTHIC'];
+
+function sameAddress(a: string | undefined, b: string): boolean {
+  try {
+    return !!a && isAddressEqual(a as Hex, b as Hex);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * FrenPet events in the receipts, in log order
+ * Logs of other contracts (the account, the orchestrator) are skipped
+ */
+export function decodePetEvents(receipts: any[] | undefined): PetEvent[] {
+  const frenPet = getFrenPetAddress();
+  const events: PetEvent[] = [];
+
+  for (const receipt of receipts ?? []) {
+    for (const log of receipt?.logs ?? []) {
+      if (!sameAddress(log.address, frenPet)) continue;
+      try {
+        const decoded = decodeEventLog({ abi: PET_EVENTS_ABI, data: log.data, topics: log.topics });
+        events.push({
+          name: decoded.eventName as string,
+          args: (decoded.args ?? {}) as Record<string, any>,
+          transactionHash: receipt.transactionHash,
+        });
+      } catch {
+        // An event the app has no ABI for
+      }
+    }
+  }
+  return events;
+}
+
+/**
+ * Revert payload the relay or node attached to a receipt, if any
+ */
+function findRevertData(receipts: any[] | undefined): { reason?: string; data?: Hex } | null {
+  for (const receipt of receipts ?? []) {
+    if (!receipt) continue;
+    if (typeof receipt.revertReason === 'string') return { reason: receipt.revertReason };
+    const data = receipt.revertData ?? receipt.output;
+    if (typeof data === 'string' && data.startsWith('0x') && data.length > 2) return { data: data as Hex };
+  }
+  return null;
+}
+
+/**
+ * Why a failed bundle or transaction reverted, null if it can't be told
+ * Uses revert data in the receipts, otherwise replays the call on the state
+ * it ran against (the block before the receipt's)
+ */
+export async function decodeRevertReason(
+  receipts: any[] | undefined,
+  replay?: { from: string; data: string; value?: bigint }
+): Promise<string | null> {
+  const attached = findRevertData(receipts);
+  if (attached?.reason) return attached.reason;
+  if (attached?.data) return decodeRevertData(attached.data);
+
+  if (!replay) return null;
+  const blockNumber = receipts?.find(receipt => receipt?.blockNumber != null)?.blockNumber;
+  const simulation = await simulatePetCall(
+    replay.from,
+    replay.data,
+    replay.value,
+    blockNumber != null ? BigInt(blockNumber) - 1n : undefined
+  );
+  return simulation.status === 'reverted' ? simulation.message : null;
+}
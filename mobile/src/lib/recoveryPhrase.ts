@@ -0,0 +1,175 @@
+/**
+ * Recovery Phrase
+ *
+ * The main wallet key is derived from a BIP-39 mnemonic along the standard
+ * Ethereum path, so the same phrase restores it here or in any other wallet.
+ *
+ * Installs from before recovery phrases hold a raw private key. A phrase
+ * can't be derived from a key, so those wallets keep their key and address
+ * (and with it the pet): the key itself is backed up instead, and restoring
+ * accepts it in place of a phrase
+ */
+
+import { Mnemonic } from 'ox';
+import { isHex, type Hex } from 'viem';
+import { Storage } from './storage';
+
+// First account of the standard Ethereum derivation path (BIP-44)
+export const RECOVERY_PATH = "m/44'/60'/0'/0/0";
+
+// Words the user has to type back before a backup counts as done
+export const QUIZ_WORD_COUNT = 3;
+
+// Storage keys of one wallet
+export interface WalletKeyNames {
+  privateKey: string;
+  recoveryPhrase: string;
+  backedUp: string;
+}
+
+export interface WalletKey {
+  privateKey: Hex;
+  // null for wallets created from a raw private key
+  recoveryPhrase: string | null;
+  // The user confirmed writing the phrase (or key) down
+  backedUp: boolean;
+}
+
+/**
+ * New 12 word English recovery phrase
+ */
+export function generateRecoveryPhrase(): string {
+  return Mnemonic.random(Mnemonic.english);
+}
+
+/**
+ * Phrase as typed or pasted: lowercase, single spaces
+ */
+export function normalizeRecoveryPhrase(input: string): string {
+  return input.trim().toLowerCase().split(/\s+/).join(' ');
+}
+
+/**
+ * Whether the phrase is a BIP-39 English mnemonic with a valid checksum
+ */
+export function isValidRecoveryPhrase(phrase: string): boolean {
+  return Mnemonic.validate(normalizeRecoveryPhrase(phrase), Mnemonic.english);
+}
+
+/**
+ * Main wallet key for a recovery phrase (see RECOVERY_PATH)
+ */
+export function recoveryPhraseToPrivateKey(phrase: string): Hex {
+  const normalized = normalizeRecoveryPhrase(phrase);
+  if (!Mnemonic.validate(normalized, Mnemonic.english)) {
+    throw new Error('Invalid recovery phrase');
+  }
+  return Mnemonic.toPrivateKey(normalized, { as: 'Hex', path: RECOVERY_PATH });
+}
+
+/**
+ * Wallet key for what the user entered to restore: a recovery phrase, or the
+ * private key backed up from a wallet created before recovery phrases (with
+ * or without 0x, spaces between the groups allowed)
+ */
+export function parseRecoverySecret(input: string): Omit<WalletKey, 'backedUp'> {
+  const compact = input.replace(/\s+/g, '').toLowerCase();
+  const privateKey = compact.startsWith('0x') ? compact : `0x${compact}`;
+  if (isHex(privateKey) && privateKey.length === 66) {
+    return { privateKey, recoveryPhrase: null };
+  }
+
+  const recoveryPhrase = normalizeRecoveryPhrase(input);
+  return { privateKey: recoveryPhraseToPrivateKey(recoveryPhrase), recoveryPhrase };
+}
+
+/**
+ * What the user writes down, one entry per box: the phrase's words, or the
+ * private key in groups of 4 hex characters
+ */
+export function toBackupWords({ privateKey, recoveryPhrase }: Omit<WalletKey, 'backedUp'>): string[] {
+  if (recoveryPhrase) return recoveryPhrase.split(' ');
+  return privateKey.slice(2).match(/.{4}/g) ?? [];
+}
+
+/**
+ * Distinct word positions to ask for, in order
+ */
+export function pickQuizIndices(wordCount: number, count: number = QUIZ_WORD_COUNT): number[] {
+  const indices = Array.from({ length: wordCount }, (_, i) => i);
+  for (let i = indices.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [indices[i], indices[j]] = [indices[j], indices[i]];
+  }
+  return indices.slice(0, Math.min(count, wordCount)).sort((a, b) => a - b);
+}
+
+/**
+ * Whether every asked word was typed back correctly
+ * @param answers - Typed words by position
+ */
+export function checkQuizAnswers(words: string[], answers: Record<number, string>): boolean {
+  const positions = Object.keys(answers).map(Number);
+  return positions.length > 0 && positions.every(
+    index => words[index] !== undefined && normalizeRecoveryPhrase(answers[index]) === words[index].toLowerCase()
+  );
+}
+
+/**
+ * Stored wallet key, if there is one
+ */
+export async function loadWalletKey(names: WalletKeyNames): Promise<WalletKey | null> {
+  const privateKey = await Storage.getItem(names.privateKey);
+  if (!privateKey) return null;
+
+  const recoveryPhrase = await Storage.getItem(names.recoveryPhrase);
+  const backedUp = (await Storage.getItem(names.backedUp)) === 'true';
+  return { privateKey: privateKey as Hex, recoveryPhrase, backedUp };
+}
+
+/**
+ * Generate and store a wallet key from a new recovery phrase
+ */
+export async function createWalletKey(names: WalletKeyNames): Promise<WalletKey> {
+  const recoveryPhrase = generateRecoveryPhrase();
+  const key = { privateKey: recoveryPhraseToPrivateKey(recoveryPhrase), recoveryPhrase, backedUp: false };
+  await storeWalletKey(names, key);
+  return key;
+}
+
+/**
+ * Store the wallet key for a recovery phrase or private key
+ * The user evidently has it written down, so it counts as backed up
+ */
+export async function restoreWalletKey(names: WalletKeyNames, input: string): Promise<WalletKey> {
+  const key = { ...parseRecoverySecret(input), backedUp: true };
+  await storeWalletKey(names, key);
+  return key;
+}
+
+/**
+ * Remember that the user backed up the wallet key
+ */
+export async function markWalletKeyBackedUp(names: WalletKeyNames): Promise<void> {
+  await Storage.setItem(names.backedUp, 'true');
+}
+
+/**
+ * Remove the wallet key, its phrase and backup state
+ */
+export async function deleteWalletKey(names: WalletKeyNames): Promise<void> {
+  await Storage.deleteItem(names.privateKey);
+  await Storage.deleteItem(names.recoveryPhrase);
+  await Storage.deleteItem(names.backedUp);
+}
+
+async function storeWalletKey(names: WalletKeyNames, key: WalletKey): Promise<void> {
+  // Phrase first: a key without its phrase would look like a legacy wallet
+  if (key.recoveryPhrase) {
+    await Storage.setItem(names.recoveryPhrase, key.recoveryPhrase);
+  } else {
+    await Storage.deleteItem(names.recoveryPhrase);
+  }
+  await Storage.setItem(names.privateKey, key.privateKey);
+  await Storage.setItem(names.backedUp, String(key.backedUp));
+}
@@ -0,0 +1,163 @@
+/**
+ * Relay Pool
+ *
+ * Picks the Porto relay requests go to from the network's ordered list
+ * (PORTO_CONFIG.urls). A relay that keeps failing after the transport's own
+ * retries is marked unhealthy and the next one takes over; a health check
+ * moves back to the first relay that answers, so the primary is preferred
+ * once it recovers. Intents in flight stay on the relay that prepared them
+ * (see PortoClient), only new work follows the active relay
+ */
+
+import { PORTO_CONFIG } from '../config/porto';
+
+export type RelayHealth = 'unknown' | 'healthy' | 'unhealthy';
+
+export interface RelayEndpoint {
+  url: string;
+  health: RelayHealth;
+  // Failed requests in a row
+  failures: number;
+  lastCheckedAt?: number;
+}
+
+export interface RelayStatus {
+  // Relay new intents are prepared with
+  active: string;
+  endpoints: RelayEndpoint[];
+}
+
+// Resolves true if the relay at `url` reports healthy
+export type RelayProbe = (url: string) => Promise<boolean>;
+
+type RelayListener = (status: RelayStatus) => void;
+
+export class RelayPool {
+  private endpoints = new Map<string, RelayEndpoint>();
+  private activeUrl: string | null = null;
+  private listeners = new Set<RelayListener>();
+
+  constructor(
+    private readonly getUrls: () => string[] = () => PORTO_CONFIG.urls,
+    private readonly failureThreshold: number = PORTO_CONFIG.relayFailureThreshold
+  ) {}
+
+  private endpoint(url: string): RelayEndpoint {
+    let endpoint = this.endpoints.get(url);
+    if (!endpoint) {
+      endpoint = { url, health: 'unknown', failures: 0 };
+      this.endpoints.set(url, endpoint);
+    }
+    return endpoint;
+  }
+
+  /**
+   * Relay new work should go to
+   */
+  current(): string {
+    const urls = this.getUrls();
+    return this.activeUrl && urls.includes(this.activeUrl) ? this.activeUrl : urls[0];
+  }
+
+  /**
+   * Active relay and the health of every relay, in order of preference
+   */
+  getStatus(): RelayStatus {
+    return {
+      active: this.current(),
+      endpoints: this.getUrls().map(url => ({ ...this.endpoint(url) })),
+    };
+  }
+
+  /**
+   * The relay answered (even with a JSON-RPC error)
+   */
+  reportSuccess(url: string) {
+    const endpoint = this.endpoint(url);
+    if (endpoint.health === 'healthy' && endpoint.failures === 0) return;
+    endpoint.health = 'healthy';
+    endpoint.failures = 0;
+    this.notify();
+  }
+
+  /**
+   * The relay could not be reached; after failureThreshold failures in a row
+   * the next relay becomes active
+   */
+  reportFailure(url: string) {
+    const endpoint = this.endpoint(url);
+    endpoint.failures++;
+    if (endpoint.failures >= this.failureThreshold) {
+      endpoint.health = 'unhealthy';
+      if (url === this.current()) this.failOver(url);
+    }
+    this.notify();
+  }
+
+  /**
+   * Move to the next relay that is not known to be down
+   * With every relay down, the list is walked round so each gets retried
+   */
+  private failOver(from: string) {
+    const urls = this.getUrls();
+    if (urls.length < 2) return;
+
+    const start = urls.indexOf(from);
+    const rotated = [...urls.slice(start + 1), ...urls.slice(0, start)];
+    const next = rotated.find(url => this.endpoint(url).health !== 'unhealthy') ?? rotated[0];
+    this.activeUrl = next;
+    console.warn('[Relays] Relay', from, 'is down, switching to', next);
+  }
+
+  /**
+   * Health-check relays in order and make the first healthy one active
+   * Resolves false (keeping the active relay) when none answers
+   */
+  async refresh(probe: RelayProbe): Promise<boolean> {
+    const previous = this.current();
+    let healthyUrl: string | null = null;
+
+    for (const url of this.getUrls()) {
+      const endpoint = this.endpoint(url);
+      const healthy = await probe(url).catch(() => false);
+      endpoint.health = healthy ? 'healthy' : 'unhealthy';
+      endpoint.lastCheckedAt = Date.now();
+      if (healthy) {
+        endpoint.failures = 0;
+        healthyUrl = url;
+        break;
+      }
+    }
+
+    if (healthyUrl) {
+      this.activeUrl = healthyUrl;
+      if (healthyUrl !== previous) console.log('[Relays] Using relay', healthyUrl);
+    }
+    this.notify();
+    return healthyUrl !== null;
+  }
+
+  /**
+   * Forget health and the active relay (e.g. after a network switch)
+   */
+  reset() {
+    this.endpoints.clear();
+    this.activeUrl = null;
+    this.notify();
+  }
+
+  /**
+   * Listen for relay changes; returns an unsubscribe function
+   */
+  subscribe(listener: RelayListener): () => void {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  private notify() {
+    const status = this.getStatus();
+    this.listeners.forEach(listener => listener(status));
+  }
+}
@@ -0,0 +1,144 @@
+/**
+ * JSON-RPC Transport
+ *
+ * The one implementation of the Porto relay transport, shared by the app
+ * (lib/portoTransport.ts adds PORTO_CONFIG defaults) and the node test
+ * scripts (tests/lib/porto-transport.js). Plain CommonJS with no imports so
+ * Metro, Jest and node all load it as is.
+ *
+ * - per-call timeouts (AbortController)
+ * - exponential backoff with jitter on network, 5xx and 429 errors
+ * - no retries for non-idempotent methods (a retried send could submit twice)
+ */
+
+// Methods that must never be re-submitted automatically
+const NON_IDEMPOTENT_METHODS = new Set([
+  'wallet_sendPreparedCalls',
+  'wallet_sendCalls',
+  'wallet_upgradeAccount',
+]);
+
+// Monotonic request IDs so responses can be matched in logs
+let nextRequestId = 1;
+
+/**
+ * Error raised by the transport itself (not a JSON-RPC error response)
+ */
+class TransportError extends Error {
+  /**
+   * @param {string} message
+   * @param {boolean} retryable - Whether the same request may be sent again
+   * @param {number} [status] - HTTP status, if the relay answered
+   */
+  constructor(message, retryable, status) {
+    super(message);
+    this.name = 'TransportError';
+    /** @readonly */
+    this.retryable = retryable;
+    /** @readonly */
+    this.status = status;
+  }
+}
+
+/**
+ * Backoff delay for a retry attempt (0-based), with "equal jitter": half
+ * fixed, half random
+ * @param {number} attempt - Retry attempt number
+ * @param {number} baseDelay - Delay of the first retry in ms
+ * @returns {number} - Delay in ms
+ */
+function getRetryDelay(attempt, baseDelay) {
+  const exponential = baseDelay * Math.pow(2, attempt);
+  return exponential / 2 + Math.random() * (exponential / 2);
+}
+
+/**
+ * Whether a method may be retried after a transient failure
+ * @param {string} method - RPC method name
+ * @returns {boolean}
+ */
+function isRetryableMethod(method) {
+  return !NON_IDEMPOTENT_METHODS.has(method);
+}
+
+/**
+ * Single HTTP round trip with an abort timeout
+ * @param {string} url
+ * @param {string} method
+ * @param {any[]} params
+ * @param {number} timeout - ms
+ * @returns {Promise<any>}
+ */
+async function sendOnce(url, method, params, timeout) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        method,
+        params,
+        id: nextRequestId++,
+      }),
+      signal: controller.signal,
+    });
+
+    if (!response.ok) {
+      const retryable = response.status === 429 || response.status >= 500;
+      throw new TransportError(`HTTP error! status: ${response.status}`, retryable, response.status);
+    }
+
+    return await response.json();
+  } catch (error) {
+    if (error instanceof TransportError) throw error;
+    if (error?.name === 'AbortError') {
+      throw new TransportError(`${method} timed out after ${timeout}ms`, true);
+    }
+    // fetch rejects with TypeError on network failures
+    throw new TransportError(`Network error: ${error?.message || error}`, true);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Make a JSON-RPC call with timeout and retries
+ * Resolves with the raw JSON-RPC response; callers inspect `error`
+ * @param {string} url - Relay URL
+ * @param {string} method - RPC method name
+ * @param {any[]} params - Method parameters
+ * @param {{ timeout: number, retryAttempts: number, retryDelay: number }} options
+ *   Retries are skipped for non-idempotent methods whatever `retryAttempts` says
+ * @returns {Promise<any>}
+ */
+async function sendRpc(url, method, params, options) {
+  const maxRetries = isRetryableMethod(method) ? options.retryAttempts : 0;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await sendOnce(url, method, params, options.timeout);
+    } catch (error) {
+      const retryable = error instanceof TransportError && error.retryable;
+      if (!retryable || attempt >= maxRetries) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(attempt, options.retryDelay);
+      console.warn(
+        `[PortoTransport] ${method} failed (${error.message}), ` +
+        `retry ${attempt + 1}/${maxRetries} in ${Math.round(delay)}ms`
+      );
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+module.exports = {
+  TransportError,
+  getRetryDelay,
+  isRetryableMethod,
+  sendRpc,
+};
@@ -0,0 +1,104 @@
+/**
+ * Self-Paid Fallback
+ *
+ * When Porto can't send an action, the main wallet can send it as a regular
+ * transaction and pay the gas in native RISE itself. Nothing is spent without
+ * the user's OK: the cost is estimated up front (gas from the RPC node, fees
+ * per gas, the wallet's balance) and the action is only sent self-paid when
+ * the user accepted a fee at least that high
+ */
+
+import { createWalletClient, formatEther, http, type Hex } from 'viem';
+import type { PrivateKeyAccount } from 'viem/accounts';
+import { getBalance, getRpcClient } from '../config/rpcClient';
+import { getNetwork, toViemChain } from '../config/networks';
+import { PORTO_CONFIG } from '../config/porto';
+
+// Who paid the gas of a sent action: the relay, or the main wallet
+export type PaymentMode = 'sponsored' | 'self-paid';
+
+export interface SelfPaidQuote {
+  // Gas limit, with PORTO_CONFIG.selfPaidGasBuffer headroom over the estimate
+  gas: bigint;
+  maxFeePerGas: bigint;
+  maxPriorityFeePerGas: bigint;
+  // Most the gas can cost (gas * maxFeePerGas), in wei
+  fee: bigint;
+  // Value sent with the call, in wei
+  value: bigint;
+  // Main wallet balance, in wei
+  balance: bigint;
+  // The balance covers fee + value
+  affordable: boolean;
+}
+
+/**
+ * Estimate what sending a call from `from` directly would cost
+ * Throws if the node can't estimate it (e.g. the call would revert)
+ */
+export async function quoteSelfPaid(
+  from: string,
+  call: { to: string; data: Hex; value?: bigint }
+): Promise<SelfPaidQuote> {
+  const client = getRpcClient();
+  const value = call.value ?? 0n;
+
+  const [estimate, fees, balance] = await Promise.all([
+    client.estimateGas({ account: from as Hex, to: call.to as Hex, data: call.data, value }),
+    client.estimateFeesPerGas(),
+    getBalance(from),
+  ]);
+  const gas = estimate + (estimate * BigInt(PORTO_CONFIG.selfPaidGasBuffer)) / 100n;
+  const fee = gas * fees.maxFeePerGas;
+
+  return {
+    gas,
+    maxFeePerGas: fees.maxFeePerGas,
+    maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+    fee,
+    value,
+    balance,
+    affordable: balance >= fee + value,
+  };
+}
+
+/**
+ * Whether the user accepted paying this quote
+ * @param maxFee - Highest gas fee the user agreed to (undefined: not asked yet)
+ */
+export function isSelfPaidApproved(quote: SelfPaidQuote, maxFee: bigint | undefined): boolean {
+  return maxFee !== undefined && quote.affordable && quote.fee <= maxFee;
+}
+
+/**
+ * Send the call from the main wallet with the quoted gas and fees
+ * Resolves with the transaction hash
+ */
+export async function sendSelfPaid(
+  account: PrivateKeyAccount,
+  call: { to: string; data: Hex },
+  quote: SelfPaidQuote
+): Promise<Hex> {
+  const network = getNetwork();
+  const walletClient = createWalletClient({
+    account,
+    chain: toViemChain(network),
+    transport: http(network.rpcUrl),
+  });
+
+  return walletClient.sendTransaction({
+    to: call.to as Hex,
+    data: call.data,
+    value: quote.value,
+    gas: quote.gas,
+    maxFeePerGas: quote.maxFeePerGas,
+    maxPriorityFeePerGas: quote.maxPriorityFeePerGas,
+  });
+}
+
+/**
+ * Native amount for display, e.g. '0.00021 RISE'
+ */
+export function formatNativeAmount(wei: bigint): string {
+  return `${formatEther(wei)} ${getNetwork().nativeCurrency.symbol}`;
+}
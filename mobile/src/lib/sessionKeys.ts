@@ -0,0 +1,61 @@
+/**
+ * Session Key Permissions for Porto
+ *
+ * The session key is authorized on the delegated account with role 'session',
+ * an expiry and call permissions scoped to the FrenPet contract, so game
+ * intents can be signed without touching the main key
+ */
+
+import { isAddressEqual, toFunctionSelector, type Abi, type AbiFunction } from 'viem';
+import { FRENPET_ABI, FRENPET_V2_ABI, getFrenPetAddress, getFrenPetVersion } from '../config/contracts';
+import { buildKeyAuthorization, fromAddress, type CallPermission, type KeyAuthorization } from './portoKeys';
+import type { Call } from './portoClient.native';
+
+export type { CallPermission };
+
+export interface SessionKeyAuthorization extends KeyAuthorization {
+  role: 'session';
+}
+
+/**
+ * Selectors of every state-changing FrenPet function
+ */
+export function getSessionSelectors(): string[] {
+  const abi = (getFrenPetVersion() === 'v2' ? FRENPET_V2_ABI : FRENPET_ABI) as Abi;
+  return abi
+    .filter((item): item is AbiFunction =>
+      item.type === 'function' &&
+      item.stateMutability !== 'view' &&
+      item.stateMutability !== 'pure'
+    )
+    .map(item => toFunctionSelector(item));
+}
+
+/**
+ * Build the authorizeKeys entry for a session key
+ * @param sessionKeyAddress - Address of the session key
+ * @param expiryMs - Session expiry (ms timestamp, as stored under SESSION_EXPIRY)
+ */
+export function buildSessionKeyAuthorization(
+  sessionKeyAddress: string,
+  expiryMs: number
+): SessionKeyAuthorization {
+  const permissions: CallPermission[] = getSessionSelectors().map(selector => ({
+    type: 'call',
+    to: getFrenPetAddress(),
+    selector,
+  }));
+  return buildKeyAuthorization(fromAddress(sessionKeyAddress), 'session', expiryMs, permissions);
+}
+
+/**
+ * Whether every call is covered by the session key permissions
+ */
+export function isSessionCall(calls: Call[]): boolean {
+  const selectors = getSessionSelectors();
+  const frenPet = getFrenPetAddress();
+  return calls.length > 0 && calls.every(call =>
+    isAddressEqual(call.to as `0x${string}`, frenPet) &&
+    selectors.includes(call.data.slice(0, 10).toLowerCase())
+  );
+}
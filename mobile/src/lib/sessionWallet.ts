@@ -1,44 +1,121 @@
 import { privateKeyToAccount, generatePrivateKey } from 'viem/accounts';
 import { Storage } from './storage';
-import type { PrivateKeyAccount } from 'viem';
+import type { Hex, PrivateKeyAccount } from 'viem';
 import { encodeFunctionData, createWalletClient, http } from 'viem';
-import { riseTestnet, PORTO_RELAYER_URL } from '../config/chain';
-import { portoClient } from './portoClient.native';
-import { isAccountDelegated } from './accountDelegation';
+import { portoClient, type KeyOptions } from './portoClient.native';
+import { createP256Signer, generateP256PrivateKey, type KeySigner } from './portoKeys';
+import { checkPortoDelegation } from './accountDelegation';
+import { inspectDelegation, needsRedelegation, type DelegationInfo } from './delegationInspector';
+import { PORTO_CONFIG } from '../config/porto';
+import {
+  createWalletKey,
+  deleteWalletKey,
+  loadWalletKey,
+  markWalletKeyBackedUp,
+  restoreWalletKey,
+  toBackupWords,
+  type WalletKeyNames,
+} from './recoveryPhrase';
+import { decryptKeystore, encryptKeystore, getKeystoreAddress, parseKeystore, type KeystoreFile } from './keystore';
+import { getActiveProfile, profileStorageKey } from './walletProfiles';
 
+// Storage keys, namespaced per wallet profile (see profileStorageKey)
 const MAIN_WALLET_KEY = 'RISE_MAIN_WALLET_KEY';
+const MAIN_WALLET_PHRASE = 'RISE_MAIN_WALLET_PHRASE';
+const MAIN_WALLET_BACKED_UP = 'RISE_MAIN_WALLET_BACKED_UP';
 const SESSION_KEY = 'RISE_SESSION_KEY';
 const SESSION_EXPIRY = 'RISE_SESSION_EXPIRY';
+const SESSION_AUTHORIZED = 'RISE_SESSION_AUTHORIZED'; // { address, chainIds } the session key is authorized on
+const ADMIN_KEY = 'RISE_ADMIN_KEY'; // Software P-256 admin key
+const ADMIN_AUTHORIZED = 'RISE_ADMIN_AUTHORIZED'; // { publicKey, chainIds } the admin key is authorized on
+
+// Every SessionWallet instance (one per useWallet) reloads when another replaces the main key
+const mainWalletListeners = new Set<(address: string) => void>();
+
+/**
+ * Subscribe to the main wallet being replaced (keystore import), returns an
+ * unsubscribe function
+ */
+export function onMainWalletChange(listener: (address: string) => void): () => void {
+  mainWalletListeners.add(listener);
+  return () => {
+    mainWalletListeners.delete(listener);
+  };
+}
+
+export interface MainWalletBackup {
+  words: string[];
+  // Wallets created before recovery phrases back up their raw key
+  kind: 'phrase' | 'private-key';
+  backedUp: boolean;
+}
 
 /**
  * Session-based wallet management for Porto relayer
  * 
  * Flow:
- * 1. Main EOA - stored securely, used only for session approval
- * 2. Session Key - temporary key for transaction signing
- * 3. All transactions go through Porto relayer with session key
+ * 1. Main EOA - derived from a recovery phrase (see recoveryPhrase.ts),
+ *    stored securely, used only for session approval
+ * 2. Session Key - temporary key for transaction signing, authorized on the
+ *    account with call permissions limited to FrenPet (sessionKeysEnabled)
+ * 3. Admin Key - P-256 key authorized on the account that signs the intents
+ *    the session key may not, so the main key only signs the upgrade
+ *    (p256AdminKeyEnabled)
+ * 4. All transactions go through Porto relayer with session key
+ *
+ * Each instance works on one wallet profile's keys (walletProfiles.ts)
  */
 export class SessionWallet {
   private mainAccount: PrivateKeyAccount | null = null;
   private sessionAccount: PrivateKeyAccount | null = null;
   private sessionExpiry: number = 0;
+  private adminSigner: KeySigner | null = null;
   private portoInitialized: boolean = false;
+  private readonly mainWalletNames: WalletKeyNames;
+  private readonly sessionKeyNames: { key: string; expiry: string; authorized: string };
+  private readonly adminKeyNames: { key: string; authorized: string };
+
+  constructor(private readonly profileId: string = getActiveProfile().id) {
+    const key = (name: string) => profileStorageKey(profileId, name);
+    this.mainWalletNames = {
+      privateKey: key(MAIN_WALLET_KEY),
+      recoveryPhrase: key(MAIN_WALLET_PHRASE),
+      backedUp: key(MAIN_WALLET_BACKED_UP),
+    };
+    this.sessionKeyNames = {
+      key: key(SESSION_KEY),
+      expiry: key(SESSION_EXPIRY),
+      authorized: key(SESSION_AUTHORIZED),
+    };
+    this.adminKeyNames = {
+      key: key(ADMIN_KEY),
+      authorized: key(ADMIN_AUTHORIZED),
+    };
+  }
+
+  /**
+   * Wallet profile this instance belongs to
+   */
+  getProfileId(): string {
+    return this.profileId;
+  }
 
   /**
    * Initialize or retrieve main wallet
+   * A new wallet gets a new recovery phrase; wallets from before recovery
+   * phrases keep their raw key
    */
   async initMainWallet(): Promise<void> {
     try {
-      let mainPrivateKey = await Storage.getItem(MAIN_WALLET_KEY);
+      let mainKey = await loadWalletKey(this.mainWalletNames);
       
-      if (!mainPrivateKey) {
+      if (!mainKey) {
         // Generate new main wallet
         console.log('Generating new main wallet...');
-        mainPrivateKey = generatePrivateKey();
-        await Storage.setItem(MAIN_WALLET_KEY, mainPrivateKey);
+        mainKey = await createWalletKey(this.mainWalletNames);
       }
       
-      this.mainAccount = privateKeyToAccount(mainPrivateKey as `0x${string}`);
+      this.mainAccount = privateKeyToAccount(mainKey.privateKey);
       console.log('Main wallet initialized:', this.mainAccount.address);
     } catch (error) {
       console.error('Failed to initialize main wallet:', error);
@@ -46,14 +123,93 @@ export class SessionWallet {
     }
   }
 
+  /**
+   * Whether a main wallet was created or restored on this device
+   */
+  async hasMainWallet(): Promise<boolean> {
+    return (await loadWalletKey(this.mainWalletNames)) !== null;
+  }
+
+  /**
+   * Restore the main wallet from a recovery phrase (or a backed up private key)
+   * Refuses to replace an existing wallet; resetAll first
+   */
+  async restoreMainWallet(recoverySecret: string): Promise<string> {
+    if (await this.hasMainWallet()) {
+      throw new Error('A wallet already exists on this device');
+    }
+    const mainKey = await restoreWalletKey(this.mainWalletNames, recoverySecret);
+    this.mainAccount = privateKeyToAccount(mainKey.privateKey);
+    console.log('Main wallet restored:', this.mainAccount.address);
+    return this.mainAccount.address;
+  }
+
+  /**
+   * What to write down to restore the main wallet: the recovery phrase's
+   * words, or the raw key in groups for wallets created before phrases
+   */
+  async getBackup(): Promise<MainWalletBackup | null> {
+    const mainKey = await loadWalletKey(this.mainWalletNames);
+    if (!mainKey) return null;
+    return {
+      words: toBackupWords(mainKey),
+      kind: mainKey.recoveryPhrase ? 'phrase' : 'private-key',
+      backedUp: mainKey.backedUp,
+    };
+  }
+
+  /**
+   * Record that the user confirmed the backup
+   */
+  async markBackedUp(): Promise<void> {
+    await markWalletKeyBackedUp(this.mainWalletNames);
+  }
+
+  /**
+   * Main wallet key as a password-protected keystore v3 file
+   */
+  async exportKeystore(password: string): Promise<KeystoreFile> {
+    const mainKey = await loadWalletKey(this.mainWalletNames);
+    if (!mainKey) {
+      throw new Error('Main wallet not initialized');
+    }
+    return encryptKeystore(mainKey.privateKey, password);
+  }
+
+  /**
+   * Replace the main wallet with the key in a keystore file
+   * The file is decrypted (checking the password and the address it declares)
+   * before anything is replaced. The session and admin keys, authorized on
+   * the old account, are dropped and new ones created
+   * @param expectedAddress - Address the user confirmed importing (see parseKeystore)
+   */
+  async importKeystore(json: string, password: string, expectedAddress?: string): Promise<string> {
+    const keystore = parseKeystore(json);
+    const { privateKey, address } = await decryptKeystore(keystore, password);
+    const confirmed = expectedAddress ?? getKeystoreAddress(keystore);
+    if (confirmed && confirmed.toLowerCase() !== address.toLowerCase()) {
+      throw new Error(`Keystore holds ${address}, expected ${confirmed}`);
+    }
+
+    await restoreWalletKey(this.mainWalletNames, privateKey);
+    await this.clearSession();
+    await this.clearAdminKey();
+    this.mainAccount = privateKeyToAccount(privateKey);
+    this.portoInitialized = false;
+    console.log('Main wallet imported from keystore:', address);
+
+    mainWalletListeners.forEach(listener => listener(address));
+    return address;
+  }
+
   /**
    * Create or retrieve session key
    */
   async initSessionKey(): Promise<void> {
     try {
       // Check for existing valid session
-      const storedSessionKey = await Storage.getItem(SESSION_KEY);
-      const storedExpiry = await Storage.getItem(SESSION_EXPIRY);
+      const storedSessionKey = await Storage.getItem(this.sessionKeyNames.key);
+      const storedExpiry = await Storage.getItem(this.sessionKeyNames.expiry);
       
       if (storedSessionKey && storedExpiry) {
         const expiry = parseInt(storedExpiry);
@@ -62,6 +218,7 @@ export class SessionWallet {
           this.sessionAccount = privateKeyToAccount(storedSessionKey as `0x${string}`);
           this.sessionExpiry = expiry;
           console.log('Using existing session key:', this.sessionAccount.address);
+          await this.attachSessionKey(storedSessionKey);
           return;
         }
       }
@@ -73,19 +230,80 @@ export class SessionWallet {
       this.sessionExpiry = Date.now() + (24 * 60 * 60 * 1000); // 24 hours
       
       // Store session key
-      await Storage.setItem(SESSION_KEY, sessionPrivateKey);
-      await Storage.setItem(SESSION_EXPIRY, this.sessionExpiry.toString());
+      await Storage.setItem(this.sessionKeyNames.key, sessionPrivateKey);
+      await Storage.setItem(this.sessionKeyNames.expiry, this.sessionExpiry.toString());
+      await Storage.deleteItem(this.sessionKeyNames.authorized);
       
       console.log('New session key created:', this.sessionAccount.address);
       
       // Initialize Porto with session key
       await this.initializePorto();
+      await this.attachSessionKey(sessionPrivateKey);
     } catch (error) {
       console.error('Failed to initialize session key:', error);
       throw error;
     }
   }
 
+  /**
+   * Hand the session key to Porto so it signs game intents
+   */
+  private async attachSessionKey(sessionPrivateKey: string): Promise<void> {
+    if (!PORTO_CONFIG.features.sessionKeysEnabled || !this.sessionAccount) return;
+
+    const options = await this.loadKeyOptions(this.sessionKeyNames.authorized, 'address', this.sessionAccount.address);
+    portoClient.setSessionKey(sessionPrivateKey, this.sessionExpiry, options);
+  }
+
+  /**
+   * Create or retrieve the P-256 admin key and hand it to Porto
+   * It is authorized with the account upgrade or the next intent, then signs
+   * every intent the session key doesn't in place of the main key
+   */
+  async initAdminKey(): Promise<void> {
+    if (!PORTO_CONFIG.features.p256AdminKeyEnabled) return;
+
+    let privateKey = await Storage.getItem(this.adminKeyNames.key);
+    if (!privateKey) {
+      console.log('Generating new admin key...');
+      privateKey = generateP256PrivateKey();
+      await Storage.setItem(this.adminKeyNames.key, privateKey);
+      await Storage.deleteItem(this.adminKeyNames.authorized);
+    }
+
+    this.adminSigner = createP256Signer(privateKey as Hex);
+    const options = await this.loadKeyOptions(this.adminKeyNames.authorized, 'publicKey', this.adminSigner.publicKey);
+    portoClient.setAdminKey(this.adminSigner, options);
+  }
+
+  /**
+   * Chains a key is authorized on, from `{ [field]: id, chainIds }` in storage
+   * The returned options keep that record up to date, so the key is only
+   * authorized once per network
+   */
+  private async loadKeyOptions(
+    storageKey: string,
+    field: 'address' | 'publicKey',
+    id: string
+  ): Promise<KeyOptions> {
+    let stored: { chainIds?: number[] } & Record<string, unknown> | null = null;
+    try {
+      stored = JSON.parse((await Storage.getItem(storageKey)) || 'null');
+    } catch {
+      // Older format without chain IDs - authorize again
+    }
+    const authorizedChainIds = stored?.[field] === id && Array.isArray(stored.chainIds) ? [...stored.chainIds] : [];
+
+    return {
+      authorizedChainIds,
+      onAuthorized: chainId => {
+        authorizedChainIds.push(chainId);
+        Storage.setItem(storageKey, JSON.stringify({ [field]: id, chainIds: authorizedChainIds }))
+          .catch(error => console.error('Failed to store key authorization:', error));
+      },
+    };
+  }
+
   /**
    * Initialize Porto with session key
    */
@@ -98,16 +316,18 @@ export class SessionWallet {
       console.log('Initializing Porto with session key...');
       
       // Check delegation status (informational only)
-      const isDelegated = await isAccountDelegated(this.mainAccount.address);
-      if (isDelegated) {
+      const delegation = await checkPortoDelegation(this.mainAccount.address);
+      if (delegation.isDelegated) {
         console.log('Account already delegated to Porto');
+      } else if (delegation.needsRedelegation) {
+        console.warn('Account is delegated to', delegation.delegate, '- re-delegate it to use Porto');
       } else {
         console.log('Account not delegated yet - will happen on first transaction');
       }
       
       // IMPORTANT: Use MAIN wallet for Porto, not session key!
       // Porto needs the main wallet to be delegated and sign intents
-      const mainPrivateKey = await Storage.getItem(MAIN_WALLET_KEY);
+      const mainPrivateKey = await this.getMainPrivateKey();
       if (!mainPrivateKey) {
         throw new Error('Main wallet key not found in secure store');
       }
@@ -117,9 +337,6 @@ export class SessionWallet {
       await portoClient.init(mainPrivateKey);
       this.portoInitialized = true;
       
-      // Session key permissions would be added here in future
-      // For now, we use the session key directly for signing
-      
       // Check Porto health
       const isHealthy = await portoClient.checkHealth();
       if (isHealthy) {
@@ -153,9 +370,8 @@ export class SessionWallet {
 
     try {
       console.log('[SessionWallet] Executing gasless transaction via Porto...');
-      // Pass session key address for delegation setup if needed
-      const sessionKeyAddress = this.sessionAccount?.address;
-      const result = await portoClient.executeGaslessTransaction(to, data, value, sessionKeyAddress);
+      // The session key (if enabled) is authorized and used by portoClient
+      const result = await portoClient.queueGaslessBatch([{ to, data, value }]);
       console.log('[SessionWallet] Transaction sent, bundle ID:', result.bundleId);
       return result;
     } catch (error) {
@@ -164,6 +380,46 @@ export class SessionWallet {
     }
   }
 
+  /**
+   * Inspect where the main account is delegated and which keys it has
+   */
+  async checkDelegation(): Promise<DelegationInfo> {
+    if (!this.mainAccount) {
+      throw new Error('Main wallet not initialized');
+    }
+    return inspectDelegation(this.mainAccount.address);
+  }
+
+  /**
+   * Offered when the main account is delegated to another contract or an
+   * outdated Porto implementation: points it back at the Porto proxy
+   * The new delegation is deployed with the next transaction
+   */
+  async redelegate(): Promise<DelegationInfo> {
+    const delegation = await this.checkDelegation();
+    if (!needsRedelegation(delegation) || !delegation.delegate) {
+      return delegation;
+    }
+
+    if (!this.portoInitialized) {
+      await this.initializePorto();
+      if (!this.portoInitialized) {
+        throw new Error('Porto client not initialized');
+      }
+    }
+
+    await portoClient.redelegate(delegation.delegate);
+    console.log('[SessionWallet] Re-delegation prepared, replacing', delegation.delegate);
+    return delegation;
+  }
+
+  /**
+   * Main wallet private key, for Porto (see usePorto)
+   */
+  async getMainPrivateKey(): Promise<string | null> {
+    return (await loadWalletKey(this.mainWalletNames))?.privateKey ?? null;
+  }
+
   /**
    * Get main wallet address
    */
@@ -178,6 +434,13 @@ export class SessionWallet {
     return this.sessionAccount?.address || null;
   }
 
+  /**
+   * Serialized public key of the admin key
+   */
+  getAdminPublicKey(): string | null {
+    return this.adminSigner?.publicKey ?? null;
+  }
+
   /**
    * Get main account for emergency direct signing
    */
@@ -209,19 +472,32 @@ export class SessionWallet {
    * Clear session (logout)
    */
   async clearSession(): Promise<void> {
-    await Storage.deleteItem(SESSION_KEY);
-    await Storage.deleteItem(SESSION_EXPIRY);
+    await Storage.deleteItem(this.sessionKeyNames.key);
+    await Storage.deleteItem(this.sessionKeyNames.expiry);
+    await Storage.deleteItem(this.sessionKeyNames.authorized);
+    portoClient.clearSessionKey();
     this.sessionAccount = null;
     this.sessionExpiry = 0;
     console.log('Session cleared');
   }
 
   /**
-   * Reset everything (dangerous - loses main wallet!)
+   * Forget the admin key; the main key signs again
+   */
+  private async clearAdminKey(): Promise<void> {
+    await Storage.deleteItem(this.adminKeyNames.key);
+    await Storage.deleteItem(this.adminKeyNames.authorized);
+    portoClient.clearAdminKey();
+    this.adminSigner = null;
+  }
+
+  /**
+   * Reset everything (dangerous - loses the main wallet unless it was backed up!)
    */
   async resetAll(): Promise<void> {
-    await Storage.deleteItem(MAIN_WALLET_KEY);
+    await deleteWalletKey(this.mainWalletNames);
     await this.clearSession();
+    await this.clearAdminKey();
     this.mainAccount = null;
     console.log('All wallet data reset');
   }
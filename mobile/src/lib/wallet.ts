@@ -1,23 +1,40 @@
-import { Storage } from './storage';
 import { privateKeyToAccount } from 'viem/accounts';
-import { generatePrivateKey } from 'viem/accounts';
 import type { PrivateKeyAccount } from 'viem';
+import {
+  createWalletKey,
+  deleteWalletKey,
+  loadWalletKey,
+  restoreWalletKey,
+  type WalletKeyNames,
+} from './recoveryPhrase';
 
 const WALLET_KEY = 'RISE_WALLET_PRIVATE_KEY';
+const WALLET: WalletKeyNames = {
+  privateKey: WALLET_KEY,
+  recoveryPhrase: 'RISE_WALLET_PHRASE',
+  backedUp: 'RISE_WALLET_BACKED_UP',
+};
 
 export class EmbeddedWallet {
   private account: PrivateKeyAccount | null = null;
 
   async init(): Promise<void> {
-    let privateKey = await Storage.getItem(WALLET_KEY);
-    
-    if (!privateKey) {
-      // Generate new wallet
-      privateKey = generatePrivateKey();
-      await Storage.setItem(WALLET_KEY, privateKey);
+    let key = await loadWalletKey(WALLET);
+
+    if (!key) {
+      // Generate new wallet from a recovery phrase
+      key = await createWalletKey(WALLET);
     }
-    
-    this.account = privateKeyToAccount(privateKey as `0x${string}`);
+
+    this.account = privateKeyToAccount(key.privateKey);
+  }
+
+  /**
+   * Replace the wallet with the one for a recovery phrase (or private key)
+   */
+  async restore(recoverySecret: string): Promise<void> {
+    const key = await restoreWalletKey(WALLET, recoverySecret);
+    this.account = privateKeyToAccount(key.privateKey);
   }
 
   getAccount(): PrivateKeyAccount | null {
@@ -29,11 +46,18 @@ export class EmbeddedWallet {
   }
 
   async getPrivateKey(): Promise<string | null> {
-    return await Storage.getItem(WALLET_KEY);
+    return (await loadWalletKey(WALLET))?.privateKey ?? null;
+  }
+
+  /**
+   * Recovery phrase, or null for wallets created from a raw key
+   */
+  async getRecoveryPhrase(): Promise<string | null> {
+    return (await loadWalletKey(WALLET))?.recoveryPhrase ?? null;
   }
 
   async reset(): Promise<void> {
-    await Storage.deleteItem(WALLET_KEY);
+    await deleteWalletKey(WALLET);
     this.account = null;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,124 @@
+/**
+ * Wallet Profiles
+ *
+ * Several wallets on one device, each with its own main key, session key,
+ * session authorization cache and display name (e.g. one per pet, or fresh
+ * accounts for QA). One profile is active at a time; everything that holds
+ * wallet state listens for switches and re-initializes for the new one.
+ *
+ * Every profile's storage keys are namespaced by its ID (profileStorageKey).
+ * The default profile keeps the original un-namespaced keys, so installs
+ * from before profiles carry on as that profile without moving any key
+ */
+
+import { Storage } from './storage';
+
+const PROFILES_KEY = 'RISE_WALLET_PROFILES';
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+export interface WalletProfile {
+  // Storage namespace: letters, digits and '-' (SecureStore key rules)
+  id: string;
+  name: string;
+  createdAt: number;
+}
+
+interface StoredProfiles {
+  activeId: string;
+  profiles: WalletProfile[];
+}
+
+const DEFAULT_PROFILE: WalletProfile = { id: DEFAULT_PROFILE_ID, name: 'Main', createdAt: 0 };
+
+let state: StoredProfiles = { activeId: DEFAULT_PROFILE_ID, profiles: [DEFAULT_PROFILE] };
+const listeners = new Set<(profile: WalletProfile) => void>();
+
+/**
+ * Storage key of a value for a profile
+ */
+export function profileStorageKey(profileId: string, key: string): string {
+  return profileId === DEFAULT_PROFILE_ID ? key : `${key}_${profileId}`;
+}
+
+/**
+ * Restore the saved profiles (call once before any wallet is loaded)
+ */
+export async function loadProfiles(): Promise<WalletProfile> {
+  try {
+    const stored: StoredProfiles | null = JSON.parse((await Storage.getItem(PROFILES_KEY)) || 'null');
+    if (stored?.profiles?.length) {
+      const profiles = stored.profiles.some(profile => profile.id === DEFAULT_PROFILE_ID)
+        ? stored.profiles
+        : [DEFAULT_PROFILE, ...stored.profiles];
+      const activeId = profiles.some(profile => profile.id === stored.activeId) ? stored.activeId : DEFAULT_PROFILE_ID;
+      state = { activeId, profiles };
+    }
+  } catch (error) {
+    console.error('Failed to load wallet profiles:', error);
+  }
+  return getActiveProfile();
+}
+
+/**
+ * All profiles, oldest first
+ */
+export function getProfiles(): WalletProfile[] {
+  return state.profiles;
+}
+
+/**
+ * The profile wallets are loaded for
+ */
+export function getActiveProfile(): WalletProfile {
+  return state.profiles.find(profile => profile.id === state.activeId) ?? DEFAULT_PROFILE;
+}
+
+/**
+ * Add a profile; its wallet is created or restored once it is switched to
+ */
+export async function createProfile(name: string): Promise<WalletProfile> {
+  const displayName = name.trim();
+  if (!displayName) {
+    throw new Error('Profile name is required');
+  }
+
+  const profile: WalletProfile = {
+    id: `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: displayName,
+    createdAt: Date.now(),
+  };
+  await saveProfiles({ ...state, profiles: [...state.profiles, profile] });
+  return profile;
+}
+
+/**
+ * Make a profile the active one and notify listeners
+ */
+export async function switchProfile(profileId: string): Promise<WalletProfile> {
+  const profile = state.profiles.find(item => item.id === profileId);
+  if (!profile) {
+    throw new Error(`Unknown wallet profile: ${profileId}`);
+  }
+  if (profile.id === state.activeId) return profile;
+
+  await saveProfiles({ ...state, activeId: profile.id });
+  console.log('[Profiles] Switched to', profile.name);
+  listeners.forEach(listener => listener(profile));
+  return profile;
+}
+
+/**
+ * Subscribe to profile switches, returns an unsubscribe function
+ */
+export function onProfileChange(listener: (profile: WalletProfile) => void): () => void {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+async function saveProfiles(next: StoredProfiles): Promise<void> {
+  await Storage.setItem(PROFILES_KEY, JSON.stringify(next));
+  state = next;
+}
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState } from 'react';
 import {
   View,
   Text,
@@ -8,9 +8,49 @@ import {
   ActivityIndicator,
 } from 'react-native';
 import { useWallet } from '../hooks/useWallet';
+import { useNetwork } from '../hooks/useNetwork';
+import { needsRedelegation } from '../lib/delegationInspector';
+import { shortAddress } from '../lib/intentPreview';
+import type { RelayHealth } from '../lib/relayPool';
+
+const RELAY_HEALTH_ICONS: Record<RelayHealth, string> = {
+  healthy: '🟢',
+  unhealthy: '🔴',
+  unknown: '⚪',
+};
+
+// Relay URL without the scheme, e.g. rise-testnet-porto.fly.dev
+function relayHost(url: string): string {
+  return url.replace(/^[a-z]+:\/\//i, '').replace(/\/$/, '');
+}
 
 export function HomeScreen({ navigation }: any) {
-  const { address, balance, isLoading, refreshBalance, porto } = useWallet();
+  const { address, balance, isLoading, refreshBalance, porto, delegation, redelegate } = useWallet();
+  const { network, networks, selectNetwork } = useNetwork();
+  // Re-delegation is prepared now and deployed with the next action
+  const [redelegation, setRedelegation] = useState<'idle' | 'pending' | 'prepared' | 'failed'>('idle');
+  const [checkingRelays, setCheckingRelays] = useState(false);
+
+  const handleRedelegate = async () => {
+    setRedelegation('pending');
+    try {
+      await redelegate();
+      setRedelegation('prepared');
+    } catch (error) {
+      console.error('Re-delegation failed:', error);
+      setRedelegation('failed');
+    }
+  };
+
+  // Health-checks the relays in order; the first healthy one takes new actions
+  const handleCheckRelays = async () => {
+    setCheckingRelays(true);
+    try {
+      await porto.checkHealth();
+    } finally {
+      setCheckingRelays(false);
+    }
+  };
 
   if (isLoading) {
     return (
@@ -38,11 +78,63 @@ export function HomeScreen({ navigation }: any) {
         </View>
         <View style={styles.balanceContainer}>
           <Text style={styles.label}>Balance:</Text>
-          <Text style={styles.balance}>{parseFloat(balance).toFixed(4)} RISE</Text>
+          <Text style={styles.balance}>
+            {parseFloat(balance).toFixed(4)} {network.nativeCurrency.symbol}
+          </Text>
         </View>
         <TouchableOpacity style={styles.refreshButton} onPress={refreshBalance}>
           <Text style={styles.refreshButtonText}>Refresh Balance</Text>
         </TouchableOpacity>
+        {delegation && needsRedelegation(delegation) && (
+          <View style={styles.delegationWarning}>
+            <Text style={styles.delegationWarningText}>
+              {delegation.status === 'outdated'
+                ? '⚠️ Wallet uses an outdated Porto account'
+                : `⚠️ Wallet is delegated to ${shortAddress(delegation.delegate!)}`}
+            </Text>
+            {redelegation === 'prepared' ? (
+              <Text style={styles.label}>Re-delegation ready - applied with your next action</Text>
+            ) : (
+              <TouchableOpacity
+                style={styles.refreshButton}
+                onPress={handleRedelegate}
+                disabled={redelegation === 'pending'}
+              >
+                <Text style={styles.refreshButtonText}>
+                  {redelegation === 'pending'
+                    ? 'Preparing...'
+                    : redelegation === 'failed' ? 'Retry Re-delegation' : 'Re-delegate to Porto'}
+                </Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+      </View>
+
+      <View style={styles.walletCard}>
+        <Text style={styles.cardTitle}>Network</Text>
+        <View style={styles.networkList}>
+          {networks.map(item => (
+            <TouchableOpacity
+              key={item.chainId}
+              style={[
+                styles.networkButton,
+                item.chainId === network.chainId && styles.networkButtonActive,
+              ]}
+              onPress={() => selectNetwork(item.chainId)}
+            >
+              <Text
+                style={[
+                  styles.networkButtonText,
+                  item.chainId === network.chainId && styles.networkButtonTextActive,
+                ]}
+              >
+                {item.name}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        <Text style={styles.label}>Chain ID: {network.chainId}</Text>
       </View>
 
       {porto.isReady && (
@@ -51,6 +143,29 @@ export function HomeScreen({ navigation }: any) {
           <Text style={styles.portoStatus}>
             Porto Relayer: {porto.isHealthy ? '✅ Active' : '⚠️ Offline'}
           </Text>
+          <Text style={styles.relayItem}>Using {relayHost(porto.relayStatus.active)}</Text>
+          {porto.relayStatus.endpoints.length > 1 && (
+            <View style={styles.relayList}>
+              {porto.relayStatus.endpoints.map(endpoint => (
+                <Text
+                  key={endpoint.url}
+                  style={[styles.relayItem, endpoint.url === porto.relayStatus.active && styles.relayItemActive]}
+                >
+                  {RELAY_HEALTH_ICONS[endpoint.health]} {relayHost(endpoint.url)}
+                  {endpoint.failures > 0 ? ` (${endpoint.failures} failed)` : ''}
+                </Text>
+              ))}
+              <TouchableOpacity
+                style={styles.relayCheckButton}
+                onPress={handleCheckRelays}
+                disabled={checkingRelays}
+              >
+                <Text style={styles.relayCheckButtonText}>
+                  {checkingRelays ? 'Checking...' : 'Check Relays'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          )}
           {porto.isHealthy && (
             <Text style={styles.portoInfo}>
               All transactions are free - no gas required!
@@ -154,6 +269,28 @@ const styles = StyleSheet.create({
     color: '#6B46C1',
     fontWeight: '600',
   },
+  networkList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 10,
+  },
+  networkButton: {
+    backgroundColor: '#F3F4F6',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+  },
+  networkButtonActive: {
+    backgroundColor: '#6B46C1',
+  },
+  networkButtonText: {
+    color: '#6B46C1',
+    fontWeight: '600',
+  },
+  networkButtonTextActive: {
+    color: 'white',
+  },
   playButton: {
     backgroundColor: '#6B46C1',
     margin: 20,
@@ -208,6 +345,42 @@ const styles = StyleSheet.create({
     color: '#15803D',
     marginTop: 5,
   },
+  delegationWarning: {
+    marginTop: 15,
+    padding: 12,
+    borderRadius: 8,
+    backgroundColor: '#FEF3C7',
+  },
+  delegationWarningText: {
+    fontSize: 14,
+    color: '#92400E',
+    marginBottom: 10,
+  },
+  relayList: {
+    marginTop: 8,
+  },
+  relayItem: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  relayItemActive: {
+    color: '#15803D',
+    fontWeight: '600',
+  },
+  relayCheckButton: {
+    alignSelf: 'flex-start',
+    marginTop: 8,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: '#86EFAC',
+  },
+  relayCheckButtonText: {
+    fontSize: 12,
+    color: '#15803D',
+  },
   portoInfo: {
     fontSize: 12,
     color: '#166534',
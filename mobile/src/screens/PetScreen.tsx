@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   View,
   Text,
@@ -11,7 +11,8 @@ import {
 } from 'react-native';
 import * as Haptics from 'expo-haptics';
 import { useWallet } from '../hooks/useWallet';
-import { useFrenPet, PetData } from '../hooks/useFrenPet';
+import { useFrenPet, PetData, type ActionOptions, type SavedAction, type TransactionOutcome } from '../hooks/useFrenPet';
+import { useIntentApproval } from '../hooks/useIntentApproval';
 import {
   PixelButton,
   PixelCard,
@@ -23,16 +24,53 @@ import {
 } from '../components/ui';
 import { PixelIconButton, PixelActionBar } from '../components/ui/PixelIconButton';
 import { useToast } from '../components/ui/PixelToast';
+import { IntentPreviewDialog } from '../components/IntentPreviewDialog';
+import { RecoveryPhraseDialog } from '../components/RecoveryPhraseDialog';
+import { getUserMessage, PortoSelfPaidRequiredError, PortoSponsorshipError } from '../lib/portoErrors';
+import { formatFeeQuote, type FeeQuote } from '../lib/portoFees';
+import { formatNativeAmount, type SelfPaidQuote } from '../lib/selfPaid';
+import { ITEM_RARITIES, type PetEvent } from '../lib/receiptDecoder';
+
+interface PetAction {
+  run: (options?: ActionOptions) => Promise<unknown>;
+  success: string;
+  failure: string;
+  onSuccess?: () => void;
+}
+
+/**
+ * Toast worth celebrating for an action's events, strongest first
+ */
+function celebrate(events: PetEvent[]): string | null {
+  const levelUp = events.find(event => event.name === 'PetLevelUp');
+  if (levelUp) return `LEVEL UP! LV ${levelUp.args.newLevel}`;
+  const drop = events.find(event => event.name === 'ItemDropped');
+  if (drop) return `${ITEM_RARITIES[Number(drop.args.rarity)] ?? ''} ITEM DROPPED!`.trim();
+  const evolved = events.find(event => event.name === 'PetEvolved');
+  if (evolved) return 'YOUR PET EVOLVED!';
+  return null;
+}
+
+// Ghosts of actions saved while offline
+const SAVED_ACTION_ICONS: Record<string, { emoji: string; label: string }> = {
+  feedPet: { emoji: '🍎', label: 'FEED' },
+  playWithPet: { emoji: '🎮', label: 'PLAY' },
+};
 
 export function PetScreen() {
-  const { address, wallet, porto } = useWallet();
+  const { address, wallet, porto, backup, confirmBackup } = useWallet();
   const frenPet = useFrenPet({ wallet, porto, useGasless: true });
   const { showToast } = useToast();
+  const approval = useIntentApproval();
   
   const [petName, setPetName] = useState('');
   const [myPet, setMyPet] = useState<PetData | null>(null);
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [hasPetCheck, setHasPetCheck] = useState(false);
+  const [feeQuote, setFeeQuote] = useState<FeeQuote | null>(null);
+  const [showBackup, setShowBackup] = useState(false);
+  // Why the contract would refuse an action right now, by function name
+  const [blocked, setBlocked] = useState<Record<string, string>>({});
 
   const loadPetData = useCallback(async () => {
     if (!address) return;
@@ -41,10 +79,8 @@ export function PetScreen() {
       const hasExistingPet = await frenPet.hasPet(address);
       setHasPetCheck(hasExistingPet);
       
-      if (hasExistingPet) {
-        const stats = await frenPet.getPetStats(address);
-        setMyPet(stats);
-      }
+      // The address changes with the wallet profile, which may have no pet
+      setMyPet(hasExistingPet ? await frenPet.getPetStats(address) : null);
     } catch (error) {
       console.error('Failed to load pet data:', error);
     }
@@ -54,49 +90,140 @@ export function PetScreen() {
     loadPetData();
   }, [loadPetData]);
 
+  // Saved actions were replayed or dropped
+  const savedCount = frenPet.pendingActions.length;
+  const lastSavedCount = useRef(savedCount);
+  useEffect(() => {
+    if (savedCount < lastSavedCount.current) loadPetData();
+    lastSavedCount.current = savedCount;
+  }, [savedCount]);
+
+  // Pre-flight the main actions so refused ones are disabled and explained
+  useEffect(() => {
+    if (!myPet?.isAlive) return;
+    let cancelled = false;
+    const actions = ['feedPet', 'playWithPet'];
+    Promise.all(actions.map(name => frenPet.simulateAction(name))).then(results => {
+      if (cancelled) return;
+      const reasons: Record<string, string> = {};
+      results.forEach((result, i) => {
+        if (result.status === 'reverted') reasons[actions[i]] = getUserMessage(result.message, 'ACTION NOT ALLOWED');
+      });
+      setBlocked(reasons);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [myPet]);
+
+  // Quote a typical action so the user sees FREE vs a cost up front
+  useEffect(() => {
+    if (!address || !porto.isReady) return;
+    const quote = hasPetCheck
+      ? frenPet.quoteAction('playWithPet')
+      : frenPet.quoteAction('createPet', ['Fren']);
+    quote.then(setFeeQuote);
+  }, [address, hasPetCheck, porto.isReady]);
+
   const onRefresh = async () => {
     setIsRefreshing(true);
     await loadPetData();
     setIsRefreshing(false);
   };
 
+  /**
+   * Run a pet action. If the relay stopped sponsoring it, or can't send it
+   * at all, show the fee and only send it again once the user agrees to pay
+   */
+  const runAction = async (action: PetAction, options?: ActionOptions) => {
+    try {
+      const result = await action.run(options) as TransactionOutcome | SavedAction | undefined;
+      if (result?.status === 'saved') {
+        showToast('OFFLINE - WILL SEND LATER', 'info');
+        return;
+      }
+      if (result?.status === 'failed') {
+        showToast(getUserMessage(result.revertReason ?? 'reverted', action.failure), 'error');
+        await loadPetData();
+        return;
+      }
+      if (result?.status === 'pending') {
+        showToast('SENT - WAITING FOR CONFIRMATION', 'info');
+        return;
+      }
+      const celebration = result ? celebrate(result.events) : null;
+      if (celebration) Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      const paid = result?.payment === 'self-paid' ? ' (GAS PAID)' : '';
+      showToast((celebration ?? action.success) + paid, 'success');
+      action.onSuccess?.();
+      await loadPetData();
+    } catch (error: any) {
+      if (error instanceof PortoSponsorshipError) {
+        const quote = error.data as FeeQuote;
+        setFeeQuote(quote);
+        Alert.alert(
+          'NOT SPONSORED',
+          `THE RELAY NO LONGER PAYS FOR THIS ACTION. IT COSTS UP TO ${formatFeeQuote(quote)}.`,
+          [
+            { text: 'CANCEL', style: 'cancel' },
+            { text: 'PAY', onPress: () => runAction(action, { maxFee: quote.amount }) },
+          ]
+        );
+        return;
+      }
+      if (error instanceof PortoSelfPaidRequiredError) {
+        const quote = error.data as SelfPaidQuote;
+        const cost = formatNativeAmount(quote.fee + quote.value);
+        if (!quote.affordable) {
+          Alert.alert(
+            'NOT ENOUGH FUNDS',
+            `THE RELAY IS UNAVAILABLE AND SENDING FROM YOUR WALLET COSTS UP TO ${cost}. ` +
+            `YOUR BALANCE IS ${formatNativeAmount(quote.balance)}.`
+          );
+          return;
+        }
+        Alert.alert(
+          'RELAY UNAVAILABLE',
+          `SEND FROM YOUR WALLET AND PAY THE GAS YOURSELF? IT COSTS UP TO ${cost}.`,
+          [
+            { text: 'CANCEL', style: 'cancel' },
+            { text: 'PAY', onPress: () => runAction(action, { ...options, maxSelfPaidFee: quote.fee }) },
+          ]
+        );
+        return;
+      }
+      showToast(getUserMessage(error, action.failure), 'error');
+    }
+  };
+
   const handleCreatePet = async () => {
     if (!petName.trim()) {
       showToast('ENTER A NAME!', 'error');
       return;
     }
 
-    try {
-      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
-      await frenPet.createPet(petName);
-      showToast('PET CREATED!', 'success');
-      setPetName('');
-      await loadPetData();
-    } catch (error: any) {
-      showToast(error.message || 'FAILED TO CREATE', 'error');
-    }
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+    await runAction({
+      run: options => frenPet.createPet(petName, options),
+      success: 'PET CREATED!',
+      failure: 'FAILED TO CREATE',
+      onSuccess: () => setPetName(''),
+    });
   };
 
   const handleFeedPet = async () => {
-    try {
-      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
-      await frenPet.feedPet();
-      showToast('PET FED!', 'success');
-      await loadPetData();
-    } catch (error: any) {
-      showToast(error.message || 'FAILED TO FEED', 'error');
-    }
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+    await runAction({ run: frenPet.feedPet, success: 'PET FED!', failure: 'FAILED TO FEED' });
   };
 
   const handlePlayWithPet = async () => {
-    try {
-      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
-      await frenPet.playWithPet();
-      showToast('PET IS HAPPY!', 'success');
-      await loadPetData();
-    } catch (error: any) {
-      showToast(error.message || 'FAILED TO PLAY', 'error');
-    }
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
+    await runAction({ run: frenPet.playWithPet, success: 'PET IS HAPPY!', failure: 'FAILED TO PLAY' });
+  };
+
+  const handleCareRoutine = async () => {
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+    await runAction({ run: frenPet.careRoutine, success: 'ALL CARED FOR!', failure: 'CARE FAILED' });
   };
 
   const handleTrainPet = async () => {
@@ -126,11 +253,45 @@ export function PetScreen() {
     return '😐';
   };
 
-  if (frenPet.isLoading) {
+  // Shown over every state - actions are waiting on it while loading
+  const approvalDialog = (
+    <IntentPreviewDialog
+      preview={approval.preview}
+      onApprove={approval.approve}
+      onReject={approval.reject}
+    />
+  );
+
+  // Until the phrase is written down, a reinstall would lose the pet
+  const backupReminder = backup && !backup.backedUp && (
+    <PixelCard title="BACK UP YOUR WALLET" variant="default" style={styles.backupCardContainer}>
+      <Text style={styles.backupText}>
+        WRITE DOWN YOUR RECOVERY {backup.kind === 'phrase' ? 'PHRASE' : 'KEY'} SO YOU CAN RESTORE YOUR PET
+        ON A NEW DEVICE.
+      </Text>
+      <PixelButton title="SHOW RECOVERY PHRASE" onPress={() => setShowBackup(true)} variant="warning" fullWidth />
+    </PixelCard>
+  );
+
+  const backupDialog = showBackup && (
+    <RecoveryPhraseDialog
+      backup={backup}
+      onConfirmed={async () => {
+        setShowBackup(false);
+        await confirmBackup();
+        showToast('WALLET BACKED UP!', 'success');
+      }}
+      onClose={() => setShowBackup(false)}
+    />
+  );
+
+  // With a living pet the action bar stays up and shows queued actions instead
+  if (frenPet.isLoading && !myPet?.isAlive) {
     return (
       <View style={styles.centerContainer}>
         <ActivityIndicator size="large" color={pixelTheme.colors.primary} />
         <Text style={styles.loadingText}>PROCESSING...</Text>
+        {approvalDialog}
       </View>
     );
   }
@@ -138,125 +299,179 @@ export function PetScreen() {
   // Show create pet screen if no pet or pet is dead
   if (!myPet || !myPet.isAlive) {
     return (
-      <ScrollView style={styles.container}>
-        <PixelCard
-          title={myPet && !myPet.isAlive ? 'GAME OVER' : 'NEW GAME'}
-          variant="elevated"
-          style={styles.createCardContainer}
-        >
-          {myPet && !myPet.isAlive && (
-            <Text style={styles.deadPetText}>
-              {myPet.name} HAS FAINTED.
-              START A NEW ADVENTURE!
-            </Text>
-          )}
-          <TextInput
-            style={styles.pixelInput}
-            placeholder="ENTER PET NAME"
-            placeholderTextColor={pixelTheme.colors.textLight}
-            value={petName}
-            onChangeText={setPetName}
-            maxLength={20}
-          />
-          <PixelButton
-            title="CREATE PET"
-            onPress={handleCreatePet}
-            variant="primary"
-            size="large"
-            fullWidth
-          />
-        </PixelCard>
-      </ScrollView>
+      <View style={styles.container}>
+        <ScrollView style={styles.container}>
+          <PixelCard
+            title={myPet && !myPet.isAlive ? 'GAME OVER' : 'NEW GAME'}
+            variant="elevated"
+            style={styles.createCardContainer}
+          >
+            {myPet && !myPet.isAlive && (
+              <Text style={styles.deadPetText}>
+                {myPet.name} HAS FAINTED.
+                START A NEW ADVENTURE!
+              </Text>
+            )}
+            <TextInput
+              style={styles.pixelInput}
+              placeholder="ENTER PET NAME"
+              placeholderTextColor={pixelTheme.colors.textLight}
+              value={petName}
+              onChangeText={setPetName}
+              maxLength={20}
+            />
+            <PixelButton
+              title="CREATE PET"
+              onPress={handleCreatePet}
+              variant="primary"
+              size="large"
+              fullWidth
+            />
+            {feeQuote && (
+              <Text style={[styles.feeText, !feeQuote.sponsored && styles.feeTextPaid]}>
+                COST: {formatFeeQuote(feeQuote)}
+              </Text>
+            )}
+          </PixelCard>
+          {backupReminder}
+        </ScrollView>
+        {approvalDialog}
+        {backupDialog}
+      </View>
     );
   }
 
   return (
-    <ScrollView 
-      style={styles.container}
-      refreshControl={
-        <RefreshControl 
-          refreshing={isRefreshing} 
-          onRefresh={onRefresh}
-          tintColor={pixelTheme.colors.primary}
-        />
-      }
-    >
-      {/* Pet Display */}
-      <PixelCard variant="elevated" style={styles.petCardContainer}>
-        <View style={styles.petDisplay}>
-          <Text style={styles.petEmoji}>{getPetEmoji()}</Text>
-          <Text style={styles.petName}>{myPet.name.toUpperCase()}</Text>
-          <View style={styles.levelBadge}>
-            <Text style={styles.levelText}>LV.{myPet.level}</Text>
-          </View>
-        </View>
-      </PixelCard>
-
-      {/* Stats */}
-      <PixelCard title="STATS" variant="inset" style={styles.statsCardContainer}>
-        <HappinessBar
-          value={myPet.happiness}
-          max={100}
-          showValue
-        />
-        <HungerBar
-          value={myPet.hunger}
-          max={100}
-          showValue
-        />
-        <ExperienceBar
-          value={myPet.experience}
-          max={myPet.level * 100}
-          showValue
-        />
-      </PixelCard>
-
-      {/* Action Buttons */}
-      <PixelCard title="ACTIONS" variant="default" style={styles.actionsCardContainer}>
-        <PixelActionBar>
-          <PixelIconButton
-            emoji="🍎"
-            label="FEED"
-            onPress={handleFeedPet}
-            variant="success"
-            size="large"
-          />
-          <PixelIconButton
-            emoji="🎮"
-            label="PLAY"
-            onPress={handlePlayWithPet}
-            variant="primary"
-            size="large"
+    <View style={styles.container}>
+      <ScrollView 
+        style={styles.container}
+        refreshControl={
+          <RefreshControl 
+            refreshing={isRefreshing} 
+            onRefresh={onRefresh}
+            tintColor={pixelTheme.colors.primary}
           />
-          <PixelIconButton
-            emoji="💪"
-            label="TRAIN"
-            onPress={handleTrainPet}
-            variant="default"
-            size="large"
+        }
+      >
+        {/* Pet Display */}
+        <PixelCard variant="elevated" style={styles.petCardContainer}>
+          <View style={styles.petDisplay}>
+            <Text style={styles.petEmoji}>{getPetEmoji()}</Text>
+            <Text style={styles.petName}>{myPet.name.toUpperCase()}</Text>
+            <View style={styles.levelBadge}>
+              <Text style={styles.levelText}>LV.{myPet.level}</Text>
+            </View>
+          </View>
+        </PixelCard>
+
+        {/* Stats */}
+        <PixelCard title="STATS" variant="inset" style={styles.statsCardContainer}>
+          <HappinessBar
+            value={myPet.happiness}
+            max={100}
+            showValue
           />
-          <PixelIconButton
-            emoji="💊"
-            label="HEAL"
-            onPress={handleHealPet}
-            variant="success"
-            size="large"
+          <HungerBar
+            value={myPet.hunger}
+            max={100}
+            showValue
           />
-          <PixelIconButton
-            emoji="⚔️"
-            label="BATTLE"
-            onPress={handleBattlePet}
-            variant="danger"
-            size="large"
+          <ExperienceBar
+            value={myPet.experience}
+            max={myPet.level * 100}
+            showValue
           />
-        </PixelActionBar>
-      </PixelCard>
+        </PixelCard>
 
-      {/* Gasless indicator */}
-      <View style={styles.gaslessIndicator}>
-        <Text style={styles.gaslessText}>⚡ GASLESS MODE ACTIVE</Text>
-      </View>
-    </ScrollView>
+        {/* Action Buttons */}
+        <PixelCard title="ACTIONS" variant="default" style={styles.actionsCardContainer}>
+          <PixelActionBar queue={porto.intentQueue}>
+            <PixelIconButton
+              emoji="🍎"
+              label="FEED"
+              onPress={handleFeedPet}
+              disabled={!!blocked.feedPet}
+              variant="success"
+              size="large"
+            />
+            <PixelIconButton
+              emoji="🎮"
+              label="PLAY"
+              onPress={handlePlayWithPet}
+              disabled={!!blocked.playWithPet}
+              variant="primary"
+              size="large"
+            />
+            <PixelIconButton
+              emoji="🧺"
+              label="CARE"
+              onPress={handleCareRoutine}
+              disabled={!!(blocked.feedPet || blocked.playWithPet)}
+              variant="success"
+              size="large"
+            />
+            <PixelIconButton
+              emoji="💪"
+              label="TRAIN"
+              onPress={handleTrainPet}
+              variant="default"
+              size="large"
+            />
+            <PixelIconButton
+              emoji="💊"
+              label="HEAL"
+              onPress={handleHealPet}
+              variant="success"
+              size="large"
+            />
+            <PixelIconButton
+              emoji="⚔️"
+              label="BATTLE"
+              onPress={handleBattlePet}
+              variant="danger"
+              size="large"
+            />
+          </PixelActionBar>
+          {Object.keys(blocked).length > 0 && (
+            <Text style={styles.actionDescription}>
+              {[...new Set(Object.values(blocked))].join(' · ')}
+            </Text>
+          )}
+          {frenPet.pendingActions.length > 0 && (
+            <PixelActionBar>
+              {frenPet.pendingActions.map(action => (
+                <PixelIconButton
+                  key={action.id}
+                  emoji={SAVED_ACTION_ICONS[action.functionName]?.emoji ?? '⏳'}
+                  label={`${SAVED_ACTION_ICONS[action.functionName]?.label ?? action.functionName} · WAITING`}
+                  onPress={() => {}}
+                  disabled
+                  size="small"
+                  style={styles.savedAction}
+                />
+              ))}
+            </PixelActionBar>
+          )}
+        </PixelCard>
+
+        {/* Gasless indicator */}
+        <View style={styles.gaslessIndicator}>
+          {!feeQuote || feeQuote.sponsored ? (
+            <Text style={styles.gaslessText}>
+              ⚡ GASLESS MODE ACTIVE{feeQuote ? ' - FREE' : ''}
+            </Text>
+          ) : (
+            <Text style={[styles.gaslessText, styles.feeTextPaid]}>
+              ⚠️ NOT SPONSORED - {formatFeeQuote(feeQuote)} PER ACTION
+            </Text>
+          )}
+        </View>
+
+        {backupReminder}
+      </ScrollView>
+      {approvalDialog}
+      {backupDialog}
+    </View>
   );
 }
 
@@ -289,6 +504,17 @@ const styles = StyleSheet.create({
     marginBottom: pixelTheme.spacing.lg,
     letterSpacing: pixelTheme.typography.letterSpacing.normal,
   },
+  backupCardContainer: {
+    margin: pixelTheme.spacing.lg,
+    marginTop: 0,
+  },
+  backupText: {
+    fontSize: pixelTheme.typography.fontSize.small,
+    fontFamily: pixelTheme.typography.fontFamily.pixel,
+    color: pixelTheme.colors.warning,
+    letterSpacing: pixelTheme.typography.letterSpacing.normal,
+    marginBottom: pixelTheme.spacing.md,
+  },
   pixelInput: {
     borderWidth: pixelTheme.borders.width.thick,
     borderColor: pixelTheme.colors.border,
@@ -342,6 +568,9 @@ const styles = StyleSheet.create({
     marginHorizontal: pixelTheme.spacing.lg,
     marginBottom: pixelTheme.spacing.lg,
   },
+  savedAction: {
+    opacity: 0.6,
+  },
   actionButtons: {
     gap: pixelTheme.spacing.md,
   },
@@ -368,4 +597,16 @@ const styles = StyleSheet.create({
     color: pixelTheme.colors.success,
     letterSpacing: pixelTheme.typography.letterSpacing.wide,
   },
+  // Fee quote
+  feeText: {
+    marginTop: pixelTheme.spacing.sm,
+    fontSize: pixelTheme.typography.fontSize.small,
+    fontFamily: pixelTheme.typography.fontFamily.pixel,
+    color: pixelTheme.colors.success,
+    textAlign: 'center',
+    letterSpacing: pixelTheme.typography.letterSpacing.wide,
+  },
+  feeTextPaid: {
+    color: pixelTheme.colors.warning,
+  },
 });
\ No newline at end of file
@@ -0,0 +1,355 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  ScrollView,
+  Alert,
+  Platform,
+  Share,
+} from 'react-native';
+import { useWallet } from '../hooks/useWallet';
+import { useWalletProfiles } from '../hooks/useWalletProfiles';
+import { PixelButton, PixelCard, pixelTheme } from '../components/ui';
+import { useToast } from '../components/ui/PixelToast';
+import { RecoveryPhraseDialog } from '../components/RecoveryPhraseDialog';
+import { shortAddress } from '../lib/intentPreview';
+import {
+  KeystoreError,
+  MIN_KEYSTORE_PASSWORD_LENGTH,
+  getKeystoreAddress,
+  keystoreFileName,
+  parseKeystore,
+  type KeystoreFile,
+} from '../lib/keystore';
+
+const KEYSTORE_ERRORS: Record<string, string> = {
+  'invalid-file': 'NOT A KEYSTORE FILE',
+  'wrong-password': 'WRONG PASSWORD',
+  'address-mismatch': 'FILE IS CORRUPTED - ADDRESS MISMATCH',
+  'weak-password': `PASSWORD NEEDS ${MIN_KEYSTORE_PASSWORD_LENGTH}+ CHARACTERS`,
+};
+
+function keystoreMessage(error: unknown, fallback: string): string {
+  return error instanceof KeystoreError ? KEYSTORE_ERRORS[error.reason] : fallback;
+}
+
+/**
+ * Save the keystore as a file: a download on web, the share sheet on devices
+ */
+async function saveKeystore(keystore: KeystoreFile): Promise<void> {
+  const json = JSON.stringify(keystore);
+  const fileName = keystoreFileName(keystore);
+
+  if (Platform.OS === 'web') {
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+    return;
+  }
+  await Share.share({ title: fileName, message: json });
+}
+
+/**
+ * Let the user pick a keystore file (web only; devices paste its contents)
+ */
+function pickKeystoreFile(): Promise<string | null> {
+  return new Promise(resolve => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+    input.onchange = () => {
+      const file = input.files?.[0];
+      if (!file) return resolve(null);
+      file.text().then(resolve, () => resolve(null));
+    };
+    input.click();
+  });
+}
+
+export function SettingsScreen() {
+  const { address, backup, confirmBackup, exportKeystore, importKeystore } = useWallet();
+  const { profile, profiles, createProfile, switchProfile } = useWalletProfiles();
+  const { showToast } = useToast();
+  const [showBackup, setShowBackup] = useState(false);
+  const [profileName, setProfileName] = useState('');
+
+  const [exportPassword, setExportPassword] = useState('');
+  const [exportConfirm, setExportConfirm] = useState('');
+  const [isExporting, setIsExporting] = useState(false);
+
+  const [keystoreJson, setKeystoreJson] = useState('');
+  const [importPassword, setImportPassword] = useState('');
+  const [isImporting, setIsImporting] = useState(false);
+
+  // A new profile starts with the wallet setup screen (new or restored wallet)
+  const handleAddProfile = async () => {
+    try {
+      const created = await createProfile(profileName);
+      setProfileName('');
+      await switchProfile(created.id);
+    } catch (error) {
+      console.error('Failed to add profile:', error);
+      showToast('FAILED TO ADD PROFILE', 'error');
+    }
+  };
+
+  const handleSwitchProfile = async (profileId: string) => {
+    try {
+      await switchProfile(profileId);
+    } catch (error) {
+      console.error('Failed to switch profile:', error);
+      showToast('FAILED TO SWITCH PROFILE', 'error');
+    }
+  };
+
+  const handleExport = async () => {
+    if (exportPassword !== exportConfirm) {
+      showToast('PASSWORDS DO NOT MATCH', 'error');
+      return;
+    }
+    setIsExporting(true);
+    try {
+      // Let the button re-render before scrypt blocks the thread
+      await new Promise(resolve => setTimeout(resolve, 0));
+      await saveKeystore(await exportKeystore(exportPassword));
+      setExportPassword('');
+      setExportConfirm('');
+      showToast('KEYSTORE EXPORTED', 'success');
+    } catch (error) {
+      console.error('Keystore export failed:', error);
+      showToast(keystoreMessage(error, 'EXPORT FAILED'), 'error');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleChooseFile = async () => {
+    const json = await pickKeystoreFile();
+    if (json) setKeystoreJson(json);
+  };
+
+  const runImport = async (expectedAddress: string | undefined) => {
+    setIsImporting(true);
+    try {
+      await new Promise(resolve => setTimeout(resolve, 0));
+      const imported = await importKeystore(keystoreJson, importPassword, expectedAddress);
+      setKeystoreJson('');
+      setImportPassword('');
+      showToast(`WALLET ${shortAddress(imported)} IMPORTED`, 'success');
+    } catch (error) {
+      console.error('Keystore import failed:', error);
+      showToast(keystoreMessage(error, 'IMPORT FAILED'), 'error');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  // Confirm which wallet replaces which before decrypting anything
+  const handleImport = () => {
+    let fileAddress: string | null;
+    try {
+      fileAddress = getKeystoreAddress(parseKeystore(keystoreJson));
+    } catch (error) {
+      showToast(keystoreMessage(error, 'NOT A KEYSTORE FILE'), 'error');
+      return;
+    }
+    if (fileAddress && address && fileAddress.toLowerCase() === address.toLowerCase()) {
+      showToast('THIS WALLET IS ALREADY IN USE', 'info');
+      return;
+    }
+
+    Alert.alert(
+      'REPLACE WALLET?',
+      `THIS DEVICE WILL USE ${fileAddress ? shortAddress(fileAddress) : 'THE WALLET IN THE FILE'} ` +
+      `INSTEAD OF ${address ? shortAddress(address) : 'THE CURRENT ONE'}. ` +
+      'BACK UP THE CURRENT WALLET FIRST OR ITS PET IS LOST.',
+      [
+        { text: 'CANCEL', style: 'cancel' },
+        { text: 'REPLACE', style: 'destructive', onPress: () => runImport(fileAddress ?? undefined) },
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <ScrollView style={styles.container}>
+        <PixelCard title="PROFILES" variant="elevated" style={styles.card}>
+          <Text style={styles.hint}>
+            EACH PROFILE HAS ITS OWN WALLET AND PET.
+          </Text>
+          {profiles.map(item => (
+            <PixelButton
+              key={item.id}
+              title={item.id === profile.id ? `✓ ${item.name}` : item.name}
+              onPress={() => handleSwitchProfile(item.id)}
+              disabled={item.id === profile.id}
+              variant={item.id === profile.id ? 'primary' : 'secondary'}
+              fullWidth
+              style={styles.buttonSpacing}
+            />
+          ))}
+          <TextInput
+            style={styles.pixelInput}
+            placeholder="NEW PROFILE NAME"
+            placeholderTextColor={pixelTheme.colors.textLight}
+            value={profileName}
+            onChangeText={setProfileName}
+            maxLength={20}
+          />
+          <PixelButton
+            title="ADD PROFILE"
+            onPress={handleAddProfile}
+            disabled={!profileName.trim()}
+            variant="success"
+            fullWidth
+          />
+        </PixelCard>
+
+        <PixelCard title="WALLET" variant="default" style={styles.card}>
+          <Text style={styles.label}>ADDRESS</Text>
+          <Text style={styles.value} numberOfLines={1} ellipsizeMode="middle">{address ?? '-'}</Text>
+          <PixelButton
+            title={backup?.kind === 'private-key' ? 'SHOW RECOVERY KEY' : 'SHOW RECOVERY PHRASE'}
+            onPress={() => setShowBackup(true)}
+            disabled={!backup}
+            variant="warning"
+            fullWidth
+          />
+        </PixelCard>
+
+        <PixelCard title="EXPORT KEYSTORE" variant="default" style={styles.card}>
+          <Text style={styles.hint}>
+            A PASSWORD-PROTECTED FILE (KEYSTORE V3) TO OPEN THIS WALLET ON ANOTHER DEVICE OR THE WEB.
+          </Text>
+          <TextInput
+            style={styles.pixelInput}
+            placeholder="PASSWORD"
+            placeholderTextColor={pixelTheme.colors.textLight}
+            value={exportPassword}
+            onChangeText={setExportPassword}
+            secureTextEntry
+          />
+          <TextInput
+            style={styles.pixelInput}
+            placeholder="REPEAT PASSWORD"
+            placeholderTextColor={pixelTheme.colors.textLight}
+            value={exportConfirm}
+            onChangeText={setExportConfirm}
+            secureTextEntry
+          />
+          <PixelButton
+            title={isExporting ? 'ENCRYPTING...' : 'EXPORT'}
+            onPress={handleExport}
+            disabled={isExporting || !exportPassword || !address}
+            variant="primary"
+            fullWidth
+          />
+        </PixelCard>
+
+        <PixelCard title="IMPORT KEYSTORE" variant="default" style={styles.card}>
+          <Text style={styles.hint}>
+            REPLACES THIS DEVICE'S WALLET WITH THE ONE IN A KEYSTORE FILE.
+          </Text>
+          {Platform.OS === 'web' && (
+            <PixelButton
+              title="CHOOSE FILE"
+              onPress={handleChooseFile}
+              variant="secondary"
+              fullWidth
+              style={styles.buttonSpacing}
+            />
+          )}
+          <TextInput
+            style={[styles.pixelInput, styles.jsonInput]}
+            placeholder="PASTE KEYSTORE JSON"
+            placeholderTextColor={pixelTheme.colors.textLight}
+            value={keystoreJson}
+            onChangeText={setKeystoreJson}
+            autoCapitalize="none"
+            autoCorrect={false}
+            multiline
+          />
+          <TextInput
+            style={styles.pixelInput}
+            placeholder="PASSWORD"
+            placeholderTextColor={pixelTheme.colors.textLight}
+            value={importPassword}
+            onChangeText={setImportPassword}
+            secureTextEntry
+          />
+          <PixelButton
+            title={isImporting ? 'DECRYPTING...' : 'IMPORT'}
+            onPress={handleImport}
+            disabled={isImporting || !keystoreJson.trim() || !importPassword}
+            variant="danger"
+            fullWidth
+          />
+        </PixelCard>
+      </ScrollView>
+      {showBackup && (
+        <RecoveryPhraseDialog
+          backup={backup}
+          onConfirmed={async () => {
+            setShowBackup(false);
+            await confirmBackup();
+            showToast('WALLET BACKED UP!', 'success');
+          }}
+          onClose={() => setShowBackup(false)}
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: pixelTheme.colors.background,
+  },
+  card: {
+    margin: pixelTheme.spacing.lg,
+    marginBottom: 0,
+  },
+  label: {
+    fontSize: pixelTheme.typography.fontSize.small,
+    fontFamily: pixelTheme.typography.fontFamily.pixelBold,
+    color: pixelTheme.colors.textLight,
+    letterSpacing: pixelTheme.typography.letterSpacing.wide,
+  },
+  value: {
+    fontSize: pixelTheme.typography.fontSize.medium,
+    fontFamily: pixelTheme.typography.fontFamily.pixel,
+    color: pixelTheme.colors.text,
+    marginBottom: pixelTheme.spacing.md,
+  },
+  hint: {
+    fontSize: pixelTheme.typography.fontSize.small,
+    fontFamily: pixelTheme.typography.fontFamily.pixel,
+    color: pixelTheme.colors.textLight,
+    letterSpacing: pixelTheme.typography.letterSpacing.normal,
+    marginBottom: pixelTheme.spacing.md,
+  },
+  pixelInput: {
+    borderWidth: pixelTheme.borders.width.thick,
+    borderColor: pixelTheme.colors.border,
+    backgroundColor: pixelTheme.colors.surface,
+    paddingHorizontal: pixelTheme.spacing.md,
+    paddingVertical: pixelTheme.spacing.sm,
+    marginBottom: pixelTheme.spacing.md,
+    fontSize: pixelTheme.typography.fontSize.medium,
+    fontFamily: pixelTheme.typography.fontFamily.pixel,
+    color: pixelTheme.colors.text,
+  },
+  jsonInput: {
+    minHeight: 96,
+    textAlignVertical: 'top',
+  },
+  buttonSpacing: {
+    marginBottom: pixelTheme.spacing.md,
+  },
+});
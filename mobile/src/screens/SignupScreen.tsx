@@ -9,7 +9,6 @@ import {
 } from 'react-native';
 import { useWallet } from '../hooks/useWallet';
 import { ensureDelegated, isAccountDelegated } from '../lib/accountUpgrade';
-import { Storage } from '../lib/storage';
 
 export function SignupScreen({ navigation }: any) {
   const { address, wallet } = useWallet();
@@ -45,7 +44,7 @@ export function SignupScreen({ navigation }: any) {
     
     try {
       // Get main private key for delegation
-      const mainPrivateKey = await Storage.getItem('RISE_MAIN_WALLET_KEY');
+      const mainPrivateKey = await wallet.getMainPrivateKey();
       
       if (!mainPrivateKey) {
         Alert.alert('Error', 'Wallet not initialized');
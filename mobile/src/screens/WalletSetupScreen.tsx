@@ -0,0 +1,187 @@
+import React, { useMemo, useState } from 'react';
+import { Text, TextInput, StyleSheet, ScrollView } from 'react-native';
+import { PixelButton, PixelCard, pixelTheme } from '../components/ui';
+import { useToast } from '../components/ui/PixelToast';
+import { SessionWallet } from '../lib/sessionWallet';
+import { useWalletProfiles } from '../hooks/useWalletProfiles';
+import { parseRecoverySecret } from '../lib/recoveryPhrase';
+
+// A recovery phrase, or the recovery key of a wallet from before phrases
+function isValidSecret(input: string): boolean {
+  try {
+    parseRecoverySecret(input);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+interface WalletSetupScreenProps {
+  // A main wallet is stored; the game can start
+  onReady: () => void;
+}
+
+/**
+ * First launch (or a new profile): create a new wallet or restore one (and
+ * its pet) from a recovery phrase. The phrase of a new wallet is backed up
+ * from the pet screen
+ */
+export function WalletSetupScreen({ onReady }: WalletSetupScreenProps) {
+  const { profile, profiles, switchProfile } = useWalletProfiles();
+  const wallet = useMemo(() => new SessionWallet(profile.id), [profile.id]);
+  const { showToast } = useToast();
+  const [restoring, setRestoring] = useState(false);
+  const [secret, setSecret] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+
+  const handleCreate = async () => {
+    setIsBusy(true);
+    try {
+      await wallet.initMainWallet();
+      onReady();
+    } catch (error) {
+      console.error('Failed to create wallet:', error);
+      showToast('FAILED TO CREATE WALLET', 'error');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleRestore = async () => {
+    if (!isValidSecret(secret)) {
+      showToast('INVALID RECOVERY PHRASE', 'error');
+      return;
+    }
+
+    setIsBusy(true);
+    try {
+      const address = await wallet.restoreMainWallet(secret);
+      showToast(`WALLET RESTORED ${address.slice(0, 6)}...${address.slice(-4)}`, 'success');
+      onReady();
+    } catch (error) {
+      console.error('Failed to restore wallet:', error);
+      showToast('FAILED TO RESTORE WALLET', 'error');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      <PixelCard
+        title={restoring ? 'RESTORE WALLET' : profiles.length > 1 ? profile.name : 'WELCOME'}
+        variant="elevated"
+        style={styles.card}
+      >
+        {restoring ? (
+          <>
+            <Text style={styles.text}>
+              ENTER YOUR 12 OR 24 WORD RECOVERY PHRASE, OR THE RECOVERY KEY OF AN OLDER WALLET.
+            </Text>
+            <TextInput
+              style={styles.pixelInput}
+              placeholder="WORD WORD WORD ..."
+              placeholderTextColor={pixelTheme.colors.textLight}
+              value={secret}
+              onChangeText={setSecret}
+              autoCapitalize="none"
+              autoCorrect={false}
+              multiline
+            />
+            {secret.trim().split(/\s+/).length >= 12 && !isValidSecret(secret) && (
+              <Text style={[styles.text, styles.warningText]}>
+                CHECK THE WORDS - THIS PHRASE IS NOT VALID
+              </Text>
+            )}
+            <PixelButton
+              title={isBusy ? 'RESTORING...' : 'RESTORE'}
+              onPress={handleRestore}
+              disabled={isBusy || !secret.trim()}
+              variant="primary"
+              size="large"
+              fullWidth
+            />
+            <PixelButton
+              title="BACK"
+              onPress={() => setRestoring(false)}
+              variant="secondary"
+              fullWidth
+              style={styles.secondaryButton}
+            />
+          </>
+        ) : (
+          <>
+            <Text style={styles.text}>
+              YOUR PET LIVES IN A WALLET ON THIS DEVICE. START A NEW ONE, OR RESTORE THE
+              WALLET YOU BACKED UP.
+            </Text>
+            <PixelButton
+              title={isBusy ? 'CREATING...' : 'NEW WALLET'}
+              onPress={handleCreate}
+              disabled={isBusy}
+              variant="primary"
+              size="large"
+              fullWidth
+            />
+            <PixelButton
+              title="RESTORE FROM PHRASE"
+              onPress={() => setRestoring(true)}
+              disabled={isBusy}
+              variant="secondary"
+              fullWidth
+              style={styles.secondaryButton}
+            />
+            {profiles.filter(item => item.id !== profile.id).map(item => (
+              <PixelButton
+                key={item.id}
+                title={`USE ${item.name}`}
+                onPress={() => switchProfile(item.id)}
+                disabled={isBusy}
+                variant="secondary"
+                fullWidth
+                style={styles.secondaryButton}
+              />
+            ))}
+          </>
+        )}
+      </PixelCard>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: pixelTheme.colors.background,
+  },
+  card: {
+    margin: pixelTheme.spacing.lg,
+    marginTop: pixelTheme.spacing.xxl,
+  },
+  text: {
+    fontSize: pixelTheme.typography.fontSize.medium,
+    fontFamily: pixelTheme.typography.fontFamily.pixel,
+    color: pixelTheme.colors.text,
+    letterSpacing: pixelTheme.typography.letterSpacing.normal,
+    marginBottom: pixelTheme.spacing.lg,
+  },
+  warningText: {
+    color: pixelTheme.colors.danger,
+  },
+  pixelInput: {
+    minHeight: 96,
+    borderWidth: pixelTheme.borders.width.thick,
+    borderColor: pixelTheme.colors.border,
+    backgroundColor: pixelTheme.colors.surface,
+    paddingHorizontal: pixelTheme.spacing.md,
+    paddingVertical: pixelTheme.spacing.sm,
+    marginBottom: pixelTheme.spacing.md,
+    fontSize: pixelTheme.typography.fontSize.medium,
+    fontFamily: pixelTheme.typography.fontFamily.pixel,
+    color: pixelTheme.colors.text,
+    textAlignVertical: 'top',
+  },
+  secondaryButton: {
+    marginTop: pixelTheme.spacing.md,
+  },
+});
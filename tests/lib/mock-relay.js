@@ -0,0 +1,675 @@
+/**
+ * Mock Porto Relay
+ * Local stand-in for rise-testnet-porto.fly.dev, backed by an anvil chain
+ *
+ * - Implements the relay methods the app and test scripts use
+ * - Hands out EIP-712 digests and verifies signatures against them
+ * - Executes calls on anvil by impersonating the account (relay pays gas)
+ * - Applies delegation with anvil_setCode (0xef0100 || delegation)
+ *
+ * Start anvil first: anvil --hardfork prague
+ */
+
+import { createServer } from 'http';
+import {
+  createTestClient,
+  createPublicClient,
+  http,
+  hashTypedData,
+  recoverAddress,
+  hashMessage,
+  keccak256,
+  encodeAbiParameters,
+  decodeAbiParameters,
+  hexToBigInt,
+  size,
+  concat,
+  toHex,
+  isAddressEqual,
+  slice,
+  parseEther,
+} from 'viem';
+import { hashAuthorization } from 'viem/utils';
+import * as P256 from 'ox/P256';
+import * as PublicKey from 'ox/PublicKey';
+import * as WebAuthnP256 from 'ox/WebAuthnP256';
+import { NETWORKS, LOCAL_CHAIN_ID } from './networks.js';
+
+// =====================================
+// CONFIGURATION
+// =====================================
+
+const LOCAL = NETWORKS[LOCAL_CHAIN_ID];
+
+export const MOCK_RELAY_DEFAULTS = {
+  port: 9119,
+  rpcUrl: LOCAL.rpcUrl,
+  chainId: LOCAL.chainId,
+  orchestrator: LOCAL.porto.orchestrator,
+  implementation: LOCAL.porto.implementation,
+  proxy: LOCAL.porto.proxy,
+  relayWallet: LOCAL.porto.relayWallet,
+  feeToken: '0x0000000000000000000000000000000000000000',
+  quoteTtl: 60, // seconds a prepared intent stays valid
+  sponsor: true, // false = quote a fee paid by the account (not collected)
+  feePerGas: 1_000_000_000n, // wei, used when not sponsoring
+};
+
+// JSON-RPC error codes
+const ERRORS = {
+  INVALID_PARAMS: -32602,
+  METHOD_NOT_FOUND: -32601,
+  INTERNAL: -32603,
+  UNAUTHORIZED: -32001,
+  EXPIRED: -32002,
+  EXECUTION_REVERTED: 3,
+};
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+class RelayError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.code = code;
+    this.data = data;
+  }
+}
+
+// =====================================
+// EIP-712 TYPES
+// =====================================
+
+const INTENT_TYPES = {
+  Intent: [
+    { name: 'multichain', type: 'bool' },
+    { name: 'eoa', type: 'address' },
+    { name: 'executionData', type: 'bytes' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'payer', type: 'address' },
+    { name: 'paymentToken', type: 'address' },
+    { name: 'prePaymentMaxAmount', type: 'uint256' },
+    { name: 'totalPaymentMaxAmount', type: 'uint256' },
+    { name: 'combinedGas', type: 'uint256' },
+    { name: 'encodedPreCalls', type: 'bytes[]' },
+    { name: 'expiry', type: 'uint256' },
+  ],
+};
+
+const UPGRADE_TYPES = {
+  Key: [
+    { name: 'expiry', type: 'uint40' },
+    { name: 'keyType', type: 'string' },
+    { name: 'role', type: 'string' },
+    { name: 'publicKey', type: 'bytes' },
+  ],
+  Upgrade: [
+    { name: 'eoa', type: 'address' },
+    { name: 'delegation', type: 'address' },
+    { name: 'keys', type: 'Key[]' },
+  ],
+};
+
+// =====================================
+// HELPERS
+// =====================================
+
+/**
+ * Address behind a secp256k1 key (publicKey is the address padded to 32 bytes)
+ * @param {string} publicKey - Serialized public key
+ * @returns {string} - Address
+ */
+export function keyAddress(publicKey) {
+  return publicKey.length > 42 ? slice(publicKey, -20) : publicKey;
+}
+
+function toBigInt(value) {
+  if (value === undefined || value === null) return 0n;
+  return BigInt(value);
+}
+
+/**
+ * Pre-call as the orchestrator takes it: abi.encode(SignedCall)
+ * @param {Object} preCall - { eoa, executionData, nonce, signature }
+ * @returns {string} - Encoded pre-call
+ */
+function encodePreCall(preCall) {
+  return encodeAbiParameters(
+    [{
+      type: 'tuple',
+      components: [
+        { name: 'eoa', type: 'address' },
+        { name: 'executionData', type: 'bytes' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'signature', type: 'bytes' },
+      ],
+    }],
+    [{ ...preCall, executionData: preCall.executionData ?? '0x', nonce: toBigInt(preCall.nonce) }]
+  );
+}
+
+function normalizeCalls(calls) {
+  return calls.map(call => ({
+    to: call.to,
+    value: toBigInt(call.value),
+    data: call.data || '0x',
+  }));
+}
+
+/**
+ * Intent calls as the orchestrator takes them: abi.encode(Call[])
+ * @param {Object[]} calls - Normalized calls
+ * @returns {string} - Execution data
+ */
+function encodeExecutionData(calls) {
+  return encodeAbiParameters(
+    [{
+      type: 'tuple[]',
+      components: [
+        { name: 'to', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'data', type: 'bytes' },
+      ],
+    }],
+    [calls]
+  );
+}
+
+/**
+ * Possible signers of a digest
+ * Accepts raw signatures (app) and EIP-191 `signMessage({ raw })` (older test scripts)
+ * @param {string} digest - 32-byte digest
+ * @param {string} signature - Signature hex
+ * @returns {Promise<string[]>} - Recovered addresses
+ */
+export async function recoverSigners(digest, signature) {
+  const signers = [];
+  for (const hash of [digest, hashMessage({ raw: digest })]) {
+    try {
+      signers.push(await recoverAddress({ hash, signature }));
+    } catch {
+      // Malformed signature for this scheme
+    }
+  }
+  return signers;
+}
+
+// WebAuthnAuth struct of a passkey signature, as the Porto account decodes it
+const WEBAUTHN_AUTH = [{
+  type: 'tuple',
+  components: [
+    { name: 'authenticatorData', type: 'bytes' },
+    { name: 'clientDataJSON', type: 'string' },
+    { name: 'challengeIndex', type: 'uint256' },
+    { name: 'typeIndex', type: 'uint256' },
+    { name: 'r', type: 'bytes32' },
+    { name: 's', type: 'bytes32' },
+  ],
+}];
+
+/**
+ * Whether a P-256 or WebAuthn key signed a digest
+ * P-256 signatures are raw r‖s over the digest, or over sha256(digest) for
+ * `prehash` keys; WebAuthn signatures are an encoded WebAuthnAuth
+ * @param {Object} key - Authorized key { type, publicKey, prehash }
+ * @param {string} digest - 32-byte digest
+ * @param {string} signature - Signature hex
+ * @returns {boolean}
+ */
+export function verifyKeySignature(key, digest, signature) {
+  try {
+    const publicKey = PublicKey.from(concat(['0x04', key.publicKey]));
+    if (key.type === 'p256') {
+      if (size(signature) !== 64) return false;
+      const r = hexToBigInt(slice(signature, 0, 32));
+      const s = hexToBigInt(slice(signature, 32));
+      return P256.verify({ hash: !!key.prehash, payload: digest, publicKey, signature: { r, s } });
+    }
+    if (key.type === 'webauthn-p256') {
+      const [auth] = decodeAbiParameters(WEBAUTHN_AUTH, signature);
+      return WebAuthnP256.verify({
+        challenge: digest,
+        publicKey,
+        signature: { r: hexToBigInt(auth.r), s: hexToBigInt(auth.s) },
+        metadata: {
+          authenticatorData: auth.authenticatorData,
+          clientDataJSON: auth.clientDataJSON,
+          challengeIndex: Number(auth.challengeIndex),
+          typeIndex: Number(auth.typeIndex),
+          userVerificationRequired: false,
+        },
+      });
+    }
+  } catch {
+    // Malformed key or signature
+  }
+  return false;
+}
+
+function jsonSafe(value) {
+  return JSON.parse(JSON.stringify(value, (_, v) => (typeof v === 'bigint' ? toHex(v) : v)));
+}
+
+// =====================================
+// RELAY
+// =====================================
+
+/**
+ * Create a mock relay bound to an anvil node
+ * @param {Object} options - Overrides for MOCK_RELAY_DEFAULTS
+ * @returns {Object} - { start, stop, url, handle, state }
+ */
+export function createMockRelay(options = {}) {
+  const config = { ...MOCK_RELAY_DEFAULTS, ...options };
+  const chain = {
+    id: config.chainId,
+    name: 'Local Anvil',
+    nativeCurrency: { name: 'ETH', symbol: 'ETH', decimals: 18 },
+    rpcUrls: { default: { http: [config.rpcUrl] } },
+  };
+
+  const publicClient = createPublicClient({ chain, transport: http(config.rpcUrl) });
+  const testClient = createTestClient({ chain, mode: 'anvil', transport: http(config.rpcUrl) });
+
+  const domain = {
+    name: 'Orchestrator',
+    version: '0.0.1',
+    chainId: config.chainId,
+    verifyingContract: config.orchestrator,
+  };
+
+  // In-memory relay state
+  const state = {
+    accounts: new Map(), // address -> { delegation, keys, deployed, nonce }
+    pendingUpgrades: new Map(), // context id -> upgrade
+    prepared: new Map(), // context id -> prepared intent
+    bundles: new Map(), // bundle id -> status
+  };
+  let nextId = 1;
+
+  const accountKey = address => address.toLowerCase();
+
+  function getAccount(address) {
+    return state.accounts.get(accountKey(address));
+  }
+
+  function assertChain(chainId) {
+    if (chainId !== undefined && Number(chainId) !== config.chainId) {
+      throw new RelayError(ERRORS.INVALID_PARAMS, `Unsupported chain ${chainId}`);
+    }
+  }
+
+  // ---------- upgrade ----------
+
+  function prepareUpgradeAccount(params) {
+    const { address, delegation, capabilities, chainId } = params || {};
+    if (!address || !delegation) {
+      throw new RelayError(ERRORS.INVALID_PARAMS, 'Invalid params (missing `address` or `delegation`)');
+    }
+    if (!capabilities || !Array.isArray(capabilities.authorizeKeys)) {
+      throw new RelayError(ERRORS.INVALID_PARAMS, 'Invalid params (missing field `authorizeKeys`)');
+    }
+    assertChain(chainId);
+
+    const keys = capabilities.authorizeKeys;
+    const typedData = {
+      domain,
+      types: UPGRADE_TYPES,
+      primaryType: 'Upgrade',
+      message: {
+        eoa: address,
+        delegation,
+        keys: keys.map(key => ({
+          expiry: Number(toBigInt(key.expiry)),
+          keyType: key.type,
+          role: key.role,
+          publicKey: key.publicKey,
+        })),
+      },
+    };
+
+    const authorization = { contractAddress: delegation, chainId: config.chainId, nonce: 0 };
+    const id = toHex(nextId++, { size: 32 });
+    state.pendingUpgrades.set(id, { address, delegation, keys, typedData, authorization });
+
+    return {
+      context: { id, address, delegation, authorization, authorizeKeys: keys },
+      digests: {
+        auth: hashAuthorization(authorization),
+        exec: hashTypedData(typedData),
+      },
+      typedData: jsonSafe(typedData),
+    };
+  }
+
+  async function upgradeAccount(params) {
+    const { context, signatures } = params || {};
+    const upgrade = context && state.pendingUpgrades.get(context.id);
+    if (!upgrade) {
+      throw new RelayError(ERRORS.INVALID_PARAMS, 'Unknown upgrade context');
+    }
+    if (!signatures?.auth || !signatures?.exec) {
+      throw new RelayError(ERRORS.INVALID_PARAMS, 'Invalid params (missing field `signatures`)');
+    }
+
+    const authSigners = await recoverSigners(hashAuthorization(upgrade.authorization), signatures.auth);
+    const execSigners = await recoverSigners(hashTypedData(upgrade.typedData), signatures.exec);
+    const signedBy = signers => signers.some(signer => isAddressEqual(signer, upgrade.address));
+    if (!signedBy(authSigners) || !signedBy(execSigners)) {
+      throw new RelayError(ERRORS.UNAUTHORIZED, 'invalid signature');
+    }
+
+    // Stored off-chain; deployed with the account's next intent (like Porto)
+    // A new delegation target (re-delegation) is deployed again
+    const existing = getAccount(upgrade.address);
+    const sameDelegation = existing && isAddressEqual(existing.delegation, upgrade.delegation);
+    state.accounts.set(accountKey(upgrade.address), {
+      delegation: upgrade.delegation,
+      keys: upgrade.keys,
+      deployed: sameDelegation ? existing.deployed : false,
+      nonce: existing?.nonce ?? 0n,
+    });
+    state.pendingUpgrades.delete(context.id);
+    return true;
+  }
+
+  // ---------- intents ----------
+
+  function prepareCalls(params) {
+    const { from, chainId, calls, capabilities, key } = params || {};
+    if (!from || !Array.isArray(calls)) {
+      throw new RelayError(ERRORS.INVALID_PARAMS, 'Invalid params (missing `from` or `calls`)');
+    }
+    if (!capabilities || !capabilities.meta) {
+      throw new RelayError(ERRORS.INVALID_PARAMS, 'Invalid params (missing field `meta`)');
+    }
+    assertChain(chainId);
+
+    const account = getAccount(from);
+    if (!account) {
+      throw new RelayError(ERRORS.UNAUTHORIZED, `Account ${from} is not delegated`);
+    }
+
+    const feeToken = capabilities.meta.feeToken ?? config.feeToken;
+    if (!isAddressEqual(feeToken, config.feeToken)) {
+      throw new RelayError(ERRORS.INVALID_PARAMS, `Unsupported fee token ${feeToken}`);
+    }
+    // Keys to add to an already delegated account (e.g. session keys)
+    const authorizeKeys = Array.isArray(capabilities.authorizeKeys) ? capabilities.authorizeKeys : [];
+    // Signed calls to run first (e.g. the account upgrade)
+    const preCalls = Array.isArray(capabilities.preCalls) ? capabilities.preCalls : [];
+    if (preCalls.some(preCall => !preCall?.eoa || !isAddressEqual(preCall.eoa, from) || !preCall.signature)) {
+      throw new RelayError(ERRORS.INVALID_PARAMS, 'Invalid params (preCalls must be signed by `from`)');
+    }
+    const expiry = BigInt(Math.floor(Date.now() / 1000) + config.quoteTtl);
+    const combinedGas = 1_000_000n;
+    const fee = config.sponsor ? 0n : combinedGas * BigInt(config.feePerGas);
+    const intentCalls = normalizeCalls(calls);
+    const message = {
+      multichain: false,
+      eoa: from,
+      executionData: encodeExecutionData(intentCalls),
+      nonce: account.nonce,
+      payer: config.sponsor ? config.relayWallet : from,
+      paymentToken: feeToken,
+      prePaymentMaxAmount: fee,
+      totalPaymentMaxAmount: fee,
+      combinedGas,
+      encodedPreCalls: preCalls.map(encodePreCall),
+      expiry,
+    };
+    const typedData = { domain, types: INTENT_TYPES, primaryType: 'Intent', message };
+    const digest = hashTypedData(typedData);
+
+    const id = toHex(nextId++, { size: 32 });
+    state.prepared.set(id, { from, digest, message, calls: intentCalls, authorizeKeys });
+
+    const quote = {
+      chainId: toHex(config.chainId),
+      intent: jsonSafe(message),
+      txGas: toHex(message.combinedGas),
+      nativeFeeEstimate: { maxFeePerGas: '0x0', maxPriorityFeePerGas: '0x0' },
+      ttl: Number(expiry),
+      authorizationAddress: account.deployed ? null : account.delegation,
+      orchestrator: config.orchestrator,
+    };
+
+    return {
+      context: { id, quote },
+      // For the wallet_sendCalls flow (PortoRelayerClient)
+      identifier: id,
+      digest,
+      typedData: jsonSafe(typedData),
+      key: key ?? null,
+      capabilities: { feeSignature: '0x', assetDiffs: [] },
+    };
+  }
+
+  /**
+   * Unexpired keys of the account that signed the digest
+   * secp256k1 keys match a recovered signer, P-256 keys verify the signature
+   */
+  function signingKeys(account, digest, signature, signers) {
+    const now = BigInt(Math.floor(Date.now() / 1000));
+    return account.keys.filter(key => {
+      const expiry = toBigInt(key.expiry);
+      if (expiry !== 0n && expiry < now) return false;
+      if (key.type === 'secp256k1') {
+        return signers.some(signer => isAddressEqual(keyAddress(key.publicKey), signer));
+      }
+      return verifyKeySignature(key, digest, signature);
+    });
+  }
+
+  function isKeyAuthorized(key, calls) {
+    if (key.role === 'admin') return true;
+
+    // Session keys: every call must match a permission
+    const allowed = (key.permissions || []).filter(p => p.type === 'call');
+    return calls.every(call =>
+      allowed.some(p =>
+        isAddressEqual(p.to, call.to) &&
+        (!p.selector || call.data.slice(0, 10).toLowerCase() === p.selector.toLowerCase())
+      )
+    );
+  }
+
+  async function executeCalls(from, calls) {
+    const account = getAccount(from);
+
+    // Deploy delegation on first intent
+    if (!account.deployed) {
+      await testClient.setCode({
+        address: from,
+        bytecode: concat(['0xef0100', account.delegation]),
+      });
+      account.deployed = true;
+    }
+
+    // Impersonate the EOA; top up for gas then restore so the user pays nothing
+    const balance = await publicClient.getBalance({ address: from });
+    await testClient.setBalance({ address: from, value: balance + parseEther('1') });
+    await testClient.impersonateAccount({ address: from });
+
+    const receipts = [];
+    let failed = false;
+    let revertReason;
+    try {
+      for (const call of calls) {
+        try {
+          await publicClient.call({ account: from, to: call.to, data: call.data, value: call.value });
+        } catch (error) {
+          failed = true;
+          revertReason = error.shortMessage || error.message;
+          break;
+        }
+        const hash = await testClient.request({
+          method: 'eth_sendTransaction',
+          params: [{ from, to: call.to, data: call.data, value: toHex(call.value) }],
+        });
+        const receipt = await publicClient.waitForTransactionReceipt({ hash });
+        receipts.push(jsonSafe(receipt));
+        if (receipt.status !== 'success') {
+          failed = true;
+          break;
+        }
+      }
+    } finally {
+      await testClient.stopImpersonatingAccount({ address: from });
+      await testClient.setBalance({ address: from, value: balance });
+    }
+
+    return { receipts, failed, revertReason };
+  }
+
+  async function sendPreparedCalls(params) {
+    const { context, signature } = params || {};
+    const prepared = context && state.prepared.get(context.id);
+    if (!prepared) {
+      throw new RelayError(ERRORS.INVALID_PARAMS, 'Unknown or already used context');
+    }
+    if (!signature) {
+      throw new RelayError(ERRORS.INVALID_PARAMS, 'Invalid params (missing field `signature`)');
+    }
+    if (BigInt(Math.floor(Date.now() / 1000)) > prepared.message.expiry) {
+      state.prepared.delete(context.id);
+      throw new RelayError(ERRORS.EXPIRED, 'Quote expired');
+    }
+
+    const account = getAccount(prepared.from);
+    const signers = await recoverSigners(prepared.digest, signature);
+    const { calls } = prepared;
+    const signedByEoa = signers.some(signer => isAddressEqual(signer, prepared.from));
+    const keys = signingKeys(account, prepared.digest, signature, signers);
+    const authorized = signedByEoa || keys.some(key => isKeyAuthorized(key, calls));
+    if (!authorized) {
+      throw new RelayError(ERRORS.UNAUTHORIZED, 'KeyDoesNotExist', { signers });
+    }
+    if (prepared.authorizeKeys.length > 0) {
+      // Only the EOA or an admin key may add keys
+      const isAdmin = signedByEoa || keys.some(key => key.role === 'admin');
+      if (!isAdmin) {
+        throw new RelayError(ERRORS.UNAUTHORIZED, 'Unauthorized (only admin keys can authorize keys)');
+      }
+      account.keys.push(...prepared.authorizeKeys);
+    }
+
+    state.prepared.delete(context.id);
+    account.nonce += 1n;
+
+    const bundleId = keccak256(encodeAbiParameters(
+      [{ type: 'bytes32' }, { type: 'bytes' }],
+      [prepared.digest, signature]
+    ));
+    state.bundles.set(bundleId, { id: bundleId, status: 100, receipts: [] });
+
+    // Execute in the background; clients poll wallet_getCallsStatus
+    executeCalls(prepared.from, calls)
+      .then(({ receipts, failed, revertReason }) => {
+        state.bundles.set(bundleId, {
+          id: bundleId,
+          status: failed ? 500 : 200,
+          receipts,
+          ...(revertReason && { revertReason }),
+        });
+      })
+      .catch(error => {
+        state.bundles.set(bundleId, {
+          id: bundleId,
+          status: 500,
+          receipts: [],
+          revertReason: error.shortMessage || error.message,
+        });
+      });
+
+    return { id: bundleId };
+  }
+
+  function getCallsStatus(params) {
+    const bundle = state.bundles.get(params?.[0]);
+    if (!bundle) {
+      throw new RelayError(ERRORS.INVALID_PARAMS, 'Unknown bundle id');
+    }
+    return bundle;
+  }
+
+  function getCapabilities() {
+    return {
+      [toHex(config.chainId)]: {
+        contracts: {
+          orchestrator: { address: config.orchestrator, version: '0.0.1' },
+          delegationImplementation: { address: config.implementation, version: '0.0.1' },
+          delegationProxy: { address: config.proxy, version: null },
+        },
+        fees: {
+          recipient: ZERO_ADDRESS,
+          quoteConfig: { ttl: config.quoteTtl },
+          tokens: [{ address: config.feeToken, decimals: 18, kind: 'ETH', symbol: 'ETH' }],
+        },
+      },
+    };
+  }
+
+  // ---------- dispatch ----------
+
+  const handlers = {
+    health: () => 'healthy',
+    wallet_getCapabilities: getCapabilities,
+    wallet_prepareUpgradeAccount: params => prepareUpgradeAccount(params[0]),
+    wallet_upgradeAccount: params => upgradeAccount(params[0]),
+    wallet_prepareCalls: params => prepareCalls(params[0]),
+    wallet_sendPreparedCalls: params => sendPreparedCalls(params[0]),
+    wallet_sendCalls: params => sendPreparedCalls({ context: { id: params[0]?.identifier }, signature: params[0]?.signature }),
+    wallet_getCallsStatus: params => getCallsStatus(params),
+  };
+
+  /**
+   * Handle one JSON-RPC request object
+   * @param {Object} request - { id, method, params }
+   * @returns {Promise<Object>} - JSON-RPC response
+   */
+  async function handle(request) {
+    const { id = null, method, params = [] } = request || {};
+    const handler = handlers[method];
+    if (!handler) {
+      return { jsonrpc: '2.0', id, error: { code: ERRORS.METHOD_NOT_FOUND, message: `Method not found: ${method}` } };
+    }
+    try {
+      const result = await handler(params);
+      return { jsonrpc: '2.0', id, result: jsonSafe(result) };
+    } catch (error) {
+      if (error instanceof RelayError) {
+        return { jsonrpc: '2.0', id, error: { code: error.code, message: error.message, data: error.data } };
+      }
+      return { jsonrpc: '2.0', id, error: { code: ERRORS.INTERNAL, message: error.message } };
+    }
+  }
+
+  const server = createServer((req, res) => {
+    if (req.method === 'GET' && req.url === '/health') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('healthy');
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      let response;
+      try {
+        response = await handle(JSON.parse(body));
+      } catch {
+        response = { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } };
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(response));
+    });
+  });
+
+  return {
+    url: `http://127.0.0.1:${config.port}`,
+    state,
+    handle,
+    start: () => new Promise(resolve => server.listen(config.port, () => resolve())),
+    stop: () => new Promise(resolve => server.close(() => resolve())),
+  };
+}
@@ -0,0 +1,54 @@
+/**
+ * Network Registry
+ * JS mirror of mobile/src/config/networks.ts for the node test scripts
+ *
+ * Pick a network with CHAIN_ID (defaults to RISE testnet):
+ *   CHAIN_ID=31337 node test-porto-gasless.js   # local anvil + mock relay
+ */
+
+export const LOCAL_CHAIN_ID = 31337;
+export const RISE_TESTNET_CHAIN_ID = 11155931;
+
+// Porto contracts on RISE testnet (the mock relay reports the same addresses)
+const RISE_TESTNET_PORTO = {
+  orchestrator: '0x046832405512d508b873e65174e51613291083bc',
+  implementation: '0x912a428b1a7e7cb7bb2709a2799a01c020c5acd9', // delegation_implementation from relay.toml
+  proxy: '0xf463d5cbc64916caa2775a8e9b264f8c35f4b8a4',
+  relayWallet: '0x584B5274765a7F7C78FDc960248f38e5Ad6b1EDb',
+};
+
+export const NETWORKS = {
+  [LOCAL_CHAIN_ID]: {
+    chainId: LOCAL_CHAIN_ID,
+    name: 'Local Anvil',
+    rpcUrl: 'http://127.0.0.1:8545',
+    wsUrl: 'ws://127.0.0.1:8545',
+    portoUrl: 'http://127.0.0.1:9119',
+    porto: RISE_TESTNET_PORTO,
+    // First contract deployed by anvil's default account
+    frenPet: { address: '0x5FbDB2315678afecb367f032d93F642f64180aa3', version: 'simple' },
+  },
+  [RISE_TESTNET_CHAIN_ID]: {
+    chainId: RISE_TESTNET_CHAIN_ID,
+    name: 'RISE Testnet',
+    rpcUrl: 'https://testnet.riselabs.xyz',
+    wsUrl: 'wss://testnet.riselabs.xyz/ws',
+    portoUrl: 'https://rise-testnet-porto.fly.dev',
+    porto: RISE_TESTNET_PORTO,
+    frenPet: { address: '0x3FDE139A94eEf14C4eBa229FDC80A54f7F5Fbf25', version: 'simple' },
+    explorerUrl: 'https://explorer.testnet.riselabs.xyz',
+  },
+};
+
+/**
+ * Look up a network by chain ID
+ * @param {number} chainId - Chain ID (defaults to CHAIN_ID env or RISE testnet)
+ * @returns {Object} - Network config
+ */
+export function getNetwork(chainId = Number(process.env.CHAIN_ID || RISE_TESTNET_CHAIN_ID)) {
+  const network = NETWORKS[chainId];
+  if (!network) {
+    throw new Error(`Unknown network: ${chainId} (known: ${Object.keys(NETWORKS).join(', ')})`);
+  }
+  return network;
+}
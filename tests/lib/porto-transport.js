@@ -0,0 +1,54 @@
+/**
+ * Porto RPC Transport
+ * Node test scripts' entry to the app's transport (mobile/src/lib/rpcTransport.js),
+ * so both send relay calls through the same code
+ *
+ * - per-method timeouts (AbortController)
+ * - exponential backoff with jitter on network, 5xx and 429 errors
+ * - no retries for non-idempotent methods
+ */
+
+import { TransportError, getRetryDelay as getBackoffDelay, sendRpc } from '../../mobile/src/lib/rpcTransport.js';
+
+export { TransportError };
+
+// =====================================
+// CONFIGURATION
+// =====================================
+
+export const TRANSPORT_CONFIG = {
+  retryAttempts: 3,
+  retryDelay: 1000, // ms
+  requestTimeout: 30000, // ms, default per request
+  methodTimeouts: {
+    health: 5000,
+    wallet_getCapabilities: 10000,
+    wallet_getCallsStatus: 10000,
+    wallet_prepareCalls: 20000,
+    wallet_prepareUpgradeAccount: 20000,
+  },
+};
+
+/**
+ * Backoff delay for a retry attempt (0-based), with equal jitter
+ * @param {number} attempt - Retry attempt number
+ * @returns {number} - Delay in ms
+ */
+export function getRetryDelay(attempt) {
+  return getBackoffDelay(attempt, TRANSPORT_CONFIG.retryDelay);
+}
+
+/**
+ * Make a JSON-RPC call with timeout and retries
+ * @param {string} url - Relay URL
+ * @param {string} method - RPC method name
+ * @param {any[]} params - Method parameters
+ * @returns {Promise<Object>} - Raw JSON-RPC response ({ result } or { error })
+ */
+export async function portoRpc(url, method, params) {
+  return sendRpc(url, method, params, {
+    timeout: TRANSPORT_CONFIG.methodTimeouts[method] ?? TRANSPORT_CONFIG.requestTimeout,
+    retryAttempts: TRANSPORT_CONFIG.retryAttempts,
+    retryDelay: TRANSPORT_CONFIG.retryDelay,
+  });
+}
@@ -5,6 +5,9 @@
 
 import { createPublicClient, http, parseAbi, encodeFunctionData } from 'viem';
 import { privateKeyToAccount } from 'viem/accounts';
+import { portoRpc } from './porto-transport.js';
+import { getNetwork } from './networks.js';
+import { recordFromEnv } from './relay-recorder.js';
 import { writeFileSync, mkdirSync, existsSync } from 'fs';
 import { join } from 'path';
 
@@ -12,19 +15,26 @@ import { join } from 'path';
 // CONFIGURATION
 // =====================================
 
+// Network picked with CHAIN_ID (see lib/networks.js)
+const NETWORK = getNetwork();
+
+// RELAY_RECORD=<name> saves this run as a mobile test fixture (see lib/relay-recorder.js)
+recordFromEnv();
+
 export const CONFIG = {
-  PORTO_URL: 'https://rise-testnet-porto.fly.dev',
-  CHAIN_ID: 11155931,
-  RPC_URL: 'https://testnet.riselabs.xyz',
+  // Individual values can still be overridden with env vars
+  PORTO_URL: process.env.PORTO_URL || NETWORK.portoUrl,
+  CHAIN_ID: NETWORK.chainId,
+  RPC_URL: process.env.RPC_URL || NETWORK.rpcUrl,
   
   // Porto contracts
-  PORTO_ORCHESTRATOR: '0x046832405512d508b873e65174e51613291083bc',
-  PORTO_IMPLEMENTATION: '0x912a428b1a7e7cb7bb2709a2799a01c020c5acd9', // delegation_implementation from relay.toml
-  PORTO_RELAY_WALLET: '0x584B5274765a7F7C78FDc960248f38e5Ad6b1EDb',
-  PORTO_PROXY: '0xf463d5cbc64916caa2775a8e9b264f8c35f4b8a4',
+  PORTO_ORCHESTRATOR: NETWORK.porto.orchestrator,
+  PORTO_IMPLEMENTATION: NETWORK.porto.implementation,
+  PORTO_RELAY_WALLET: NETWORK.porto.relayWallet,
+  PORTO_PROXY: NETWORK.porto.proxy,
   
   // FrenPetSimple contract (NON-PAYABLE)
-  FRENPET_ADDRESS: '0x3FDE139A94eEf14C4eBa229FDC80A54f7F5Fbf25',
+  FRENPET_ADDRESS: process.env.FRENPET_ADDRESS || NETWORK.frenPet.address,
 };
 
 // FrenPetSimple ABI (non-payable functions)
@@ -84,18 +94,7 @@ export async function makeRelayCall(method, params, options = {}) {
   }
   
   const startTime = Date.now();
-  const response = await fetch(CONFIG.PORTO_URL, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      jsonrpc: '2.0',
-      method,
-      params,
-      id: Date.now()
-    })
-  });
-  
-  const result = await response.json();
+  const result = await portoRpc(CONFIG.PORTO_URL, method, params);
   const duration = Date.now() - startTime;
   
   if (result.error) {
@@ -5,24 +5,30 @@
 
 import { createPublicClient, http, parseAbi, encodeFunctionData } from 'viem';
 import { privateKeyToAccount } from 'viem/accounts';
+import { portoRpc } from './porto-transport.js';
+import { getNetwork } from './networks.js';
 import * as Hex from "ox/Hex"
 
 // =====================================
 // CONFIGURATION
 // =====================================
 
+// Network picked with CHAIN_ID (see lib/networks.js)
+const NETWORK = getNetwork();
+
 export const CONFIG = {
-  PORTO_URL: 'https://rise-testnet-porto.fly.dev',
-  CHAIN_ID: 11155931,
-  RPC_URL: 'https://testnet.riselabs.xyz',
+  // Individual values can still be overridden with env vars
+  PORTO_URL: process.env.PORTO_URL || NETWORK.portoUrl,
+  CHAIN_ID: NETWORK.chainId,
+  RPC_URL: process.env.RPC_URL || NETWORK.rpcUrl,
   
   // Porto contracts
-  PORTO_ORCHESTRATOR: '0x046832405512d508b873e65174e51613291083bc',
-  PORTO_IMPLEMENTATION: '0x912a428b1a7e7cb7bb2709a2799a01c020c5acd9',
-  PORTO_RELAY_WALLET: '0x584B5274765a7F7C78FDc960248f38e5Ad6b1EDb',
+  PORTO_ORCHESTRATOR: NETWORK.porto.orchestrator,
+  PORTO_IMPLEMENTATION: NETWORK.porto.implementation,
+  PORTO_RELAY_WALLET: NETWORK.porto.relayWallet,
   
   // FrenPetSimple contract (NON-PAYABLE)
-  FRENPET_ADDRESS: '0x3FDE139A94eEf14C4eBa229FDC80A54f7F5Fbf25',
+  FRENPET_ADDRESS: process.env.FRENPET_ADDRESS || NETWORK.frenPet.address,
 };
 
 // FrenPetSimple ABI (non-payable functions)
@@ -58,18 +64,7 @@ export async function makeRelayCall(method, params, verbose = false) {
     console.log('Parameters:', JSON.stringify(params, null, 2).substring(0, 500) + '...');
   }
   
-  const response = await fetch(CONFIG.PORTO_URL, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      jsonrpc: '2.0',
-      method,
-      params,
-      id: Date.now()
-    })
-  });
-  
-  const result = await response.json();
+  const result = await portoRpc(CONFIG.PORTO_URL, method, params);
   
   if (result.error) {
     if (verbose) {
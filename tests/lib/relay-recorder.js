@@ -0,0 +1,125 @@
+/**
+ * Relay Traffic Recorder
+ * JS mirror of mobile/src/lib/__tests__/helpers/relayRecorder.ts for the node test scripts
+ *
+ * - RELAY_RECORD=<name> records every JSON-RPC call made with fetch
+ * - private keys and signatures are redacted before anything is written
+ * - writes mobile/src/lib/__tests__/fixtures/relay/<name>.json on exit,
+ *   ready to be replayed by the mobile tests with relayFixture('<name>')
+ */
+
+import { writeFileSync, mkdirSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { join } from 'path';
+
+// =====================================
+// CONFIGURATION
+// =====================================
+
+export const FIXTURE_DIR = fileURLToPath(new URL('../../mobile/src/lib/__tests__/fixtures/relay/', import.meta.url));
+
+// Placeholders keep hex-typed fields valid hex
+export const REDACTED = '[redacted]';
+export const REDACTED_SIGNATURE = `0x${'ee'.repeat(65)}`;
+export const REDACTED_KEY = `0x${'ee'.repeat(32)}`;
+
+const SECRET_KEYS = /^(privateKey|secretKey|mnemonic|seed|seedPhrase|password)$/i;
+const SIGNATURE_KEYS = /signature/i;
+
+let recording = null;
+
+function isHex(value) {
+  return typeof value === 'string' && /^0x[0-9a-fA-F]*$/.test(value);
+}
+
+/**
+ * Copy of a request or response with secrets replaced (same rules as the mobile helper)
+ * @param {any} value - Value to redact
+ * @param {string} key - Name the value is stored under
+ * @returns {any} - Redacted copy
+ */
+export function redact(value, key = '') {
+  if (Array.isArray(value)) return value.map(item => redact(item, key));
+
+  if (value && typeof value === 'object') {
+    const isSignedAuthorization = 'yParity' in value || ('r' in value && 's' in value);
+    return Object.fromEntries(Object.entries(value).map(([name, inner]) => {
+      if (isSignedAuthorization && (name === 'r' || name === 's')) return [name, REDACTED_KEY];
+      return [name, redact(inner, SIGNATURE_KEYS.test(key) ? key : name)];
+    }));
+  }
+
+  if (typeof value !== 'string') return value;
+  if (SECRET_KEYS.test(key)) return isHex(value) ? REDACTED_KEY : REDACTED;
+  if (SIGNATURE_KEYS.test(key)) return isHex(value) ? REDACTED_SIGNATURE : REDACTED;
+  if (/key$/i.test(key) && !/public/i.test(key) && isHex(value) && value.length === 66) return REDACTED_KEY;
+  return value;
+}
+
+/**
+ * Start recording fetch traffic under a fixture name
+ * @param {string} name - Fixture name (file name without .json)
+ * @param {string} source - Where the traffic comes from (defaults to the endpoints called)
+ */
+export function startRecording(name, source) {
+  if (recording) throw new Error(`Already recording ${recording.name}`);
+
+  const upstream = globalThis.fetch;
+  recording = { name, source, upstream, exchanges: [] };
+
+  globalThis.fetch = async (input, init) => {
+    const url = typeof input === 'string' ? input : input.url;
+    const response = await upstream(input, init);
+
+    let request = null;
+    try {
+      request = JSON.parse(String(init?.body ?? ''));
+    } catch {
+      // Not a JSON-RPC call
+    }
+    if (request?.method) {
+      const body = await response.clone().json().catch(() => null);
+      recording.exchanges.push({
+        url: url.split('?')[0],
+        method: request.method,
+        params: redact(request.params ?? []),
+        status: response.status,
+        response: redact(body),
+      });
+    }
+    return response;
+  };
+}
+
+/**
+ * Stop recording and write the fixture
+ * @returns {string|null} - Path written, null if nothing was being recorded
+ */
+export function saveRecording() {
+  if (!recording) return null;
+  const { name, source, upstream, exchanges } = recording;
+  globalThis.fetch = upstream;
+  recording = null;
+
+  mkdirSync(FIXTURE_DIR, { recursive: true });
+  const filepath = join(FIXTURE_DIR, `${name}.json`);
+  const fixture = {
+    name,
+    recordedAt: new Date().toISOString(),
+    source: source ?? [...new Set(exchanges.map(exchange => exchange.url))].join(', '),
+    exchanges,
+  };
+  writeFileSync(filepath, `${JSON.stringify(fixture, null, 2)}\n`);
+  console.log(`📼 Recorded ${exchanges.length} calls to ${filepath}`);
+  return filepath;
+}
+
+/**
+ * Record the whole run when RELAY_RECORD is set; saved when the process exits
+ */
+export function recordFromEnv() {
+  const name = process.env.RELAY_RECORD;
+  if (!name || recording) return;
+  startRecording(name);
+  process.on('exit', () => saveRecording());
+}
@@ -0,0 +1,82 @@
+/**
+ * Stub Anvil
+ * Minimal in-process stand-in for anvil, enough for the mock relay
+ *
+ * - Answers the JSON-RPC methods lib/mock-relay.js uses
+ * - Records every call, so tests can check what the relay did on-chain
+ * - Transactions always succeed with an empty receipt
+ */
+
+import { createServer } from 'http';
+import { keccak256, toHex } from 'viem';
+import { MOCK_RELAY_DEFAULTS } from './mock-relay.js';
+
+/**
+ * Create a stub anvil node
+ * @param {number} port - Port to listen on
+ * @param {Object} options - { chainId } reported by eth_chainId
+ * @returns {Object} - { url, calls, start, stop }
+ */
+export function createStubAnvil(port, { chainId = MOCK_RELAY_DEFAULTS.chainId } = {}) {
+  const calls = [];
+  const receipts = new Map();
+  let blockNumber = 1n;
+
+  const handlers = {
+    eth_chainId: () => toHex(chainId),
+    eth_blockNumber: () => toHex(blockNumber),
+    eth_getBalance: () => '0x0',
+    eth_getCode: () => '0x',
+    eth_call: () => '0x',
+    anvil_setCode: () => null,
+    anvil_setBalance: () => null,
+    anvil_impersonateAccount: () => null,
+    anvil_stopImpersonatingAccount: () => null,
+    eth_sendTransaction: ([tx]) => {
+      const hash = keccak256(toHex(`${tx.from}${tx.to}${tx.data}${receipts.size}`));
+      blockNumber += 1n;
+      receipts.set(hash, {
+        blockHash: keccak256(toHex(blockNumber)),
+        blockNumber: toHex(blockNumber),
+        contractAddress: null,
+        cumulativeGasUsed: '0x5208',
+        effectiveGasPrice: '0x0',
+        from: tx.from,
+        gasUsed: '0x5208',
+        logs: [],
+        logsBloom: `0x${'0'.repeat(512)}`,
+        status: '0x1',
+        to: tx.to,
+        transactionHash: hash,
+        transactionIndex: '0x0',
+        type: '0x2',
+      });
+      return hash;
+    },
+    eth_getTransactionReceipt: ([hash]) => receipts.get(hash) ?? null,
+  };
+
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const requests = [].concat(JSON.parse(body));
+      const responses = requests.map(({ id, method, params }) => {
+        calls.push({ method, params });
+        const handler = handlers[method];
+        return handler
+          ? { jsonrpc: '2.0', id, result: handler(params) }
+          : { jsonrpc: '2.0', id, error: { code: -32601, message: `Stub anvil has no ${method}` } };
+      });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(Array.isArray(JSON.parse(body)) ? responses : responses[0]));
+    });
+  });
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    calls,
+    start: () => new Promise(resolve => server.listen(port, () => resolve())),
+    stop: () => new Promise(resolve => server.close(() => resolve())),
+  };
+}
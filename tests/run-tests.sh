@@ -46,6 +46,7 @@ elif [ "$1" == "mobile" ]; then
 elif [ "$1" == "all" ]; then
     echo "Running ALL tests..."
     echo ""
+    run_test "test-mock-relay.js" "Mock Relay Smoke Test"
     run_test "test-zero-eth-gasless.js" "Zero ETH Test"
     run_test "test-basic-gasless.js" "Basic Gasless Flow"
     run_test "test-delegation-simple.js" "Delegation Test"
@@ -58,6 +59,7 @@ elif [ "$1" == "all" ]; then
 elif [ "$1" == "quick" ]; then
     echo "Running QUICK sanity check..."
     echo ""
+    run_test "test-mock-relay.js" "Mock Relay Smoke Test"
     run_test "test-zero-eth-gasless.js" "Zero ETH Test"
 else
     echo "Usage: ./run-tests.sh [core|mobile|all|quick]"
@@ -65,7 +67,7 @@ else
     echo "  core   - Run core gasless functionality tests"
     echo "  mobile - Run mobile-specific tests"
     echo "  all    - Run all tests"
-    echo "  quick  - Run quick sanity check (zero ETH test only)"
+    echo "  quick  - Run quick sanity check (mock relay smoke test and zero ETH test)"
     echo ""
     echo "Individual tests can also be run directly:"
     echo "  node test-zero-eth-gasless.js"
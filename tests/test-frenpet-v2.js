@@ -3,7 +3,11 @@
  * Tests all major functionality including battles, items, and evolution
  */
 
-const { ethers } = require('ethers');
+import { createRequire } from 'module';
+import { ethers } from 'ethers';
+import { CONFIG } from './lib/porto-utils.js';
+
+const require = createRequire(import.meta.url);
 const FrenPetV2ABI = require('../contracts/out/FrenPetV2.sol/FrenPetV2.json').abi;
 const FrenPetV2EnhancedABI = require('../contracts/out/FrenPetV2Enhanced.sol/FrenPetV2Enhanced.json').abi;
 const ItemManagerABI = require('../contracts/out/ItemManager.sol/ItemManager.json').abi;
@@ -15,9 +19,9 @@ const CONTRACTS = {
     ItemManager: '0x...', // Update after deployment
 };
 
-// RISE Testnet configuration
-const RPC_URL = 'https://testnet.riselabs.xyz';
-const CHAIN_ID = 11155931;
+// Selected network (CHAIN_ID / RPC_URL, see lib/networks.js)
+const RPC_URL = CONFIG.RPC_URL;
+const CHAIN_ID = CONFIG.CHAIN_ID;
 
 // Pet types enum
 const PetType = {
@@ -3,24 +3,28 @@
  * Demonstrates Web2-like UX with no gas fees
  */
 
-const { ethers } = require('ethers');
+import { createRequire } from 'module';
+import { ethers } from 'ethers';
+import { CONFIG } from './lib/porto-utils.js';
+import { getNetwork } from './lib/networks.js';
+
+const require = createRequire(import.meta.url);
 const FrenPetV2EnhancedABI = require('../contracts/out/FrenPetV2Enhanced.sol/FrenPetV2Enhanced.json').abi;
 
-// Porto configuration
+// Porto configuration of the selected network (CHAIN_ID / PORTO_URL, see lib/networks.js)
 const PORTO_CONFIG = {
-    relayUrl: 'https://rise-testnet-porto.fly.dev',
-    orchestrator: '0x046832405512d508b873e65174e51613291083bc',
-    proxy: '0xf463d5cbc64916caa2775a8e9b264f8c35f4b8a4',
-    implementation: '0x912a428b1a7e7cb7bb2709a2799a01c020c5acd9',
-    relayWallet: '0x584B5274765a7F7C78FDc960248f38e5Ad6b1EDb',
+    relayUrl: CONFIG.PORTO_URL,
+    orchestrator: CONFIG.PORTO_ORCHESTRATOR,
+    proxy: getNetwork(CONFIG.CHAIN_ID).porto.proxy,
+    implementation: CONFIG.PORTO_IMPLEMENTATION,
+    relayWallet: CONFIG.PORTO_RELAY_WALLET,
 };
 
 // Contract address (update after deployment)
 const FRENPET_V2_ENHANCED = '0x...'; // Update after deployment
 
-// RISE Testnet
-const CHAIN_ID = 11155931;
-const RPC_URL = 'https://testnet.riselabs.xyz';
+const CHAIN_ID = CONFIG.CHAIN_ID;
+const RPC_URL = CONFIG.RPC_URL;
 
 // Pet types
 const PetType = {
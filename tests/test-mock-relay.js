@@ -0,0 +1,269 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Relay Smoke Test
+ *
+ * Runs the mock Porto relay (lib/mock-relay.js) against a stub anvil node in
+ * this process, so it needs no network, anvil or deployed contracts:
+ * upgrade with a session key → prepare → send → status, intents signed by
+ * P-256 and passkey admin keys, plus the signature checks the relay must refuse.
+ *
+ * Usage:
+ *   node test-mock-relay.js
+ */
+
+import assert from 'node:assert/strict';
+import { encodeAbiParameters, encodeFunctionData, concat, numberToHex, toHex } from 'viem';
+import { generatePrivateKey, privateKeyToAccount } from 'viem/accounts';
+import * as P256 from 'ox/P256';
+import * as PublicKey from 'ox/PublicKey';
+import * as WebAuthnP256 from 'ox/WebAuthnP256';
+import { createMockRelay, MOCK_RELAY_DEFAULTS } from './lib/mock-relay.js';
+import { createStubAnvil } from './lib/stub-anvil.js';
+import { portoRpc } from './lib/porto-transport.js';
+import { FRENPET_ABI, serializePublicKey } from './lib/porto-utils.js';
+
+const RELAY_PORT = Number(process.env.MOCK_RELAY_PORT || 19119);
+const ANVIL_PORT = Number(process.env.STUB_ANVIL_PORT || 18545);
+const FRENPET = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const OTHER_CONTRACT = '0x00000000000000000000000000000000000000aa';
+
+// =====================================
+// HELPERS
+// =====================================
+
+async function relayCall(relay, method, params) {
+  const response = await portoRpc(relay.url, method, params);
+  if (response.error) {
+    throw new Error(`${method}: ${response.error.message}`);
+  }
+  return response.result;
+}
+
+async function relayError(relay, method, params) {
+  const response = await portoRpc(relay.url, method, params);
+  assert.ok(response.error, `${method} should have failed`);
+  return response.error;
+}
+
+async function waitForBundle(relay, bundleId) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const status = await relayCall(relay, 'wallet_getCallsStatus', [bundleId]);
+    if (status.status !== 100) return status;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Bundle ${bundleId} still pending`);
+}
+
+/**
+ * Software P-256 key as the app authorizes it: raw r‖s signatures, over
+ * sha256(digest) when prehashed, or as a WebAuthn assertion for passkeys
+ */
+function createP256Key(type = 'p256', prehash = false) {
+  const privateKey = P256.randomPrivateKey();
+  const publicKey = PublicKey.toHex(P256.getPublicKey({ privateKey }), { includePrefix: false });
+  const rs = ({ r, s }) => concat([numberToHex(r, { size: 32 }), numberToHex(s, { size: 32 })]);
+
+  return {
+    authorization: { expiry: '0x0', prehash, publicKey, role: 'admin', type, permissions: [] },
+    sign: digest => {
+      if (type === 'p256') return rs(P256.sign({ payload: digest, privateKey, hash: prehash }));
+      const { metadata, payload } = WebAuthnP256.getSignPayload({
+        challenge: digest,
+        origin: 'https://rise.local',
+        rpId: 'rise.local',
+      });
+      const { r, s } = P256.sign({ payload, privateKey, hash: true });
+      return encodeAbiParameters(
+        [{
+          type: 'tuple',
+          components: [
+            { name: 'authenticatorData', type: 'bytes' },
+            { name: 'clientDataJSON', type: 'string' },
+            { name: 'challengeIndex', type: 'uint256' },
+            { name: 'typeIndex', type: 'uint256' },
+            { name: 'r', type: 'bytes32' },
+            { name: 's', type: 'bytes32' },
+          ],
+        }],
+        [{
+          ...metadata,
+          challengeIndex: BigInt(metadata.challengeIndex),
+          typeIndex: BigInt(metadata.typeIndex),
+          r: numberToHex(r, { size: 32 }),
+          s: numberToHex(s, { size: 32 }),
+        }]
+      );
+    },
+  };
+}
+
+function createPetCall(name) {
+  return {
+    to: FRENPET,
+    value: '0x0',
+    data: encodeFunctionData({ abi: FRENPET_ABI, functionName: 'createPet', args: [name] }),
+  };
+}
+
+// =====================================
+// TEST
+// =====================================
+
+async function testMockRelay(relay, anvil) {
+  const main = privateKeyToAccount(generatePrivateKey());
+  const session = privateKeyToAccount(generatePrivateKey());
+  const createPet = createPetCall('Smoke');
+
+  console.log('\n📝 Step 1: Upgrade with a session key');
+  assert.equal(await relayCall(relay, 'health', []), 'healthy');
+
+  const upgrade = await relayCall(relay, 'wallet_prepareUpgradeAccount', [{
+    address: main.address,
+    delegation: MOCK_RELAY_DEFAULTS.proxy,
+    capabilities: {
+      authorizeKeys: [{
+        expiry: toHex(Math.floor(Date.now() / 1000) + 3600),
+        prehash: false,
+        publicKey: serializePublicKey(session.address),
+        role: 'session',
+        type: 'secp256k1',
+        permissions: [{ type: 'call', to: FRENPET, selector: createPet.data.slice(0, 10) }],
+      }],
+    },
+    chainId: MOCK_RELAY_DEFAULTS.chainId,
+  }]);
+
+  // Signed by someone else: refused
+  const forged = await relayError(relay, 'wallet_upgradeAccount', [{
+    context: upgrade.context,
+    signatures: {
+      auth: await session.sign({ hash: upgrade.digests.auth }),
+      exec: await session.sign({ hash: upgrade.digests.exec }),
+    },
+  }]);
+  assert.equal(forged.message, 'invalid signature');
+
+  assert.equal(await relayCall(relay, 'wallet_upgradeAccount', [{
+    context: upgrade.context,
+    signatures: {
+      auth: await main.sign({ hash: upgrade.digests.auth }),
+      exec: await main.sign({ hash: upgrade.digests.exec }),
+    },
+  }]), true);
+  console.log('  ✅ Upgrade stored, forged signatures refused');
+
+  console.log('\n📝 Step 2: Prepare → send → status');
+  const prepared = await relayCall(relay, 'wallet_prepareCalls', [{
+    from: main.address,
+    chainId: MOCK_RELAY_DEFAULTS.chainId,
+    calls: [createPet],
+    capabilities: { meta: { feeToken: MOCK_RELAY_DEFAULTS.feeToken } },
+  }]);
+  assert.equal(prepared.context.quote.intent.payer.toLowerCase(), MOCK_RELAY_DEFAULTS.relayWallet.toLowerCase());
+  assert.equal(BigInt(prepared.context.quote.intent.totalPaymentMaxAmount), 0n);
+
+  const { id: bundleId } = await relayCall(relay, 'wallet_sendPreparedCalls', [{
+    context: prepared.context,
+    signature: await session.sign({ hash: prepared.digest }),
+  }]);
+  const status = await waitForBundle(relay, bundleId);
+  assert.equal(status.status, 200, status.revertReason);
+  assert.equal(status.receipts.length, 1);
+
+  const setCode = anvil.calls.find(call => call.method === 'anvil_setCode');
+  assert.equal(setCode?.params[1], concat(['0xef0100', MOCK_RELAY_DEFAULTS.proxy]));
+  const sent = anvil.calls.find(call => call.method === 'eth_sendTransaction');
+  assert.equal(sent?.params[0].data, createPet.data);
+  console.log('  ✅ Bundle', bundleId.slice(0, 18) + '...', 'confirmed with the delegation deployed');
+
+  const replay = await relayError(relay, 'wallet_sendPreparedCalls', [{
+    context: prepared.context,
+    signature: await session.sign({ hash: prepared.digest }),
+  }]);
+  assert.equal(replay.message, 'Unknown or already used context');
+  console.log('  ✅ Replayed context refused');
+
+  console.log('\n📝 Step 3: Session key outside its permissions');
+  const outside = await relayCall(relay, 'wallet_prepareCalls', [{
+    from: main.address,
+    chainId: MOCK_RELAY_DEFAULTS.chainId,
+    calls: [{ ...createPet, to: OTHER_CONTRACT }],
+    capabilities: { meta: { feeToken: MOCK_RELAY_DEFAULTS.feeToken } },
+  }]);
+  const unauthorized = await relayError(relay, 'wallet_sendPreparedCalls', [{
+    context: outside.context,
+    signature: await session.sign({ hash: outside.digest }),
+  }]);
+  assert.equal(unauthorized.message, 'KeyDoesNotExist');
+  console.log('  ✅ Call to another contract refused');
+
+  console.log('\n📝 Step 4: P-256 and passkey admin keys');
+  const adminKeys = [createP256Key(), createP256Key('p256', true), createP256Key('webauthn-p256')];
+  const authorize = await relayCall(relay, 'wallet_prepareCalls', [{
+    from: main.address,
+    chainId: MOCK_RELAY_DEFAULTS.chainId,
+    calls: [createPet],
+    capabilities: {
+      meta: { feeToken: MOCK_RELAY_DEFAULTS.feeToken },
+      authorizeKeys: adminKeys.map(key => key.authorization),
+    },
+  }]);
+  const { id: authorizeId } = await relayCall(relay, 'wallet_sendPreparedCalls', [{
+    context: authorize.context,
+    signature: await main.sign({ hash: authorize.digest }),
+  }]);
+  assert.equal((await waitForBundle(relay, authorizeId)).status, 200);
+
+  for (const key of adminKeys) {
+    const intent = await relayCall(relay, 'wallet_prepareCalls', [{
+      from: main.address,
+      chainId: MOCK_RELAY_DEFAULTS.chainId,
+      calls: [{ ...createPet, to: OTHER_CONTRACT }],
+      capabilities: { meta: { feeToken: MOCK_RELAY_DEFAULTS.feeToken } },
+    }]);
+    const { id } = await relayCall(relay, 'wallet_sendPreparedCalls', [{
+      context: intent.context,
+      key: { prehash: key.authorization.prehash, publicKey: key.authorization.publicKey, type: key.authorization.type },
+      signature: key.sign(intent.digest),
+    }]);
+    assert.equal((await waitForBundle(relay, id)).status, 200);
+  }
+
+  const unknownKey = createP256Key();
+  const unknown = await relayCall(relay, 'wallet_prepareCalls', [{
+    from: main.address,
+    chainId: MOCK_RELAY_DEFAULTS.chainId,
+    calls: [createPet],
+    capabilities: { meta: { feeToken: MOCK_RELAY_DEFAULTS.feeToken } },
+  }]);
+  const refused = await relayError(relay, 'wallet_sendPreparedCalls', [{
+    context: unknown.context,
+    signature: unknownKey.sign(unknown.digest),
+  }]);
+  assert.equal(refused.message, 'KeyDoesNotExist');
+  console.log('  ✅ Raw, prehashed and passkey signatures accepted, unknown P-256 key refused');
+}
+
+async function main() {
+  console.log('🧪 MOCK RELAY SMOKE TEST');
+  console.log('=' .repeat(60));
+
+  const anvil = createStubAnvil(ANVIL_PORT);
+  const relay = createMockRelay({ port: RELAY_PORT, rpcUrl: anvil.url });
+  await anvil.start();
+  await relay.start();
+
+  try {
+    await testMockRelay(relay, anvil);
+    console.log('\n🎉 Mock relay smoke test passed');
+  } finally {
+    await relay.stop();
+    await anvil.stop();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Mock relay smoke test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+
+/**
+ * Start the mock Porto relay against a local anvil node
+ *
+ * Usage:
+ *   anvil --hardfork prague
+ *   node utils/mock-relay.js
+ *
+ * Then point the clients at the local network (chain 31337):
+ *   CHAIN_ID=31337 node test-porto-gasless.js
+ *   EXPO_PUBLIC_CHAIN_ID=31337 npm start   (in mobile/, or pick "Local Anvil" in the app)
+ */
+
+import { createMockRelay, MOCK_RELAY_DEFAULTS } from '../lib/mock-relay.js';
+
+// MOCK_RELAY_SPONSOR=false quotes a fee instead of sponsoring
+const sponsor = process.env.MOCK_RELAY_SPONSOR !== 'false';
+
+const relay = createMockRelay({
+  port: Number(process.env.MOCK_RELAY_PORT || MOCK_RELAY_DEFAULTS.port),
+  rpcUrl: process.env.RPC_URL || MOCK_RELAY_DEFAULTS.rpcUrl,
+  chainId: Number(process.env.CHAIN_ID || MOCK_RELAY_DEFAULTS.chainId),
+  sponsor,
+});
+
+await relay.start();
+console.log('🧪 MOCK PORTO RELAY');
+console.log('===================');
+console.log('Relay:', relay.url);
+console.log('Anvil:', process.env.RPC_URL || MOCK_RELAY_DEFAULTS.rpcUrl);
+console.log('Chain:', process.env.CHAIN_ID || MOCK_RELAY_DEFAULTS.chainId);
+console.log('Sponsoring:', sponsor);
+
+process.on('SIGINT', async () => {
+  await relay.stop();
+  process.exit(0);
+});
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+
+/**
+ * Record the relay fixtures replayed by the mobile tests
+ *
+ * Runs the mobile PortoClient's gasless flow (same requests, in the same
+ * order) against the mock relay on a stub anvil, and saves the traffic with
+ * lib/relay-recorder.js. The relay runs in a child process so its own calls
+ * to anvil stay out of the recording
+ *
+ * Usage:
+ *   node utils/record-relay-fixtures.js
+ *
+ * Writes mobile/src/lib/__tests__/fixtures/relay/gasless-create-pet.json.
+ * Re-record after changing the requests portoClient.native.ts sends; the
+ * replayer compares them with the recording
+ */
+
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { createPublicClient, encodeFunctionData, http } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { createStubAnvil } from '../lib/stub-anvil.js';
+import { getNetwork, RISE_TESTNET_CHAIN_ID } from '../lib/networks.js';
+import { portoRpc } from '../lib/porto-transport.js';
+import { FRENPET_ABI, serializePublicKey } from '../lib/porto-utils.js';
+import { saveRecording, startRecording } from '../lib/relay-recorder.js';
+
+// =====================================
+// CONFIGURATION
+// =====================================
+
+// The mobile tests run against RISE testnet
+const NETWORK = getNetwork(RISE_TESTNET_CHAIN_ID);
+const RELAY_PORT = Number(process.env.MOCK_RELAY_PORT || 19119);
+const ANVIL_PORT = Number(process.env.STUB_ANVIL_PORT || 18545);
+const RELAY_URL = `http://127.0.0.1:${RELAY_PORT}`;
+
+// Anvil account #0, the key the mobile tests init PortoClient with
+const ACCOUNT = privateKeyToAccount('0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80');
+const KEY = { prehash: false, publicKey: serializePublicKey(ACCOUNT.address), type: 'secp256k1' };
+const ETH_FEE_TOKEN = '0x0000000000000000000000000000000000000000';
+
+// =====================================
+// HELPERS
+// =====================================
+
+async function relayCall(url, method, params) {
+  const response = await portoRpc(url, method, params);
+  if (response.error) {
+    throw new Error(`${method}: ${response.error.message}`);
+  }
+  return response.result;
+}
+
+// Captured before recording: polls made with it stay out of the fixture
+const unrecordedFetch = globalThis.fetch;
+
+async function poll(description, check) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    if (await check().catch(() => false)) return;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`${description} timed out`);
+}
+
+async function bundleStatus(bundleId) {
+  const response = await unrecordedFetch(RELAY_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'wallet_getCallsStatus', params: [bundleId] }),
+  });
+  const { result } = await response.json();
+  return result?.status;
+}
+
+function startRelay(rpcUrl, chainId) {
+  const script = fileURLToPath(new URL('./mock-relay.js', import.meta.url));
+  return spawn(process.execPath, [script], {
+    env: { ...process.env, MOCK_RELAY_PORT: String(RELAY_PORT), RPC_URL: rpcUrl, CHAIN_ID: String(chainId) },
+    stdio: ['ignore', 'ignore', 'inherit'],
+  });
+}
+
+// =====================================
+// FIXTURES
+// =====================================
+
+/**
+ * gasless-create-pet: upgrade a fresh EOA and create a pet in one sponsored intent
+ * Mirrors PortoClient.executeGaslessBatch + waitForTransaction
+ */
+async function recordGaslessCreatePet(anvil) {
+  const client = createPublicClient({ transport: http(anvil.url) });
+  const calls = [{
+    to: NETWORK.frenPet.address,
+    data: encodeFunctionData({ abi: FRENPET_ABI, functionName: 'createPet', args: ['Fixture'] }),
+    value: '0x0',
+  }];
+
+  startRecording('gasless-create-pet', 'mock relay (tests/lib/mock-relay.js) on a stub anvil, recorded by tests/utils/record-relay-fixtures.js');
+
+  // isAccountDelegated, then the redelegation check
+  await client.getBytecode({ address: ACCOUNT.address });
+  await client.getBytecode({ address: ACCOUNT.address });
+
+  const upgrade = await relayCall(RELAY_URL, 'wallet_prepareUpgradeAccount', [{
+    address: ACCOUNT.address,
+    delegation: NETWORK.porto.proxy,
+    capabilities: { authorizeKeys: [] },
+    chainId: NETWORK.chainId,
+  }]);
+  const upgraded = await relayCall(RELAY_URL, 'wallet_upgradeAccount', [{
+    context: upgrade.context,
+    signatures: {
+      auth: await ACCOUNT.sign({ hash: upgrade.digests.auth }),
+      exec: await ACCOUNT.sign({ hash: upgrade.digests.exec }),
+    },
+  }]);
+  const preCalls = upgraded?.context?.preCall ? [upgraded.context.preCall] : [];
+
+  const prepared = await relayCall(RELAY_URL, 'wallet_prepareCalls', [{
+    from: ACCOUNT.address,
+    chainId: NETWORK.chainId,
+    calls,
+    capabilities: {
+      meta: { feeToken: ETH_FEE_TOKEN },
+      ...(preCalls.length > 0 && { preCalls }),
+    },
+    key: KEY,
+  }]);
+  const { id: bundleId } = await relayCall(RELAY_URL, 'wallet_sendPreparedCalls', [{
+    context: prepared.context,
+    key: KEY,
+    signature: await ACCOUNT.sign({ hash: prepared.digest }),
+  }]);
+
+  // The tests read one settled status
+  await poll('Bundle', async () => (await bundleStatus(bundleId)) !== 100);
+  await relayCall(RELAY_URL, 'wallet_getCallsStatus', [bundleId]);
+
+  saveRecording();
+}
+
+// =====================================
+// MAIN
+// =====================================
+
+const anvil = createStubAnvil(ANVIL_PORT, { chainId: NETWORK.chainId });
+await anvil.start();
+const relay = startRelay(anvil.url, NETWORK.chainId);
+
+try {
+  await poll('Mock relay start', async () => (await unrecordedFetch(`${RELAY_URL}/health`)).ok);
+  await recordGaslessCreatePet(anvil);
+} finally {
+  relay.kill();
+  await anvil.stop();
+}